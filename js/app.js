@@ -7,6 +7,18 @@
     const canvas = document.getElementById('sigilCanvas');
     const sigil = new SigilGenerator(canvas);
 
+    // The settings a sigil is built from. Their controls change `next`, which
+    // the next generation takes up; the sigil on the canvas keeps its own, so
+    // redrawing it (new colours, strokes, …) never mixes the two.
+    const buildSettings = () => ({
+        shape: sigil.shape,
+        shapeOptions: sigil.shapeOptions,
+        symmetry: sigil.symmetry,
+        border: sigil.border,
+        complexity: sigil.complexity
+    });
+    let next = buildSettings();
+
     // --- Custom shape dropdown ---
     const selectTrigger = document.getElementById('shapeSelectTrigger');
     const selectOptions = document.getElementById('shapeSelectOptions');
@@ -18,19 +30,31 @@
         selectTrigger.classList.toggle('open');
     });
 
+    // Mark an option active and mirror it in the trigger (no generator change)
+    function showShape(value) {
+        const opt = selectOptions.querySelector(`.custom-select-option[data-value="${value}"]`);
+        if (!opt) return;
+        options.forEach(o => o.classList.remove('active'));
+        opt.classList.add('active');
+
+        // Update trigger display
+        const icon = opt.querySelector('.shape-icon').cloneNode(true);
+        const label = opt.querySelector('span').textContent;
+        const triggerIcon = selectTrigger.querySelector('.shape-icon');
+        const triggerLabel = selectTrigger.querySelector('span');
+        triggerIcon.replaceWith(icon);
+        triggerLabel.textContent = label;
+    }
+
     options.forEach(opt => {
         opt.addEventListener('click', () => {
-            options.forEach(o => o.classList.remove('active'));
-            opt.classList.add('active');
-            sigil.shape = opt.dataset.value;
-
-            // Update trigger display
-            const icon = opt.querySelector('.shape-icon').cloneNode(true);
-            const label = opt.querySelector('span').textContent;
-            const triggerIcon = selectTrigger.querySelector('.shape-icon');
-            const triggerLabel = selectTrigger.querySelector('span');
-            triggerIcon.replaceWith(icon);
-            triggerLabel.textContent = label;
+            // A new custom outline starts from the shape on the canvas
+            if (opt.dataset.value === 'custom' && !next.shapeOptions.vertices) {
+                next.shapeOptions = { ...next.shapeOptions, vertices: sigil.shapeAsVertices() };
+            }
+            next.shape = opt.dataset.value;
+            showShape(next.shape);
+            showShapeOptions();
 
             selectOptions.classList.remove('open');
             selectTrigger.classList.remove('open');
@@ -43,40 +67,531 @@
         selectTrigger.classList.remove('open');
     });
 
+    // --- Shape parameters (used by the next generation, like the shape) ---
+    const shapeOptionsBox = document.getElementById('shapeOptions');
+    const shapeSides = document.getElementById('shapeSides');
+    const starPoints = document.getElementById('starPoints');
+    const starSkip = document.getElementById('starSkip');
+    const starInner = document.getElementById('starInner');
+    const starInnerValue = document.getElementById('starInnerValue');
+    const shapeVertices = document.getElementById('shapeVertices');
+    const shapeRotation = document.getElementById('shapeRotation');
+    const shapeRotationValue = document.getElementById('shapeRotationValue');
+
+    for (let n = 3; n <= SigilGenerator.MAX_SIDES; n++) {
+        shapeSides.add(new Option(`${n} sides`, n));
+        starPoints.add(new Option(`${n} points`, n));
+    }
+
+    const formatVertices = (vertices) => (vertices ?? []).map(v => `${v.x},${v.y}`).join(' ');
+
+    function showShapeOptions() {
+        const shape = next.shape;
+        const o = next.shapeOptions;
+        document.getElementById('shapeSidesRow').hidden = shape !== 'polygon';
+        for (const id of ['starPointsRow', 'starSkipRow', 'starInnerRow']) {
+            document.getElementById(id).hidden = shape !== 'star-polygon';
+        }
+        document.getElementById('shapeVerticesRow').hidden = shape !== 'custom';
+        document.getElementById('shapeRotationRow').hidden = shape === 'circle';
+        shapeOptionsBox.hidden = shape === 'circle';
+
+        shapeSides.value = o.sides;
+        starPoints.value = o.points;
+        // {n/k} needs k under n/2; skip 1 is the plain star with its own inner ratio
+        starSkip.replaceChildren(new Option('None', 1));
+        for (let k = 2; k * 2 < o.points; k++) starSkip.add(new Option(`{${o.points}/${k}}`, k));
+        starSkip.value = o.skip;
+        starInner.value = o.innerRatio;
+        starInner.disabled = o.skip > 1;
+        starInnerValue.textContent = o.skip > 1 ? '—' : o.innerRatio;
+        if (document.activeElement !== shapeVertices) shapeVertices.value = formatVertices(o.vertices);
+        shapeRotation.value = o.rotation;
+        shapeRotationValue.textContent = `${o.rotation}°`;
+    }
+
+    function readShapeOptions() {
+        const points = parseInt(starPoints.value, 10);
+        next.shapeOptions = {
+            ...next.shapeOptions,
+            sides: parseInt(shapeSides.value, 10),
+            points,
+            skip: Math.min(parseInt(starSkip.value, 10), Math.ceil(points / 2) - 1),
+            innerRatio: parseFloat(starInner.value),
+            rotation: parseInt(shapeRotation.value, 10)
+        };
+        showShapeOptions();
+    }
+
+    // "x,y x,y …" from -1 to 1; a malformed list leaves the outline as it was
+    function readShapeVertices() {
+        const vertices = shapeVertices.value.trim().split(/[\s;]+/).map(pair => {
+            const [x, y] = pair.split(',').map(Number);
+            return { x, y };
+        });
+        try {
+            SigilGenerator._validateShapeOptions({ ...next.shapeOptions, vertices }, 'custom', (msg) => { throw new Error(msg); });
+        } catch (err) {
+            showStatus(`Custom outline: ${err.message.replace(/^shapeOptions\./, '')}`, true);
+            return;
+        }
+        next.shapeOptions = { ...next.shapeOptions, vertices };
+        showShapeOptions();
+    }
+
+    for (const input of [shapeSides, starPoints, starSkip]) input.addEventListener('change', readShapeOptions);
+    for (const input of [starInner, shapeRotation]) input.addEventListener('input', readShapeOptions);
+    shapeVertices.addEventListener('change', readShapeVertices);
+    showShapeOptions();
+
+    // --- Border (used by the next generation, like the shape) ---
+    const borderLines = document.getElementById('borderLines');
+    const borderGap = document.getElementById('borderGap');
+    const borderGapValue = document.getElementById('borderGapValue');
+    const borderMarks = document.getElementById('borderMarks');
+    const borderMarkCount = document.getElementById('borderMarkCount');
+    const borderMarkCountValue = document.getElementById('borderMarkCountValue');
+    const borderBand = document.getElementById('borderBand');
+    const borderDots = document.getElementById('borderDots');
+
+    function showBorder() {
+        const b = next.border;
+        borderLines.value = b.lines;
+        borderGap.value = b.gap;
+        borderGapValue.textContent = b.gap;
+        // The gap only shows between outlines or before the dotted ring
+        document.getElementById('borderGapRow').hidden = b.lines === 1 && !b.dots;
+        borderMarks.value = b.marks;
+        borderMarkCount.value = b.markCount;
+        borderMarkCountValue.textContent = b.markCount;
+        document.getElementById('borderMarkCountRow').hidden = b.marks === 'none';
+        borderBand.checked = b.band;
+        borderDots.checked = b.dots;
+    }
+
+    function readBorder() {
+        // A band sits between two outlines
+        const lines = parseInt(borderLines.value, 10);
+        next.border = {
+            lines: borderBand.checked ? Math.max(2, lines) : lines,
+            gap: parseFloat(borderGap.value),
+            band: borderBand.checked,
+            marks: borderMarks.value,
+            markCount: parseInt(borderMarkCount.value, 10),
+            dots: borderDots.checked
+        };
+        showBorder();
+    }
+
+    for (const input of [borderLines, borderMarks, borderBand, borderDots]) input.addEventListener('change', readBorder);
+    for (const input of [borderGap, borderMarkCount]) input.addEventListener('input', readBorder);
+    showBorder();
+
     // --- Color pickers ---
     const bgColorInput = document.getElementById('bgColor');
     const bgColorHex = document.getElementById('bgColorHex');
     const sigilColorInput = document.getElementById('sigilColor');
     const sigilColorHex = document.getElementById('sigilColorHex');
 
-    bgColorInput.addEventListener('input', () => {
-        sigil.bgColor = bgColorInput.value;
-        bgColorHex.textContent = bgColorInput.value;
+    const palettePreset = document.getElementById('palettePreset');
+    const paletteHarmony = document.getElementById('paletteHarmony');
+    const outlineGradient = document.getElementById('outlineGradient');
+    const gradientFrom = document.getElementById('gradientFrom');
+    const gradientTo = document.getElementById('gradientTo');
+    const gradientAngle = document.getElementById('gradientAngle');
+
+    for (const [name, p] of Object.entries(SigilGenerator.PALETTES)) palettePreset.add(new Option(p.label, name));
+
+    function showColors() {
+        bgColorInput.value = sigil.bgColor;
+        bgColorHex.textContent = sigil.bgColor;
+        sigilColorInput.value = sigil.sigilColor;
+        sigilColorHex.textContent = sigil.sigilColor;
+        const g = sigil.outlineGradient;
+        outlineGradient.value = g ? g.type : '';
+        document.getElementById('gradientOptions').hidden = !g;
+        if (g) {
+            [gradientFrom.value, gradientTo.value] = g.colors;
+            gradientAngle.value = g.angle;
+            document.getElementById('gradientAngleValue').textContent = `${g.angle}°`;
+        }
+        traceColor.value = sigil._layerColor('trace');
+        renderLayerPanel();
+    }
+
+    // Colours apply to the sigil on the canvas straight away
+    function applyColors(colors) {
+        sigil.setColors(colors);
+        colorsChanged();
+    }
+
+    function colorsChanged() {
+        showColors();
+        if (!sigil.hasSigil) return;
+        sigilReady();
+        sigilHistory.replace(sigil, sigil.thumbnail());
+        renderHistory();
+    }
+
+    function setLayerColor(name, color) {
+        applyColors({ layerColors: { ...sigil.layerColors, [name]: color } });
+    }
+
+    function readGradient() {
+        applyColors({
+            outlineGradient: outlineGradient.value ? {
+                type: outlineGradient.value,
+                colors: [gradientFrom.value, gradientTo.value],
+                angle: parseInt(gradientAngle.value, 10)
+            } : null
+        });
+    }
+
+    bgColorInput.addEventListener('input', () => applyColors({ bgColor: bgColorInput.value }));
+    sigilColorInput.addEventListener('input', () => applyColors({ sigilColor: sigilColorInput.value }));
+
+    // Presets and harmonies are one-off actions, so the menus go back to their prompt
+    palettePreset.addEventListener('change', () => {
+        if (palettePreset.value === 'single') sigil.setColors({ layerColors: {}, outlineGradient: null });
+        else if (palettePreset.value) sigil.applyPalette(palettePreset.value);
+        palettePreset.value = '';
+        colorsChanged();
     });
 
-    sigilColorInput.addEventListener('input', () => {
-        sigil.sigilColor = sigilColorInput.value;
-        sigilColorHex.textContent = sigilColorInput.value;
+    paletteHarmony.addEventListener('change', () => {
+        if (paletteHarmony.value) {
+            sigil.applyPalette({ bg: sigil.bgColor, colors: SigilGenerator.harmonyPalette(sigil.sigilColor, paletteHarmony.value) });
+        }
+        paletteHarmony.value = '';
+        colorsChanged();
+    });
+
+    outlineGradient.addEventListener('change', () => {
+        // A new gradient starts from the sigil colour
+        if (outlineGradient.value && !sigil.outlineGradient) gradientFrom.value = sigil.sigilColor;
+        readGradient();
+    });
+    for (const input of [gradientFrom, gradientTo, gradientAngle]) input.addEventListener('input', readGradient);
+
+    // --- Drawing style: hand-drawn, brush and ink lines ---
+    const drawInputs = {
+        wobble: document.getElementById('drawWobble'),
+        brush: document.getElementById('drawBrush'),
+        nib: document.getElementById('drawNib'),
+        bleed: document.getElementById('drawBleed')
+    };
+
+    function showDrawStyle() {
+        const d = sigil.drawStyle;
+        for (const [key, input] of Object.entries(drawInputs)) {
+            input.value = d[key];
+            document.getElementById(input.id + 'Value').textContent = key === 'nib' ? `${d.nib}°` : d[key];
+        }
+        // The nib only matters to a brush
+        document.getElementById('drawNibRow').hidden = !d.brush;
+    }
+
+    function readDrawStyle() {
+        sigil.setDrawStyle(Object.fromEntries(Object.entries(drawInputs).map(([key, input]) => [key, parseFloat(input.value)])));
+        showDrawStyle();
+        if (!sigil.hasSigil) return;
+        sigilReady();
+        sigilHistory.replace(sigil, sigil.thumbnail());
+        renderHistory();
+    }
+
+    for (const input of Object.values(drawInputs)) input.addEventListener('input', readDrawStyle);
+    showDrawStyle();
+
+    // --- Strokes: line widths, caps, joins, dot and node sizes ---
+    const strokeOuter = document.getElementById('strokeOuter');
+    const strokeInner = document.getElementById('strokeInner');
+    const strokeCap = document.getElementById('strokeCap');
+    const strokeJoin = document.getElementById('strokeJoin');
+    const sizeInputs = {
+        dotSize: [document.getElementById('dotSizeMin'), document.getElementById('dotSizeMax')],
+        nodeSize: [document.getElementById('nodeSizeMin'), document.getElementById('nodeSizeMax')]
+    };
+
+    function showStrokes() {
+        const s = sigil.strokes;
+        strokeOuter.value = s.outer;
+        document.getElementById('strokeOuterValue').textContent = `${+(s.outer * 100).toFixed(1)}%`;
+        strokeInner.value = s.inner;
+        document.getElementById('strokeInnerValue').textContent = `×${s.inner}`;
+        strokeCap.value = s.cap;
+        strokeJoin.value = s.join;
+        for (const [key, inputs] of Object.entries(sizeInputs)) {
+            inputs.forEach((input, i) => {
+                input.value = s[key][i];
+                document.getElementById(input.id + 'Value').textContent = `×${s[key][i]}`;
+            });
+        }
+    }
+
+    // Changes apply to the sigil on the canvas straight away (sizes from the next one)
+    function applyStrokes(strokes) {
+        sigil.setStrokes(strokes);
+        showStrokes();
+        renderLayerPanel();
+        if (!sigil.hasSigil) return;
+        sigilReady();
+        sigilHistory.replace(sigil, sigil.thumbnail());
+        renderHistory();
+    }
+
+    strokeOuter.addEventListener('input', () => applyStrokes({ outer: parseFloat(strokeOuter.value) }));
+    strokeInner.addEventListener('input', () => applyStrokes({ inner: parseFloat(strokeInner.value) }));
+    strokeCap.addEventListener('change', () => applyStrokes({ cap: strokeCap.value }));
+    strokeJoin.addEventListener('change', () => applyStrokes({ join: strokeJoin.value }));
+    for (const [key, [min, max]] of Object.entries(sizeInputs)) {
+        // Dragging one end of a range past the other takes it along
+        min.addEventListener('input', () => applyStrokes({ [key]: [parseFloat(min.value), Math.max(parseFloat(min.value), parseFloat(max.value))] }));
+        max.addEventListener('input', () => applyStrokes({ [key]: [Math.min(parseFloat(min.value), parseFloat(max.value)), parseFloat(max.value)] }));
+    }
+    showStrokes();
+
+    // --- Background: a colour, gradient, texture or image behind the sigil ---
+    const backgroundType = document.getElementById('backgroundType');
+    const backgroundGradientKind = document.getElementById('backgroundGradientKind');
+    const backgroundFrom = document.getElementById('backgroundFrom');
+    const backgroundTo = document.getElementById('backgroundTo');
+    const backgroundAngle = document.getElementById('backgroundAngle');
+    const backgroundStrength = document.getElementById('backgroundStrength');
+    const backgroundFit = document.getElementById('backgroundFit');
+    const backgroundScale = document.getElementById('backgroundScale');
+    const backgroundOpacity = document.getElementById('backgroundOpacity');
+    const backgroundImageInput = document.getElementById('backgroundImageInput');
+    const MAX_BACKGROUND_IMAGE = 1600; // longer side in pixels, so documents stay a sensible size
+
+    // The last image chosen, kept while other backgrounds are tried
+    let backgroundImage = null;
+
+    function showBackground() {
+        const b = sigil.background;
+        const textured = b.type === 'parchment' || b.type === 'noise';
+        if (b.type === 'image') backgroundImage = { src: b.src, width: b.width, height: b.height };
+        backgroundType.value = b.type;
+        document.getElementById('bgColorRow').hidden = b.type === 'transparent' || b.type === 'gradient';
+        document.getElementById('backgroundGradientOptions').hidden = b.type !== 'gradient';
+        document.getElementById('backgroundTextureOptions').hidden = !textured;
+        document.getElementById('backgroundImageOptions').hidden = b.type !== 'image';
+        if (b.type === 'gradient') {
+            backgroundGradientKind.value = b.kind;
+            [backgroundFrom.value, backgroundTo.value] = b.colors;
+            backgroundAngle.value = b.angle;
+            document.getElementById('backgroundAngleValue').textContent = `${b.angle}°`;
+            // A radial background always spreads from the middle
+            document.getElementById('backgroundAngleRow').hidden = b.kind !== 'linear';
+        } else if (textured) {
+            backgroundStrength.value = b.strength;
+            document.getElementById('backgroundStrengthValue').textContent = b.strength;
+        } else if (b.type === 'image') {
+            backgroundFit.value = b.fit;
+            backgroundScale.value = b.scale;
+            document.getElementById('backgroundScaleValue').textContent = b.scale;
+            document.getElementById('backgroundScaleRow').hidden = b.fit !== 'center' && b.fit !== 'tile';
+            backgroundOpacity.value = b.opacity;
+            document.getElementById('backgroundOpacityValue').textContent = b.opacity;
+        }
+    }
+
+    function readBackground(seed) {
+        const type = backgroundType.value;
+        const current = sigil.background;
+        if (type === 'gradient') {
+            applyBackground({
+                type,
+                kind: backgroundGradientKind.value,
+                colors: [backgroundFrom.value, backgroundTo.value],
+                angle: parseInt(backgroundAngle.value, 10)
+            });
+        } else if (type === 'parchment' || type === 'noise') {
+            applyBackground({ type, seed: seed ?? current.seed ?? 1, strength: parseFloat(backgroundStrength.value) });
+        } else if (type === 'image') {
+            if (!backgroundImage) {
+                // Nothing to show until an image is chosen
+                document.getElementById('backgroundImageOptions').hidden = false;
+                backgroundImageInput.click();
+                return;
+            }
+            applyBackground({
+                type,
+                ...backgroundImage,
+                fit: backgroundFit.value,
+                scale: parseFloat(backgroundScale.value),
+                opacity: parseFloat(backgroundOpacity.value)
+            });
+        } else {
+            applyBackground({ type });
+        }
+    }
+
+    // Like the colours, the background applies to the sigil on the canvas straight away
+    function applyBackground(background) {
+        try {
+            sigil.setBackground(background);
+        } catch (err) {
+            showStatus(`Background: ${err.message.replace(/^background\./, '')}`, true);
+            return;
+        }
+        showBackground();
+        if (!sigil.hasSigil) return;
+        sigilReady();
+        sigilHistory.replace(sigil, sigil.thumbnail());
+        renderHistory();
+    }
+
+    /** A picked image file as a data URL, scaled down to MAX_BACKGROUND_IMAGE and decoded for the canvas. */
+    function loadBackgroundImage(file) {
+        const url = URL.createObjectURL(file);
+        return CanvasRenderer.decodeImage(url).finally(() => URL.revokeObjectURL(url)).then(img => {
+            const k = Math.min(1, MAX_BACKGROUND_IMAGE / Math.max(img.naturalWidth, img.naturalHeight));
+            const c = document.createElement('canvas');
+            c.width = Math.max(1, Math.round(img.naturalWidth * k));
+            c.height = Math.max(1, Math.round(img.naturalHeight * k));
+            c.getContext('2d').drawImage(img, 0, 0, c.width, c.height);
+            // Photos stay JPEG; anything else may have transparency, so it becomes PNG
+            const src = file.type === 'image/jpeg' ? c.toDataURL('image/jpeg', 0.9) : c.toDataURL('image/png');
+            return CanvasRenderer.loadImage(src).then(() => ({ src, width: c.width, height: c.height }));
+        });
+    }
+
+    backgroundType.addEventListener('change', () => readBackground());
+    backgroundGradientKind.addEventListener('change', () => readBackground());
+    backgroundFit.addEventListener('change', () => readBackground());
+    for (const input of [backgroundFrom, backgroundTo, backgroundAngle, backgroundStrength, backgroundScale, backgroundOpacity]) {
+        input.addEventListener('input', () => readBackground());
+    }
+    document.getElementById('backgroundReseed').addEventListener('click', () => readBackground((sigil.background.seed ?? 0) + 1));
+    document.getElementById('backgroundImageBtn').addEventListener('click', () => backgroundImageInput.click());
+
+    backgroundImageInput.addEventListener('change', () => {
+        const file = backgroundImageInput.files[0];
+        backgroundImageInput.value = '';
+        if (!file) {
+            showBackground();
+            return;
+        }
+        loadBackgroundImage(file).then(image => {
+            backgroundImage = image;
+            backgroundType.value = 'image';
+            readBackground();
+        }).catch(err => {
+            showBackground();
+            showStatus(`Background: ${err.message}`, true);
+        });
     });
+    showBackground();
 
     // --- Complexity slider ---
     const complexityInput = document.getElementById('complexity');
     const complexityValue = document.getElementById('complexityValue');
 
     complexityInput.addEventListener('input', () => {
-        sigil.complexity = parseInt(complexityInput.value, 10);
+        next.complexity = parseInt(complexityInput.value, 10);
         complexityValue.textContent = complexityInput.value;
     });
 
+    // --- Symmetry (used by the next generation, like the shape) ---
+    const symmetryMode = document.getElementById('symmetryMode');
+    const symmetryFolds = document.getElementById('symmetryFolds');
+
+    function showSymmetry() {
+        symmetryMode.value = next.symmetry.mode;
+        symmetryFolds.value = next.symmetry.folds ?? '';
+        symmetryFolds.hidden = next.symmetry.mode !== 'rotational';
+    }
+
+    function readSymmetry() {
+        next.symmetry = {
+            mode: symmetryMode.value,
+            folds: symmetryFolds.value ? parseInt(symmetryFolds.value, 10) : null
+        };
+        showSymmetry();
+    }
+
+    symmetryMode.addEventListener('change', readSymmetry);
+    symmetryFolds.addEventListener('change', readSymmetry);
+
     // --- Generate button ---
-    const exportPngBtn = document.getElementById('exportPng');
+    const exportImageBtn = document.getElementById('exportImage');
     const exportSvgBtn = document.getElementById('exportSvg');
     const canvasFrame = document.querySelector('.canvas-frame');
 
-    document.getElementById('generateBtn').addEventListener('click', () => {
-        sigil.generate();
-        exportPngBtn.disabled = false;
+    const saveJsonBtn = document.getElementById('saveJson');
+    const seedInput = document.getElementById('seedInput');
+
+    const copyLinkBtn = document.getElementById('copyLink');
+    const sigilCaption = document.getElementById('sigilCaption');
+    const keepSigilBtn = document.getElementById('keepSigil');
+
+    // A sigil is on the canvas: unlock exports and keep the URL hash current
+    function sigilReady() {
+        exportImageBtn.disabled = false;
         exportSvgBtn.disabled = false;
+        saveJsonBtn.disabled = false;
+        copyLinkBtn.disabled = false;
+        keepSigilBtn.disabled = !libraryReady;
+        sigilCaption.textContent = sigil.reducedIntent ?? '';
+        editModeInput.disabled = false;
+        editor.refresh();
+        renderLayerPanel();
+        history.replaceState(null, '', '#' + sigil.toPermalink());
+    }
+
+    function generate(seed) {
+        Object.assign(sigil, next);
+        sigil.generate(seed);
+        seedInput.value = sigil.seed;
+        sigilReady();
+        remember();
+        reportCrowdedLayers();
+    }
+
+    // A layer set to "on" is still left out when the shape has no room for it
+    function reportCrowdedLayers() {
+        const missing = SigilGenerator.LAYERS.filter(name => sigil.layerOption(name).mode === 'on' && !sigil.activeLayers.includes(name));
+        if (missing.length) {
+            showStatus(`No room in this shape for ${missing.map(name => SigilGenerator.layerType(name).label).join(', ')}`, true);
+        }
+    }
+
+    // Bring every control in line with the generator (after loading a sigil)
+    function syncControls() {
+        next = buildSettings();
+        showShape(sigil.shape);
+        showColors();
+        showBackground();
+        showDrawStyle();
+        showStrokes();
+        complexityInput.value = sigil.complexity;
+        complexityValue.textContent = sigil.complexity;
+        showShapeOptions();
+        showBorder();
+        showSymmetry();
+        seedInput.value = sigil.seed ?? '';
+        if (sigil.intent !== null) intentInput.value = sigil.intent;
+        stripVowels.checked = sigil.intentOptions.stripVowels;
+        stripRepeats.checked = sigil.intentOptions.stripRepeats;
+        previewIntent();
+        traceMethod.value = sigil.trace ? sigil.trace.method : '';
+        if (sigil.trace) {
+            if (sigil.trace.planet) tracePlanet.value = sigil.trace.planet;
+            traceName.value = sigil.trace.name;
+            traceGuide.checked = sigil.trace.guide;
+        }
+        showTraceOptions();
+        showInscription();
+    }
+
+    document.getElementById('generateBtn').addEventListener('click', () => generate());
+
+    // --- Seed: redraw the exact sigil for a typed seed ---
+    document.getElementById('seedApplyBtn').addEventListener('click', () => generate(seedInput.value));
+
+    seedInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') generate(seedInput.value);
     });
 
     // CSS glow pulse on canvas frame when sigil is generated
@@ -87,24 +602,756 @@
         canvasFrame.classList.add('glow-pulse');
     });
 
-    // --- Transparent background checkbox ---
-    const transparentBg = document.getElementById('transparentBg');
+    // --- Export image: any size, PNG with DPI, JPEG or WebP, or a PDF page ---
+    const exportDialog = document.getElementById('exportDialog');
+    const exportFormat = document.getElementById('exportFormat');
+    const exportQuality = document.getElementById('exportQuality');
+    const exportPixels = document.getElementById('exportPixels');
+    const exportDpi = document.getElementById('exportDpi');
+    const exportPrint = document.getElementById('exportPrint');
+    const exportUnit = document.getElementById('exportUnit');
+    const exportNote = document.getElementById('exportNote');
+    const exportStart = document.getElementById('exportStart');
+    const exportPage = document.getElementById('exportPage');
+    const exportPageWidth = document.getElementById('exportPageWidth');
+    const exportPageHeight = document.getElementById('exportPageHeight');
+    const exportMargin = document.getElementById('exportMargin');
+    const exportColumns = document.getElementById('exportColumns');
+    const UNIT_INCHES = { in: 1, cm: 2.54, mm: 25.4 };
+    let exportAbort = null;
+    let exportSheet = null; // the sigils of a contact sheet, while the dialog makes one
+
+    // Pixels and print size follow each other through the DPI
+    function showPrintSize() {
+        exportPrint.value = +((exportPixels.value / exportDpi.value) * UNIT_INCHES[exportUnit.value]).toFixed(2);
+        checkExportSize();
+    }
+
+    function readPrintSize() {
+        exportPixels.value = Math.round((exportPrint.value / UNIT_INCHES[exportUnit.value]) * exportDpi.value);
+        checkExportSize();
+    }
+
+    function checkExportSize() {
+        const px = Number(exportPixels.value);
+        const { MIN_SIZE: min, MAX_SIZE: max } = RasterExport;
+        const fits = Number.isInteger(px) && px >= min && px <= max && Number(exportDpi.value) >= 1;
+        exportNote.classList.toggle('error', !fits);
+        exportNote.textContent = fits
+            ? `${px} × ${px} pixels, ${exportPrint.value} ${exportUnit.value} across at ${exportDpi.value} DPI`
+            : `Choose ${min} to ${max} pixels and a DPI of at least 1`;
+        exportStart.disabled = !fits;
+    }
+
+    function pdfOptions() {
+        const page = exportPage.value === 'custom'
+            ? { width: Number(exportPageWidth.value), height: Number(exportPageHeight.value) }
+            : exportPage.value;
+        return { page, margin: Number(exportMargin.value), columns: Number(exportColumns.value) };
+    }
 
-    // --- Export PNG ---
-    document.getElementById('exportPng').addEventListener('click', () => {
-        const dataUrl = sigil.exportPNG(transparentBg.checked);
-        downloadFile(dataUrl, 'sigil.png');
+    function checkPageSize() {
+        const options = pdfOptions();
+        let error = null;
+        try {
+            PDFExport.validate(options);
+        } catch (err) {
+            error = err.message;
+        }
+        const page = exportPage.value === 'custom'
+            ? `${options.page.width} × ${options.page.height} mm`
+            : exportPage.selectedOptions[0].textContent;
+        exportNote.classList.toggle('error', error !== null);
+        exportNote.textContent = error ?? (exportSheet
+            ? `${exportSheet.length} sigil${exportSheet.length === 1 ? '' : 's'}, ${options.columns} to a row, on ${page} pages`
+            : `Vector paths, centred on one ${page} page`);
+        exportStart.disabled = error !== null;
+    }
+
+    // PDFs (and contact sheets, which are always PDFs) are laid out on pages, not in pixels
+    function showExportFormat() {
+        const pdf = exportSheet !== null || exportFormat.value === 'pdf';
+        document.getElementById('exportQualityRow').hidden = pdf || exportFormat.value === 'png';
+        document.getElementById('exportQualityValue').textContent = `${Math.round(exportQuality.value * 100)}%`;
+        document.getElementById('exportSizeGroup').hidden = pdf;
+        document.getElementById('exportPageGroup').hidden = !pdf;
+        document.getElementById('exportCustomPage').hidden = exportPage.value !== 'custom';
+        document.getElementById('exportColumnsRow').hidden = exportSheet === null;
+        if (pdf) checkPageSize();
+        else checkExportSize();
+    }
+
+    /** Open the dialog for the current sigil, or with `sheet` (a list of sigils) for a contact sheet. */
+    function openExport(sheet = null) {
+        exportSheet = sheet;
+        document.getElementById('exportTitle').textContent = sheet ? 'Contact sheet' : 'Export image';
+        document.getElementById('exportFormatGroup').hidden = sheet !== null;
+        showPrintSize();
+        showExportFormat();
+        exportDialog.showModal();
+    }
+
+    exportPixels.addEventListener('input', showPrintSize);
+    exportDpi.addEventListener('input', showPrintSize);
+    exportUnit.addEventListener('change', showPrintSize);
+    exportPrint.addEventListener('input', readPrintSize);
+    exportFormat.addEventListener('change', showExportFormat);
+    exportQuality.addEventListener('input', showExportFormat);
+    exportPage.addEventListener('change', showExportFormat);
+    [exportPageWidth, exportPageHeight, exportMargin, exportColumns].forEach(input => input.addEventListener('input', checkPageSize));
+
+    document.getElementById('exportImage').addEventListener('click', () => openExport());
+
+    // Cancelling stops a render still running in the worker
+    document.getElementById('exportCancel').addEventListener('click', () => {
+        if (exportAbort) exportAbort.abort();
+        exportDialog.close();
+    });
+    exportDialog.addEventListener('cancel', () => {
+        if (exportAbort) exportAbort.abort();
+    });
+
+    document.getElementById('exportForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (exportSheet !== null || exportFormat.value === 'pdf') {
+            exportPdf();
+            return;
+        }
+        const size = Number(exportPixels.value);
+        const format = exportFormat.value;
+        exportAbort = new AbortController();
+        exportStart.disabled = true;
+        exportNote.classList.remove('error');
+        exportNote.textContent = `Rendering ${size} × ${size}…`;
+        try {
+            const blob = await RasterExport.render(sigil, {
+                size,
+                format,
+                quality: Number(exportQuality.value),
+                dpi: Number(exportDpi.value),
+                signal: exportAbort.signal
+            });
+            const url = URL.createObjectURL(blob);
+            downloadFile(url, `sigil.${format === 'jpeg' ? 'jpg' : format}`);
+            URL.revokeObjectURL(url);
+            exportDialog.close();
+            showStatus(`Exported a ${size} × ${size} ${format.toUpperCase()}`);
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                exportNote.classList.add('error');
+                exportNote.textContent = err.message;
+            }
+        } finally {
+            exportAbort = null;
+            exportStart.disabled = false;
+        }
     });
 
+    async function exportPdf() {
+        const sheet = exportSheet;
+        exportStart.disabled = true;
+        exportNote.classList.remove('error');
+        exportNote.textContent = 'Writing the PDF…';
+        try {
+            const blob = sheet ? await PDFExport.contactSheet(sheet, pdfOptions()) : await PDFExport.single(sigil, pdfOptions());
+            const url = URL.createObjectURL(blob);
+            downloadFile(url, sheet ? 'sigil-contact-sheet.pdf' : 'sigil.pdf');
+            URL.revokeObjectURL(url);
+            exportDialog.close();
+            showStatus(sheet ? `Exported a contact sheet of ${sheet.length} sigil${sheet.length === 1 ? '' : 's'}` : 'Exported a PDF');
+        } catch (err) {
+            exportNote.classList.add('error');
+            exportNote.textContent = err.message;
+        } finally {
+            exportStart.disabled = false;
+        }
+    }
+
     // --- Export SVG ---
     document.getElementById('exportSvg').addEventListener('click', () => {
-        const svgString = sigil.exportSVG(transparentBg.checked);
+        const svgString = sigil.exportSVG();
         const blob = new Blob([svgString], { type: 'image/svg+xml' });
         const url = URL.createObjectURL(blob);
         downloadFile(url, 'sigil.svg');
         URL.revokeObjectURL(url);
     });
 
+    // --- Statement of intent: letters of a phrase drive the sigil ---
+    const intentInput = document.getElementById('intentInput');
+    const intentReduced = document.getElementById('intentReduced');
+    const stripVowels = document.getElementById('stripVowels');
+    const stripRepeats = document.getElementById('stripRepeats');
+
+    function intentOptions() {
+        return { stripVowels: stripVowels.checked, stripRepeats: stripRepeats.checked };
+    }
+
+    function previewIntent() {
+        intentReduced.textContent = SigilGenerator.reduceIntent(intentInput.value, intentOptions());
+    }
+
+    function generateFromIntent() {
+        const built = buildSettings();
+        Object.assign(sigil, next);
+        try {
+            sigil.generateFromIntent(intentInput.value, intentOptions());
+        } catch (err) {
+            // Nothing was built, so the sigil on the canvas keeps its settings
+            Object.assign(sigil, built);
+            showStatus(err.message, true);
+            return;
+        }
+        // The letters pick the shape
+        next.shape = sigil.shape;
+        showShape(sigil.shape);
+        showShapeOptions();
+        seedInput.value = '';
+        sigilReady();
+        remember();
+        reportCrowdedLayers();
+    }
+
+    intentInput.addEventListener('input', previewIntent);
+    intentInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') generateFromIntent();
+    });
+    document.getElementById('intentApplyBtn').addEventListener('click', generateFromIntent);
+
+    stripVowels.addEventListener('change', previewIntent);
+    stripRepeats.addEventListener('change', previewIntent);
+
+    // --- Tracing: a name across a kamea or letter wheel ---
+    const traceMethod = document.getElementById('traceMethod');
+    const traceOptions = document.getElementById('traceOptions');
+    const tracePlanet = document.getElementById('tracePlanet');
+    const traceName = document.getElementById('traceName');
+    const traceGuide = document.getElementById('traceGuide');
+    const traceColor = document.getElementById('traceColor');
+
+    function showTraceOptions() {
+        traceOptions.hidden = !traceMethod.value;
+        tracePlanet.hidden = traceMethod.value !== 'kamea';
+    }
+
+    function applyTrace() {
+        showTraceOptions();
+        sigil.setTrace(traceMethod.value ? {
+            method: traceMethod.value,
+            planet: tracePlanet.value,
+            name: traceName.value,
+            guide: traceGuide.checked
+        } : null);
+        if (!sigil.hasSigil) return;
+        sigilReady();
+        sigilHistory.replace(sigil, sigil.thumbnail());
+        renderHistory();
+    }
+
+    traceMethod.addEventListener('change', applyTrace);
+    tracePlanet.addEventListener('change', applyTrace);
+    traceName.addEventListener('input', applyTrace);
+    traceGuide.addEventListener('change', applyTrace);
+    traceColor.addEventListener('input', () => setLayerColor('trace', traceColor.value));
+
+    // --- Inscription: text around the perimeter ---
+    const inscriptionText = document.getElementById('inscriptionText');
+    const inscriptionOptions = document.getElementById('inscriptionOptions');
+    const inscriptionAlphabet = document.getElementById('inscriptionAlphabet');
+    const inscriptionFont = document.getElementById('inscriptionFont');
+    const inscriptionSize = document.getElementById('inscriptionSize');
+    const inscriptionSpacing = document.getElementById('inscriptionSpacing');
+    const inscriptionOffset = document.getElementById('inscriptionOffset');
+    const inscriptionAutoOffset = document.getElementById('inscriptionAutoOffset');
+
+    function showInscription() {
+        const ins = sigil.inscription;
+        if (document.activeElement !== inscriptionText) inscriptionText.value = ins?.text ?? '';
+        inscriptionOptions.hidden = !inscriptionText.value;
+        // Clearing the text keeps the other settings for the next one
+        if (!ins) return;
+        inscriptionAlphabet.value = ins.alphabet;
+        inscriptionFont.value = ins.font;
+        // Runes and cipher signs are drawn as strokes, not in a font
+        document.getElementById('inscriptionFontRow').hidden = ins.alphabet !== 'latin';
+        inscriptionSize.value = ins.size;
+        document.getElementById('inscriptionSizeValue').textContent = ins.size;
+        inscriptionSpacing.value = ins.spacing;
+        document.getElementById('inscriptionSpacingValue').textContent = ins.spacing;
+        // The automatic offset follows the band, so show where it lands
+        const offset = sigil._inscriptionOffset();
+        inscriptionOffset.value = offset;
+        inscriptionOffset.disabled = ins.offset === null;
+        document.getElementById('inscriptionOffsetValue').textContent = +offset.toFixed(2);
+        inscriptionAutoOffset.checked = ins.offset === null;
+    }
+
+    function applyInscription() {
+        const font = inscriptionFont.value.trim() || SigilGenerator.DEFAULT_INSCRIPTION.font;
+        const inscription = inscriptionText.value ? {
+            text: inscriptionText.value,
+            font,
+            size: parseFloat(inscriptionSize.value),
+            spacing: parseFloat(inscriptionSpacing.value),
+            offset: inscriptionAutoOffset.checked ? null : parseFloat(inscriptionOffset.value),
+            alphabet: inscriptionAlphabet.value
+        } : null;
+        try {
+            sigil.setInscription(inscription);
+        } catch (err) {
+            showStatus(`Inscription: ${err.message.replace(/^inscription\./, '')}`, true);
+            return;
+        }
+        showInscription();
+        if (!sigil.hasSigil) return;
+        sigilReady();
+        sigilHistory.replace(sigil, sigil.thumbnail());
+        renderHistory();
+        // A web font may still be loading: draw again once it is there
+        if (inscription && document.fonts) {
+            document.fonts.load(`16px ${font}`).then(() => {
+                // Measured again in the loaded font
+                if (sigil.inscription?.font !== font) return;
+                sigil.setInscription(sigil.inscription);
+                if (sigil.hasSigil) sigilReady();
+            }).catch(() => {});
+        }
+    }
+
+    inscriptionText.addEventListener('input', applyInscription);
+    inscriptionFont.addEventListener('change', applyInscription);
+    inscriptionAlphabet.addEventListener('change', applyInscription);
+    inscriptionAutoOffset.addEventListener('change', applyInscription);
+    for (const input of [inscriptionSize, inscriptionSpacing, inscriptionOffset]) input.addEventListener('input', applyInscription);
+    showInscription();
+
+    // --- Layers: force on/off, weights, lock and re-roll ---
+    const layerPanel = document.getElementById('layerPanel');
+
+    function layerRow(name) {
+        const row = document.createElement('div');
+        row.className = 'layer-row';
+        row.dataset.layer = name;
+
+        const head = document.createElement('div');
+        head.className = 'layer-row-head';
+        const label = document.createElement('span');
+        label.className = 'layer-name';
+        label.textContent = SigilGenerator.layerType(name).label;
+
+        const lockLabel = document.createElement('label');
+        lockLabel.className = 'checkbox-label';
+        lockLabel.title = 'Keep this layer as it is when generating';
+        const lock = document.createElement('input');
+        lock.type = 'checkbox';
+        lock.className = 'layer-lock';
+        const lockText = document.createElement('span');
+        lockText.textContent = 'Lock';
+        lockLabel.append(lock, lockText);
+        lock.addEventListener('change', () => sigil.setLayerLocked(name, lock.checked));
+
+        const reroll = document.createElement('button');
+        reroll.className = 'icon-btn layer-reroll';
+        reroll.title = 'Re-roll only this layer';
+        reroll.innerHTML = '&#8635;';
+        reroll.addEventListener('click', () => {
+            if (!sigil.rerollLayer(name)) {
+                showStatus(`No room in this shape for ${SigilGenerator.layerType(name).label}`, true);
+                return;
+            }
+            sigilReady();
+            remember();
+        });
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.className = 'layer-color';
+        color.title = 'Colour of this layer';
+        color.addEventListener('input', () => setLayerColor(name, color.value));
+        head.append(color, label, lockLabel, reroll);
+
+        const controls = document.createElement('div');
+        controls.className = 'layer-row-controls';
+        const mode = document.createElement('select');
+        mode.className = 'select-input layer-mode';
+        mode.title = 'Include this layer';
+        mode.append(new Option('Auto', 'auto'), new Option('Always', 'on'), new Option('Never', 'off'));
+        mode.addEventListener('change', () => {
+            sigil.setLayerOption(name, { mode: mode.value });
+            renderLayerPanel();
+        });
+
+        const weight = document.createElement('input');
+        weight.type = 'range';
+        weight.className = 'layer-weight';
+        weight.min = 0;
+        weight.max = SigilGenerator.MAX_LAYER_WEIGHT;
+        weight.step = 1;
+        weight.addEventListener('input', () => {
+            sigil.setLayerOption(name, { weight: Number(weight.value) });
+            renderLayerPanel();
+        });
+        const dash = document.createElement('select');
+        dash.className = 'select-input layer-dash';
+        dash.title = 'Line pattern of this layer';
+        dash.append(new Option('Solid', 'solid'), new Option('Dashed', 'dashed'), new Option('Dotted', 'dotted'));
+        dash.addEventListener('change', () => applyStrokes({ dashes: { ...sigil.strokes.dashes, [name]: dash.value } }));
+        controls.append(mode, weight, dash);
+
+        row.append(head, controls);
+        return row;
+    }
+
+    // Mirror the generator: which layers the sigil uses, options and locks
+    function renderLayerPanel() {
+        const used = sigil.activeLayers;
+        for (const row of layerPanel.children) {
+            const name = row.dataset.layer;
+            const opt = sigil.layerOption(name);
+            const active = used.includes(name);
+            row.classList.toggle('active', active);
+            row.querySelector('.layer-lock').checked = sigil.lockedLayers.has(name);
+            row.querySelector('.layer-lock').disabled = !active;
+            row.querySelector('.layer-reroll').disabled = !active;
+            row.querySelector('.layer-mode').value = opt.mode;
+            row.querySelector('.layer-color').value = sigil._layerColor(name);
+            row.querySelector('.layer-dash').value = sigil.strokes.dashes[name] ?? 'solid';
+            const weight = row.querySelector('.layer-weight');
+            weight.value = opt.weight;
+            weight.disabled = opt.mode !== 'auto';
+            weight.title = `Weight in the random pick: ${opt.weight}`;
+        }
+    }
+
+    layerPanel.append(...SigilGenerator.LAYERS.map(layerRow));
+    renderLayerPanel();
+
+    const qualityCheck = document.getElementById('qualityCheck');
+    qualityCheck.checked = sigil.qualityCheck;
+    qualityCheck.addEventListener('change', () => { sigil.qualityCheck = qualityCheck.checked; });
+
+    // --- Edit mode: drag nodes, dots, perimeter points, lines and rings ---
+    const editModeInput = document.getElementById('editMode');
+    const editor = new SigilEditor(sigil, document.getElementById('editOverlay'), {
+        onEdit: () => {
+            // Moving the outline's vertices edits the custom shape for later sigils too
+            if (sigil.shape === 'custom' && next.shape === 'custom') {
+                next.shapeOptions = { ...next.shapeOptions, vertices: sigil.shapeOptions.vertices };
+            }
+            showShapeOptions();
+            sigilReady();
+            remember();
+        }
+    });
+
+    editModeInput.addEventListener('change', () => {
+        if (editModeInput.checked) editor.enable();
+        else editor.disable();
+    });
+
+    // --- Save / open sigil documents (JSON) ---
+    const openJsonInput = document.getElementById('openJsonInput');
+
+    saveJsonBtn.addEventListener('click', () => {
+        const blob = new Blob([JSON.stringify(sigil, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        downloadFile(url, 'sigil.json');
+        URL.revokeObjectURL(url);
+    });
+
+    document.getElementById('openJson').addEventListener('click', () => openJsonInput.click());
+
+    openJsonInput.addEventListener('change', () => {
+        const file = openJsonInput.files[0];
+        openJsonInput.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            sigil.fromJSON(text);
+            syncControls();
+            sigil.redraw();
+            sigilReady();
+            remember();
+            showStatus(`Opened ${file.name}`);
+        }).catch(err => showStatus(err.message, true));
+    });
+
+    // --- Permalinks: restore from the URL hash, copy a link ---
+    function openLink(hash) {
+        try {
+            sigil.fromPermalink(hash);
+        } catch (err) {
+            showStatus(`${err.message}. Showing an empty canvas instead.`, true);
+            history.replaceState(null, '', location.pathname + location.search);
+            return false;
+        }
+        syncControls();
+        sigil.redraw();
+        sigilReady();
+        remember();
+        return true;
+    }
+
+    window.addEventListener('hashchange', () => {
+        if (location.hash.length > 1) openLink(location.hash);
+    });
+
+    copyLinkBtn.addEventListener('click', () => {
+        const url = location.href.split('#')[0] + '#' + sigil.toPermalink();
+        history.replaceState(null, '', url);
+        if (!navigator.clipboard) {
+            showStatus('Clipboard unavailable — copy the link from the address bar.', true);
+            return;
+        }
+        // Images are too large for links, which keep just the background colour
+        const note = sigil.background.type === 'image' ? ' (without the background image)' : '';
+        navigator.clipboard.writeText(url)
+            .then(() => showStatus(`Link copied${note}`))
+            .catch(() => showStatus('Clipboard unavailable — copy the link from the address bar.', true));
+    });
+
+    // --- History: thumbnails of recent sigils, undo/redo ---
+    const sigilHistory = new SigilHistory();
+    const historyStrip = document.getElementById('historyStrip');
+
+    function remember() {
+        sigilHistory.record(sigil, sigil.thumbnail());
+        renderHistory();
+    }
+
+    // Bring back a stored sigil exactly as it was generated
+    function restore(entry) {
+        if (!entry) return;
+        sigil.fromJSON(entry.state);
+        syncControls();
+        sigil.redraw();
+        sigilReady();
+        renderHistory();
+    }
+
+    function renderHistory() {
+        historyStrip.replaceChildren(...sigilHistory.entries.map((entry, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'history-thumb';
+            btn.classList.toggle('active', i === sigilHistory.index);
+            btn.title = `Sigil ${i + 1} of ${sigilHistory.entries.length}`;
+            const img = document.createElement('img');
+            img.src = entry.thumbnail;
+            img.alt = btn.title;
+            btn.appendChild(img);
+            btn.addEventListener('click', () => restore(sigilHistory.go(i)));
+            return btn;
+        }));
+        const active = historyStrip.querySelector('.active');
+        if (active) active.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+
+    // Ctrl/Cmd+Z steps back, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y forward.
+    // Form fields and editable text keep their own undo.
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target instanceof Element && e.target.closest('input, select, textarea, [contenteditable]')) return;
+        const key = e.key.toLowerCase();
+        let entry;
+        if (key === 'z' && !e.shiftKey) entry = sigilHistory.undo();
+        else if (key === 'y' || key === 'z') entry = sigilHistory.redo();
+        else return;
+        e.preventDefault();
+        restore(entry);
+    });
+
+    // --- Library: kept sigils, stored in IndexedDB ---
+    const library = new SigilLibrary();
+    const libraryPanel = document.getElementById('libraryPanel');
+    const librarySearch = document.getElementById('librarySearch');
+    const libraryTag = document.getElementById('libraryTag');
+    const libraryShape = document.getElementById('libraryShape');
+    const libraryGrid = document.getElementById('libraryGrid');
+    const libraryEmpty = document.getElementById('libraryEmpty');
+    const libraryExportBtn = document.getElementById('libraryExport');
+    const librarySheetBtn = document.getElementById('librarySheet');
+    const libraryDeleteBtn = document.getElementById('libraryDelete');
+    const libraryImportInput = document.getElementById('libraryImportInput');
+
+    let libraryReady = false;
+    let libraryEntries = [];
+    const librarySelection = new Set();
+
+    // Shape filter uses the same labels as the shape dropdown
+    options.forEach(opt => {
+        libraryShape.appendChild(new Option(opt.querySelector('span').textContent, opt.dataset.value));
+    });
+
+    function refreshLibrary() {
+        return library.all().then(entries => {
+            libraryEntries = entries;
+            const ids = new Set(entries.map(e => e.id));
+            librarySelection.forEach(id => { if (!ids.has(id)) librarySelection.delete(id); });
+            renderLibrary();
+        });
+    }
+
+    function renderLibrary() {
+        // Rebuild the tag filter, keeping the chosen tag if it still exists
+        const tags = SigilLibrary.allTags(libraryEntries);
+        const tag = tags.includes(libraryTag.value) ? libraryTag.value : '';
+        libraryTag.replaceChildren(new Option('All tags', ''), ...tags.map(t => new Option(t, t)));
+        libraryTag.value = tag;
+
+        const filter = { query: librarySearch.value, tag, shape: libraryShape.value };
+        const shown = libraryEntries.filter(e => SigilLibrary.matches(e, filter));
+        libraryGrid.replaceChildren(...shown.map(libraryCard));
+        libraryEmpty.hidden = shown.length > 0;
+        libraryEmpty.textContent = libraryEntries.length ? 'No kept sigils match.' : 'Nothing kept yet.';
+
+        const count = librarySelection.size;
+        libraryExportBtn.textContent = count ? `Export ${count}` : 'Export all';
+        libraryExportBtn.disabled = !libraryEntries.length;
+        librarySheetBtn.textContent = count ? `Contact sheet of ${count}` : 'Contact sheet';
+        librarySheetBtn.disabled = !libraryEntries.length;
+        libraryDeleteBtn.textContent = count ? `Delete ${count}` : 'Delete';
+        libraryDeleteBtn.disabled = !count;
+    }
+
+    function libraryCard(entry) {
+        const card = document.createElement('div');
+        card.className = 'library-card';
+        card.classList.toggle('selected', librarySelection.has(entry.id));
+
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.className = 'library-select';
+        select.checked = librarySelection.has(entry.id);
+        select.title = 'Select';
+        select.addEventListener('change', () => {
+            if (select.checked) librarySelection.add(entry.id);
+            else librarySelection.delete(entry.id);
+            renderLibrary();
+        });
+
+        const thumb = document.createElement('button');
+        thumb.className = 'library-thumb';
+        thumb.title = 'Load onto the canvas';
+        const img = document.createElement('img');
+        img.src = entry.thumbnail ?? '';
+        img.alt = entry.name;
+        thumb.appendChild(img);
+        thumb.addEventListener('click', () => loadLibraryEntry(entry));
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.value = entry.name;
+        name.title = 'Rename';
+        name.addEventListener('change', () => updateLibraryEntry(entry.id, { name: name.value }));
+
+        const tags = document.createElement('input');
+        tags.type = 'text';
+        tags.className = 'library-tags';
+        tags.value = entry.tags.join(', ');
+        tags.placeholder = 'tags, comma separated';
+        tags.addEventListener('change', () => updateLibraryEntry(entry.id, { tags: tags.value }));
+
+        const meta = document.createElement('span');
+        meta.className = 'library-meta';
+        const shapeOpt = selectOptions.querySelector(`.custom-select-option[data-value="${entry.shape}"] span`);
+        meta.textContent = `${shapeOpt ? shapeOpt.textContent : entry.shape} · ${new Date(entry.created).toLocaleDateString()}`;
+
+        card.append(select, thumb, name, tags, meta);
+        return card;
+    }
+
+    function loadLibraryEntry(entry) {
+        try {
+            sigil.fromJSON(entry.sigil);
+        } catch (err) {
+            showStatus(err.message, true);
+            return;
+        }
+        syncControls();
+        sigil.redraw();
+        sigilReady();
+        remember();
+        showStatus(`Loaded "${entry.name}"`);
+    }
+
+    function updateLibraryEntry(id, changes) {
+        library.update(id, changes)
+            .then(refreshLibrary)
+            .catch(err => showStatus(err.message, true));
+    }
+
+    keepSigilBtn.addEventListener('click', () => {
+        library.add({ sigil, thumbnail: sigil.thumbnail(160) })
+            .then(entry => refreshLibrary().then(() => showStatus(`Kept "${entry.name}"`)))
+            .catch(err => showStatus(err.message, true));
+    });
+
+    librarySearch.addEventListener('input', renderLibrary);
+    libraryTag.addEventListener('change', renderLibrary);
+    libraryShape.addEventListener('change', renderLibrary);
+
+    // Export the selected entries, or the whole library, as one file
+    libraryExportBtn.addEventListener('click', () => {
+        library.exportFile(librarySelection.size ? [...librarySelection] : null).then(file => {
+            const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            downloadFile(url, 'sigil-library.json');
+            URL.revokeObjectURL(url);
+        }).catch(err => showStatus(err.message, true));
+    });
+
+    // Print the selected entries, or the whole library, on a contact sheet
+    librarySheetBtn.addEventListener('click', () => {
+        const entries = librarySelection.size ? libraryEntries.filter(e => librarySelection.has(e.id)) : libraryEntries;
+        try {
+            openExport(entries.map(e => new SigilGenerator(null).fromJSON(e.sigil)));
+        } catch (err) {
+            showStatus(err.message, true);
+        }
+    });
+
+    libraryDeleteBtn.addEventListener('click', () => {
+        const count = librarySelection.size;
+        if (!count || !confirm(`Delete ${count} kept sigil${count === 1 ? '' : 's'}? This cannot be undone.`)) return;
+        library.delete([...librarySelection])
+            .then(() => {
+                librarySelection.clear();
+                return refreshLibrary();
+            })
+            .catch(err => showStatus(err.message, true));
+    });
+
+    document.getElementById('libraryImport').addEventListener('click', () => libraryImportInput.click());
+
+    libraryImportInput.addEventListener('change', () => {
+        const file = libraryImportInput.files[0];
+        libraryImportInput.value = '';
+        if (!file) return;
+        file.text()
+            .then(text => library.importFile(text))
+            .then(count => refreshLibrary().then(() => showStatus(`Imported ${count} sigil${count === 1 ? '' : 's'}`)))
+            .catch(err => showStatus(err.message, true));
+    });
+
+    library.open()
+        .then(() => {
+            libraryReady = true;
+            keepSigilBtn.disabled = !sigil.hasSigil;
+            return refreshLibrary();
+        })
+        .catch(err => {
+            libraryPanel.hidden = true;
+            showStatus(`Library unavailable: ${err.message}`, true);
+        });
+
+    // --- Status line ---
+    const statusMessage = document.getElementById('statusMessage');
+    let statusTimer = null;
+
+    function showStatus(text, isError = false) {
+        statusMessage.textContent = text;
+        statusMessage.classList.toggle('error', isError);
+        clearTimeout(statusTimer);
+        statusTimer = setTimeout(() => { statusMessage.textContent = ''; }, isError ? 8000 : 3000);
+    }
+
     // --- Helper: trigger a file download ---
     function downloadFile(url, filename) {
         const a = document.createElement('a');
@@ -123,6 +1370,6 @@
     enforceSquareCanvas();
     window.addEventListener('resize', enforceSquareCanvas);
 
-    // --- Draw empty canvas on load (no sigil yet) ---
-    sigil.drawEmpty();
+    // --- On load: restore a linked sigil, or draw an empty canvas ---
+    if (location.hash.length <= 1 || !openLink(location.hash)) sigil.drawEmpty();
 })();
@@ -0,0 +1,34 @@
+/**
+ * Export worker — draws a sigil document for RasterExport on an
+ * OffscreenCanvas, away from the page. Receives { doc, options, fonts } (a
+ * toJSON() document, checked export options and the page's font faces for
+ * its lettering) and answers { blob } or { error }.
+ */
+importScripts(
+    'png-encoder.js',
+    'renderers.js',
+    'sigil-generator.js',
+    'layers/radial-lines.js',
+    'layers/perimeter-connections.js',
+    'layers/concentric-shapes.js',
+    'layers/scatter-dots.js',
+    'layers/cross-lines.js',
+    'layers/connected-nodes.js',
+    'layers/arc-segments.js',
+    'layers/spiral.js',
+    'layers/orbit.js',
+    'raster-export.js'
+);
+
+// There is no Image element here
+CanvasRenderer.decodeImage = (src) => fetch(src).then(res => res.blob()).then(blob => createImageBitmap(blob));
+
+self.onmessage = async ({ data }) => {
+    try {
+        const sigil = new SigilGenerator(null).fromJSON(data.doc);
+        await RasterExport.loadFonts(sigil, data.fonts);
+        self.postMessage({ blob: await RasterExport.renderHere(sigil, data.options) });
+    } catch (err) {
+        self.postMessage({ error: err.message });
+    }
+};
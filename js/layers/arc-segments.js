@@ -0,0 +1,59 @@
+/**
+ * Arc segments — partial circles at random positions inside the shape.
+ */
+SigilGenerator.registerLayer('arcSegments', {
+    label: 'Arc segments',
+
+    build(sigil, { rng, density }) {
+        const n = sigil._perRegion(Math.max(2, Math.round((2 + Math.floor(rng() * 4)) * density))); // scaled 2-5
+        const arcs = [];
+        for (let i = 0; i < n; i++) {
+            // Redraw an arc whose ends would touch earlier dots or nodes
+            let arc;
+            for (let attempt = 0; attempt < 20; attempt++) {
+                const center = sigil._randomPointInShape() || sigil._fallbackPoint(0, 0);
+                arc = {
+                    nx: center.nx,
+                    ny: center.ny,
+                    radius: 0.15 + rng() * 0.45,          // 15-60% of the outer radius
+                    start: rng() * Math.PI * 2,
+                    sweep: Math.PI * (0.4 + rng() * 1.2)  // 72-288°
+                };
+                if (sigil._clearOfObstacles(sigil._anchors('arcSegments', { arcs: [arc] }, 1000))) break;
+            }
+            arcs.push(arc);
+        }
+        return { arcs };
+    },
+
+    validate(d, check) {
+        return {
+            arcs: check.list('arcs', d.arcs, (a, i) => {
+                if (!check.isObject(a) || !check.isNum(a.nx) || !check.isNum(a.ny) || !check.isNum(a.radius) || a.radius <= 0 ||
+                    !check.isNum(a.start) || !check.isNum(a.sweep) || a.sweep <= 0) {
+                    check.fail(`arcs[${i}]`, 'must be { nx, ny, radius, start, sweep } with a positive radius and sweep');
+                }
+                return { nx: a.nx, ny: a.ny, radius: a.radius, start: a.start, sweep: a.sweep };
+            })
+        };
+    },
+
+    // Both ends of every arc
+    anchors(sigil, d, size) {
+        const shapeR = (size * SigilGenerator.SHAPE_RATIO) / 2;
+        return d.arcs.flatMap(a => {
+            const c = sigil._normalizedToCanvas(a, size);
+            return [a.start, a.start + a.sweep].map(t => ({
+                x: c.x + Math.cos(t) * shapeR * a.radius,
+                y: c.y + Math.sin(t) * shapeR * a.radius,
+                r: 0
+            }));
+        });
+    },
+
+    draw(r, d, { sigil, size, shapeR, lineStyle, arc }) {
+        for (const a of d.arcs) {
+            r.stroke(arc(sigil._normalizedToCanvas(a, size), shapeR * a.radius, a.start, a.start + a.sweep), lineStyle);
+        }
+    }
+});
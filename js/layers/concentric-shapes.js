@@ -0,0 +1,59 @@
+/**
+ * Concentric shapes — smaller, rotated copies of the outer shape (or of
+ * another shape) around the centre.
+ */
+SigilGenerator.registerLayer('concentricShapes', {
+    label: 'Concentric shapes',
+
+    build(sigil, { rng, density }) {
+        const n = sigil._perRegion(Math.max(1, Math.round((1 + Math.floor(rng() * 3)) * density))); // scaled 1-3
+        const rings = [];
+        for (let i = 0; i < n; i++) {
+            // 50% chance: same as outer shape, 50% chance: random different shape
+            let ringShape;
+            if (rng() < 0.5) {
+                ringShape = sigil.shape;
+            } else {
+                const pool = SigilGenerator.ALL_SHAPES;
+                ringShape = pool[Math.floor(rng() * pool.length)];
+            }
+            rings.push({
+                shape: ringShape,
+                scale: 0.2 + rng() * 0.45, // 20-65% of outer
+                rotation: (rng() - 0.5) * Math.PI * 0.4 // ±36°
+            });
+        }
+        return { rings };
+    },
+
+    validate(d, check) {
+        const shapes = SigilGenerator.OUTER_SHAPES;
+        return {
+            rings: check.list('rings', d.rings, (r, i) => {
+                if (!check.isObject(r) || !shapes.includes(r.shape) || !check.isNum(r.scale) || r.scale <= 0 || !check.isNum(r.rotation)) {
+                    check.fail(`rings[${i}]`, 'must be { shape, scale, rotation } with a known shape');
+                }
+                return { shape: r.shape, scale: r.scale, rotation: r.rotation };
+            })
+        };
+    },
+
+    draw(r, d, { sigil, size, cx, cy, shapeR, lineStyle, path, circle }) {
+        for (const ring of d.rings) {
+            if (ring.shape === 'circle') {
+                r.stroke(circle({ x: cx, y: cy }, shapeR * ring.scale), lineStyle);
+            } else {
+                const cos = Math.cos(ring.rotation);
+                const sin = Math.sin(ring.rotation);
+                for (const points of sigil._getShapeFigure(ring.shape, size)) {
+                    const rotated = points.map(v => {
+                        const dx = (v.x - cx) * ring.scale;
+                        const dy = (v.y - cy) * ring.scale;
+                        return { x: cx + dx * cos - dy * sin, y: cy + dx * sin + dy * cos };
+                    });
+                    r.stroke(path(rotated, true), lineStyle);
+                }
+            }
+        }
+    }
+});
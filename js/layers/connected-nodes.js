@@ -0,0 +1,70 @@
+/**
+ * Connected nodes — hollow rings joined by lines (chain, star or all-to-all).
+ * Picked three times as often as the other layers by default.
+ */
+SigilGenerator.registerLayer('connectedNodes', {
+    label: 'Connected nodes',
+    weight: 3,
+
+    build(sigil, { rng, density }) {
+        const n = sigil._perRegion(Math.max(2, Math.round((2 + Math.floor(rng() * 4)) * density)), 2); // scaled 2-5
+        const nodes = [];
+        const minDist = 0.18;
+        // The largest ring this layer draws, with half its stroke
+        const [smallest, largest] = sigil.strokes.nodeSize;
+        const clearance = SigilGenerator.DOT_RATIO * largest + sigil._innerWidth(1) / 2;
+        for (let i = 0; i < n; i++) {
+            let placed = false;
+            for (let attempt = 0; attempt < 50; attempt++) {
+                const candidate = sigil._randomPointInShape(clearance);
+                if (!candidate) break;
+                if (sigil._keepsDistance(candidate, nodes, minDist, clearance)) { nodes.push(candidate); placed = true; break; }
+            }
+            // Nowhere to go: left out, or placed as a fallback (see _placeUnfitted)
+            if (!placed) sigil._placeUnfitted(nodes, clearance, minDist);
+        }
+        // Connection style: 0 = sequential, 1 = star (all from first), 2 = all-to-all (rare)
+        const r = rng();
+        const style = r < 0.4 ? 0 : r < 0.8 ? 1 : 2;
+        // Shrunk to fit a fallback node; no room for even a small ring leaves the layer out
+        const radiusMultiplier = sigil._fittingSize(nodes, smallest + rng() * (largest - smallest), sigil._innerWidth(1) / 2);
+        return radiusMultiplier === null ? null : { nodes, style, radiusMultiplier };
+    },
+
+    validate(d, check) {
+        return {
+            nodes: check.points('nodes', d.nodes),
+            style: check.style(d.style),
+            radiusMultiplier: check.positive('radiusMultiplier', d.radiusMultiplier)
+        };
+    },
+
+    anchors(sigil, d, size) {
+        const r = size * (SigilGenerator.DOT_RATIO * d.radiusMultiplier + sigil._innerWidth(1) / 2);
+        return d.nodes.map(nd => ({ ...sigil._normalizedToCanvas(nd, size), r }));
+    },
+
+    draw(r, d, { sigil, size, dotR, lineStyle, segment, path, circle }) {
+        const rad = dotR * d.radiusMultiplier;
+        const pts = d.nodes.map(nd => sigil._normalizedToCanvas(nd, size));
+
+        // Draw connecting lines first (behind the nodes)
+        if (d.style === 0) {
+            // Sequential chain
+            r.stroke(path(pts, false), lineStyle);
+        } else if (d.style === 1) {
+            // Star: all connect to first node
+            for (let i = 1; i < pts.length; i++) r.stroke(segment(pts[0], pts[i]), lineStyle);
+        } else {
+            // All-to-all
+            for (let i = 0; i < pts.length; i++) {
+                for (let j = i + 1; j < pts.length; j++) r.stroke(segment(pts[i], pts[j]), lineStyle);
+            }
+        }
+
+        // Hollow rings: clear everything beneath them, then stroke
+        const rings = pts.map(p => circle(p, rad));
+        r.knockout(rings);
+        for (const ring of rings) r.stroke(ring, lineStyle);
+    }
+});
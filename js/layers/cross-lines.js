@@ -0,0 +1,37 @@
+/**
+ * Cross lines — straight lines slicing across the shape near the centre.
+ */
+SigilGenerator.registerLayer('crossLines', {
+    label: 'Cross lines',
+
+    build(sigil, { rng, density }) {
+        const n = sigil._perRegion(Math.max(1, Math.round((1 + Math.floor(rng() * 3)) * density))); // scaled 1-3
+        const lines = [];
+        for (let i = 0; i < n; i++) {
+            lines.push({
+                angle: rng() * Math.PI, // direction
+                offset: (rng() - 0.5) * 0.25 // ±12.5% off-center
+            });
+        }
+        return { lines };
+    },
+
+    validate(d, check) {
+        return {
+            lines: check.list('lines', d.lines, (l, i) => {
+                if (!check.isObject(l) || !check.isNum(l.angle) || !check.isNum(l.offset)) check.fail(`lines[${i}]`, 'must be { angle, offset }');
+                return { angle: l.angle, offset: l.offset };
+            })
+        };
+    },
+
+    draw(r, d, { cx, cy, shapeR, lineStyle, segment }) {
+        for (const l of d.lines) {
+            const offX = Math.cos(l.angle + Math.PI / 2) * l.offset * shapeR;
+            const offY = Math.sin(l.angle + Math.PI / 2) * l.offset * shapeR;
+            const dx = Math.cos(l.angle) * shapeR;
+            const dy = Math.sin(l.angle) * shapeR;
+            r.stroke(segment({ x: cx + offX - dx, y: cy + offY - dy }, { x: cx + offX + dx, y: cy + offY + dy }), lineStyle);
+        }
+    }
+});
@@ -0,0 +1,110 @@
+/**
+ * Orbit — small hollow rings spaced evenly around the centre, optionally
+ * linked to their neighbours and/or threaded on the orbit circle itself.
+ */
+SigilGenerator.registerLayer('orbit', {
+    label: 'Orbit',
+
+    build(sigil, { rng, density }) {
+        const d = {
+            count: Math.max(3, Math.round((3 + Math.floor(rng() * 4)) * density)), // scaled 3-6
+            radius: 0.4 + rng() * 0.6,           // orbit size, as a share of the room available
+            rotation: rng() * Math.PI * 2,
+            radiusMultiplier: 0.4 + rng() * 0.6, // ring size, relative to DOT_RATIO
+            linked: rng() < 0.5,
+            ring: rng() < 0.5
+        };
+        if (sigil._legacyPlacement) return d;
+
+        // Resize the orbit until its rings clear earlier dots and nodes,
+        // keeping the attempt that touches the fewest
+        let best = null, bestHits = Infinity;
+        for (let attempt = 0; attempt < 20 && bestHits > 0; attempt++) {
+            const candidate = attempt === 0 ? d : { ...d, radius: 0.4 + rng() * 0.6, radiusMultiplier: 0.4 + rng() * 0.6 };
+            this.fit(sigil, candidate);
+            const hits = sigil._obstacleHits(sigil._anchors('orbit', candidate, 1000));
+            if (hits < bestHits) {
+                best = candidate;
+                bestHits = hits;
+            }
+        }
+        return best;
+    },
+
+    /** Make the orbit match the symmetry and keep its rings MIN_GAP apart. */
+    fit(sigil, d) {
+        // With symmetry the orbit must map onto itself: the count is a multiple
+        // of the rotations and a satellite (or a gap's middle) sits on each axis
+        if (sigil.symmetry.mode !== 'none') {
+            const turns = { rotational: sigil._symmetryFolds(), both: 2 }[sigil.symmetry.mode] ?? 1;
+            d.count = turns * Math.max(1, Math.round(d.count / turns));
+            d.rotation = sigil._symmetryWedge().start + (d.rotation < Math.PI ? 0 : Math.PI / d.count);
+        }
+
+        // Shrink the rings until neighbours, strokes included, keep MIN_GAP apart
+        if (d.count > 1) {
+            const size = 1000;
+            const thinLine = sigil._innerWidth(size);
+            const room = sigil._shapeInradius(size) - thinLine;
+            const half = Math.sin(Math.PI / d.count) * d.radius; // half the neighbour distance, per unit of room
+            const maxRad = (room * half - (thinLine + size * SigilGenerator.MIN_GAP) / 2) / (1 + half);
+            d.radiusMultiplier = Math.max(0.2, Math.min(d.radiusMultiplier, maxRad / (size * SigilGenerator.DOT_RATIO)));
+        }
+
+        // Keep the rings' strokes clear of the outline's stroke as well (with
+        // a unit to spare at size 1000, so rounding never makes them touch)
+        const { rad, thinLine } = this.geometry(sigil, d, 1000);
+        const inradius = sigil._shapeInradius(1000);
+        const reach = inradius - rad - thinLine / 2 - sigil._outlineHalfStroke(1000) - 1;
+        const room = inradius - rad - thinLine;
+        // With next to no room (a random polygon around the centre) keep a token orbit
+        if (room > 0) d.radius = Math.max(0.05, Math.min(d.radius, reach / room));
+    },
+
+    validate(d, check) {
+        if (!Number.isInteger(d.count) || d.count < 1) check.fail('count', 'must be a positive whole number');
+        if (!check.isNum(d.rotation)) check.fail('rotation', 'must be a number');
+        if (typeof d.linked !== 'boolean') check.fail('linked', 'must be true or false');
+        if (typeof d.ring !== 'boolean') check.fail('ring', 'must be true or false');
+        return {
+            count: d.count,
+            radius: check.positive('radius', d.radius),
+            rotation: d.rotation,
+            radiusMultiplier: check.positive('radiusMultiplier', d.radiusMultiplier),
+            linked: d.linked,
+            ring: d.ring
+        };
+    },
+
+    /** Orbit radius, ring radius and ring centres at `size`. */
+    geometry(sigil, d, size) {
+        const c = size / 2;
+        const thinLine = sigil._innerWidth(size);
+        const rad = size * SigilGenerator.DOT_RATIO * d.radiusMultiplier;
+        // Keep the satellites clear of the outline on the narrowest side
+        const orbitR = Math.max(0, sigil._shapeInradius(size) - rad - thinLine) * d.radius;
+        const pts = [];
+        for (let i = 0; i < d.count; i++) {
+            const a = d.rotation + (i / d.count) * Math.PI * 2;
+            pts.push({ x: c + Math.cos(a) * orbitR, y: c + Math.sin(a) * orbitR });
+        }
+        return { orbitR, rad, thinLine, pts };
+    },
+
+    anchors(sigil, d, size) {
+        const { rad, thinLine, pts } = this.geometry(sigil, d, size);
+        return pts.map(p => ({ ...p, r: rad + thinLine / 2 }));
+    },
+
+    draw(r, d, { sigil, size, cx, cy, lineStyle, path, circle }) {
+        const { orbitR, rad, pts } = this.geometry(sigil, d, size);
+
+        if (d.ring) r.stroke(circle({ x: cx, y: cy }, orbitR), lineStyle);
+        if (d.linked && pts.length > 1) r.stroke(path(pts, pts.length > 2), lineStyle);
+
+        // Hollow satellites, like the connected nodes
+        const rings = pts.map(p => circle(p, rad));
+        r.knockout(rings);
+        for (const ring of rings) r.stroke(ring, lineStyle);
+    }
+});
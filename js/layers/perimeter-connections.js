@@ -0,0 +1,45 @@
+/**
+ * Perimeter connections — points around the outline joined by lines.
+ */
+SigilGenerator.registerLayer('perimeterConnections', {
+    label: 'Perimeter connections',
+
+    build(sigil, { rng, density }) {
+        const n = sigil._perRegion(Math.max(3, Math.round((3 + Math.floor(rng() * 3)) * density)), 2); // scaled 3-5
+        const tValues = []; // normalised 0-1 positions along perimeter
+        for (let i = 0; i < n; i++) tValues.push(rng());
+        tValues.sort((a, b) => a - b);
+        // Decide connection style: 0 = sequential, 1 = every-other, 2 = all-to-all (rare)
+        const r = rng();
+        const style = r < 0.4 ? 0 : r < 0.8 ? 1 : 2;
+        return { tValues, style };
+    },
+
+    validate(d, check) {
+        const tValues = check.numbers('tValues', d.tValues, 2);
+        if (tValues.some(t => t < 0 || t > 1)) check.fail('tValues', 'must lie between 0 and 1');
+        return { tValues, style: check.style(d.style) };
+    },
+
+    anchors(sigil, d, size) {
+        return d.tValues.map(t => ({ ...sigil._pointOnPerimeter(t, size), r: 0 }));
+    },
+
+    draw(r, d, { sigil, size, lineStyle, segment, path }) {
+        const pts = d.tValues.map(t => sigil._pointOnPerimeter(t, size));
+        if (d.style === 0) {
+            // Sequential
+            r.stroke(path(pts, true), lineStyle);
+        } else if (d.style === 1) {
+            // Every-other (star pattern), a single pass
+            if (Math.floor(pts.length / 2) >= 2) {
+                r.stroke(path(pts.map((_, i) => pts[(i * 2) % pts.length]), true), lineStyle);
+            }
+        } else {
+            // All-to-all
+            for (let i = 0; i < pts.length; i++) {
+                for (let j = i + 1; j < pts.length; j++) r.stroke(segment(pts[i], pts[j]), lineStyle);
+            }
+        }
+    }
+});
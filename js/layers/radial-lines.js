@@ -0,0 +1,33 @@
+/**
+ * Radial lines — lines from the centre out to the shape's edge.
+ */
+SigilGenerator.registerLayer('radialLines', {
+    label: 'Radial lines',
+
+    build(sigil, { rng, density }) {
+        const n = sigil._perRegion(Math.max(2, Math.round((2 + Math.floor(rng() * 4)) * density))); // scaled 2-5→1-8
+        // With symmetry the angles stay in the fundamental region
+        const wedge = sigil._symmetryWedge();
+        const angles = [];
+        for (let i = 0; i < n; i++) angles.push(wedge.start + rng() * wedge.span);
+        return { angles };
+    },
+
+    validate(d, check) {
+        return { angles: check.numbers('angles', d.angles) };
+    },
+
+    // Every line starts at the centre
+    anchors(sigil, d, size) {
+        return [{ x: size / 2, y: size / 2, r: 0 }];
+    },
+
+    draw(r, d, { cx, cy, shapeR, thinLine, lineStyle, inkStyle, segment, circle }) {
+        const center = { x: cx, y: cy };
+        for (const a of d.angles) {
+            r.stroke(segment(center, { x: cx + Math.cos(a) * shapeR, y: cy + Math.sin(a) * shapeR }), lineStyle);
+        }
+        // Cap the center to cover anti-alias gaps
+        r.fill(circle(center, thinLine * 0.5), inkStyle);
+    }
+});
@@ -0,0 +1,48 @@
+/**
+ * Scatter dots — filled dots spread through the shape, away from the centre.
+ */
+SigilGenerator.registerLayer('scatterDots', {
+    label: 'Scatter dots',
+
+    build(sigil, { rng, density }) {
+        const n = sigil._perRegion(Math.max(2, Math.round((2 + Math.floor(rng() * 4)) * density))); // scaled 2-5
+        const dots = [];
+        const minDist = 0.15; // minimum normalised distance between dots
+        const centerAvoid = 0.12; // avoid this radius around center (normalised)
+        const [smallest, largest] = sigil.strokes.dotSize;
+        const clearance = SigilGenerator.DOT_RATIO * largest; // the largest dot this layer draws
+        for (let i = 0; i < n; i++) {
+            let placed = false;
+            for (let attempt = 0; attempt < 50; attempt++) {
+                const candidate = sigil._randomPointInShape(clearance);
+                if (!candidate) break;
+                // Check distance from center
+                const dcx = candidate.nx - 0.5, dcy = candidate.ny - 0.5;
+                if (Math.sqrt(dcx * dcx + dcy * dcy) < centerAvoid) continue;
+                // Check distance from existing dots (and every symmetric copy)
+                if (sigil._keepsDistance(candidate, dots, minDist, clearance)) { dots.push(candidate); placed = true; break; }
+            }
+            // Nowhere to go: left out, or placed as a fallback (see _placeUnfitted)
+            if (!placed) sigil._placeUnfitted(dots, clearance, minDist);
+        }
+        // Shrunk to fit a fallback dot; no room for even a small dot leaves the layer out
+        const radiusMultiplier = sigil._fittingSize(dots, smallest + rng() * (largest - smallest));
+        return radiusMultiplier === null ? null : { dots, radiusMultiplier };
+    },
+
+    validate(d, check) {
+        return {
+            dots: check.points('dots', d.dots),
+            radiusMultiplier: check.positive('radiusMultiplier', d.radiusMultiplier)
+        };
+    },
+
+    anchors(sigil, d, size) {
+        const r = size * SigilGenerator.DOT_RATIO * d.radiusMultiplier;
+        return d.dots.map(dot => ({ ...sigil._normalizedToCanvas(dot, size), r }));
+    },
+
+    draw(r, d, { sigil, size, dotR, inkStyle, circle }) {
+        for (const dot of d.dots) r.fill(circle(sigil._normalizedToCanvas(dot, size), dotR * d.radiusMultiplier), inkStyle);
+    }
+});
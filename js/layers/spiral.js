@@ -0,0 +1,60 @@
+/**
+ * Spiral — an Archimedean (evenly spaced) or logarithmic (widening) spiral
+ * winding out from the centre. More complexity means more turns.
+ */
+SigilGenerator.registerLayer('spiral', {
+    label: 'Spiral',
+
+    build(sigil, { rng, density }) {
+        const d = {
+            kind: rng() < 0.5 ? 'archimedean' : 'logarithmic',
+            turns: (1.5 + rng() * 1.5) * density, // 1.5-3 turns, scaled
+            rotation: rng() * Math.PI * 2,
+            direction: rng() < 0.5 ? 1 : -1,      // 1 = clockwise on screen
+            reach: 0.6 + rng() * 0.35             // outer end, as a share of the inradius
+        };
+        // Turn the spiral until its ends clear earlier dots and nodes
+        for (let attempt = 0; attempt < 20 && !sigil._clearOfObstacles(sigil._anchors('spiral', d, 1000)); attempt++) {
+            d.rotation = rng() * Math.PI * 2;
+        }
+        return d;
+    },
+
+    validate(d, check) {
+        if (d.kind !== 'archimedean' && d.kind !== 'logarithmic') check.fail('kind', 'must be "archimedean" or "logarithmic"');
+        if (!check.isNum(d.rotation)) check.fail('rotation', 'must be a number');
+        if (d.direction !== 1 && d.direction !== -1) check.fail('direction', 'must be 1 or -1');
+        return {
+            kind: d.kind,
+            turns: check.positive('turns', d.turns),
+            rotation: d.rotation,
+            direction: d.direction,
+            reach: check.positive('reach', d.reach)
+        };
+    },
+
+    /** The spiral as a polyline at `size`. */
+    points(sigil, d, size) {
+        const c = size / 2;
+        const outer = sigil._shapeInradius(size) * d.reach;
+        const steps = Math.max(16, Math.ceil(d.turns * 72));
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            // The logarithmic spiral starts at 2% of its outer radius
+            const rad = d.kind === 'archimedean' ? outer * t : outer * Math.pow(0.02, 1 - t);
+            const a = d.rotation + d.direction * t * d.turns * Math.PI * 2;
+            points.push({ x: c + Math.cos(a) * rad, y: c + Math.sin(a) * rad });
+        }
+        return points;
+    },
+
+    anchors(sigil, d, size) {
+        const points = this.points(sigil, d, size);
+        return [points[0], points[points.length - 1]].map(p => ({ ...p, r: 0 }));
+    },
+
+    draw(r, d, { sigil, size, lineStyle, path }) {
+        r.stroke(path(this.points(sigil, d, size), false), lineStyle);
+    }
+});
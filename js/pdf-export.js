@@ -0,0 +1,151 @@
+/**
+ * PDF export — sigils as vector paths, ready to print: one sigil centred
+ * on a page, or a contact sheet of many in a grid, each captioned with its
+ * seed, shape and complexity. Colours, gradients and transparency come out
+ * as on the canvas; lettering is set in the nearest standard PDF font.
+ *
+ * Page sizes and margins are in millimetres.
+ */
+class PDFExport {
+    static PAGE_SIZES = { a4: { width: 210, height: 297 }, letter: { width: 215.9, height: 279.4 } };
+    static MIN_PAGE = 50;
+    static MAX_PAGE = 1200;
+    static MIN_ROOM = 20;          // the least space the margins may leave
+    static DEFAULT_MARGIN = 15;
+    static DEFAULT_COLUMNS = 4;
+    static MAX_COLUMNS = 12;
+    static GAP = 6;                // between contact sheet cells
+    static CAPTION_SIZE = 8;       // in points
+    static MIN_CAPTION_SIZE = 4;   // what a long caption may shrink to
+    static MM = 72 / 25.4;         // points per millimetre
+
+    /**
+     * One sigil centred on a page, as large as the margins allow. Options:
+     * { page ('a4', 'letter' or { width, height }), margin }. Resolves to a
+     * PDF Blob; rejects if an option is out of range.
+     */
+    static async single(sigil, options = {}) {
+        const { page, margin } = PDFExport.validate(options);
+        await PDFExport._loadImages([sigil]);
+        const mm = PDFExport.MM;
+        const writer = new PDFWriter();
+        const p = writer.addPage(page.width * mm, page.height * mm);
+        const side = (Math.min(page.width, page.height) - 2 * margin) * mm;
+        PDFExport._draw(writer, p, sigil, { x: (p.width - side) / 2, y: (p.height - side) / 2, width: side });
+        return PDFExport._blob(await writer.build());
+    }
+
+    /**
+     * Many sigils in a grid of `columns` (options as single(), plus
+     * columns), row by row over as many pages as they need.
+     */
+    static async contactSheet(sigils, options = {}) {
+        const { page, margin, columns } = PDFExport.validate(options);
+        if (!sigils.length) throw new Error('A contact sheet needs at least one sigil');
+        const mm = PDFExport.MM, gap = PDFExport.GAP * mm;
+        const width = page.width * mm, height = page.height * mm, m = margin * mm;
+        const cell = (width - 2 * m - gap * (columns - 1)) / columns;
+        if (cell < PDFExport.MIN_ROOM * mm / 2) throw new Error('There is no room for that many columns; choose fewer');
+        // The rows leave room for the longest caption
+        const captions = sigils.map(sigil => PDFExport._captionLines(PDFExport._captionParts(sigil), cell));
+        const rowHeight = cell + Math.max(...captions.map(c => c.size * (2 + 1.2 * (c.lines.length - 1))));
+        const rows = Math.floor((height - 2 * m + gap) / (rowHeight + gap));
+        if (rows < 1) throw new Error('There is no room for that many columns; choose fewer');
+
+        await PDFExport._loadImages(sigils);
+        const writer = new PDFWriter();
+        const font = writer.font('Helvetica');
+        let p = null;
+        sigils.forEach((sigil, i) => {
+            const at = i % (rows * columns);
+            if (at === 0) p = writer.addPage(width, height);
+            const x = m + (at % columns) * (cell + gap);
+            const top = height - m - Math.floor(at / columns) * (rowHeight + gap);
+            PDFExport._draw(writer, p, sigil, { x, y: top - cell, width: cell });
+            PDFExport._caption(p, font, captions[i], x + cell / 2, top - cell);
+        });
+        return PDFExport._blob(await writer.build());
+    }
+
+    /** Check PDF options and fill in the defaults; throws an Error naming the first bad one. */
+    static validate(options) {
+        const o = { page: 'a4', margin: PDFExport.DEFAULT_MARGIN, columns: PDFExport.DEFAULT_COLUMNS, ...options };
+        const { MIN_PAGE: min, MAX_PAGE: max, MAX_COLUMNS: maxColumns } = PDFExport;
+        const page = typeof o.page === 'string' ? PDFExport.PAGE_SIZES[o.page] : o.page;
+        if (!page || typeof page !== 'object') {
+            throw new Error(`The page must be ${Object.keys(PDFExport.PAGE_SIZES).join(', ')} or { width, height } in millimetres`);
+        }
+        for (const side of ['width', 'height']) {
+            if (typeof page[side] !== 'number' || !(page[side] >= min && page[side] <= max)) throw new Error(`The page ${side} must be from ${min} to ${max} mm`);
+        }
+        if (typeof o.margin !== 'number' || !(o.margin >= 0)) throw new Error('The margin must be a number of millimetres, 0 or more');
+        if (Math.min(page.width, page.height) - 2 * o.margin < PDFExport.MIN_ROOM) throw new Error('The margins leave too little room on the page');
+        if (!Number.isInteger(o.columns) || o.columns < 1 || o.columns > maxColumns) throw new Error(`The columns must be a whole number from 1 to ${maxColumns}`);
+        return { page: { width: page.width, height: page.height }, margin: o.margin, columns: o.columns };
+    }
+
+    /** A sigil's contact sheet caption, e.g. "Seed 1234 · Star Inverted · Complexity 3"; intent sigils show their statement. */
+    static caption(sigil) {
+        return PDFExport._captionParts(sigil).join(' · ');
+    }
+
+    static _captionParts(sigil) {
+        const origin = sigil.seed !== null ? `Seed ${sigil.seed}` : sigil.intent !== null ? `“${sigil.intent}”` : null;
+        const shape = sigil.shape.split('-').map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+        return [origin, shape, `Complexity ${sigil.complexity}`].filter(Boolean);
+    }
+
+    static _draw(writer, page, sigil, box) {
+        sigil.render(new PDFRenderer(writer, page, box, SigilGenerator.DEFAULT_SIZE));
+    }
+
+    /**
+     * Fit a caption's parts into `width`: { size, lines }. Parts that do not
+     * fit on one line wrap onto the next, and the text shrinks until each
+     * line fits, down to MIN_CAPTION_SIZE; past that only a long seed or
+     * statement can still be too wide, and is cut short with an ellipsis.
+     */
+    static _captionLines(parts, width) {
+        const fits = (t, size) => PDFWriter.textWidth(t, 'Helvetica') * size <= width;
+        for (let size = PDFExport.CAPTION_SIZE; ; size -= 0.5) {
+            const lines = [];
+            for (const part of parts) {
+                const joined = lines.length ? `${lines[lines.length - 1]} · ${part}` : null;
+                if (joined && fits(joined, size)) lines[lines.length - 1] = joined;
+                else lines.push(part);
+            }
+            if (lines.every(l => fits(l, size))) return { size, lines };
+            if (size <= PDFExport.MIN_CAPTION_SIZE) {
+                return {
+                    size,
+                    lines: lines.map(line => {
+                        let shown = line;
+                        while (!fits(shown, size) && shown.length > 1) shown = `${line.slice(0, shown.length - 2).trimEnd()}…`;
+                        return shown;
+                    })
+                };
+            }
+        }
+    }
+
+    /** A caption's lines (see _captionLines) centred under a cell whose bottom middle is at x, y. */
+    static _caption(page, font, { size, lines }, x, y) {
+        const n = PDFWriter.num;
+        lines.forEach((line, i) => {
+            const w = PDFWriter.textWidth(line, 'Helvetica') * size;
+            page.content.push(`BT 0.25 g ${font} ${n(size)} Tf ${n(x - w / 2)} ${n(y - size * (1.4 + 1.2 * i))} Td ${PDFWriter.text(line)} Tj ET`);
+        });
+    }
+
+    // An image background that will not load leaves the plain bgColor, as on screen
+    static async _loadImages(sigils) {
+        for (const sigil of sigils) {
+            if (sigil.background.type !== 'image') continue;
+            try { await PDFRenderer.loadImage(sigil.background.src); } catch (e) { /* drawn without it */ }
+        }
+    }
+
+    static _blob(bytes) {
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+}
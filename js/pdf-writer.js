@@ -0,0 +1,340 @@
+/**
+ * PDF writer — builds a PDF file from page content streams without any
+ * library, so sigils can be printed as vector paths (see PDFRenderer and
+ * PDFExport).
+ *
+ * All pages share one resource dictionary holding whatever they draw with:
+ * the standard fonts, transparency states, gradient patterns and pictures.
+ * Streams are deflated where the platform can (CompressionStream) and
+ * stored as they are elsewhere.
+ */
+class PDFWriter {
+    // Three of the standard fonts every PDF reader has: advance widths of
+    // the ASCII letters (32-126) in thousandths of the font size, the width
+    // of anything else, and the height above and below the baseline
+    static FONTS = {
+        'Helvetica': {
+            widths: [
+                278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+                1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+                333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+                556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+            ],
+            other: 556, ascent: 718, descent: -207
+        },
+        'Times-Roman': {
+            widths: [
+                250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278,
+                500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+                921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+                556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+                333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+                500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+            ],
+            other: 500, ascent: 683, descent: -217
+        },
+        'Courier': { widths: null, other: 600, ascent: 629, descent: -157 }
+    };
+
+    // WinAnsi codes of the characters outside Latin-1 that text may use
+    static WIN_ANSI = { '€': 128, '‚': 130, '„': 132, '…': 133, '‘': 145, '’': 146, '“': 147, '”': 148, '•': 149, '–': 150, '—': 151, '™': 153 };
+
+    constructor() {
+        // Objects by number less one; the first three are filled in by build()
+        this._objects = [null, null, null];
+        this._pages = [];
+        this._resources = { Font: new Map(), ExtGState: new Map(), Pattern: new Map(), XObject: new Map() };
+    }
+
+    /**
+     * A new page `width` × `height` points. Draw on it by pushing content
+     * operators onto page.content (PDFRenderer does this for sigils).
+     */
+    addPage(width, height) {
+        const page = { width, height, content: [] };
+        this._pages.push(page);
+        return page;
+    }
+
+    /* ====================================================
+       Resources — named for use in content streams
+    ==================================================== */
+
+    /** The name of a standard font (a key of FONTS), in WinAnsi encoding. */
+    font(baseFont) {
+        return this._resource('Font', baseFont, 'F', () =>
+            this._add(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`));
+    }
+
+    /**
+     * The name of a graphics state painting at `alpha`. With a gradient
+     * whose stops fade, it also carries a soft mask of those opacities over
+     * a `size` square, in the user space the state is set in.
+     */
+    state(alpha, gradient = null, size = 0) {
+        const n = PDFWriter.num;
+        return this._resource('ExtGState', JSON.stringify([alpha, gradient, size]), 'GS', () => {
+            const mask = gradient ? ` /SMask << /Type /Mask /S /Luminosity /G ${this._opacityMask(gradient, size)} 0 R >>` : '';
+            return this._add(`<< /Type /ExtGState /CA ${n(alpha)} /ca ${n(alpha)}${mask} >>`);
+        });
+    }
+
+    /**
+     * The name of a pattern painting a gradient (see SigilRenderer), whose
+     * coordinates `matrix` maps onto the page.
+     */
+    pattern(gradient, matrix) {
+        const shading = PDFWriter._shading(gradient, 'DeviceRGB', gradient.stops.map(([, color]) => PDFWriter.rgb(color).slice(0, 3)));
+        return this._resource('Pattern', JSON.stringify([gradient, matrix]), 'P', () =>
+            this._add(`<< /PatternType 2 /Shading ${shading} /Matrix [${PDFWriter.matrix(matrix)}] >>`));
+    }
+
+    /**
+     * The name of a picture: { pixels, width, height } (RGBA bytes) or a
+     * JPEG from PDFWriter.jpeg(). Drawn in the unit square, top row at the top.
+     */
+    image(picture) {
+        return this._resource('XObject', picture, 'Im', () => {
+            const { width, height } = picture;
+            // Smoothed when scaled up, as a canvas draws them
+            const head = `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /BitsPerComponent 8 /Interpolate true`;
+            if (picture.jpeg) {
+                // CMYK JPEGs from Adobe software store their inks inverted
+                const space = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK /Decode [1 0 1 0 1 0 1 0]' }[picture.components];
+                return this._add({ dict: `${head} /ColorSpace ${space}`, data: picture.jpeg, filter: 'DCTDecode' });
+            }
+            // Colour and transparency go in separately: the alpha is a soft mask
+            const count = width * height;
+            const rgb = new Uint8Array(count * 3);
+            const alpha = new Uint8Array(count);
+            let opaque = true;
+            for (let i = 0; i < count; i++) {
+                rgb[i * 3]     = picture.pixels[i * 4];
+                rgb[i * 3 + 1] = picture.pixels[i * 4 + 1];
+                rgb[i * 3 + 2] = picture.pixels[i * 4 + 2];
+                alpha[i] = picture.pixels[i * 4 + 3];
+                if (alpha[i] < 255) opaque = false;
+            }
+            const mask = opaque ? '' : ` /SMask ${this._add({ dict: `${head} /ColorSpace /DeviceGray`, data: alpha })} 0 R`;
+            return this._add({ dict: `${head} /ColorSpace /DeviceRGB${mask}`, data: rgb });
+        });
+    }
+
+    /**
+     * The name of a pattern tiling a picture in `width` × `height` cells
+     * (y downwards), whose first cell `matrix` maps onto the page. One
+     * pattern rather than many pictures, so no seams show between tiles.
+     */
+    tiling(picture, width, height, matrix) {
+        const n = PDFWriter.num;
+        const image = this.image(picture);
+        const ref = this._resources.XObject.get(picture).ref;
+        return this._resource('Pattern', JSON.stringify([image, width, height, matrix]), 'P', () => this._add({
+            dict: `/Type /Pattern /PatternType 1 /PaintType 1 /TilingType 1 /BBox [0 0 ${n(width)} ${n(height)}]` +
+                ` /XStep ${n(width)} /YStep ${n(height)} /Resources << /XObject << ${image} ${ref} 0 R >> >> /Matrix [${PDFWriter.matrix(matrix)}]`,
+            data: `${n(width)} 0 0 ${n(-height)} 0 ${n(height)} cm ${image} Do`
+        }));
+    }
+
+    /* ====================================================
+       Output
+    ==================================================== */
+
+    /** The finished file, as bytes. */
+    async build() {
+        const kids = this._pages.map(page => {
+            const contents = this._add({ dict: '', data: page.content.join('\n') });
+            const n = PDFWriter.num;
+            return this._add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(page.width)} ${n(page.height)}] /Resources 3 0 R /Contents ${contents} 0 R >>`);
+        });
+        this._objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+        this._objects[1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+        const kinds = Object.entries(this._resources).filter(([, names]) => names.size)
+            .map(([kind, names]) => ` /${kind} << ${[...names.values()].map(r => `${r.name} ${r.ref} 0 R`).join(' ')} >>`);
+        this._objects[2] = `<< /ProcSet [/PDF /Text /ImageB /ImageC]${kinds.join('')} >>`;
+        const info = this._add('<< /Producer (Sigil Generator) >>');
+
+        // The header's second line marks the file as binary
+        const parts = [PDFWriter._bytes('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')];
+        let length = parts[0].length;
+        const offsets = [];
+        const push = (bytes) => {
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        for (let i = 0; i < this._objects.length; i++) {
+            offsets.push(length);
+            const obj = this._objects[i];
+            if (typeof obj === 'string') {
+                push(PDFWriter._bytes(`${i + 1} 0 obj\n${obj}\nendobj\n`));
+                continue;
+            }
+            let data = typeof obj.data === 'string' ? PDFWriter._bytes(obj.data) : obj.data;
+            let filter = obj.filter;
+            if (!filter && typeof CompressionStream !== 'undefined') {
+                data = await PDFWriter._deflate(data);
+                filter = 'FlateDecode';
+            }
+            push(PDFWriter._bytes(`${i + 1} 0 obj\n<< ${obj.dict}${filter ? ` /Filter /${filter}` : ''} /Length ${data.length} >>\nstream\n`));
+            push(data);
+            push(PDFWriter._bytes('\nendstream\nendobj\n'));
+        }
+
+        const xref = length;
+        push(PDFWriter._bytes(
+            `xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n` +
+            offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('') +
+            `trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+        ));
+        const file = new Uint8Array(length);
+        let o = 0;
+        for (const p of parts) {
+            file.set(p, o);
+            o += p.length;
+        }
+        return file;
+    }
+
+    /* ====================================================
+       Helpers — numbers, colours, text and JPEGs
+    ==================================================== */
+
+    /** A number as PDF writes it: no exponent, at most `digits` decimals. */
+    static num(v, digits = 3) {
+        const k = 10 ** digits;
+        const r = Math.round(v * k) / k;
+        return String(r === 0 ? 0 : r);
+    }
+
+    /** The six numbers of a transformation matrix, precisely enough for whole pages. */
+    static matrix(m) {
+        return m.map(v => PDFWriter.num(v, 6)).join(' ');
+    }
+
+    /** A CSS colour (#rgb, #rrggbb, #rrggbbaa, rgb() or rgba()) as [r, g, b, alpha], each 0-1. */
+    static rgb(color) {
+        let m = /^#([0-9a-f]{3,8})$/i.exec(color);
+        if (m) {
+            const hex = m[1].length <= 4 ? [...m[1]].map(c => c + c).join('') : m[1];
+            return [0, 2, 4, 6].map(i => parseInt(hex.slice(i, i + 2) || 'ff', 16) / 255);
+        }
+        m = /^rgba?\(([^)]*)\)$/i.exec(color);
+        if (m) {
+            const [r, g, b, a = 1] = m[1].trim().split(/[\s,/]+/).map(parseFloat);
+            return [r / 255, g / 255, b / 255, a];
+        }
+        return [0, 0, 0, 1];
+    }
+
+    /** The standard font nearest a CSS font family: monospaced, sans-serif, or else serif. */
+    static standardFont(family) {
+        const f = family.toLowerCase();
+        if (/mono|courier/.test(f)) return 'Courier';
+        if (/sans|helvetica|arial|verdana/.test(f)) return 'Helvetica';
+        return 'Times-Roman';
+    }
+
+    /** Width of a string set in a standard font, in font sizes. */
+    static textWidth(str, baseFont) {
+        const { widths, other } = PDFWriter.FONTS[baseFont];
+        let width = 0;
+        for (const ch of str) {
+            const code = ch.codePointAt(0);
+            width += widths && code >= 32 && code <= 126 ? widths[code - 32] : other;
+        }
+        return width / 1000;
+    }
+
+    /** A string as a hex string in WinAnsi; characters it lacks become '?'. */
+    static text(str) {
+        let hex = '';
+        for (const ch of str) {
+            const code = ch.codePointAt(0);
+            const byte = PDFWriter.WIN_ANSI[ch] ?? ((code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? code : 63);
+            hex += byte.toString(16).padStart(2, '0');
+        }
+        return `<${hex}>`;
+    }
+
+    /**
+     * A JPEG file as a picture for image(), embedded as it is; its size and
+     * colour channels come from the frame header. Null if it is not a JPEG.
+     */
+    static jpeg(bytes) {
+        if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+        for (let i = 2; i + 9 < bytes.length && bytes[i] === 0xff;) {
+            const marker = bytes[i + 1];
+            // Start-of-frame markers; C4, C8 and CC are other segments
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                const height = (bytes[i + 5] << 8) | bytes[i + 6];
+                const width  = (bytes[i + 7] << 8) | bytes[i + 8];
+                return { jpeg: bytes, width, height, components: bytes[i + 9] };
+            }
+            i += 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+        }
+        return null;
+    }
+
+    /** Add an object (a dictionary, or a stream { dict, data, filter? }) and return its number. */
+    _add(obj) {
+        this._objects.push(obj);
+        return this._objects.length;
+    }
+
+    /** The name of a resource, made by `make()` (which returns its object number) on first use. */
+    _resource(kind, key, prefix, make) {
+        const names = this._resources[kind];
+        if (!names.has(key)) {
+            const name = `/${prefix}${names.size + 1}`;
+            names.set(key, { name, ref: make() });
+        }
+        return names.get(key).name;
+    }
+
+    /** A gradient's fading stops as a grey form, for a luminosity soft mask. */
+    _opacityMask(gradient, size) {
+        const n = PDFWriter.num;
+        const shading = PDFWriter._shading(gradient, 'DeviceGray', gradient.stops.map(([, , opacity = 1]) => [opacity]));
+        return this._add({
+            dict: `/Type /XObject /Subtype /Form /BBox [0 0 ${n(size)} ${n(size)}] /Group << /S /Transparency /CS /DeviceGray >>` +
+                ` /Resources << /Shading << /Sh1 ${shading} >> >>`,
+            data: '/Sh1 sh'
+        });
+    }
+
+    /**
+     * An axial or radial shading through one value per stop. Like a canvas
+     * gradient, it holds its end colours beyond the first and last stops.
+     */
+    static _shading(gradient, colorSpace, values) {
+        const n = PDFWriter.num;
+        const stops = gradient.stops.map(([offset], i) => [offset, values[i]]);
+        if (stops[0][0] > 0) stops.unshift([0, stops[0][1]]);
+        if (stops[stops.length - 1][0] < 1) stops.push([1, stops[stops.length - 1][1]]);
+        const list = (v) => v.map(c => n(c)).join(' ');
+        const part = (a, b) => `<< /FunctionType 2 /Domain [0 1] /C0 [${list(a[1])}] /C1 [${list(b[1])}] /N 1 >>`;
+        const parts = stops.slice(1).map((stop, i) => part(stops[i], stop));
+        const fn = parts.length === 1 ? parts[0]
+            : `<< /FunctionType 3 /Domain [0 1] /Functions [${parts.join(' ')}] /Bounds [${list(stops.slice(1, -1).map(s => s[0]))}]` +
+              ` /Encode [${parts.map(() => '0 1').join(' ')}] >>`;
+        const coords = gradient.type === 'linear'
+            ? [gradient.x1, gradient.y1, gradient.x2, gradient.y2]
+            : [gradient.fx, gradient.fy, 0, gradient.cx, gradient.cy, gradient.r];
+        return `<< /ShadingType ${gradient.type === 'linear' ? 2 : 3} /ColorSpace /${colorSpace} /Coords [${list(coords)}]` +
+            ` /Function ${fn} /Extend [true true] >>`;
+    }
+
+    static async _deflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /** A string of byte-sized characters as bytes. */
+    static _bytes(str) {
+        const out = new Uint8Array(str.length);
+        for (let i = 0; i < str.length; i++) out[i] = str.charCodeAt(i);
+        return out;
+    }
+}
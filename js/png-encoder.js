@@ -0,0 +1,145 @@
+/**
+ * PNG encoder — turns RGBA pixels into a PNG file without a canvas, so
+ * procedural textures can be embedded in SVG exports from plain Node too.
+ *
+ * The pixel data is stored uncompressed (deflate "stored" blocks), which
+ * keeps the encoder tiny; grey images are written as grey + alpha, at half
+ * the size. withDpi() stamps a print resolution on any PNG.
+ */
+class PNGEncoder {
+    /** PNG bytes for `width` × `height` RGBA pixels (row by row, 4 bytes each). */
+    static encode(width, height, rgba) {
+        let grey = true;
+        for (let i = 0; i < rgba.length && grey; i += 4) grey = rgba[i] === rgba[i + 1] && rgba[i] === rgba[i + 2];
+        const channels = grey ? 2 : 4;
+
+        // Each row starts with its filter type (0, none)
+        const raw = new Uint8Array(height * (1 + width * channels));
+        let o = 0;
+        for (let y = 0; y < height; y++) {
+            raw[o++] = 0;
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (grey) {
+                    raw[o++] = rgba[i];
+                    raw[o++] = rgba[i + 3];
+                } else {
+                    raw[o++] = rgba[i];
+                    raw[o++] = rgba[i + 1];
+                    raw[o++] = rgba[i + 2];
+                    raw[o++] = rgba[i + 3];
+                }
+            }
+        }
+
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header[8] = 8;                 // bits per channel
+        header[9] = grey ? 4 : 6;      // grey + alpha, or RGBA
+        return PNGEncoder._concat([
+            new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]),
+            PNGEncoder.chunk('IHDR', header),
+            PNGEncoder.chunk('IDAT', PNGEncoder._zlibStored(raw)),
+            PNGEncoder.chunk('IEND', new Uint8Array(0))
+        ]);
+    }
+
+    /** The PNG as a data URL. */
+    static toDataURL(width, height, rgba) {
+        return 'data:image/png;base64,' + PNGEncoder.base64(PNGEncoder.encode(width, height, rgba));
+    }
+
+    /**
+     * A PNG file with its print resolution set to `dpi`: a pHYs chunk right
+     * after the header, in place of any it had.
+     */
+    static withDpi(png, dpi) {
+        const perMetre = Math.round(dpi / 0.0254);
+        const phys = new Uint8Array(9);
+        const view = new DataView(phys.buffer);
+        view.setUint32(0, perMetre);
+        view.setUint32(4, perMetre);
+        phys[8] = 1;                   // unit: the metre
+        const headerEnd = 8 + 12 + 13; // signature and IHDR
+        const parts = [png.subarray(0, headerEnd), PNGEncoder.chunk('pHYs', phys)];
+        const file = new DataView(png.buffer, png.byteOffset, png.byteLength);
+        for (let o = headerEnd; o < png.length;) {
+            const end = o + 12 + file.getUint32(o);
+            if (String.fromCharCode(...png.subarray(o + 4, o + 8)) !== 'pHYs') parts.push(png.subarray(o, end));
+            o = end;
+        }
+        return PNGEncoder._concat(parts);
+    }
+
+    /** One PNG chunk: length, type, data and the CRC of type and data. */
+    static chunk(type, data) {
+        const out = new Uint8Array(12 + data.length);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+        out.set(data, 8);
+        view.setUint32(8 + data.length, PNGEncoder.crc32(out.subarray(4, 8 + data.length)));
+        return out;
+    }
+
+    /** CRC-32 as used by PNG (and zip). */
+    static crc32(bytes) {
+        if (!PNGEncoder._crcTable) {
+            PNGEncoder._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                PNGEncoder._crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = PNGEncoder._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static base64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        return btoa(binary);
+    }
+
+    /** A zlib stream of stored (uncompressed) deflate blocks. */
+    static _zlibStored(data) {
+        const blocks = Math.max(1, Math.ceil(data.length / 0xffff));
+        const out = new Uint8Array(2 + blocks * 5 + data.length + 4);
+        out[0] = 0x78;
+        out[1] = 0x01;
+        let o = 2;
+        for (let b = 0; b < blocks; b++) {
+            const start = b * 0xffff;
+            const len = Math.min(0xffff, data.length - start);
+            out[o++] = b === blocks - 1 ? 1 : 0; // final-block flag
+            out[o++] = len & 0xff;
+            out[o++] = len >>> 8;
+            out[o++] = ~len & 0xff;
+            out[o++] = (~len >>> 8) & 0xff;
+            out.set(data.subarray(start, start + len), o);
+            o += len;
+        }
+        // Adler-32 of the uncompressed data
+        let a = 1, s = 0;
+        for (let i = 0; i < data.length; i++) {
+            a = (a + data[i]) % 65521;
+            s = (s + a) % 65521;
+        }
+        new DataView(out.buffer).setUint32(o, ((s << 16) | a) >>> 0);
+        return out;
+    }
+
+    static _concat(parts) {
+        const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+        let o = 0;
+        for (const p of parts) {
+            out.set(p, o);
+            o += p.length;
+        }
+        return out;
+    }
+}
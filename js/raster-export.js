@@ -0,0 +1,194 @@
+/**
+ * Raster export — redraws a sigil from its layers at any size as a PNG,
+ * JPEG or WebP file, with the print resolution written into PNGs.
+ *
+ * Renders run in a worker (export-worker.js) on an OffscreenCanvas, so even
+ * the largest leave the page responsive; the worker loads the page's web
+ * fonts for any lettering itself. Only where there can be no worker — no
+ * OffscreenCanvas, or a page opened from file:// — do they run on the page,
+ * drawn in tiles with a pause between them.
+ */
+class RasterExport {
+    static FORMATS = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+    static MIN_SIZE = 16;
+    static MAX_SIZE = 8192;
+    static MAX_DPI = 2400;
+    static TILE_SIZE = 2048;           // pixels drawn at a time (see _draw)
+    static DEFAULT_QUALITY = 0.92;     // for JPEG and WebP
+    static WORKER_URL = 'js/export-worker.js';
+
+    /**
+     * Render `sigil` as a Blob: { size (pixels), format ('png', 'jpeg' or
+     * 'webp'), quality (0-1, JPEG and WebP), dpi (written into PNGs; null
+     * for none), signal (an AbortSignal that stops a worker render) }.
+     * Throws (rejects) if an option is out of range or the worker fails: a
+     * large render is not retried on the page, where it would freeze it.
+     */
+    static async render(sigil, options) {
+        const opts = RasterExport.validate(options);
+        if (!RasterExport._canUseWorker()) return RasterExport.renderHere(sigil, opts);
+        const message = { doc: sigil.toJSON(), options: opts, fonts: RasterExport._fontFaces(sigil) };
+        return RasterExport._renderInWorker(message, options.signal);
+    }
+
+    /** Check export options and fill in the defaults; throws an Error naming the first bad one. */
+    static validate(options) {
+        const o = { format: 'png', quality: RasterExport.DEFAULT_QUALITY, dpi: null, ...options };
+        const { MIN_SIZE: min, MAX_SIZE: max, MAX_DPI: maxDpi } = RasterExport;
+        if (!Number.isInteger(o.size) || o.size < min || o.size > max) throw new Error(`The size must be a whole number of pixels from ${min} to ${max}`);
+        if (!Object.hasOwn(RasterExport.FORMATS, o.format)) throw new Error(`The format must be one of ${Object.keys(RasterExport.FORMATS).join(', ')}`);
+        if (typeof o.quality !== 'number' || !(o.quality >= 0 && o.quality <= 1)) throw new Error('The quality must be a number from 0 to 1');
+        if (o.dpi !== null && (typeof o.dpi !== 'number' || !(o.dpi >= 1 && o.dpi <= maxDpi))) throw new Error(`The DPI must be a number from 1 to ${maxDpi}`);
+        return { size: o.size, format: o.format, quality: o.quality, dpi: o.dpi };
+    }
+
+    /** Render on this thread (the page, or inside the worker) with checked options. */
+    static async renderHere(sigil, opts) {
+        const b = sigil.background;
+        if (b.type === 'image') {
+            // An image that will not load leaves the plain bgColor, as on screen
+            try { await CanvasRenderer.loadImage(b.src); } catch (e) { /* drawn without it */ }
+        }
+        const canvas = await RasterExport._draw(sigil, opts.size);
+        if (opts.format === 'jpeg') {
+            // JPEG has no transparency: lay the background colour under the sigil
+            const ctx = canvas.getContext('2d');
+            ctx.save();
+            ctx.globalCompositeOperation = 'destination-over';
+            ctx.fillStyle = sigil.bgColor;
+            ctx.fillRect(0, 0, opts.size, opts.size);
+            ctx.restore();
+        }
+        return RasterExport._encode(canvas, opts);
+    }
+
+    /**
+     * Draw the sigil on a new canvas `size` across. Large ones are drawn a
+     * tile at a time, waiting a moment between tiles, so a page drawing them
+     * itself keeps responding; the clip layers are only tile-sized too.
+     */
+    static async _draw(sigil, size) {
+        const canvas = SigilGenerator._createCanvas(size);
+        const tile = RasterExport.TILE_SIZE;
+        if (size <= tile) {
+            sigil.render(new CanvasRenderer(canvas));
+            return canvas;
+        }
+        // One renderer, moved from tile to tile, keeps its clip layers
+        const renderer = new CanvasRenderer(SigilGenerator._createCanvas(tile), { size });
+        const piece = renderer.canvas, ctx = canvas.getContext('2d');
+        for (let y = 0; y < size; y += tile) {
+            for (let x = 0; x < size; x += tile) {
+                renderer.origin = { x, y };
+                sigil.render(renderer);
+                ctx.drawImage(piece, x, y);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        return canvas;
+    }
+
+    static async _encode(canvas, { format, quality, dpi }) {
+        const type = RasterExport.FORMATS[format];
+        const blob = canvas.convertToBlob
+            ? await canvas.convertToBlob({ type, quality })
+            : await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+        // Browsers that cannot write a format quietly fall back to PNG
+        if (!blob || blob.type !== type) throw new Error(`This browser cannot write ${format.toUpperCase()} images`);
+        if (format !== 'png' || dpi === null) return blob;
+        const png = new Uint8Array(await blob.arrayBuffer());
+        return new Blob([PNGEncoder.withDpi(png, dpi)], { type });
+    }
+
+    /** Workers need OffscreenCanvas, and cannot be started from file:// pages. */
+    static _canUseWorker() {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return false;
+        return typeof location === 'undefined' || location.protocol !== 'file:';
+    }
+
+    /**
+     * The page's @font-face rules for the fonts the sigil's lettering uses,
+     * as [{ family, source, descriptors }] for loadFonts() in the worker,
+     * which does not share the page's web fonts. Style sheets from another
+     * origin can only be read when linked with crossorigin.
+     */
+    static _fontFaces(sigil) {
+        const families = new Set(RasterExport._lettering(sigil).flatMap(op => RasterExport._families(op.style.font).map(f => f.toLowerCase())));
+        if (families.size === 0 || typeof document === 'undefined') return [];
+        const faces = [];
+        for (const sheet of document.styleSheets) {
+            let rules;
+            try { rules = sheet.cssRules; } catch (e) { continue; }
+            for (const rule of rules) {
+                if (!(rule instanceof CSSFontFaceRule)) continue;
+                const s = rule.style;
+                const family = RasterExport._families(s.getPropertyValue('font-family'))[0];
+                const src = s.getPropertyValue('src');
+                if (!family || !src || !families.has(family.toLowerCase())) continue;
+                // Relative URLs are relative to their style sheet, not the worker
+                const base = sheet.href || document.baseURI;
+                const source = src.replace(/url\((['"]?)(.*?)\1\)/g, (m, q, url) => `url("${new URL(url, base).href}")`);
+                const descriptors = {};
+                for (const [key, property] of [['style', 'font-style'], ['weight', 'font-weight'], ['stretch', 'font-stretch'], ['unicodeRange', 'unicode-range']]) {
+                    const value = s.getPropertyValue(property);
+                    if (value) descriptors[key] = value;
+                }
+                faces.push({ family, source, descriptors });
+            }
+        }
+        return faces;
+    }
+
+    /**
+     * Add `faces` (see _fontFaces) to this worker's fonts and load the ones
+     * the sigil's lettering needs. A font that will not load leaves the
+     * fallback font, as it does on the page.
+     */
+    static async loadFonts(sigil, faces) {
+        if (!faces || faces.length === 0 || typeof FontFace === 'undefined' || !self.fonts) return;
+        for (const f of faces) self.fonts.add(new FontFace(f.family, f.source, f.descriptors));
+        await Promise.all(RasterExport._lettering(sigil).map(op => {
+            const text = op.op === 'text' ? op.text : op.glyphs.map(g => g.text).join('');
+            return self.fonts.load(`16px ${op.style.font}`, text).catch(() => {});
+        }));
+    }
+
+    /** The text the sigil draws as letters (a latin inscription, labels). */
+    static _lettering(sigil) {
+        return sigil.recordPaths(RasterExport.MIN_SIZE).filter(op => op.op === 'text' || op.op === 'textPath');
+    }
+
+    /** The family names in a CSS font-family list, unquoted. */
+    static _families(list) {
+        return list.split(',').map(f => f.trim().replace(/^(['"])(.*)\1$/, '$2')).filter(Boolean);
+    }
+
+    static _renderInWorker(message, signal) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(RasterExport.WORKER_URL);
+            const done = () => {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', abort);
+            };
+            const abort = () => {
+                done();
+                reject(new DOMException('The export was cancelled', 'AbortError'));
+            };
+            if (signal) {
+                if (signal.aborted) return abort();
+                signal.addEventListener('abort', abort);
+            }
+            worker.onmessage = ({ data }) => {
+                done();
+                if (data.error) reject(new Error(data.error));
+                else resolve(data.blob);
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                done();
+                reject(new Error(event.message || 'The export worker failed'));
+            };
+            worker.postMessage(message);
+        });
+    }
+}
@@ -0,0 +1,1179 @@
+/**
+ * Sigil renderers — drawing backends behind one small interface, so the
+ * generator can draw to a canvas, write SVG or PDF pages or just record
+ * what it drew (handy for tests and headless use in Node).
+ *
+ * SigilGenerator.render() drives a renderer with these calls:
+ *   begin(background)       start a drawing; background is a colour or null (transparent)
+ *   pushClip(shape)         clip everything until the matching popClip() to a shape;
+ *                           what is drawn in between forms a layer of its own
+ *   popClip()
+ *   stroke(shape, style)    outline a shape — style { color, width, join?, cap?, dash?, alpha? },
+ *                           dash being [on, off, …] lengths; a dash of no length
+ *                           with round caps is a dot
+ *   fill(shape, style)      fill a shape    — style { color, alpha? }
+ *   text(str, x, y, style)  centred label   — style { color, font, size, alpha? }
+ *   textPath(path, glyphs, style)
+ *                           letters along a closed polyline; each glyph is
+ *                           { text, offset, x, y, angle }: its middle sits
+ *                           `offset` along the path, at (x, y), facing angle
+ *                           (the backends draw each at x, y and angle)
+ *   image(image, box, style)
+ *                           a picture stretched over box { x, y, width, height };
+ *                           image is { src, width, height } (a URL, e.g. a data
+ *                           URL) or { pixels, width, height } (RGBA bytes), and
+ *                           style { alpha?, repeat? } — with repeat the box is
+ *                           one tile of a pattern covering the whole drawing
+ *   knockout(shapes)        clear everything drawn so far in the current clip's
+ *                           layer within the shapes, e.g. to keep node rings
+ *                           hollow, so whatever lies underneath shows through
+ *   end()                   finish and return the backend's result
+ *
+ * A stroke or fill colour is a CSS colour or a gradient, in canvas
+ * coordinates (the wrapping renderers below leave it where it is):
+ *   { type: 'linear', x1, y1, x2, y2, stops: [[offset, colour, opacity?], …] }
+ *   { type: 'radial', fx, fy, cx, cy, r, stops }   from the focus (fx, fy)
+ *                                                   out to the circle
+ *
+ * Shapes are plain objects:
+ *   { type: 'circle',   cx, cy, r }
+ *   { type: 'arc',      cx, cy, r, start, end }   angles in radians, drawn clockwise
+ *   { type: 'polyline', points: [{ x, y }, …], closed }
+ *   { type: 'contours', contours: [[{ x, y }, …], …] }
+ *                       closed outlines filled as one (nonzero winding, so
+ *                       one running the other way round is a hole)
+ *
+ * SymmetryRenderer wraps another renderer and repeats each call for every
+ * rotated or mirrored copy of a symmetric sigil; ScaledRenderer shrinks
+ * everything about the centre (line widths stay as they are), e.g. to fit the
+ * inner layers inside a compound border; InkRenderer redraws lines as if by
+ * hand, with a brush or in bleeding ink.
+ */
+class SigilRenderer {
+    constructor(size) {
+        this.size = size;
+    }
+
+    begin(background) {}
+    pushClip(shape) {}
+    popClip() {}
+    stroke(shape, style) {}
+    fill(shape, style) {}
+    text(str, x, y, style) {}
+    textPath(path, glyphs, style) {}
+    image(image, box, style) {}
+    knockout(shapes) {}
+    end() { return null; }
+}
+
+/* ====================================================
+   Canvas — draws onto an HTML canvas (or node-canvas)
+==================================================== */
+
+class CanvasRenderer extends SigilRenderer {
+    // Image URLs being decoded (src → promise) and decoded (src → image)
+    static _images = new Map();
+    static _loaded = new Map();
+    static _pixelCanvases = new WeakMap();
+
+    /**
+     * @param canvas  any canvas with a 2D context
+     * @param glow    optional { color, blur } shadow applied to every stroke and fill
+     * @param size    the size of the whole drawing, when the canvas holds one tile of it
+     * @param origin  where in the drawing that tile starts, { x, y }; it may be
+     *                changed between drawings to draw the next tile
+     */
+    constructor(canvas, { glow = null, size = canvas.width, origin = { x: 0, y: 0 } } = {}) {
+        super(size);
+        this.canvas = canvas;
+        this.ctx    = canvas.getContext('2d');
+        this.glow   = glow;
+        this.origin = origin;
+        this._layers = [];  // clipped layers being drawn: { ctx, shape, parent }
+        this._scratch = []; // a canvas for the layers at each depth, cleared for each clip
+    }
+
+    /**
+     * Decode an image URL for image() ahead of drawing; the canvas can
+     * only draw images that are already loaded. Resolves to the image.
+     */
+    static loadImage(src) {
+        if (!CanvasRenderer._images.has(src)) {
+            CanvasRenderer._images.set(src, CanvasRenderer.decodeImage(src).then(img => {
+                CanvasRenderer._loaded.set(src, img);
+                return img;
+            }, (err) => {
+                CanvasRenderer._images.delete(src);
+                throw err;
+            }));
+        }
+        return CanvasRenderer._images.get(src);
+    }
+
+    static isImageLoaded(src) {
+        return CanvasRenderer._loaded.has(src);
+    }
+
+    /** Turns a URL into a drawable image; Node scripts swap in their canvas package's loadImage(). */
+    static decodeImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('The image could not be loaded'));
+            img.src = src;
+        });
+    }
+
+    begin(background) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(-this.origin.x, -this.origin.y);
+        ctx.clearRect(0, 0, this.size, this.size);
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, this.size, this.size);
+        }
+    }
+
+    // Each clip draws onto a layer of its own, so knockouts erase only
+    // that layer and the background underneath is left alone; the layer
+    // canvases are made once per depth of clip and reused
+    pushClip(shape) {
+        const depth = this._layers.length;
+        if (!this._scratch[depth]) this._scratch[depth] = this._createCanvas();
+        const ctx = this._scratch[depth].getContext('2d');
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.translate(-this.origin.x, -this.origin.y);
+        this._layers.push({ ctx, shape, parent: this.ctx });
+        this.ctx = ctx;
+    }
+
+    popClip() {
+        const layer = this._layers.pop();
+        this.ctx = layer.parent;
+        this.ctx.save();
+        this._path(layer.shape);
+        this.ctx.clip();
+        this.ctx.drawImage(layer.ctx.canvas, this.origin.x, this.origin.y);
+        this.ctx.restore();
+    }
+
+    stroke(shape, style) {
+        const ctx = this.ctx;
+        ctx.save();
+        this._applyGlow();
+        ctx.globalAlpha = style.alpha ?? 1;
+        ctx.strokeStyle = this._paint(style.color);
+        ctx.lineWidth   = style.width;
+        ctx.lineJoin    = style.join ?? 'miter';
+        ctx.lineCap     = style.cap ?? 'butt';
+        if (style.dash) ctx.setLineDash(style.dash);
+        this._path(shape);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    fill(shape, style) {
+        const ctx = this.ctx;
+        ctx.save();
+        this._applyGlow();
+        ctx.globalAlpha = style.alpha ?? 1;
+        ctx.fillStyle   = this._paint(style.color);
+        this._path(shape);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    text(str, x, y, style) {
+        const ctx = this.ctx;
+        ctx.save();
+        this._applyGlow();
+        ctx.globalAlpha  = style.alpha ?? 1;
+        ctx.fillStyle    = style.color;
+        ctx.font         = `${style.size}px ${style.font}`;
+        ctx.textAlign    = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(str, x, y);
+        ctx.restore();
+    }
+
+    textPath(path, glyphs, style) {
+        const ctx = this.ctx;
+        ctx.save();
+        this._applyGlow();
+        ctx.globalAlpha  = style.alpha ?? 1;
+        ctx.fillStyle    = style.color;
+        ctx.font         = `${style.size}px ${style.font}`;
+        ctx.textAlign    = 'center';
+        ctx.textBaseline = 'middle';
+        for (const g of glyphs) {
+            ctx.save();
+            ctx.translate(g.x, g.y);
+            ctx.rotate(g.angle);
+            ctx.fillText(g.text, 0, 0);
+            ctx.restore();
+        }
+        ctx.restore();
+    }
+
+    image(image, box, style) {
+        const source = image.pixels ? this._pixelCanvas(image) : CanvasRenderer._loaded.get(image.src);
+        if (!source) return; // not loaded yet (see loadImage())
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalAlpha = style.alpha ?? 1;
+        if (!style.repeat) {
+            ctx.drawImage(source, box.x, box.y, box.width, box.height);
+        } else {
+            // Tiles from the box outwards until the drawing is covered
+            const x0 = box.x - Math.ceil(box.x / box.width) * box.width;
+            const y0 = box.y - Math.ceil(box.y / box.height) * box.height;
+            for (let y = y0; y < this.size; y += box.height) {
+                for (let x = x0; x < this.size; x += box.width) ctx.drawImage(source, x, y, box.width, box.height);
+            }
+        }
+        ctx.restore();
+    }
+
+    knockout(shapes) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.fillStyle = 'rgba(0,0,0,1)';
+        for (const shape of shapes) {
+            this._path(shape);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    end() {
+        this.ctx.restore();
+        return this.canvas;
+    }
+
+    _applyGlow() {
+        if (!this.glow) return;
+        this.ctx.shadowColor = this.glow.color;
+        this.ctx.shadowBlur  = this.glow.blur;
+    }
+
+    /** A colour as a canvas fill or stroke style. */
+    _paint(color) {
+        if (typeof color === 'string') return color;
+        const g = color.type === 'linear'
+            ? this.ctx.createLinearGradient(color.x1, color.y1, color.x2, color.y2)
+            : this.ctx.createRadialGradient(color.fx, color.fy, 0, color.cx, color.cy, color.r);
+        for (const [offset, c, opacity = 1] of color.stops) {
+            if (opacity === 1) {
+                g.addColorStop(offset, c);
+            } else {
+                const [r, gr, b] = [1, 3, 5].map(i => parseInt(c.slice(i, i + 2), 16));
+                g.addColorStop(offset, `rgba(${r},${gr},${b},${opacity})`);
+            }
+        }
+        return g;
+    }
+
+    /** A blank canvas the size of this one, for layers and pixel images. */
+    _createCanvas(width = this.canvas.width, height = this.canvas.height) {
+        if (typeof document !== 'undefined') {
+            const c = document.createElement('canvas');
+            c.width = width;
+            c.height = height;
+            return c;
+        }
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        // node-canvas and @napi-rs/canvas can make more of their own kind
+        return new this.canvas.constructor(width, height);
+    }
+
+    /** Pixel images drawn onto a canvas once, and kept with the image. */
+    _pixelCanvas(image) {
+        if (!CanvasRenderer._pixelCanvases.has(image)) {
+            const c = this._createCanvas(image.width, image.height);
+            const ctx = c.getContext('2d');
+            const data = ctx.createImageData(image.width, image.height);
+            data.data.set(image.pixels);
+            ctx.putImageData(data, 0, 0);
+            CanvasRenderer._pixelCanvases.set(image, ctx.canvas);
+        }
+        return CanvasRenderer._pixelCanvases.get(image);
+    }
+
+    _path(shape) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        if (shape.type === 'circle') {
+            ctx.arc(shape.cx, shape.cy, shape.r, 0, Math.PI * 2);
+            return;
+        }
+        if (shape.type === 'arc') {
+            ctx.arc(shape.cx, shape.cy, shape.r, shape.start, shape.end);
+            return;
+        }
+        if (shape.type === 'contours') {
+            for (const pts of shape.contours) {
+                ctx.moveTo(pts[0].x, pts[0].y);
+                for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+                ctx.closePath();
+            }
+            return;
+        }
+        const pts = shape.points;
+        ctx.moveTo(pts[0].x, pts[0].y);
+        for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+        if (shape.closed) ctx.closePath();
+    }
+}
+
+/* ====================================================
+   SVG — builds a standalone vector document
+==================================================== */
+
+class SVGRenderer extends SigilRenderer {
+    static _pixelURLs = new WeakMap();
+
+    begin(background) {
+        this._defs   = [];
+        this._nextId = 0;
+        this._paints = new Map(); // gradient → its id, so repeats share one
+        // Each frame collects the elements of one group (root, clip, …)
+        this._frames = [{ children: [], clipId: null }];
+        if (background) this._add(`<rect width="100%" height="100%" fill="${background}"/>`);
+    }
+
+    pushClip(shape) {
+        const id = this._id('clip');
+        this._defs.push(`<clipPath id="${id}">${this._element(shape, '')}</clipPath>`);
+        this._frames.push({ children: [], clipId: id });
+    }
+
+    popClip() {
+        const frame = this._frames.pop();
+        this._add(`<g clip-path="url(#${frame.clipId})">`, ...SVGRenderer._indent(frame.children), '</g>');
+    }
+
+    stroke(shape, style) {
+        const n = SVGRenderer.num;
+        const attrs = `fill="none" stroke="${this._paint(style.color)}" stroke-width="${n(style.width)}"` +
+            ` stroke-linejoin="${style.join ?? 'miter'}" stroke-miterlimit="10"` +
+            (style.cap && style.cap !== 'butt' ? ` stroke-linecap="${style.cap}"` : '') +
+            (style.dash ? ` stroke-dasharray="${style.dash.map(n).join(' ')}"` : '') + SVGRenderer._alpha(style);
+        this._add(this._element(shape, attrs));
+    }
+
+    fill(shape, style) {
+        this._add(this._element(shape, `fill="${this._paint(style.color)}" stroke="none"${SVGRenderer._alpha(style)}`));
+    }
+
+    text(str, x, y, style) {
+        const n = SVGRenderer.num;
+        this._add(`<text x="${n(x)}" y="${n(y)}" fill="${style.color}" font-family="${SVGRenderer.escape(style.font)}"` +
+            ` font-size="${n(style.size)}" text-anchor="middle" dominant-baseline="middle"${SVGRenderer._alpha(style)}>` +
+            `${SVGRenderer.escape(str)}</text>`);
+    }
+
+    /** Each glyph centred on its point and turned to its angle, as the canvas draws it. */
+    textPath(path, glyphs, style) {
+        const n = SVGRenderer.num;
+        this._add(`<g fill="${style.color}" font-family="${SVGRenderer.escape(style.font)}" font-size="${n(style.size)}"` +
+            ` text-anchor="middle" dominant-baseline="middle"${SVGRenderer._alpha(style)}>` +
+            glyphs.map(g => `<text transform="translate(${n(g.x)} ${n(g.y)}) rotate(${n((g.angle * 180) / Math.PI)})">${SVGRenderer.escape(g.text)}</text>`).join('') +
+            '</g>');
+    }
+
+    image(image, box, style) {
+        const n = SVGRenderer.num;
+        const href = image.pixels ? SVGRenderer._pixelURL(image) : SVGRenderer.escape(image.src);
+        const img = `<image href="${href}" x="${n(box.x)}" y="${n(box.y)}" width="${n(box.width)}" height="${n(box.height)}" preserveAspectRatio="none"`;
+        if (!style.repeat) {
+            this._add(`${img}${SVGRenderer._alpha(style)}/>`);
+            return;
+        }
+        // One tile in a pattern, so the picture is embedded only once
+        const id = this._id('pattern');
+        this._defs.push(`<pattern id="${id}" patternUnits="userSpaceOnUse" x="${n(box.x)}" y="${n(box.y)}" width="${n(box.width)}" height="${n(box.height)}">` +
+            `<image href="${href}" width="${n(box.width)}" height="${n(box.height)}" preserveAspectRatio="none"/></pattern>`);
+        this._add(`<rect width="100%" height="100%" fill="url(#${id})"${SVGRenderer._alpha(style)}/>`);
+    }
+
+    /** Wrap everything drawn so far in this group in a mask with holes cut out. */
+    knockout(shapes) {
+        const id = this._id('knockout');
+        const size = this.size;
+        this._defs.push(
+            `<mask id="${id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${size}" height="${size}">` +
+            `<rect width="${size}" height="${size}" fill="#fff"/>` +
+            shapes.map(s => this._element(s, 'fill="#000"')).join('') +
+            `</mask>`
+        );
+        const frame = this._frames[this._frames.length - 1];
+        frame.children = [`<g mask="url(#${id})">`, ...SVGRenderer._indent(frame.children), '</g>'];
+    }
+
+    end() {
+        const size = this.size;
+        return [
+            `<?xml version="1.0" encoding="UTF-8"?>`,
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">`,
+            ...(this._defs.length ? ['  <defs>', ...this._defs.map(d => `    ${d}`), '  </defs>'] : []),
+            ...SVGRenderer._indent(this._frames[0].children),
+            `</svg>`
+        ].join('\n');
+    }
+
+    /** Round a coordinate for compact markup. */
+    static num(v) {
+        return String(Math.round(v * 100) / 100);
+    }
+
+    static escape(str) {
+        return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /** Pixel images as PNG data URLs, encoded once per image. */
+    static _pixelURL(image) {
+        if (!SVGRenderer._pixelURLs.has(image)) {
+            SVGRenderer._pixelURLs.set(image, PNGEncoder.toDataURL(image.width, image.height, image.pixels));
+        }
+        return SVGRenderer._pixelURLs.get(image);
+    }
+
+    static _alpha(style) {
+        return style.alpha !== undefined && style.alpha < 1 ? ` opacity="${style.alpha}"` : '';
+    }
+
+    static _indent(lines) {
+        return lines.map(l => `  ${l}`);
+    }
+
+    _add(...lines) {
+        this._frames[this._frames.length - 1].children.push(...lines);
+    }
+
+    _id(prefix) {
+        return `${prefix}${this._nextId++}`;
+    }
+
+    /** A colour as an SVG paint; gradients go into <defs> once each. */
+    _paint(color) {
+        if (typeof color === 'string') return color;
+        const key = JSON.stringify(color);
+        if (!this._paints.has(key)) {
+            const n = SVGRenderer.num;
+            const id = this._id('gradient');
+            const stops = color.stops.map(([offset, c, opacity = 1]) =>
+                `<stop offset="${offset}" stop-color="${c}"${opacity === 1 ? '' : ` stop-opacity="${opacity}"`}/>`).join('');
+            this._defs.push(color.type === 'linear'
+                ? `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${n(color.x1)}" y1="${n(color.y1)}" x2="${n(color.x2)}" y2="${n(color.y2)}">${stops}</linearGradient>`
+                : `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${n(color.cx)}" cy="${n(color.cy)}" r="${n(color.r)}" fx="${n(color.fx)}" fy="${n(color.fy)}">${stops}</radialGradient>`);
+            this._paints.set(key, id);
+        }
+        return `url(#${this._paints.get(key)})`;
+    }
+
+    _element(shape, attrs) {
+        const n = SVGRenderer.num;
+        const a = attrs ? ` ${attrs}` : '';
+        if (shape.type === 'circle') {
+            return `<circle cx="${n(shape.cx)}" cy="${n(shape.cy)}" r="${n(shape.r)}"${a}/>`;
+        }
+        if (shape.type === 'arc') {
+            const sweep = shape.end - shape.start;
+            if (sweep >= Math.PI * 2) return this._element({ type: 'circle', cx: shape.cx, cy: shape.cy, r: shape.r }, attrs);
+            const at = (angle) => `${n(shape.cx + Math.cos(angle) * shape.r)} ${n(shape.cy + Math.sin(angle) * shape.r)}`;
+            const large = sweep > Math.PI ? 1 : 0;
+            return `<path d="M ${at(shape.start)} A ${n(shape.r)} ${n(shape.r)} 0 ${large} 1 ${at(shape.end)}"${a}/>`;
+        }
+        if (shape.type === 'contours') {
+            const d = shape.contours.map(pts => pts.map((p, i) => `${i ? 'L' : 'M'} ${n(p.x)} ${n(p.y)}`).join(' ') + ' Z').join(' ');
+            return `<path d="${d}"${a}/>`;
+        }
+        const pts = shape.points;
+        if (!shape.closed && pts.length === 2) {
+            return `<line x1="${n(pts[0].x)}" y1="${n(pts[0].y)}" x2="${n(pts[1].x)}" y2="${n(pts[1].y)}"${a}/>`;
+        }
+        const list = pts.map(p => `${n(p.x)},${n(p.y)}`).join(' ');
+        return `<${shape.closed ? 'polygon' : 'polyline'} points="${list}"${a}/>`;
+    }
+}
+
+/* ====================================================
+   PDF — vector paths on a page of a PDFWriter document
+==================================================== */
+
+class PDFRenderer extends SigilRenderer {
+    static CAPS  = { butt: 0, round: 1, square: 2 };
+    static JOINS = { miter: 0, round: 1, bevel: 2 };
+
+    // Pictures decoded to pixels by loadImage(), and JPEGs, by URL
+    static _images = new Map();
+
+    /**
+     * @param writer  the PDFWriter the page belongs to
+     * @param page    a page from writer.addPage()
+     * @param box     where the drawing goes, { x, y, width } in points from
+     *                the page's bottom left corner
+     * @param size    the drawing's own size, shown box.width across
+     */
+    constructor(writer, page, box, size) {
+        super(size);
+        this.writer = writer;
+        this.page   = page;
+        this.box    = box;
+        // Drawing units, y downwards, onto the page's points
+        const k = box.width / size;
+        this.matrix = [k, 0, 0, -k, box.x, box.y + box.width];
+    }
+
+    /**
+     * Decode an image URL for image() ahead of drawing. JPEGs go into the
+     * PDF as they are and need nothing; other pictures are turned into
+     * pixels on a canvas. Rejects where there is no canvas.
+     */
+    static loadImage(src) {
+        if (/^data:image\/jpeg;/.test(src) || PDFRenderer._images.has(src)) return Promise.resolve();
+        if (typeof document === 'undefined' && typeof OffscreenCanvas === 'undefined') {
+            return Promise.reject(new Error('Only JPEG pictures can go into a PDF without a canvas'));
+        }
+        return CanvasRenderer.loadImage(src).then(img => {
+            const width = img.naturalWidth || img.width, height = img.naturalHeight || img.height;
+            const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(width, height);
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0);
+            PDFRenderer._images.set(src, { width, height, pixels: ctx.getImageData(0, 0, width, height).data });
+        });
+    }
+
+    begin(background) {
+        this._layers = [[]];   // content of each open clip, innermost last
+        this._clips  = [];
+        if (background) {
+            const s = this.size;
+            this._fill({ type: 'polyline', points: [{ x: 0, y: 0 }, { x: s, y: 0 }, { x: s, y: s }, { x: 0, y: s }], closed: true }, background, 1);
+        }
+    }
+
+    pushClip(shape) {
+        this._layers.push([]);
+        this._clips.push(shape);
+    }
+
+    popClip() {
+        const content = this._layers.pop();
+        this._add('q', `${this._path(this._clips.pop())} W n`, ...content, 'Q');
+    }
+
+    stroke(shape, style) {
+        const n = PDFWriter.num;
+        const ops = [`${n(style.width)} w ${PDFRenderer.CAPS[style.cap ?? 'butt']} J ${PDFRenderer.JOINS[style.join ?? 'miter']} j`];
+        if (style.dash && style.dash.some(d => d > 0)) ops.push(`[${style.dash.map(d => n(d)).join(' ')}] 0 d`);
+        this._paint(style.color, style.alpha ?? 1, true, [...ops, `${this._path(shape)} S`]);
+    }
+
+    fill(shape, style) {
+        this._fill(shape, style.color, style.alpha ?? 1);
+    }
+
+    text(str, x, y, style) {
+        this._letters([{ text: str, x, y, angle: 0 }], style);
+    }
+
+    textPath(path, glyphs, style) {
+        this._letters(glyphs, style);
+    }
+
+    image(image, box, style) {
+        const picture = PDFRenderer._picture(image);
+        if (!picture) return; // not decoded (see loadImage())
+        const n = PDFWriter.num;
+        const alpha = style.alpha ?? 1;
+        const ops = alpha < 1 ? [`${this.writer.state(alpha)} gs`] : [];
+        if (!style.repeat) {
+            ops.push(`${n(box.width)} 0 0 ${n(-box.height)} ${n(box.x)} ${n(box.y + box.height)} cm ${this.writer.image(picture)} Do`);
+        } else {
+            // A pattern of tiles from the box, over the whole drawing
+            const [a, b, c, d, e, f] = this.matrix;
+            const corner = [a, b, c, d, e + a * box.x + c * box.y, f + b * box.x + d * box.y];
+            const s = n(this.size);
+            ops.push(`/Pattern cs ${this.writer.tiling(picture, box.width, box.height, corner)} scn 0 0 ${s} ${s} re f`);
+        }
+        this._add('q', ...ops, 'Q');
+    }
+
+    /** Clip what the current layer holds so far to the outside of every shape, one even-odd clip each. */
+    knockout(shapes) {
+        const s = PDFWriter.num(this.size);
+        const layer = this._layers[this._layers.length - 1];
+        const cuts = shapes.map(shape => `0 0 ${s} ${s} re ${this._path(shape)} W* n`);
+        layer.splice(0, layer.length, 'q', ...cuts, ...layer, 'Q');
+    }
+
+    /** Add the drawing to its page, clipped to its box like a canvas. */
+    end() {
+        const n = PDFWriter.num;
+        const { x, y, width } = this.box;
+        this.page.content.push('q', `${n(x)} ${n(y)} ${n(width)} ${n(width)} re W n`, `${PDFWriter.matrix(this.matrix)} cm`, ...this._layers[0], 'Q');
+        return this.page;
+    }
+
+    _add(...ops) {
+        this._layers[this._layers.length - 1].push(...ops);
+    }
+
+    _fill(shape, color, alpha) {
+        this._paint(color, alpha, false, [`${this._path(shape)} f`]);
+    }
+
+    /**
+     * Draw `ops` in a colour or gradient: a gradient is a pattern, and one
+     * whose stops fade also gets a soft mask of their opacities.
+     */
+    _paint(color, alpha, stroking, ops) {
+        const w = this.writer;
+        let paint, mask = null;
+        if (typeof color === 'string') {
+            const [r, g, b, a] = PDFWriter.rgb(color);
+            alpha *= a;
+            paint = `${PDFWriter.num(r)} ${PDFWriter.num(g)} ${PDFWriter.num(b)} ${stroking ? 'RG' : 'rg'}`;
+        } else {
+            const name = w.pattern(color, this.matrix);
+            paint = stroking ? `/Pattern CS ${name} SCN` : `/Pattern cs ${name} scn`;
+            if (color.stops.some(([, , opacity = 1]) => opacity < 1)) mask = color;
+        }
+        const state = alpha < 1 || mask ? [`${w.state(alpha, mask, mask ? this.size : 0)} gs`] : [];
+        this._add('q', ...state, paint, ...ops, 'Q');
+    }
+
+    /** Letters in the nearest standard font, each centred on its point and turned to its angle. */
+    _letters(glyphs, style) {
+        const n = PDFWriter.num;
+        const font = PDFWriter.standardFont(style.font);
+        const { ascent, descent } = PDFWriter.FONTS[font];
+        const ops = ['BT', `${this.writer.font(font)} 1 Tf`];
+        for (const g of glyphs) {
+            // y runs down the page here, so the letters' up is the other way
+            const cos = Math.cos(g.angle) * style.size, sin = Math.sin(g.angle) * style.size;
+            ops.push(`${n(cos)} ${n(sin)} ${n(sin)} ${n(-cos)} ${n(g.x)} ${n(g.y)} Tm`,
+                `${n(-PDFWriter.textWidth(g.text, font) / 2)} ${n(-(ascent + descent) / 2000)} Td ${PDFWriter.text(g.text)} Tj`);
+        }
+        ops.push('ET');
+        this._paint(style.color, style.alpha ?? 1, false, ops);
+    }
+
+    /** Path construction operators for a shape. */
+    _path(shape) {
+        const n = PDFWriter.num;
+        const at = (p) => `${n(p.x)} ${n(p.y)}`;
+        if (shape.type === 'circle') return `${PDFRenderer._arc(shape, 0, Math.PI * 2)} h`;
+        if (shape.type === 'arc') {
+            // Clockwise from start to end, the way a canvas draws it
+            const turn = Math.PI * 2;
+            const sweep = shape.end - shape.start >= turn ? turn : (((shape.end - shape.start) % turn) + turn) % turn;
+            return PDFRenderer._arc(shape, shape.start, sweep);
+        }
+        if (shape.type === 'contours') {
+            return shape.contours.map(pts => pts.map((p, i) => `${at(p)} ${i ? 'l' : 'm'}`).join(' ') + ' h').join(' ');
+        }
+        return shape.points.map((p, i) => `${at(p)} ${i ? 'l' : 'm'}`).join(' ') + (shape.closed ? ' h' : '');
+    }
+
+    /** A circular arc as Bézier curves, a quarter turn at most each. */
+    static _arc({ cx, cy, r }, start, sweep) {
+        const n = PDFWriter.num;
+        const count = Math.max(1, Math.ceil(sweep / (Math.PI / 2) - 1e-9));
+        const step = sweep / count;
+        const k = (4 / 3) * Math.tan(step / 4) * r;
+        const point = (a) => ({ x: cx + Math.cos(a) * r, y: cy + Math.sin(a) * r });
+        const first = point(start);
+        const ops = [`${n(first.x)} ${n(first.y)} m`];
+        for (let i = 0; i < count; i++) {
+            const a0 = start + step * i, a1 = a0 + step;
+            const p1 = point(a1);
+            ops.push(`${n(cx + Math.cos(a0) * r - Math.sin(a0) * k)} ${n(cy + Math.sin(a0) * r + Math.cos(a0) * k)}` +
+                ` ${n(p1.x + Math.sin(a1) * k)} ${n(p1.y - Math.cos(a1) * k)} ${n(p1.x)} ${n(p1.y)} c`);
+        }
+        return ops.join(' ');
+    }
+
+    /** What image() draws for an image: its pixels, a JPEG as it is, or a picture loadImage() decoded. */
+    static _picture(image) {
+        if (image.pixels) return image;
+        if (!PDFRenderer._images.has(image.src) && /^data:image\/jpeg;base64,/.test(image.src)) {
+            const bytes = Uint8Array.from(atob(image.src.slice(image.src.indexOf(',') + 1)), c => c.charCodeAt(0));
+            PDFRenderer._images.set(image.src, PDFWriter.jpeg(bytes));
+        }
+        return PDFRenderer._images.get(image.src) ?? null;
+    }
+}
+
+/* ====================================================
+   Recording — returns the draw calls as a path list
+==================================================== */
+
+class RecordingRenderer extends SigilRenderer {
+    begin(background) {
+        this.ops = [{ op: 'begin', size: this.size, background }];
+    }
+
+    pushClip(shape)        { this.ops.push({ op: 'pushClip', shape }); }
+    popClip()              { this.ops.push({ op: 'popClip' }); }
+    stroke(shape, style)   { this.ops.push({ op: 'stroke', shape, style: { ...style } }); }
+    fill(shape, style)     { this.ops.push({ op: 'fill', shape, style: { ...style } }); }
+    text(str, x, y, style) { this.ops.push({ op: 'text', text: str, x, y, style: { ...style } }); }
+    textPath(path, glyphs, style) { this.ops.push({ op: 'textPath', path, glyphs, style: { ...style } }); }
+    image(image, box, style) { this.ops.push({ op: 'image', image, box: { ...box }, style: { ...style } }); }
+    knockout(shapes)       { this.ops.push({ op: 'knockout', shapes }); }
+
+    end() {
+        return this.ops;
+    }
+}
+
+/* ====================================================
+   Symmetry — repeats every call for each symmetric copy
+==================================================== */
+
+class SymmetryRenderer extends SigilRenderer {
+    /**
+     * @param target    the renderer to draw on
+     * @param matrices  one [a, b, c, d] per copy (x' = a·x + c·y, y' = b·x + d·y),
+     *                  applied about (cx, cy); all must be rotations or mirrors
+     */
+    constructor(target, matrices, cx, cy) {
+        super(target.size);
+        this.target   = target;
+        this.matrices = matrices;
+        this.cx = cx;
+        this.cy = cy;
+    }
+
+    // Clips apply to all copies at once, so they pass through unchanged
+    pushClip(shape) { this.target.pushClip(shape); }
+    popClip()       { this.target.popClip(); }
+
+    stroke(shape, style) {
+        for (const s of this._copies(shape)) this.target.stroke(s, style);
+    }
+
+    fill(shape, style) {
+        for (const s of this._copies(shape)) this.target.fill(s, style);
+    }
+
+    text(str, x, y, style) {
+        for (const m of this.matrices) {
+            const p = this._point({ x, y }, m);
+            this.target.text(str, p.x, p.y, style);
+        }
+    }
+
+    /** One knockout for all copies, so no copy is drawn over another's holes. */
+    knockout(shapes) {
+        this.target.knockout(this.matrices.flatMap(m => shapes.map(s => this._shape(s, m))));
+    }
+
+    /** Every copy of a shape; circles that land on an earlier copy (a centred ring, say) are drawn once. */
+    _copies(shape) {
+        const out = [];
+        for (const m of this.matrices) {
+            const s = this._shape(shape, m);
+            if (s.type === 'circle' && out.some(o => Math.abs(o.cx - s.cx) < 1e-6 && Math.abs(o.cy - s.cy) < 1e-6)) continue;
+            out.push(s);
+        }
+        return out;
+    }
+
+    _point(p, [a, b, c, d]) {
+        const dx = p.x - this.cx, dy = p.y - this.cy;
+        return { x: this.cx + a * dx + c * dy, y: this.cy + b * dx + d * dy };
+    }
+
+    _shape(shape, m) {
+        if (m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1) return shape;
+        if (shape.type === 'polyline') {
+            return { type: 'polyline', points: shape.points.map(p => this._point(p, m)), closed: shape.closed };
+        }
+        if (shape.type === 'contours') {
+            return { type: 'contours', contours: shape.contours.map(pts => pts.map(p => this._point(p, m))) };
+        }
+        const center = this._point({ x: shape.cx, y: shape.cy }, m);
+        if (shape.type === 'circle') return { type: 'circle', cx: center.x, cy: center.y, r: shape.r };
+
+        // Arcs: map both ends; a mirror reverses the direction, so swap them
+        const angle = (t) => {
+            const [a, b, c, d] = m;
+            const x = Math.cos(t), y = Math.sin(t);
+            return Math.atan2(b * x + d * y, a * x + c * y);
+        };
+        const mirrored = m[0] * m[3] - m[1] * m[2] < 0;
+        const start = angle(mirrored ? shape.end : shape.start);
+        return { type: 'arc', cx: center.x, cy: center.y, r: shape.r, start, end: start + (shape.end - shape.start) };
+    }
+}
+
+/* ====================================================
+   Scaled — shrinks every shape about a centre point
+==================================================== */
+
+class ScaledRenderer extends SigilRenderer {
+    /**
+     * @param target  the renderer to draw on
+     * @param scale   factor applied about (cx, cy) to positions and radii
+     *                (stroke widths are left alone)
+     */
+    constructor(target, scale, cx, cy) {
+        super(target.size);
+        this.target = target;
+        this.scale  = scale;
+        this.cx = cx;
+        this.cy = cy;
+    }
+
+    pushClip(shape)      { this.target.pushClip(this._shape(shape)); }
+    popClip()            { this.target.popClip(); }
+    stroke(shape, style) { this.target.stroke(this._shape(shape), style); }
+    fill(shape, style)   { this.target.fill(this._shape(shape), style); }
+    knockout(shapes)     { this.target.knockout(shapes.map(s => this._shape(s))); }
+
+    text(str, x, y, style) {
+        const p = this._point({ x, y });
+        this.target.text(str, p.x, p.y, { ...style, size: style.size * this.scale });
+    }
+
+    _point(p) {
+        return { x: this.cx + (p.x - this.cx) * this.scale, y: this.cy + (p.y - this.cy) * this.scale };
+    }
+
+    _shape(shape) {
+        if (shape.type === 'polyline') {
+            return { type: 'polyline', points: shape.points.map(p => this._point(p)), closed: shape.closed };
+        }
+        if (shape.type === 'contours') {
+            return { type: 'contours', contours: shape.contours.map(pts => pts.map(p => this._point(p))) };
+        }
+        const center = this._point({ x: shape.cx, y: shape.cy });
+        return { ...shape, cx: center.x, cy: center.y, r: shape.r * this.scale };
+    }
+}
+
+/* ====================================================
+   Ink — hand-drawn, brush and ink-bleed lines
+==================================================== */
+
+class InkRenderer extends SigilRenderer {
+    static STEP        = 0.004;         // spacing of the points lines are redrawn with, as a share of the canvas
+    static WOBBLE      = 0.005;         // the widest sway of a hand-drawn line
+    static WOBBLE_WAVE = 0.06;          // and how far it runs before swaying back
+    static BLEED_WAVE  = 0.012;         // the grain of an ink-bleed edge
+    static CORNER      = Math.PI / 4;   // a brush lifts at turns sharper than this
+
+    /**
+     * @param target  the renderer to draw on
+     * @param style   { wobble, brush, bleed } from 0 (off) to 1, and nib, the
+     *                brush's pen angle in degrees
+     *
+     * Every sway and rough edge comes from the shape's own position, so the
+     * same sigil is always drawn the same way, at any size and in any backend.
+     */
+    constructor(target, style) {
+        super(target.size);
+        this.target = target;
+        this.style  = style;
+        this.step   = target.size * InkRenderer.STEP;
+    }
+
+    begin(background)             { this.target.begin(background); }
+    pushClip(shape)               { this.target.pushClip(shape); }
+    popClip()                     { this.target.popClip(); }
+    text(str, x, y, style)        { this.target.text(str, x, y, style); }
+    textPath(path, glyphs, style) { this.target.textPath(path, glyphs, style); }
+    image(image, box, style)      { this.target.image(image, box, style); }
+    end()                         { return this.target.end(); }
+
+    // A brush or bleeding ink changes a line's width along it, so the line becomes a filled outline
+    stroke(shape, style) {
+        const line = this._line(shape);
+        if (!this.style.brush && !this.style.bleed) {
+            // A swaying line would spike at mitred corners; a pen rounds them anyway
+            this.target.stroke({ type: 'polyline', points: line.points, closed: line.closed }, { ...style, join: 'round' });
+            return;
+        }
+        // Each dash is a stroke of its own, tapered by the brush; a dot is a dab
+        const contours = [];
+        for (const piece of style.dash ? this._dashes(line, style.dash) : [line]) {
+            if (InkRenderer._lengths(piece.points, piece.closed).total > 0) {
+                contours.push(...this._outline(piece, style.width));
+                continue;
+            }
+            const dab = InkRenderer._disc(piece.points[0], style.width / 2, 12);
+            contours.push(InkRenderer._oriented(this.style.bleed ? this._bleed(dab, piece.key) : dab, 1));
+        }
+        this.target.fill({ type: 'contours', contours }, { color: style.color, alpha: style.alpha });
+    }
+
+    fill(shape, style) {
+        const line = this._line(shape);
+        const points = this.style.bleed ? this._bleed(line.points, line.key) : line.points;
+        this.target.fill({ type: 'polyline', points, closed: true }, style);
+    }
+
+    /** Holes sway with the rings drawn around them. */
+    knockout(shapes) {
+        this.target.knockout(shapes.map(s => ({ type: 'polyline', points: this._line(s).points, closed: true })));
+    }
+
+    /** A shape as points about `step` apart, swayed by the wobble, plus the key its noise is drawn from. */
+    _line(shape) {
+        const key = InkRenderer._key(shape, this.size);
+        let points, closed;
+        if (shape.type === 'polyline') {
+            closed = shape.closed;
+            const src = closed ? [...shape.points, shape.points[0]] : shape.points;
+            points = [src[0]];
+            for (let i = 1; i < src.length; i++) {
+                const a = src[i - 1], b = src[i];
+                const n = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / this.step));
+                for (let k = 1; k <= n; k++) points.push({ x: a.x + ((b.x - a.x) * k) / n, y: a.y + ((b.y - a.y) * k) / n });
+            }
+            if (closed) points.pop();
+        } else {
+            const start = shape.type === 'arc' ? shape.start : 0;
+            const sweep = shape.type === 'arc' ? shape.end - shape.start : Math.PI * 2;
+            closed = sweep >= Math.PI * 2;
+            const n = Math.max(closed ? 16 : 2, Math.ceil((Math.abs(sweep) * shape.r) / this.step));
+            points = [];
+            for (let k = 0; k < (closed ? n : n + 1); k++) {
+                const a = start + (sweep * k) / n;
+                points.push({ x: shape.cx + Math.cos(a) * shape.r, y: shape.cy + Math.sin(a) * shape.r });
+            }
+        }
+        if (this.style.wobble > 0) points = this._sway(points, closed, key);
+        return { points, closed, key };
+    }
+
+    /** A line cut into the dashes of a pattern ([on, off, …] lengths), each an open line with a key of its own. */
+    _dashes(line, dash) {
+        const { points, closed, key } = line;
+        const src = closed ? [...points, points[0]] : points;
+        const pieces = [];
+        let current = [src[0]], on = true, k = 0, left = dash[0];
+        for (let i = 1; i < src.length; i++) {
+            let a = src[i - 1];
+            const b = src[i];
+            let rest = Math.hypot(b.x - a.x, b.y - a.y);
+            // Every switch between dash and gap that falls on this segment
+            while (rest >= left) {
+                const t = rest ? left / rest : 0;
+                a = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+                rest -= left;
+                if (on) pieces.push([...current, a]);
+                else current = [a];
+                on = !on;
+                k = (k + 1) % dash.length;
+                left = dash[k];
+            }
+            left -= rest;
+            if (on) current.push(b);
+        }
+        if (on && current.length > 1) pieces.push(current);
+        return pieces.map((piece, i) => ({ points: piece, closed: false, key: key + i + 1 }));
+    }
+
+    /** Push each point sideways by a slow, smooth wave, as an unsteady hand would. */
+    _sway(points, closed, key) {
+        const amp = this.style.wobble * this.size * InkRenderer.WOBBLE;
+        const along = InkRenderer._lengths(points, closed);
+        const wave = this.size * InkRenderer.WOBBLE_WAVE;
+        // A closed line fits a whole number of waves, so it meets itself again
+        const cells = closed ? Math.max(2, Math.round(along.total / wave)) : 0;
+        const normals = InkRenderer._normals(points, closed);
+        return points.map((p, i) => {
+            const t = closed ? (along[i] / along.total) * cells : along[i] / wave;
+            const d = amp * InkRenderer._noise(key, t, cells);
+            return { x: p.x + normals[i].x * d, y: p.y + normals[i].y * d };
+        });
+    }
+
+    /**
+     * The outline of a line drawn `width` wide: a brush swells and thins
+     * with the direction against its nib and tapers at loose ends; ink
+     * spreads and roughens the edges and pools where the pen stops. The line
+     * breaks at sharp turns into separate strokes, joined by a round dab, so
+     * no outline folds over itself; all outlines run the same way round so
+     * their overlaps fill.
+     */
+    _outline(line, width) {
+        const { brush, bleed, nib } = this.style;
+        const { points, closed, key } = line;
+        const n = points.length;
+        const contours = [];
+
+        // Sharp turns, where the pen lifts
+        const corners = [];
+        for (let i = closed ? 0 : 1; i < (closed ? n : n - 1); i++) {
+            const a = points[(i - 1 + n) % n], p = points[i], b = points[(i + 1) % n];
+            const turn = Math.abs(InkRenderer._angleDiff(Math.atan2(b.y - p.y, b.x - p.x), Math.atan2(p.y - a.y, p.x - a.x)));
+            if (turn > InkRenderer.CORNER) corners.push(i);
+        }
+
+        const along = InkRenderer._lengths(points, closed);
+        const pen = (nib * Math.PI) / 180;
+        const grain = this.size * InkRenderer.BLEED_WAVE;
+        const cells = closed ? Math.max(2, Math.round(along.total / grain)) : 0;
+        const rough = (side, i) => {
+            if (!bleed) return 0;
+            const t = closed ? (along[i] / along.total) * cells : along[i] / grain;
+            return bleed * width * 0.2 * InkRenderer._noise(key + side, t, cells);
+        };
+        const widthAt = (i, dir) => {
+            let w = width * (1 + 0.3 * bleed);
+            if (brush) {
+                const thin = 1 - 0.85 * brush;
+                w *= (thin + (1 - thin) * Math.abs(Math.sin(dir - pen))) * (1 + 0.5 * brush);
+                if (!closed) {
+                    const fromEnd = Math.min(along[i], along.total - along[i]);
+                    w *= 0.3 + 0.7 * Math.min(1, fromEnd / (3 * width));
+                }
+            }
+            return w;
+        };
+        const sides = (idx, loop) => {
+            const run = idx.map(i => points[i]);
+            const m = run.length;
+            const normals = InkRenderer._normals(run, loop);
+            const left = [], right = [], widths = [];
+            idx.forEach((i, k) => {
+                const a = run[loop ? (k - 1 + m) % m : Math.max(0, k - 1)], b = run[loop ? (k + 1) % m : Math.min(m - 1, k + 1)];
+                const w = widthAt(i, Math.atan2(b.y - a.y, b.x - a.x));
+                const nl = w / 2 + rough(1, i), nr = w / 2 + rough(2, i);
+                widths.push(w);
+                left.push({ x: run[k].x + normals[k].x * nl, y: run[k].y + normals[k].y * nl });
+                right.push({ x: run[k].x - normals[k].x * nr, y: run[k].y - normals[k].y * nr });
+            });
+            return { left, right, widths };
+        };
+
+        if (closed && !corners.length) {
+            // A ring: the outer edge one way round, the inner the other, leaving the hole
+            const { left, right } = sides([...points.keys()], true);
+            const [outer, inner] = Math.abs(InkRenderer._area(left)) > Math.abs(InkRenderer._area(right)) ? [left, right] : [right, left];
+            contours.push(InkRenderer._oriented(outer, 1), InkRenderer._oriented(inner, -1));
+            return contours;
+        }
+
+        // Open lines, and closed ones cut at their corners, as separate strokes
+        const cuts = closed ? corners : [0, ...corners, n - 1];
+        const runs = [];
+        for (let c = 0; c < cuts.length - (closed ? 0 : 1); c++) {
+            const from = cuts[c], to = closed && c === cuts.length - 1 ? cuts[0] + n : cuts[c + 1];
+            runs.push(Array.from({ length: to - from + 1 }, (_, k) => (from + k) % n));
+        }
+        for (const run of runs) {
+            const { left, right, widths } = sides(run, false);
+            contours.push(InkRenderer._oriented([...left, ...right.reverse()], 1));
+            // A round dab at the corner each run ends in
+            const last = run[run.length - 1];
+            if (closed || last !== n - 1) contours.push(InkRenderer._disc(points[last], widths[widths.length - 1] / 2, 12));
+        }
+        if (bleed && !closed) {
+            // Ink pools where the pen touches down and lifts off
+            for (const i of [0, n - 1]) {
+                const r = (widthAt(i, 0) / 2) * (1 + 0.5 * bleed);
+                contours.push(InkRenderer._oriented(this._bleed(InkRenderer._disc(points[i], r, 16), key + i), 1));
+            }
+        }
+        return contours;
+    }
+
+    /** Spread a filled outline a little and roughen its edge. */
+    _bleed(points, key) {
+        const amp = this.style.bleed * this.size * 0.0025;
+        const normals = InkRenderer._normals(points, true);
+        const out = InkRenderer._area(points) > 0 ? 1 : -1;
+        const cells = Math.max(4, Math.round(InkRenderer._lengths(points, true).total / (this.size * InkRenderer.BLEED_WAVE)));
+        return points.map((p, i) => {
+            // The normals point inwards on an outline running the positive way round
+            const d = -out * amp * (0.6 + 0.8 * InkRenderer._noise(key, (i / points.length) * cells, cells));
+            return { x: p.x + normals[i].x * d, y: p.y + normals[i].y * d };
+        });
+    }
+
+    /** Distance along the points to each one; `total` includes the closing segment of a closed line. */
+    static _lengths(points, closed) {
+        const along = [0];
+        for (let i = 1; i < points.length; i++) along.push(along[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+        const last = points[points.length - 1], first = points[0];
+        along.total = along[along.length - 1] + (closed ? Math.hypot(first.x - last.x, first.y - last.y) : 0);
+        return along;
+    }
+
+    /** Unit normals (the tangent turned a quarter), from each point's neighbours. */
+    static _normals(points, closed) {
+        const n = points.length;
+        return points.map((p, i) => {
+            const a = closed ? points[(i - 1 + n) % n] : points[Math.max(0, i - 1)];
+            const b = closed ? points[(i + 1) % n] : points[Math.min(n - 1, i + 1)];
+            const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            return { x: -(b.y - a.y) / len, y: (b.x - a.x) / len };
+        });
+    }
+
+    static _area(points) {
+        let sum = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i], b = points[(i + 1) % points.length];
+            sum += a.x * b.y - b.x * a.y;
+        }
+        return sum / 2;
+    }
+
+    /** The points running the positive (sign 1) or negative way round. */
+    static _oriented(points, sign) {
+        return Math.sign(InkRenderer._area(points)) === -sign ? points.reverse() : points;
+    }
+
+    static _disc(center, r, count) {
+        return Array.from({ length: count }, (_, k) => {
+            const a = (k / count) * Math.PI * 2;
+            return { x: center.x + Math.cos(a) * r, y: center.y + Math.sin(a) * r };
+        });
+    }
+
+    static _angleDiff(a, b) {
+        return Math.atan2(Math.sin(a - b), Math.cos(a - b));
+    }
+
+    /** A whole number for a shape, from where it lies as a share of the canvas. */
+    static _key(shape, size) {
+        const q = (v) => Math.round((v / size) * 1e4);
+        const nums = shape.type === 'polyline'
+            ? [shape.points.length, q(shape.points[0].x), q(shape.points[0].y), q(shape.points[shape.points.length - 1].x), q(shape.points[shape.points.length - 1].y)]
+            : [q(shape.cx), q(shape.cy), q(shape.r), Math.round((shape.start ?? 0) * 1e3)];
+        let h = 0x811c9dc5;
+        for (const v of nums) h = Math.imul(h ^ v, 0x01000193);
+        return h >>> 0;
+    }
+
+    /**
+     * Smooth noise from -1 to 1 at `t`, one random value per whole step,
+     * blended between them; with `cells` it repeats after that many steps.
+     */
+    static _noise(key, t, cells = 0) {
+        const i = Math.floor(t), f = t - i;
+        const at = (k) => InkRenderer._hash(key, cells ? ((k % cells) + cells) % cells : k);
+        const s = f * f * (3 - 2 * f);
+        return at(i) + (at(i + 1) - at(i)) * s;
+    }
+
+    static _hash(key, i) {
+        let h = Math.imul(key ^ Math.imul(i, 0x27d4eb2d), 0x165667b1);
+        h ^= h >>> 15;
+        h = Math.imul(h, 0x85ebca6b);
+        h ^= h >>> 13;
+        return ((h >>> 0) / 4294967296) * 2 - 1;
+    }
+}
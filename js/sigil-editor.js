@@ -0,0 +1,316 @@
+/**
+ * SigilEditor — direct manipulation of a generated sigil.
+ *
+ * Handles are derived from the generator's `_layerState` and drawn on a
+ * transparent overlay canvas stacked on top of the sigil canvas, so they never
+ * end up in an export. Dragging a handle edits the stored state in place:
+ *
+ *   connectedNodes / scatterDots  move a point (it and its symmetric copies
+ *                                 kept inside the outer shape)
+ *   perimeterConnections          slide a point along the perimeter
+ *   radialLines                   turn a line around the centre
+ *   concentricShapes              rotate and scale a ring from its first vertex
+ *   outline (custom shape only)   move a vertex; clicking elsewhere adds one
+ *                                 on the nearest edge
+ *
+ * The geometry methods take canvas coordinates and a size, so they work
+ * headlessly too; enable() adds the pointer handling on the overlay.
+ */
+class SigilEditor {
+    /** Handle radius and grab tolerance, relative to canvas size */
+    static HANDLE_RATIO = 0.012;
+    static GRAB_RATIO   = 0.025;
+
+    /** Smallest and largest concentric ring scale */
+    static MIN_RING_SCALE = 0.05;
+    static MAX_RING_SCALE = 1;
+
+    /**
+     * @param sigil    the SigilGenerator to edit
+     * @param overlay  a canvas the same size as the sigil canvas, on top of it
+     * @param onEdit   called once when a drag finishes
+     */
+    constructor(sigil, overlay, { onEdit = () => {} } = {}) {
+        this.sigil   = sigil;
+        this.overlay = overlay;
+        this.onEdit  = onEdit;
+        this.enabled = false;
+
+        this._drag  = null; // handle being dragged
+        this._hover = null;
+
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerUp   = this._onPointerUp.bind(this);
+    }
+
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.overlay.hidden = false;
+        this.overlay.addEventListener('pointerdown', this._onPointerDown);
+        this.overlay.addEventListener('pointermove', this._onPointerMove);
+        this.overlay.addEventListener('pointerup', this._onPointerUp);
+        this.overlay.addEventListener('pointercancel', this._onPointerUp);
+        this.refresh();
+    }
+
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        this._drag = this._hover = null;
+        this.overlay.removeEventListener('pointerdown', this._onPointerDown);
+        this.overlay.removeEventListener('pointermove', this._onPointerMove);
+        this.overlay.removeEventListener('pointerup', this._onPointerUp);
+        this.overlay.removeEventListener('pointercancel', this._onPointerUp);
+        this.overlay.hidden = true;
+    }
+
+    /** Redraw the handles, e.g. after a new sigil was generated or loaded. */
+    refresh() {
+        if (!this.enabled) return;
+        const ctx = this.overlay.getContext('2d');
+        const size = this.overlay.width;
+        ctx.clearRect(0, 0, size, size);
+
+        const active = this._drag ?? this._hover;
+        for (const h of this.handles(size)) {
+            const isActive = active && h.layer === active.layer && h.index === active.index;
+            const r = size * SigilEditor.HANDLE_RATIO * (isActive ? 1.4 : 1);
+            ctx.beginPath();
+            // Outline vertices are square, to tell them from the layers' points
+            if (h.layer === 'outline') ctx.rect(h.x - r, h.y - r, r * 2, r * 2);
+            else ctx.arc(h.x, h.y, r, 0, Math.PI * 2);
+            ctx.fillStyle = isActive ? '#ffffff' : 'rgba(255, 255, 255, 0.55)';
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+            ctx.lineWidth = size * 0.002;
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+
+    /* ====================================================
+       Geometry — handles, hit-testing and edits
+    ==================================================== */
+
+    /** Every editable point of the current sigil: { layer, index, x, y }. */
+    handles(size) {
+        const sigil = this.sigil;
+        const ls = sigil._layerState;
+        if (!ls) return [];
+        const cx = size / 2, cy = size / 2;
+        const out = [];
+
+        for (const layer of ls.layers) {
+            switch (layer) {
+                case 'connectedNodes':
+                case 'scatterDots': {
+                    const pts = layer === 'connectedNodes' ? ls.connectedNodes.nodes : ls.scatterDots.dots;
+                    pts.forEach((p, index) => out.push({ layer, index, ...sigil._normalizedToCanvas(p, size) }));
+                    break;
+                }
+                case 'perimeterConnections':
+                    ls.perimeterConnections.tValues.forEach((t, index) => {
+                        out.push({ layer, index, ...sigil._pointOnPerimeter(t, size) });
+                    });
+                    break;
+                case 'radialLines': {
+                    const reach = sigil._shapeInradius(size) * 0.85;
+                    ls.radialLines.angles.forEach((a, index) => {
+                        out.push({ layer, index, x: cx + Math.cos(a) * reach, y: cy + Math.sin(a) * reach });
+                    });
+                    break;
+                }
+                case 'concentricShapes':
+                    ls.concentricShapes.rings.forEach((ring, index) => {
+                        const base = this._ringBase(ring, size);
+                        const a = base.angle + ring.rotation, d = base.dist * ring.scale;
+                        out.push({ layer, index, x: cx + Math.cos(a) * d, y: cy + Math.sin(a) * d });
+                    });
+                    break;
+            }
+        }
+
+        // Inside a compound border the layers are drawn scaled down
+        const k = sigil._borderLayout().inner;
+        for (const h of out) {
+            h.x = cx + (h.x - cx) * k;
+            h.y = cy + (h.y - cy) * k;
+        }
+
+        // Drawn last, so the outline's vertices win ties
+        if (sigil.shape === 'custom' && sigil.shapeOptions.vertices) {
+            sigil._getShapeVertices(size).forEach((v, index) => out.push({ layer: 'outline', index, x: v.x, y: v.y }));
+        }
+        return out;
+    }
+
+    /** The handle under a canvas point (the nearest within reach), or null. */
+    hitTest(x, y, size) {
+        let best = null, bestDist = size * SigilEditor.GRAB_RATIO;
+        // Later layers are drawn on top, so they win ties
+        for (const h of this.handles(size)) {
+            const d = Math.hypot(h.x - x, h.y - y);
+            if (d <= bestDist) {
+                best = h;
+                bestDist = d;
+            }
+        }
+        return best;
+    }
+
+    /** Drag a handle to canvas point (x, y), updating the stored layer state. */
+    moveHandle(handle, x, y, size) {
+        const sigil = this.sigil;
+        const ls = sigil._layerState;
+        const cx = size / 2, cy = size / 2;
+        if (handle.layer !== 'outline') {
+            const k = sigil._borderLayout().inner;
+            x = cx + (x - cx) / k;
+            y = cy + (y - cy) / k;
+        }
+
+        switch (handle.layer) {
+            case 'connectedNodes':
+            case 'scatterDots': {
+                const data = ls[handle.layer];
+                const pts = handle.layer === 'connectedNodes' ? data.nodes : data.dots;
+                // Node rings keep half their stroke inside too
+                const stroke = handle.layer === 'connectedNodes' ? sigil._innerWidth(1) / 2 : 0;
+                const radius = size * (SigilGenerator.DOT_RATIO * data.radiusMultiplier + stroke);
+                const from = sigil._normalizedToCanvas(pts[handle.index], size);
+                pts[handle.index] = sigil._canvasToNormalized(this._keepInside(from, { x, y }, radius, size), size);
+                break;
+            }
+            case 'perimeterConnections':
+                ls.perimeterConnections.tValues[handle.index] = sigil._perimeterT({ x, y }, size);
+                break;
+            case 'radialLines': {
+                const a = Math.atan2(y - cy, x - cx);
+                ls.radialLines.angles[handle.index] = a < 0 ? a + Math.PI * 2 : a;
+                break;
+            }
+            case 'concentricShapes': {
+                const ring = ls.concentricShapes.rings[handle.index];
+                const base = this._ringBase(ring, size);
+                const scale = Math.hypot(x - cx, y - cy) / base.dist;
+                ring.scale = Math.max(SigilEditor.MIN_RING_SCALE, Math.min(SigilEditor.MAX_RING_SCALE, scale));
+                ring.rotation = Math.atan2(y - cy, x - cx) - base.angle;
+                break;
+            }
+            case 'outline': {
+                const vertices = [...sigil.shapeOptions.vertices];
+                vertices[handle.index] = sigil._toShapeUnits({ x, y }, size);
+                sigil.shapeOptions = { ...sigil.shapeOptions, vertices };
+                break;
+            }
+        }
+    }
+
+    /**
+     * Add a custom outline vertex at canvas point (x, y), on the edge nearest
+     * to it, and return its handle (null when the outline is full).
+     */
+    addOutlineVertex(x, y, size) {
+        const sigil = this.sigil;
+        const vertices = [...sigil.shapeOptions.vertices];
+        if (vertices.length >= SigilGenerator.MAX_VERTICES) return null;
+        const verts = sigil._getShapeVertices(size);
+        let edge = 0, bestDist = Infinity;
+        verts.forEach((v, i) => {
+            const d = sigil._closestOnSegment({ x, y }, v, verts[(i + 1) % verts.length]).dist;
+            if (d < bestDist) {
+                edge = i;
+                bestDist = d;
+            }
+        });
+        vertices.splice(edge + 1, 0, sigil._toShapeUnits({ x, y }, size));
+        sigil.shapeOptions = { ...sigil.shapeOptions, vertices };
+        return { layer: 'outline', index: edge + 1 };
+    }
+
+    /**
+     * The point nearest `to` along the way from `from` where a circle of
+     * `radius` still fits (see _fits; found by bisection).
+     */
+    _keepInside(from, to, radius, size) {
+        if (this._fits(to, radius, size)) return to;
+        const center = { x: size / 2, y: size / 2 };
+        const start = this._fits(from, radius, size) ? from : center;
+        let lo = 0, hi = 1;
+        for (let i = 0; i < 20; i++) {
+            const mid = (lo + hi) / 2;
+            const p = { x: start.x + (to.x - start.x) * mid, y: start.y + (to.y - start.y) * mid };
+            if (this._fits(p, radius, size)) lo = mid;
+            else hi = mid;
+        }
+        return { x: start.x + (to.x - start.x) * lo, y: start.y + (to.y - start.y) * lo };
+    }
+
+    /**
+     * True when canvas point p lies in the symmetry's fundamental region and
+     * a circle of `radius` fits inside the shape around it and every copy.
+     */
+    _fits(p, radius, size) {
+        const sigil = this.sigil;
+        if (!sigil._inSymmetryRegion(p.x - size / 2, p.y - size / 2)) return false;
+        return sigil._symmetryImages(sigil._canvasToNormalized(p, size))
+            .every(img => sigil._circleInsideShape(sigil._normalizedToCanvas(img, size), radius, size));
+    }
+
+    /** Angle and distance of a ring's first vertex before rotation and scaling. */
+    _ringBase(ring, size) {
+        const shapeR = (size * SigilGenerator.SHAPE_RATIO) / 2;
+        if (ring.shape === 'circle') return { angle: 0, dist: shapeR };
+        const v = this.sigil._getVerticesForShape(ring.shape, size)[0];
+        return { angle: Math.atan2(v.y - size / 2, v.x - size / 2), dist: Math.hypot(v.x - size / 2, v.y - size / 2) };
+    }
+
+    /* ====================================================
+       Pointer handling
+    ==================================================== */
+
+    /** Pointer position in canvas pixels (the canvas is scaled by CSS). */
+    _canvasPoint(e) {
+        const rect = this.overlay.getBoundingClientRect();
+        const scale = this.overlay.width / rect.width;
+        return { x: (e.clientX - rect.left) * scale, y: (e.clientY - rect.top) * scale };
+    }
+
+    _onPointerDown(e) {
+        const p = this._canvasPoint(e);
+        let handle = this.hitTest(p.x, p.y, this.overlay.width);
+        if (!handle && this.sigil.shape === 'custom' && this.sigil.shapeOptions.vertices) {
+            handle = this.addOutlineVertex(p.x, p.y, this.overlay.width);
+            if (handle) this.sigil.redraw();
+        }
+        if (!handle) return;
+        e.preventDefault();
+        this._drag = handle;
+        this.overlay.setPointerCapture(e.pointerId);
+        this.overlay.style.cursor = 'grabbing';
+        this.refresh();
+    }
+
+    _onPointerMove(e) {
+        const p = this._canvasPoint(e);
+        const size = this.overlay.width;
+        if (this._drag) {
+            this.moveHandle(this._drag, p.x, p.y, size);
+            this.sigil.redraw();
+        } else {
+            this._hover = this.hitTest(p.x, p.y, size);
+            this.overlay.style.cursor = this._hover ? 'grab' : '';
+        }
+        this.refresh();
+    }
+
+    _onPointerUp(e) {
+        if (!this._drag) return;
+        this._drag = null;
+        if (this.overlay.hasPointerCapture(e.pointerId)) this.overlay.releasePointerCapture(e.pointerId);
+        this.overlay.style.cursor = 'grab';
+        this.refresh();
+        this.onEdit();
+    }
+}
@@ -3,31 +3,86 @@
  *
  * Proportion constants (all relative to canvas size):
  *   SHAPE_RATIO  0.70  — outer shape diameter / side
- *   STROKE_RATIO 0.02  — main stroke width
- *   DOT_RATIO    0.03  — scatter dot radius
+ *   STROKE_RATIO 0.02  — default outline width (see strokes)
+ *   DOT_RATIO    0.03  — dot radius, scaled per layer by the size ranges in strokes
  *
- * Inner-pattern layers (2-4 randomly chosen per generation):
+ * Inner-pattern layers (2-4 randomly chosen per generation) are plugged in
+ * with SigilGenerator.registerLayer(); the built-ins live in js/layers/:
  *   1. Radial lines      — lines from center to shape edge
  *   2. Perimeter connects — random edge points connected by lines
  *   3. Concentric shapes  — smaller rotated copies of the outer shape
  *   4. Scatter dots       — multiple randomly placed dots
- *   5. Arc segments       — partial circles at random positions
- *   6. Cross lines        — straight lines slicing across the shape
+ *   5. Cross lines        — straight lines slicing across the shape
+ *   6. Connected nodes    — hollow rings joined by lines
+ *   7. Arc segments       — partial circles at random positions
+ *   8. Spiral             — an Archimedean or logarithmic spiral from the centre
+ *   9. Orbit              — small rings spaced around an orbit
+ *
+ * Outer shapes are named presets, a random polygon, or parametric: an n-gon,
+ * an n-pointed star (inner ratio or {n/k} skip) or custom vertices, all with
+ * an optional rotation (see shapeOptions and _shapeDefinition()).
+ *
+ * Symmetry (none, mirror-x, mirror-y, both or N-fold rotational): layers are
+ * built inside one fundamental region and replicated when drawn.
+ *
+ * Borders: the outline can be doubled or tripled, with a band, tick marks or
+ * glyphs and a dotted ring; the inner layers are drawn scaled down inside the
+ * innermost border (see border and _borderLayout()).
+ *
+ * Tracing layer (added on request, never picked at random):
+ *   Trace — a name traced across a planetary kamea or a letter wheel
+ *
+ * Drawing goes through a renderer (renderers.js): canvas, SVG or a recorded
+ * path list, so the generator also runs headlessly in Node (see node/).
+ *
+ * All randomness flows from a seeded PRNG, so a given shape, complexity and
+ * seed always rebuild the same sigil. In statement-of-intent mode the reduced
+ * letters of a phrase pick the shape, layers, perimeter points and nodes.
  */
 class SigilGenerator {
     static SHAPE_RATIO  = 0.70;
     static STROKE_RATIO = 0.02;
     static DOT_RATIO    = 0.03;
 
-    /** All available inner-pattern layer names */
-    static LAYERS = [
-        'radialLines',
-        'perimeterConnections',
-        'concentricShapes',
-        'scatterDots',
-        'crossLines',
-        'connectedNodes'
-    ];
+    /** Output size (px) when there is no on-screen canvas to match */
+    static DEFAULT_SIZE = 1200;
+
+    /** Version of the JSON document written by toJSON() */
+    static FORMAT_VERSION = 2;
+
+    /** Version of the URL-hash permalink encoding */
+    static LINK_VERSION = 3;
+
+    /**
+     * The layers older link versions were built from. A seed or intent in
+     * such a link is rebuilt from this set, so it still gives the same sigil.
+     */
+    static LINK_LAYERS = {
+        1: ['radialLines', 'perimeterConnections', 'concentricShapes', 'scatterDots', 'crossLines', 'connectedNodes']
+    };
+
+    /**
+     * The layers in js/layers/, in build order. Later links are rebuilt from
+     * these alone, so layers a page registers never change what they open
+     * to; a sigil that needs another layer carries its layer state instead.
+     */
+    static BUILT_IN_LAYERS = [...SigilGenerator.LINK_LAYERS[1], 'arcSegments', 'spiral', 'orbit'];
+
+    /** All available inner-pattern layer names, in registration order */
+    static LAYERS = [];
+
+    /** Layer definitions by name (see registerLayer) */
+    static LAYER_TYPES = {};
+
+    /** Largest weight the layer panel offers */
+    static MAX_LAYER_WEIGHT = 5;
+
+    /** Smallest gap between a new dot or node and other elements, relative to canvas size */
+    static MIN_GAP = 0.015;
+
+    /** Quality check: the overlapScore() above which a sigil is rebuilt, and how often to try */
+    static MAX_OVERLAP = 0.2;
+    static QUALITY_ATTEMPTS = 8;
 
     /** All shape types available for concentric mixing */
     static ALL_SHAPES = [
@@ -35,16 +90,334 @@ class SigilGenerator {
         'pentagon', 'hexagon', 'octagon', 'star', 'star-inverted'
     ];
 
-    constructor(canvas) {
+    /** Outer shapes drawn from shapeOptions rather than a fixed preset */
+    static PARAMETRIC_SHAPES = ['polygon', 'star-polygon', 'custom'];
+
+    /** Every outer shape name */
+    static OUTER_SHAPES = [...SigilGenerator.ALL_SHAPES, 'random', ...SigilGenerator.PARAMETRIC_SHAPES];
+
+    /**
+     * The named shapes as parametric definitions: `sides` for a regular
+     * polygon, `points` and `inner` (inner / outer radius) for a star, and
+     * `start`, the angle of the first vertex.
+     */
+    static SHAPE_PRESETS = {
+        square:          { sides: 4, start: -Math.PI / 4 },
+        triangle:        { sides: 3, start: -Math.PI / 2 },
+        diamond:         { sides: 4, start: -Math.PI / 2 },
+        pentagon:        { sides: 5, start: -Math.PI / 2 },
+        hexagon:         { sides: 6, start: -Math.PI / 2 },
+        octagon:         { sides: 8, start: -Math.PI / 8 },
+        star:            { points: 5, inner: 0.5, start: -Math.PI / 2 },
+        'star-inverted': { points: 5, inner: 0.5, start: Math.PI / 2 }
+    };
+
+    /** Most sides (or star points) a parametric shape, and most vertices a custom one, may have */
+    static MAX_SIDES = 24;
+    static MAX_VERTICES = 48;
+
+    /**
+     * Parameters of the parametric shapes. `skip` above 1 makes the star a
+     * {points/skip} star polygon, whose inner ratio follows from the geometry;
+     * `vertices` (custom) are [{ x, y }] in units of the outer radius;
+     * `rotation` (degrees, clockwise) turns any outer shape.
+     */
+    static DEFAULT_SHAPE_OPTIONS = { sides: 7, points: 7, innerRatio: 0.5, skip: 1, rotation: 0, vertices: null };
+
+    /** Layers that are only added on request, never picked at random */
+    static TRACE_LAYERS = ['trace'];
+
+    /** Symmetry modes: mirror-x mirrors left to right, mirror-y top to bottom */
+    static SYMMETRY_MODES = ['none', 'mirror-x', 'mirror-y', 'both', 'rotational'];
+
+    /** Most copies rotational symmetry may make */
+    static MAX_SYMMETRY_FOLDS = 12;
+
+    /**
+     * Border defaults: `lines` outlines (1-3) `gap` apart (a share of the
+     * outer radius), an optional band between the first two (which adds a
+     * second outline if needed), `markCount` ticks or glyphs around the
+     * perimeter, and a dotted ring inside
+     */
+    static DEFAULT_BORDER = { lines: 1, gap: 0.06, band: false, marks: 'none', markCount: 24, dots: false };
+    static BORDER_MARKS = ['none', 'ticks', 'glyphs'];
+    static MAX_BORDER_LINES = 3;
+    static MIN_BORDER_GAP = 0.02;
+    static MAX_BORDER_GAP = 0.15;
+    static MIN_BORDER_MARKS = 4;
+    static MAX_BORDER_MARKS = 96;
+
+    /** Width of the band between the first two outlines, and depth of marks without a band (shares of the outer radius) */
+    static BAND_WIDTH = 0.16;
+    static MARK_DEPTH = 0.1;
+
+    /**
+     * Border glyphs, drawn in turn around the perimeter: unit coordinates
+     * with y pointing outwards, as open or closed paths and circles.
+     */
+    static BORDER_GLYPHS = [
+        [{ path: [[0, -1], [0, 1]] }, { path: [[-0.7, 0.3], [0.7, 0.3]] }],
+        [{ circle: [0, 0, 0.75] }, { circle: [0, 0, 0.18], fill: true }],
+        [{ path: [[0, 1], [0.87, -0.6], [-0.87, -0.6]], closed: true }],
+        [{ path: [[0, 1], [0.6, 0], [0, -1], [-0.6, 0]], closed: true }],
+        [{ path: [[0, -1], [0, 1]] }, { path: [[-0.65, 0.35], [0, 1], [0.65, 0.35]] }],
+        [{ path: [[-0.6, -1], [-0.6, 1]] }, { path: [[0.6, -1], [0.6, 1]] }, { path: [[-0.6, 0], [0.6, 0]] }]
+    ];
+
+    /**
+     * Inscription defaults: `size` is a share of the canvas, `spacing` extra
+     * room between letters as a share of the size, and `offset` the distance
+     * from the outline as a share of the outer radius (outwards when
+     * positive; null centres it in the border's band, or sets it just outside).
+     * `widths` holds the latin letters' advances in the font, in font sizes
+     * ({ O: 0.78, … }, see measureLetters); letters it lacks use _letterWidth()
+     */
+    static DEFAULT_INSCRIPTION = { text: '', font: 'Cinzel, serif', size: 0.035, spacing: 0.1, offset: null, alphabet: 'latin', widths: null };
+    static INSCRIPTION_ALPHABETS = ['latin', 'runic', 'pigpen'];
+    static INSCRIPTION_GAP = 0.12;
+    static MAX_INSCRIPTION_LENGTH = 200;
+
+    /**
+     * Elder Futhark runes as strokes (unit coordinates, y up, 1 = half the
+     * letter height). Latin letters map to the nearest rune; TH and NG have
+     * runes of their own.
+     */
+    static RUNES = {
+        fehu:     [[[-0.3, -1], [-0.3, 1]], [[-0.3, 0.2], [0.4, 0.75]], [[-0.3, -0.3], [0.4, 0.25]]],
+        uruz:     [[[-0.35, -1], [-0.35, 1], [0.35, 0.5], [0.35, -1]]],
+        thurisaz: [[[-0.3, -1], [-0.3, 1]], [[-0.3, 0.5], [0.35, 0], [-0.3, -0.5]]],
+        ansuz:    [[[-0.3, -1], [-0.3, 1], [0.4, 0.5]], [[-0.3, 0.45], [0.4, -0.05]]],
+        raido:    [[[-0.3, -1], [-0.3, 1], [0.35, 0.5], [-0.3, 0], [0.35, -1]]],
+        kaunan:   [[[0.3, 1], [-0.3, 0], [0.3, -1]]],
+        gebo:     [[[-0.5, 1], [0.5, -1]], [[0.5, 1], [-0.5, -1]]],
+        wunjo:    [[[-0.3, -1], [-0.3, 1], [0.35, 0.5], [-0.3, 0]]],
+        hagalaz:  [[[-0.35, -1], [-0.35, 1]], [[0.35, -1], [0.35, 1]], [[-0.35, 0.35], [0.35, -0.35]]],
+        naudiz:   [[[0, -1], [0, 1]], [[-0.4, 0.35], [0.4, -0.35]]],
+        isaz:     [[[0, -1], [0, 1]]],
+        jera:     [[[-0.05, 0.9], [-0.45, 0.4], [-0.05, -0.1]], [[0.05, 0.1], [0.45, -0.4], [0.05, -0.9]]],
+        perthro:  [[[-0.3, -1], [-0.3, 1]], [[-0.3, 1], [0.1, 0.5], [0.45, 1]], [[-0.3, -1], [0.1, -0.5], [0.45, -1]]],
+        algiz:    [[[0, -1], [0, 1]], [[-0.45, 1], [0, 0.35], [0.45, 1]]],
+        sowilo:   [[[0.3, 1], [-0.3, 0.35], [0.3, -0.35], [-0.3, -1]]],
+        tiwaz:    [[[0, -1], [0, 1]], [[-0.45, 0.5], [0, 1], [0.45, 0.5]]],
+        berkano:  [[[-0.3, -1], [-0.3, 1], [0.35, 0.5], [-0.3, 0], [0.35, -0.5], [-0.3, -1]]],
+        ehwaz:    [[[-0.4, -1], [-0.4, 1], [0, 0.4], [0.4, 1], [0.4, -1]]],
+        mannaz:   [[[-0.4, -1], [-0.4, 1], [0.4, 0.2]], [[0.4, -1], [0.4, 1], [-0.4, 0.2]]],
+        laguz:    [[[-0.3, -1], [-0.3, 1], [0.35, 0.45]]],
+        ingwaz:   [[[0, 1], [0.4, 0], [0, -1], [-0.4, 0], [0, 1]]],
+        dagaz:    [[[-0.45, -1], [-0.45, 1], [0.45, -1], [0.45, 1], [-0.45, -1]]],
+        othala:   [[[0, 1], [-0.45, 0.3], [0.4, -1]], [[0, 1], [0.45, 0.3], [-0.4, -1]]]
+    };
+
+    static RUNE_LETTERS = {
+        A: ['ansuz'], B: ['berkano'], C: ['kaunan'], D: ['dagaz'], E: ['ehwaz'], F: ['fehu'], G: ['gebo'],
+        H: ['hagalaz'], I: ['isaz'], J: ['jera'], K: ['kaunan'], L: ['laguz'], M: ['mannaz'], N: ['naudiz'],
+        O: ['othala'], P: ['perthro'], Q: ['kaunan'], R: ['raido'], S: ['sowilo'], T: ['tiwaz'], U: ['uruz'],
+        V: ['uruz'], W: ['wunjo'], X: ['kaunan', 'sowilo'], Y: ['jera'], Z: ['algiz']
+    };
+
+    /**
+     * Pigpen cipher cells (same coordinates as RUNES): A-I are the # grid and
+     * S-V the X; J-R and W-Z repeat them with a dot at `dot`.
+     */
+    static PIGPEN = {
+        A: { lines: [[[0.6, 0.8], [0.6, -0.8], [-0.6, -0.8]]], dot: [0.15, -0.2] },
+        B: { lines: [[[-0.6, 0.8], [-0.6, -0.8], [0.6, -0.8], [0.6, 0.8]]], dot: [0, -0.2] },
+        C: { lines: [[[-0.6, 0.8], [-0.6, -0.8], [0.6, -0.8]]], dot: [-0.15, -0.2] },
+        D: { lines: [[[-0.6, 0.8], [0.6, 0.8], [0.6, -0.8], [-0.6, -0.8]]], dot: [0.15, 0] },
+        E: { lines: [[[-0.6, 0.8], [0.6, 0.8], [0.6, -0.8], [-0.6, -0.8], [-0.6, 0.8]]], dot: [0, 0] },
+        F: { lines: [[[0.6, 0.8], [-0.6, 0.8], [-0.6, -0.8], [0.6, -0.8]]], dot: [-0.15, 0] },
+        G: { lines: [[[-0.6, 0.8], [0.6, 0.8], [0.6, -0.8]]], dot: [0.15, 0.2] },
+        H: { lines: [[[-0.6, -0.8], [-0.6, 0.8], [0.6, 0.8], [0.6, -0.8]]], dot: [0, 0.2] },
+        I: { lines: [[[0.6, 0.8], [-0.6, 0.8], [-0.6, -0.8]]], dot: [-0.15, 0.2] },
+        S: { lines: [[[-0.6, 0.8], [0, -0.8], [0.6, 0.8]]], dot: [0, 0.35] },
+        T: { lines: [[[-0.6, 0.8], [0.6, 0], [-0.6, -0.8]]], dot: [-0.2, 0] },
+        U: { lines: [[[0.6, 0.8], [-0.6, 0], [0.6, -0.8]]], dot: [0.2, 0] },
+        V: { lines: [[[-0.6, -0.8], [0, 0.8], [0.6, -0.8]]], dot: [0, -0.35] }
+    };
+
+    /**
+     * Palette presets: a background and the colours handed out by
+     * applyPalette() (the first is the outline's)
+     */
+    static PALETTES = {
+        ember:     { label: 'Ember',     bg: '#000000', colors: ['#ff0000', '#ff6a00', '#ffb300'] },
+        gilded:    { label: 'Gilded',    bg: '#0b0a14', colors: ['#d4af37', '#f3e5ab', '#9c7a2b'] },
+        moonlight: { label: 'Moonlight', bg: '#0a0f1e', colors: ['#c9dcff', '#7fa6e0', '#ffffff'] },
+        verdigris: { label: 'Verdigris', bg: '#0c1a16', colors: ['#3fbf9f', '#a8e6cf', '#d4af37'] },
+        amethyst:  { label: 'Amethyst',  bg: '#120a1c', colors: ['#b57edc', '#e6c7ff', '#6f42c1'] },
+        parchment: { label: 'Parchment', bg: '#f2e6c9', colors: ['#3b2414', '#8b1a1a', '#5a6b2a'] }
+    };
+
+    /** Colour harmonies for harmonyPalette(), as hue turns in degrees from the base */
+    static HARMONIES = {
+        complementary: [0, 180],
+        triadic: [0, 120, 240],
+        analogous: [0, -30, 30]
+    };
+
+    static GRADIENT_TYPES = ['linear', 'radial'];
+
+    /**
+     * Background styles: a flat bgColor, none at all, a gradient, a
+     * procedural texture over bgColor, or an image over bgColor. Each style's
+     * own settings default to BACKGROUND_DEFAULTS.
+     */
+    static BACKGROUND_TYPES = ['solid', 'transparent', 'gradient', 'parchment', 'noise', 'image'];
+    static BACKGROUND_DEFAULTS = {
+        gradient:  { kind: 'radial', colors: ['#2a0a0a', '#000000'], angle: 90 },
+        parchment: { seed: 1, strength: 0.5 },
+        noise:     { seed: 1, strength: 0.5 },
+        image:     { fit: 'cover', scale: 1, opacity: 1 }
+    };
+    static IMAGE_FITS = ['cover', 'contain', 'stretch', 'center', 'tile'];
+    static MAX_IMAGE_URL = 8 * 1024 * 1024;
+    static TEXTURE_SIZE = 128;      // texture tiles are this many pixels square
+    static NOISE_TILE = 0.1;        // a noise tile, as a share of the canvas
+
+    /**
+     * How lines are drawn (see InkRenderer): a hand-drawn wobble, a brush
+     * that swells and thins with the direction against its nib (in degrees),
+     * and ink that bleeds, each from 0 (off) to 1. All off draws exact lines.
+     */
+    static DEFAULT_DRAW_STYLE = { wobble: 0, brush: 0, bleed: 0, nib: 45 };
+
+    /**
+     * Line weights and patterns: the outline's width (a share of the
+     * canvas), inner lines as a share of it, the ranges dots and node rings
+     * are picked from (multiples of DOT_RATIO, used when a sigil is built),
+     * caps, joins and a dash pattern per layer ('dashed' or 'dotted').
+     */
+    static DEFAULT_STROKES = {
+        outer: SigilGenerator.STROKE_RATIO,
+        inner: 0.6,
+        dotSize: [0.5, 1.5],
+        nodeSize: [0.6, 1.4],
+        cap: 'butt',
+        join: 'miter',
+        dashes: {}
+    };
+    static LINE_CAPS = ['butt', 'round', 'square'];
+    static LINE_JOINS = ['miter', 'round', 'bevel'];
+    static DASH_PATTERNS = ['dashed', 'dotted'];
+    static MIN_STROKE = 0.005;
+    static MAX_STROKE = 0.06;
+    static MIN_INNER_STROKE = 0.2;
+    static MAX_INNER_STROKE = 1.5;
+    static MIN_DOT_SIZE = 0.2;
+    static MAX_DOT_SIZE = 2.5;
+
+    /** Default rotational folds per outer shape (its vertex count; stars count their points) */
+    static SHAPE_FOLDS = {
+        circle: 6, square: 4, triangle: 3, diamond: 4, pentagon: 5,
+        hexagon: 6, octagon: 8, star: 5, 'star-inverted': 5
+    };
+
+    /** Planetary magic squares (kameas), in the traditional order Saturn → Moon */
+    static KAMEAS = {
+        saturn:  [[4, 9, 2], [3, 5, 7], [8, 1, 6]],
+        jupiter: [[4, 14, 15, 1], [9, 7, 6, 12], [5, 11, 10, 8], [16, 2, 3, 13]],
+        mars:    [[11, 24, 7, 20, 3], [4, 12, 25, 8, 16], [17, 5, 13, 21, 9], [10, 18, 1, 14, 22], [23, 6, 19, 2, 15]],
+        sun:     [[6, 32, 3, 34, 35, 1], [7, 11, 27, 28, 8, 30], [19, 14, 16, 15, 23, 24],
+                  [18, 20, 22, 21, 17, 13], [25, 29, 10, 9, 26, 12], [36, 5, 33, 4, 2, 31]],
+        venus:   [[22, 47, 16, 41, 10, 35, 4], [5, 23, 48, 17, 42, 11, 29], [30, 6, 24, 49, 18, 36, 12],
+                  [13, 31, 7, 25, 43, 19, 37], [38, 14, 32, 1, 26, 44, 20], [21, 39, 8, 33, 2, 27, 45],
+                  [46, 15, 40, 9, 34, 3, 28]],
+        mercury: [[8, 58, 59, 5, 4, 62, 63, 1], [49, 15, 14, 52, 53, 11, 10, 56], [41, 23, 22, 44, 45, 19, 18, 48],
+                  [32, 34, 35, 29, 28, 38, 39, 25], [40, 26, 27, 37, 36, 30, 31, 33], [17, 47, 46, 20, 21, 43, 42, 24],
+                  [9, 55, 54, 12, 13, 51, 50, 16], [64, 2, 3, 61, 60, 6, 7, 57]],
+        moon:    [[37, 78, 29, 70, 21, 62, 13, 54, 5], [6, 38, 79, 30, 71, 22, 63, 14, 46], [47, 7, 39, 80, 31, 72, 23, 55, 15],
+                  [16, 48, 8, 40, 81, 32, 64, 24, 56], [57, 17, 49, 9, 41, 73, 33, 65, 25], [26, 58, 18, 50, 1, 42, 74, 34, 66],
+                  [67, 27, 59, 10, 51, 2, 43, 75, 35], [36, 68, 19, 60, 11, 52, 3, 44, 76], [77, 28, 69, 20, 61, 12, 53, 4, 45]]
+    };
+
+    /**
+     * Add an inner-pattern layer type. It joins the random pick, the layer
+     * panel, JSON validation and every export path.
+     *
+     *   label              name shown in the UI (defaults to `name`)
+     *   weight             default weight in the random pick (default 1)
+     *   build(sigil, { rng, density })
+     *                      return the layer's parameters; draw every random
+     *                      number from `rng` so seeds stay reproducible.
+     *                      Return null when the layer has no room in the
+     *                      shape: it is then left out of the sigil
+     *   draw(renderer, data, ctx)
+     *                      draw the parameters through a renderer; ctx holds
+     *                      sigil, size, cx, cy, shapeR, thinLine, dotR,
+     *                      lineStyle, inkStyle and segment/path/circle/arc
+     *                      helpers
+     *   validate(data, check)
+     *                      optional: return a clean copy of stored parameters,
+     *                      calling check.fail(field, message) on bad data
+     *   anchors(sigil, data, size)
+     *                      optional: the circles and line ends the layer
+     *                      draws, as [{ x, y, r }] (r = 0 for a point); later
+     *                      dots and nodes keep clear of them and
+     *                      overlapScore() counts collisions with them
+     *
+     * Layers are built in registration order, so registering a layer changes
+     * which sigil a given seed produces. Permalinks still rebuild seeds from
+     * BUILT_IN_LAYERS only (see toPermalink).
+     */
+    static registerLayer(name, definition) {
+        if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9]*$/.test(name)) {
+            throw new Error(`Layer name must be a plain identifier, got "${name}"`);
+        }
+        if (Object.hasOwn(SigilGenerator.LAYER_TYPES, name) || SigilGenerator.TRACE_LAYERS.includes(name) || name === 'layers') {
+            throw new Error(`Layer "${name}" is already registered`);
+        }
+        const { build, draw } = definition ?? {};
+        if (typeof build !== 'function' || typeof draw !== 'function') {
+            throw new Error(`Layer "${name}" needs build() and draw() functions`);
+        }
+        SigilGenerator.LAYER_TYPES[name] = { label: name, weight: 1, validate: null, ...definition };
+        SigilGenerator.LAYERS.push(name);
+    }
+
+    /** The registered definition of a layer. */
+    static layerType(name) {
+        if (!Object.hasOwn(SigilGenerator.LAYER_TYPES, name)) throw new Error(`Unknown layer "${name}"`);
+        return SigilGenerator.LAYER_TYPES[name];
+    }
+
+    /**
+     * @param canvas  the on-screen canvas; omit it to run headlessly and
+     *                draw only through render()
+     */
+    constructor(canvas = null) {
         this.canvas = canvas;
-        this.ctx    = canvas.getContext('2d');
 
         this.shape      = 'circle';
+        this.shapeOptions = { ...SigilGenerator.DEFAULT_SHAPE_OPTIONS }; // see _shapeDefinition()
         this.bgColor    = '#000000';
         this.sigilColor = '#ff0000';
+        this.layerColors = {};         // { [layer]: '#rrggbb' }; other layers use sigilColor
+        this.outlineGradient = null;   // { type: 'linear'|'radial', colors: [from, to], angle } or null
+        this.background = { type: 'solid' }; // see setBackground()
+        this.drawStyle  = { ...SigilGenerator.DEFAULT_DRAW_STYLE };
+        this.strokes    = SigilGenerator._validateStrokes(null); // a copy of DEFAULT_STROKES
         this.complexity  = 3;          // 1-5 scale
+        this.seed        = null;       // seed of the current sigil (string)
+        this.intent      = null;       // statement of intent, when built from text
+        this.intentOptions = { stripVowels: true, stripRepeats: true };
+        this.trace       = null;       // { method: 'kamea'|'wheel', planet, name, guide } or null
+        this.symmetry    = { mode: 'none', folds: null }; // folds: null = from the outer shape
+        this.border      = { ...SigilGenerator.DEFAULT_BORDER }; // see _borderLayout()
+        this.inscription = null;       // text around the perimeter (see setInscription())
+
+        // Per-layer steering: { [layer]: { mode: 'auto'|'on'|'off', weight } }
+        // (see layerOption()); locked layers keep their parameters on generate
+        this.layerOptions = {};
+        this.lockedLayers = new Set();
+        this.qualityCheck = false;     // rebuild sigils whose elements overlap too much
+
+        // While building: anchors of the layers built so far (see _keepsDistance)
+        this._obstacles = [];
+        // Rebuilding a link from before version 3 (see _legacyNormalizedToCanvas)
+        this._legacyPlacement = false;
 
         // Randomised state stored so we can redraw / export identically
+        this._rng           = Math.random; // replaced by a seeded PRNG in generate()
         this.dotPosition    = null;   // kept for backward compat (single dot)
         this._layerState    = null;   // full randomised layer data
         this._randomVertices = null;  // stored vertices for 'random' shape
@@ -54,13 +427,89 @@ class SigilGenerator {
        Public API
     ==================================================== */
 
-    generate() {
-        // If shape is 'random', generate new random vertices each time
-        if (this.shape === 'random') {
-            this._randomVertices = this._generateRandomPolygon();
+    /**
+     * Build a new sigil. Pass a seed to rebuild a specific sigil; without one
+     * a fresh random seed is picked and stored in `this.seed`.
+     */
+    generate(seed) {
+        this._buildFromSeed(SigilGenerator.normalizeSeed(seed) ?? SigilGenerator.randomSeed());
+        if (this.canvas) this._animateGlow();
+    }
+
+    /**
+     * Build a sigil from a statement of intent. The phrase is reduced with
+     * reduceIntent() and the remaining letters drive the geometry, so the
+     * same phrase (and options) always gives the same sigil.
+     * Throws if no letters survive the reduction.
+     */
+    generateFromIntent(text, options = this.intentOptions) {
+        this._rebuild(null, { ...this.intentOptions, ...options, text });
+        if (this.canvas) this._animateGlow();
+    }
+
+    /** The reduced letter string of the current intent, or null. */
+    get reducedIntent() {
+        return this.intent === null ? null : SigilGenerator.reduceIntent(this.intent, this.intentOptions);
+    }
+
+    /** True once a sigil has been generated or loaded. */
+    get hasSigil() {
+        return this._layerState !== null;
+    }
+
+    /** Names of the layers in the current sigil, in drawing order. */
+    get activeLayers() {
+        return this._layerState ? [...this._layerState.layers] : [];
+    }
+
+    /** The mode and weight used for a layer, with defaults filled in. */
+    layerOption(name) {
+        return {
+            mode: 'auto',
+            weight: SigilGenerator.layerType(name).weight,
+            ...this.layerOptions[name]
+        };
+    }
+
+    /**
+     * Steer a layer in future generations: mode 'on' always includes it,
+     * 'off' never does and 'auto' leaves it to the weighted random pick.
+     */
+    setLayerOption(name, { mode, weight } = {}) {
+        if (!SigilGenerator.LAYERS.includes(name)) throw new Error(`Unknown layer "${name}"`);
+        const opt = this.layerOption(name);
+        if (mode !== undefined) {
+            if (!['auto', 'on', 'off'].includes(mode)) throw new Error(`Unknown layer mode "${mode}"`);
+            opt.mode = mode;
+        }
+        if (weight !== undefined) {
+            opt.weight = Math.max(0, Math.min(SigilGenerator.MAX_LAYER_WEIGHT, Math.round(weight)));
         }
-        this._layerState = this._buildLayerState();
-        this._animateGlow();
+        this.layerOptions[name] = opt;
+    }
+
+    /** Lock or unlock a layer: a locked layer keeps its current parameters on generate. */
+    setLayerLocked(name, locked) {
+        if (locked) this.lockedLayers.add(name);
+        else this.lockedLayers.delete(name);
+    }
+
+    /**
+     * Regenerate one layer's parameters and leave the rest of the sigil as
+     * it is. Returns false when the layer is not part of the current sigil,
+     * or has no room in the shape (it then keeps its parameters).
+     */
+    rerollLayer(name) {
+        const ls = this._layerState;
+        if (!ls || !ls.layers.includes(name) || !SigilGenerator.LAYERS.includes(name)) return false;
+        this._rng = SigilGenerator.createRandom(SigilGenerator.randomSeed());
+        this._obstacles = ls.layers.filter(l => l !== name && l !== 'trace').flatMap(l => this._anchors(l, ls[l], 1000));
+        const data = this._buildLayer(name);
+        this._obstacles = [];
+        if (data === null) return false;
+        ls[name] = data;
+        if (this.canvas) this._draw();
+        return true;
     }
 
     redraw() {
@@ -69,486 +518,2256 @@ class SigilGenerator {
     }
 
     drawEmpty() {
-        const ctx = this.ctx, size = this.canvas.width;
-        ctx.fillStyle = this.bgColor;
-        ctx.fillRect(0, 0, size, size);
-    }
-
-    exportPNG(transparent = false) {
-        if (!transparent) return this.canvas.toDataURL('image/png');
-        const tmp = document.createElement('canvas');
-        tmp.width = this.canvas.width;
-        tmp.height = this.canvas.height;
-        const saved = this.canvas;
-        this.canvas = tmp;
-        this.ctx = tmp.getContext('2d');
-        this._draw(true);
-        const url = tmp.toDataURL('image/png');
-        this.canvas = saved;
-        this.ctx = saved.getContext('2d');
-        return url;
-    }
-
-    exportSVG(transparent = false) {
-        // For SVG we re-render to a hidden canvas and trace — keeps parity simple.
-        // (A full SVG rebuild of every random layer is possible but overkill for now.)
-        const size = this.canvas.width;
-        const strokeW = size * SigilGenerator.STROKE_RATIO;
-        const dotR = size * SigilGenerator.DOT_RATIO;
-        const cx = size / 2, cy = size / 2;
+        this._whenBackgroundLoaded(() => this.drawEmpty());
+        const renderer = new CanvasRenderer(this.canvas);
+        this._renderBackground(renderer, renderer.size);
+        renderer.end();
+    }
+
+    exportPNG() {
+        if (this.canvas) return this.canvas.toDataURL('image/png');
+        const tmp = SigilGenerator._createCanvas(this._outputSize());
+        this.render(new CanvasRenderer(tmp));
+        return tmp.toDataURL('image/png');
+    }
+
+    /** A small PNG data URL of the current sigil, for history and library views. */
+    thumbnail(size = 96) {
+        const tmp = SigilGenerator._createCanvas(size);
+        this.render(new CanvasRenderer(tmp));
+        return tmp.toDataURL('image/png');
+    }
+
+    /**
+     * Export the sigil as a fully vector SVG: every inner layer is rebuilt
+     * from `_layerState` as SVG elements, clipped to the outer shape.
+     */
+    exportSVG() {
+        return this.render(new SVGRenderer(this._outputSize()));
+    }
+
+    /**
+     * Record the drawing as a list of shapes and styles (see
+     * RecordingRenderer) — no canvas or DOM needed.
+     */
+    recordPaths(size = this._outputSize()) {
+        return this.render(new RecordingRenderer(size));
+    }
+
+    /**
+     * Draw the sigil through any renderer and return its result (the
+     * canvas, an SVG string, a path list, …). Sizes come from the renderer,
+     * so the same sigil can be drawn at any resolution.
+     */
+    render(renderer) {
+        const size = renderer.size;
+        this._renderBackground(renderer, size);
+
+        // Everything over the background takes the draw style
+        const d = this.drawStyle;
+        const r = d.wobble || d.brush || d.bleed ? new InkRenderer(renderer, d) : renderer;
+
+        // Inner layers (drawn BEFORE outer shape so shape sits on top),
+        // clipped to the shape so inner elements never escape; inside a
+        // compound border they are scaled down to its innermost part
+        const layout = this._borderLayout();
+        if (this._layerState) {
+            const inner = layout.inner < 1 ? new ScaledRenderer(r, layout.inner, size / 2, size / 2) : r;
+            inner.pushClip(this._shapeOutline(size));
+            this._renderInnerLayers(inner, size);
+            inner.popClip();
+        }
+
+        // Outer shape and the rest of the border, then the inscription
+        this._renderBorder(r, size, layout);
+        if (this.inscription && this.inscription.text) this._renderInscription(r, size);
+        return renderer.end();
+    }
+
+    _outputSize() {
+        return this.canvas ? this.canvas.width : SigilGenerator.DEFAULT_SIZE;
+    }
+
+    /** A blank canvas for off-screen rendering (DOM or OffscreenCanvas). */
+    static _createCanvas(size) {
+        if (typeof document !== 'undefined') {
+            const c = document.createElement('canvas');
+            c.width = size;
+            c.height = size;
+            return c;
+        }
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(size, size);
+        throw new Error('No canvas available here; draw with render() and a renderer instead');
+    }
+
+    /* ====================================================
+       Serialisation — versioned JSON documents
+    ==================================================== */
+
+    /**
+     * Snapshot everything needed to redraw the current sigil.
+     * Also lets `JSON.stringify(sigil)` produce a saveable document.
+     */
+    toJSON() {
+        return {
+            format: 'sigil',
+            version: SigilGenerator.FORMAT_VERSION,
+            shape: this.shape,
+            shapeOptions: this.shapeOptions,
+            bgColor: this.bgColor,
+            sigilColor: this.sigilColor,
+            layerColors: this.layerColors,
+            outlineGradient: this.outlineGradient,
+            background: this.background,
+            drawStyle: this.drawStyle,
+            strokes: this.strokes,
+            complexity: this.complexity,
+            seed: this.seed,
+            intent: this.intent === null ? null : { text: this.intent, ...this.intentOptions },
+            trace: this.trace,
+            symmetry: this.symmetry,
+            border: this.border,
+            inscription: this.inscription,
+            randomVertices: this.shape === 'random' ? this._randomVertices : null,
+            layerState: this._layerState
+        };
+    }
+
+    /**
+     * Restore a sigil from a document produced by toJSON() (object or JSON
+     * string). The document is fully validated before anything is applied,
+     * so a bad file leaves the current sigil untouched. Throws an Error
+     * describing the first problem found.
+     */
+    fromJSON(data) {
+        const doc = SigilGenerator.validateJSON(data);
+        this.shape           = doc.shape;
+        this.shapeOptions    = doc.shapeOptions;
+        this.bgColor         = doc.bgColor;
+        this.sigilColor      = doc.sigilColor;
+        this.layerColors     = doc.layerColors;
+        this.outlineGradient = doc.outlineGradient;
+        this.background      = doc.background;
+        this.drawStyle       = doc.drawStyle;
+        this.strokes         = doc.strokes;
+        this.complexity      = doc.complexity;
+        this.seed            = doc.seed;
+        this.intent          = doc.intent ? doc.intent.text : null;
+        if (doc.intent) {
+            this.intentOptions = { stripVowels: doc.intent.stripVowels, stripRepeats: doc.intent.stripRepeats };
+        }
+        this.trace           = doc.trace;
+        this.symmetry        = doc.symmetry;
+        this.border          = doc.border;
+        this.inscription     = doc.inscription;
+        this._randomVertices = doc.randomVertices;
+        this._layerState     = doc.layerState;
+        return this;
+    }
+
+    /**
+     * Check a sigil document and return a clean deep copy of it.
+     */
+    static validateJSON(data) {
+        const fail = (msg) => { throw new Error(`Invalid sigil document: ${msg}`); };
+
+        let doc = data;
+        if (typeof data === 'string') {
+            try { doc = JSON.parse(data); } catch (e) { fail('not valid JSON'); }
+        }
+        if (!SigilGenerator._isObject(doc)) fail('expected a JSON object');
+        if (doc.format !== 'sigil') fail('missing "format": "sigil"');
+        if (!Number.isInteger(doc.version)) fail('missing version number');
+        if (doc.version > SigilGenerator.FORMAT_VERSION) {
+            fail(`version ${doc.version} is newer than this generator supports (${SigilGenerator.FORMAT_VERSION})`);
+        }
+        if (doc.version < 1) fail(`unknown version ${doc.version}`);
+
+        if (!SigilGenerator.OUTER_SHAPES.includes(doc.shape)) fail(`unknown shape "${doc.shape}"`);
+        const shapeOptions = SigilGenerator._validateShapeOptions(doc.shapeOptions, doc.shape, fail);
+        for (const key of ['bgColor', 'sigilColor']) {
+            if (!SigilGenerator._isColor(doc[key])) fail(`${key} must be a #rrggbb colour`);
+        }
+        const layerColors = SigilGenerator._validateLayerColors(doc.layerColors, fail);
+        const outlineGradient = SigilGenerator._validateGradient(doc.outlineGradient, fail);
+        const background = SigilGenerator._validateBackground(doc.background, fail);
+        const drawStyle = SigilGenerator._validateDrawStyle(doc.drawStyle, fail);
+        const strokes = SigilGenerator._validateStrokes(doc.strokes, fail);
+        if (!Number.isInteger(doc.complexity) || doc.complexity < 1 || doc.complexity > 5) {
+            fail('complexity must be an integer from 1 to 5');
+        }
+        if (doc.seed !== null && doc.seed !== undefined && typeof doc.seed !== 'string') fail('seed must be a string or null');
+
+        let intent = null;
+        if (doc.intent !== null && doc.intent !== undefined) {
+            const it = doc.intent;
+            if (!SigilGenerator._isObject(it) || typeof it.text !== 'string' ||
+                typeof it.stripVowels !== 'boolean' || typeof it.stripRepeats !== 'boolean') {
+                fail('intent must be { text, stripVowels, stripRepeats }');
+            }
+            intent = { text: it.text, stripVowels: it.stripVowels, stripRepeats: it.stripRepeats };
+        }
+
+        const trace = SigilGenerator._validateTraceOptions(doc.trace, fail);
+        const symmetry = SigilGenerator._validateSymmetry(doc.symmetry, fail);
+        const border = SigilGenerator._validateBorder(doc.border, fail);
+        const inscription = SigilGenerator._validateInscription(doc.inscription, fail);
+        const layerState = SigilGenerator._validateLayerState(doc.layerState, fail);
+
+        let randomVertices = null;
+        if (doc.shape === 'random') {
+            const rv = doc.randomVertices;
+            if (!Array.isArray(rv) || rv.length < 3) fail('randomVertices must list at least 3 vertices for the random shape');
+            rv.forEach((v, i) => {
+                if (!SigilGenerator._isObject(v) || !SigilGenerator._isNum(v.angle) || !SigilGenerator._isNum(v.radius) || v.radius <= 0) {
+                    fail(`randomVertices[${i}] must be { angle, radius } with a positive radius`);
+                }
+            });
+            randomVertices = rv.map(v => ({ angle: v.angle, radius: v.radius }));
+        }
+
+        return {
+            shape: doc.shape,
+            shapeOptions,
+            bgColor: doc.bgColor,
+            sigilColor: doc.sigilColor,
+            layerColors,
+            outlineGradient,
+            background,
+            drawStyle,
+            strokes,
+            complexity: doc.complexity,
+            seed: doc.seed ?? null,
+            intent,
+            trace,
+            symmetry,
+            border,
+            inscription,
+            randomVertices,
+            layerState: doc.version < 2
+                ? SigilGenerator._upgradeLayerState(layerState, doc.shape, randomVertices)
+                : layerState
+        };
+    }
+
+    /** Move the points of a version 1 layer state onto the current mapping. */
+    static _upgradeLayerState(layerState, shape, randomVertices) {
+        const g = new SigilGenerator(null);
+        g.shape = shape;
+        g._randomVertices = randomVertices;
+        return g._upgradePoints(layerState);
+    }
+
+    /**
+     * Shape options (see DEFAULT_SHAPE_OPTIONS); documents from before
+     * parametric shapes have none. The custom shape needs its vertices.
+     */
+    static _validateShapeOptions(o, shape, fail) {
+        const defaults = SigilGenerator.DEFAULT_SHAPE_OPTIONS;
+        if (o === null || o === undefined) {
+            if (shape === 'custom') fail('shapeOptions.vertices must list the custom shape\'s vertices');
+            return { ...defaults };
+        }
+        if (!SigilGenerator._isObject(o)) fail('shapeOptions must be an object');
+        const max = SigilGenerator.MAX_SIDES;
+        const count = (key) => {
+            const v = o[key] ?? defaults[key];
+            if (!Number.isInteger(v) || v < 3 || v > max) fail(`shapeOptions.${key} must be a whole number from 3 to ${max}`);
+            return v;
+        };
+        const sides = count('sides');
+        const points = count('points');
+        const innerRatio = o.innerRatio ?? defaults.innerRatio;
+        if (!SigilGenerator._isNum(innerRatio) || innerRatio <= 0 || innerRatio >= 1) fail('shapeOptions.innerRatio must be between 0 and 1');
+        const skip = o.skip ?? defaults.skip;
+        if (!Number.isInteger(skip) || skip < 1 || skip * 2 >= points) fail('shapeOptions.skip must be a whole number from 1 to under half the points');
+        const rotation = o.rotation ?? defaults.rotation;
+        if (!SigilGenerator._isNum(rotation) || Math.abs(rotation) > 360) fail('shapeOptions.rotation must be a number of degrees from -360 to 360');
+
+        let vertices = null;
+        if (o.vertices !== null && o.vertices !== undefined) {
+            const most = SigilGenerator.MAX_VERTICES;
+            if (!Array.isArray(o.vertices) || o.vertices.length < 3 || o.vertices.length > most) {
+                fail(`shapeOptions.vertices must list 3 to ${most} vertices`);
+            }
+            vertices = o.vertices.map((v, i) => {
+                if (!SigilGenerator._isObject(v) || !SigilGenerator._isNum(v.x) || !SigilGenerator._isNum(v.y) ||
+                    Math.abs(v.x) > 1 || Math.abs(v.y) > 1) {
+                    fail(`shapeOptions.vertices[${i}] must be { x, y } from -1 to 1`);
+                }
+                return { x: v.x, y: v.y };
+            });
+        } else if (shape === 'custom') {
+            fail('shapeOptions.vertices must list the custom shape\'s vertices');
+        }
+        return { sides, points, innerRatio, skip, rotation, vertices };
+    }
+
+    /** Symmetry ({ mode, folds }); documents from before symmetry have none. */
+    static _validateSymmetry(s, fail) {
+        if (s === null || s === undefined) return { mode: 'none', folds: null };
+        if (!SigilGenerator._isObject(s) || !SigilGenerator.SYMMETRY_MODES.includes(s.mode)) {
+            fail(`symmetry.mode must be one of ${SigilGenerator.SYMMETRY_MODES.join(', ')}`);
+        }
+        const max = SigilGenerator.MAX_SYMMETRY_FOLDS;
+        if (s.folds !== null && s.folds !== undefined && !(Number.isInteger(s.folds) && s.folds >= 2 && s.folds <= max)) {
+            fail(`symmetry.folds must be null or a whole number from 2 to ${max}`);
+        }
+        return { mode: s.mode, folds: s.folds ?? null };
+    }
+
+    /** Border options (see DEFAULT_BORDER); documents from before borders have a single outline. */
+    static _validateBorder(b, fail) {
+        const defaults = SigilGenerator.DEFAULT_BORDER;
+        if (b === null || b === undefined) return { ...defaults };
+        if (!SigilGenerator._isObject(b)) fail('border must be an object');
+        const lines = b.lines ?? defaults.lines;
+        const maxLines = SigilGenerator.MAX_BORDER_LINES;
+        if (!Number.isInteger(lines) || lines < 1 || lines > maxLines) fail(`border.lines must be a whole number from 1 to ${maxLines}`);
+        const gap = b.gap ?? defaults.gap;
+        const { MIN_BORDER_GAP: minGap, MAX_BORDER_GAP: maxGap } = SigilGenerator;
+        if (!SigilGenerator._isNum(gap) || gap < minGap || gap > maxGap) fail(`border.gap must be a number from ${minGap} to ${maxGap}`);
+        const marks = b.marks ?? defaults.marks;
+        if (!SigilGenerator.BORDER_MARKS.includes(marks)) fail(`border.marks must be one of ${SigilGenerator.BORDER_MARKS.join(', ')}`);
+        const markCount = b.markCount ?? defaults.markCount;
+        const { MIN_BORDER_MARKS: minMarks, MAX_BORDER_MARKS: maxMarks } = SigilGenerator;
+        if (!Number.isInteger(markCount) || markCount < minMarks || markCount > maxMarks) {
+            fail(`border.markCount must be a whole number from ${minMarks} to ${maxMarks}`);
+        }
+        for (const key of ['band', 'dots']) {
+            if (b[key] !== undefined && typeof b[key] !== 'boolean') fail(`border.${key} must be true or false`);
+        }
+        return { lines, gap, band: b.band ?? defaults.band, marks, markCount, dots: b.dots ?? defaults.dots };
+    }
+
+    /** Inscription options (see DEFAULT_INSCRIPTION) or null; missing fields take the defaults. */
+    static _validateInscription(ins, fail) {
+        if (ins === null || ins === undefined) return null;
+        if (!SigilGenerator._isObject(ins)) fail('inscription must be an object or null');
+        const o = { ...SigilGenerator.DEFAULT_INSCRIPTION, ...Object.fromEntries(Object.entries(ins).filter(([, v]) => v !== undefined)) };
+        const isNum = SigilGenerator._isNum;
+        const maxLength = SigilGenerator.MAX_INSCRIPTION_LENGTH;
+        if (typeof o.text !== 'string' || o.text.length > maxLength) fail(`inscription.text must be a string of at most ${maxLength} characters`);
+        if (typeof o.font !== 'string' || !o.font.trim() || o.font.length > 100 || /[<>;{}]/.test(o.font)) {
+            fail('inscription.font must be a CSS font family, e.g. "Cinzel, serif"');
+        }
+        if (!isNum(o.size) || o.size < 0.01 || o.size > 0.1) fail('inscription.size must be a number from 0.01 to 0.1');
+        if (!isNum(o.spacing) || o.spacing < -0.2 || o.spacing > 1) fail('inscription.spacing must be a number from -0.2 to 1');
+        if (o.offset !== null && (!isNum(o.offset) || o.offset < -0.5 || o.offset > 0.4)) {
+            fail('inscription.offset must be null or a number from -0.5 to 0.4');
+        }
+        if (!SigilGenerator.INSCRIPTION_ALPHABETS.includes(o.alphabet)) {
+            fail(`inscription.alphabet must be one of ${SigilGenerator.INSCRIPTION_ALPHABETS.join(', ')}`);
+        }
+        let widths = null;
+        if (o.widths !== null) {
+            if (!SigilGenerator._isObject(o.widths) || Object.keys(o.widths).length > maxLength) fail('inscription.widths must be null or an object');
+            for (const [ch, w] of Object.entries(o.widths)) {
+                if ([...ch].length !== 1 || !isNum(w) || w < 0 || w > 3) fail('inscription.widths must map single letters to numbers from 0 to 3');
+            }
+            widths = { ...o.widths };
+        }
+        return { text: o.text, font: o.font.trim(), size: o.size, spacing: o.spacing, offset: o.offset, alphabet: o.alphabet, widths };
+    }
+
+    /** Colours per layer ({ [layer]: '#rrggbb' }); documents from before them have none. */
+    static _validateLayerColors(c, fail) {
+        if (c === null || c === undefined) return {};
+        if (!SigilGenerator._isObject(c)) fail('layerColors must be an object');
+        const known = [...SigilGenerator.LAYERS, ...SigilGenerator.TRACE_LAYERS];
+        const out = {};
+        for (const [name, color] of Object.entries(c)) {
+            if (!known.includes(name)) fail(`layerColors has an unknown layer "${name}"`);
+            if (!SigilGenerator._isColor(color)) fail(`layerColors.${name} must be a #rrggbb colour`);
+            out[name] = color;
+        }
+        return out;
+    }
+
+    /** The outline's gradient ({ type, colors: [from, to], angle }) or null for a plain colour. */
+    static _validateGradient(g, fail) {
+        if (g === null || g === undefined) return null;
+        if (!SigilGenerator._isObject(g)) fail('outlineGradient must be an object or null');
+        if (!SigilGenerator.GRADIENT_TYPES.includes(g.type)) fail(`outlineGradient.type must be one of ${SigilGenerator.GRADIENT_TYPES.join(', ')}`);
+        if (!Array.isArray(g.colors) || g.colors.length !== 2 || !g.colors.every(SigilGenerator._isColor)) {
+            fail('outlineGradient.colors must be two #rrggbb colours');
+        }
+        const angle = g.angle ?? 0;
+        if (!SigilGenerator._isNum(angle) || Math.abs(angle) > 360) fail('outlineGradient.angle must be a number of degrees from -360 to 360');
+        return { type: g.type, colors: g.colors.slice(), angle };
+    }
+
+    /**
+     * A background (see BACKGROUND_TYPES); documents from before background
+     * styles have a solid one. Missing settings take BACKGROUND_DEFAULTS.
+     */
+    static _validateBackground(b, fail) {
+        if (b === null || b === undefined) return { type: 'solid' };
+        if (!SigilGenerator._isObject(b)) fail('background must be an object');
+        if (!SigilGenerator.BACKGROUND_TYPES.includes(b.type)) fail(`background.type must be one of ${SigilGenerator.BACKGROUND_TYPES.join(', ')}`);
+        const o = { ...SigilGenerator.BACKGROUND_DEFAULTS[b.type], ...Object.fromEntries(Object.entries(b).filter(([, v]) => v !== undefined)) };
+        const isNum = SigilGenerator._isNum;
+        const share = (key) => {
+            if (!isNum(o[key]) || o[key] < 0 || o[key] > 1) fail(`background.${key} must be a number from 0 to 1`);
+            return o[key];
+        };
+        switch (o.type) {
+        case 'gradient': {
+            const g = SigilGenerator._validateGradient({ type: o.kind, colors: o.colors, angle: o.angle }, (msg) => {
+                fail(msg.replace(/^outlineGradient\.type/, 'background.kind').replace(/^outlineGradient/, 'background'));
+            });
+            return { type: 'gradient', kind: g.type, colors: g.colors, angle: g.angle };
+        }
+        case 'parchment':
+        case 'noise':
+            if (!Number.isInteger(o.seed) || o.seed < 0) fail('background.seed must be a whole number of at least 0');
+            return { type: o.type, seed: o.seed, strength: share('strength') };
+        case 'image': {
+            if (typeof o.src !== 'string' || !/^data:image\/(png|jpeg|gif|webp);base64,/.test(o.src)) {
+                fail('background.src must be a PNG, JPEG, GIF or WebP data URL');
+            }
+            if (o.src.length > SigilGenerator.MAX_IMAGE_URL) fail('background.src is too large');
+            for (const key of ['width', 'height']) {
+                if (!Number.isInteger(o[key]) || o[key] < 1) fail(`background.${key} must be the image's ${key} in pixels`);
+            }
+            if (!SigilGenerator.IMAGE_FITS.includes(o.fit)) fail(`background.fit must be one of ${SigilGenerator.IMAGE_FITS.join(', ')}`);
+            if (!isNum(o.scale) || o.scale < 0.1 || o.scale > 4) fail('background.scale must be a number from 0.1 to 4');
+            return { type: 'image', src: o.src, width: o.width, height: o.height, fit: o.fit, scale: o.scale, opacity: share('opacity') };
+        }
+        default:
+            return { type: o.type };
+        }
+    }
+
+    /** The draw style (see DEFAULT_DRAW_STYLE); documents from before draw styles have exact lines. */
+    static _validateDrawStyle(d, fail) {
+        const defaults = SigilGenerator.DEFAULT_DRAW_STYLE;
+        if (d === null || d === undefined) return { ...defaults };
+        if (!SigilGenerator._isObject(d)) fail('drawStyle must be an object');
+        const o = { ...defaults, ...Object.fromEntries(Object.entries(d).filter(([, v]) => v !== undefined)) };
+        for (const key of ['wobble', 'brush', 'bleed']) {
+            if (!SigilGenerator._isNum(o[key]) || o[key] < 0 || o[key] > 1) fail(`drawStyle.${key} must be a number from 0 to 1`);
+        }
+        if (!SigilGenerator._isNum(o.nib) || Math.abs(o.nib) > 90) fail('drawStyle.nib must be a number of degrees from -90 to 90');
+        return { wobble: o.wobble, brush: o.brush, bleed: o.bleed, nib: o.nib };
+    }
+
+    /** Line weights and patterns (see DEFAULT_STROKES); documents from before them have the defaults. */
+    static _validateStrokes(s, fail) {
+        const defaults = SigilGenerator.DEFAULT_STROKES;
+        if (s === null || s === undefined) s = {};
+        if (!SigilGenerator._isObject(s)) fail('strokes must be an object');
+        const o = { ...defaults, ...Object.fromEntries(Object.entries(s).filter(([, v]) => v !== undefined)) };
+        const isNum = SigilGenerator._isNum;
+        const { MIN_STROKE: minOuter, MAX_STROKE: maxOuter, MIN_INNER_STROKE: minInner, MAX_INNER_STROKE: maxInner } = SigilGenerator;
+        if (!isNum(o.outer) || o.outer < minOuter || o.outer > maxOuter) fail(`strokes.outer must be a number from ${minOuter} to ${maxOuter}`);
+        if (!isNum(o.inner) || o.inner < minInner || o.inner > maxInner) fail(`strokes.inner must be a number from ${minInner} to ${maxInner}`);
+        const { MIN_DOT_SIZE: minDot, MAX_DOT_SIZE: maxDot } = SigilGenerator;
+        for (const key of ['dotSize', 'nodeSize']) {
+            const range = o[key];
+            if (!Array.isArray(range) || range.length !== 2 || !range.every(v => isNum(v) && v >= minDot && v <= maxDot) || range[0] > range[1]) {
+                fail(`strokes.${key} must be [min, max] with numbers from ${minDot} to ${maxDot}`);
+            }
+        }
+        if (!SigilGenerator.LINE_CAPS.includes(o.cap)) fail(`strokes.cap must be one of ${SigilGenerator.LINE_CAPS.join(', ')}`);
+        if (!SigilGenerator.LINE_JOINS.includes(o.join)) fail(`strokes.join must be one of ${SigilGenerator.LINE_JOINS.join(', ')}`);
+        if (!SigilGenerator._isObject(o.dashes)) fail('strokes.dashes must be an object');
+        const known = [...SigilGenerator.LAYERS, ...SigilGenerator.TRACE_LAYERS];
+        const dashes = {};
+        for (const [name, pattern] of Object.entries(o.dashes)) {
+            if (!known.includes(name)) fail(`strokes.dashes has an unknown layer "${name}"`);
+            if (pattern === 'solid') continue;
+            if (!SigilGenerator.DASH_PATTERNS.includes(pattern)) fail(`strokes.dashes.${name} must be solid, ${SigilGenerator.DASH_PATTERNS.join(' or ')}`);
+            dashes[name] = pattern;
+        }
+        return {
+            outer: o.outer,
+            inner: o.inner,
+            dotSize: o.dotSize.slice(),
+            nodeSize: o.nodeSize.slice(),
+            cap: o.cap,
+            join: o.join,
+            dashes
+        };
+    }
+
+    /** Tracing options ({ method, planet, name, guide }) or null. */
+    static _validateTraceOptions(t, fail) {
+        if (t === null || t === undefined) return null;
+        if (!SigilGenerator._isObject(t)) fail('trace must be an object or null');
+        if (t.method !== 'kamea' && t.method !== 'wheel') fail('trace.method must be "kamea" or "wheel"');
+        if (t.method === 'kamea' && !Object.hasOwn(SigilGenerator.KAMEAS, t.planet)) fail(`unknown trace.planet "${t.planet}"`);
+        if (typeof t.name !== 'string') fail('trace.name must be a string');
+        return { method: t.method, planet: t.method === 'kamea' ? t.planet : null, name: t.name, guide: !!t.guide };
+    }
+
+    static _isColor(v) {
+        return typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+    }
+
+    static _isNum(v) {
+        return typeof v === 'number' && Number.isFinite(v);
+    }
+
+    static _isObject(v) {
+        return v !== null && typeof v === 'object' && !Array.isArray(v);
+    }
+
+    /**
+     * Validate `_layerState` data layer by layer. Unknown layers, data for
+     * layers that are not listed, and malformed parameters are all rejected.
+     */
+    static _validateLayerState(ls, fail) {
+        const isObject = SigilGenerator._isObject;
+        if (!isObject(ls)) fail('layerState must be an object');
+        if (!Array.isArray(ls.layers) || ls.layers.length === 0) fail('layerState.layers must be a non-empty array');
+        const known = [...SigilGenerator.LAYERS, ...SigilGenerator.TRACE_LAYERS];
+
+        for (const key of Object.keys(ls)) {
+            if (key !== 'layers' && !known.includes(key)) fail(`unknown layer "${key}"`);
+        }
+
+        const out = { layers: [] };
+        for (const name of ls.layers) {
+            if (!known.includes(name)) fail(`unknown layer "${name}" in layerState.layers`);
+            if (out.layers.includes(name)) fail(`layer "${name}" is listed twice`);
+            out.layers.push(name);
+        }
+        for (const key of Object.keys(ls)) {
+            if (key !== 'layers' && !out.layers.includes(key)) fail(`data for layer "${key}" which is not in layerState.layers`);
+        }
+
+        for (const name of out.layers) {
+            const d = ls[name];
+            if (!isObject(d)) fail(`layerState.${name} is missing`);
+            if (name === 'trace') {
+                out[name] = SigilGenerator._validateTraceState(d, SigilGenerator._layerChecks(name, fail));
+                continue;
+            }
+            const { validate } = SigilGenerator.layerType(name);
+            // Layers without a validator keep a plain copy of their data
+            out[name] = validate ? validate(d, SigilGenerator._layerChecks(name, fail)) : JSON.parse(JSON.stringify(d));
+        }
+        return out;
+    }
+
+    /**
+     * Validation helpers for one layer's stored parameters. Each failure
+     * names the offending field, e.g. "layerState.scatterDots.dots[2] …".
+     */
+    static _layerChecks(name, fail) {
+        const isNum = SigilGenerator._isNum, isObject = SigilGenerator._isObject;
+        const check = {
+            isNum,
+            isObject,
+            fail: (field, msg) => fail(`layerState.${name}.${field} ${msg}`),
+            numbers: (field, arr, min = 1) => {
+                if (!Array.isArray(arr) || arr.length < min || !arr.every(isNum)) check.fail(field, `must be an array of at least ${min} number(s)`);
+                return arr.slice();
+            },
+            points: (field, arr) => {
+                if (!Array.isArray(arr) || arr.length === 0) check.fail(field, 'must be a non-empty array');
+                return arr.map((p, i) => {
+                    if (!isObject(p) || !isNum(p.nx) || !isNum(p.ny)) check.fail(`${field}[${i}]`, 'must be { nx, ny }');
+                    return { nx: p.nx, ny: p.ny };
+                });
+            },
+            list: (field, arr, each) => {
+                if (!Array.isArray(arr) || arr.length === 0) check.fail(field, 'must be a non-empty array');
+                return arr.map(each);
+            },
+            style: (v) => {
+                if (v !== 0 && v !== 1 && v !== 2) check.fail('style', 'must be 0, 1 or 2');
+                return v;
+            },
+            positive: (field, v) => {
+                if (!isNum(v) || v <= 0) check.fail(field, 'must be a positive number');
+                return v;
+            }
+        };
+        return check;
+    }
+
+    /** Check the stored trace layer (kamea or wheel cells of a name). */
+    static _validateTraceState(d, check) {
+        if (d.method !== 'kamea' && d.method !== 'wheel') check.fail('method', 'must be "kamea" or "wheel"');
+        let cellCount = 26;
+        if (d.method === 'kamea') {
+            if (!Object.hasOwn(SigilGenerator.KAMEAS, d.planet)) check.fail('planet', `must be one of ${Object.keys(SigilGenerator.KAMEAS).join(', ')}`);
+            cellCount = SigilGenerator.KAMEAS[d.planet].length ** 2;
+        }
+        if (typeof d.text !== 'string') check.fail('text', 'must be a string');
+        if (!Array.isArray(d.cells) || d.cells.length === 0 ||
+            !d.cells.every(c => Number.isInteger(c) && c >= 0 && c < cellCount)) {
+            check.fail('cells', `must be a non-empty array of cell indices below ${cellCount}`);
+        }
+        if (typeof d.guide !== 'boolean') check.fail('guide', 'must be true or false');
+        return {
+            method: d.method,
+            planet: d.method === 'kamea' ? d.planet : null,
+            text: d.text,
+            cells: d.cells.slice(),
+            guide: d.guide
+        };
+    }
+
+    /* ====================================================
+       Permalinks — compact URL-hash encoding
+    ==================================================== */
+
+    /**
+     * Encode the sigil as a URL hash (without the leading '#').
+     * When the seed alone rebuilds the current layers from the built-in
+     * layer types, only the seed is stored; otherwise (layer options,
+     * edits, a registered layer in the pick) the layer state is embedded.
+     */
+    toPermalink() {
+        const params = new URLSearchParams();
+        params.set('v', String(SigilGenerator.LINK_VERSION));
+        params.set('shape', this.shape);
+        this._shapeParams(params);
+        params.set('bg', this.bgColor.replace('#', ''));
+        params.set('fg', this.sigilColor.replace('#', ''));
+        this._colorParams(params);
+        this._backgroundParams(params);
+        this._drawStyleParams(params);
+        this._strokeParams(params);
+        params.set('c', String(this.complexity));
+
+        if (this.intent !== null) {
+            params.set('intent', this.intent);
+            params.set('iv', this.intentOptions.stripVowels ? '1' : '0');
+            params.set('ir', this.intentOptions.stripRepeats ? '1' : '0');
+        } else if (this.seed !== null) {
+            params.set('seed', this.seed);
+        }
+        if (this.trace) {
+            params.set('tm', this.trace.method);
+            if (this.trace.planet) params.set('tp', this.trace.planet);
+            params.set('tn', this.trace.name);
+            if (this.trace.guide) params.set('tg', '1');
+        }
+        if (this.symmetry.mode !== 'none') {
+            params.set('sym', this.symmetry.mode);
+            if (this.symmetry.folds !== null) params.set('sf', String(this.symmetry.folds));
+        }
+        this._borderParams(params);
+        this._inscriptionParams(params);
+        if ((this.seed === null && this.intent === null) || !this._recipeReproducesState()) {
+            const doc = this.toJSON();
+            params.set('state', SigilGenerator._toBase64Url(JSON.stringify({
+                randomVertices: doc.randomVertices,
+                layerState: doc.layerState
+            })));
+        }
+        return params.toString();
+    }
+
+    /** Add the shape options the current shape uses to a link (defaults are left out). */
+    _shapeParams(params) {
+        const o = this.shapeOptions;
+        if (this.shape === 'polygon') params.set('sn', String(o.sides));
+        if (this.shape === 'star-polygon') {
+            params.set('sp', String(o.points));
+            if (o.skip > 1) params.set('sk', String(o.skip));
+            else params.set('si', String(o.innerRatio));
+        }
+        if (this.shape === 'custom') params.set('sv', o.vertices.map(v => `${v.x},${v.y}`).join(';'));
+        if (o.rotation !== 0) params.set('sr', String(o.rotation));
+    }
+
+    /** Add the layer colours ('spiral:00ff00,orbit:0000ff') and outline gradient to a link. */
+    _colorParams(params) {
+        const colors = Object.entries(this.layerColors);
+        if (colors.length) params.set('lc', colors.map(([name, color]) => `${name}:${color.replace('#', '')}`).join(','));
+        const g = this.outlineGradient;
+        if (g) {
+            params.set('og', g.type);
+            params.set('oc', g.colors.map(c => c.replace('#', '')).join(','));
+            if (g.angle !== 0) params.set('oa', String(g.angle));
+        }
+    }
+
+    /** Layer colours and outline gradient from a link, for the validators to check. */
+    static _colorsFromParams(params) {
+        const layerColors = {};
+        for (const entry of (params.get('lc') ?? '').split(',').filter(Boolean)) {
+            const [name, color] = entry.split(':');
+            layerColors[name] = '#' + color;
+        }
+        return {
+            layerColors,
+            outlineGradient: params.has('og') ? {
+                type: params.get('og'),
+                colors: (params.get('oc') ?? '').split(',').map(c => '#' + c),
+                angle: params.has('oa') ? Number(params.get('oa')) : 0
+            } : null
+        };
+    }
+
+    /**
+     * Add the background style to a link. Images are too large for a URL,
+     * so a link to a sigil on an image keeps just the background colour.
+     */
+    _backgroundParams(params) {
+        const b = this.background;
+        if (b.type === 'solid' || b.type === 'image') return;
+        params.set('bs', b.type);
+        if (b.type === 'gradient') {
+            params.set('bk', b.kind);
+            params.set('bc', b.colors.map(c => c.replace('#', '')).join(','));
+            params.set('ba', String(b.angle));
+        } else if (b.type !== 'transparent') {
+            params.set('bz', String(b.seed));
+            params.set('bp', String(b.strength));
+        }
+    }
+
+    /** The background from a link, for _validateBackground() to check; null when the link has none. */
+    static _backgroundFromParams(params) {
+        if (!params.has('bs')) return null;
+        const num = (key) => params.has(key) ? Number(params.get(key)) : undefined;
+        return {
+            type: params.get('bs'),
+            kind: params.get('bk') ?? undefined,
+            colors: params.has('bc') ? params.get('bc').split(',').map(c => '#' + c) : undefined,
+            angle: num('ba'),
+            seed: num('bz'),
+            strength: num('bp')
+        };
+    }
+
+    /** Add the draw style to a link, leaving out whatever is at its default. */
+    _drawStyleParams(params) {
+        const d = this.drawStyle, defaults = SigilGenerator.DEFAULT_DRAW_STYLE;
+        if (d.wobble) params.set('dw', String(d.wobble));
+        if (d.brush) {
+            params.set('db', String(d.brush));
+            if (d.nib !== defaults.nib) params.set('dn', String(d.nib));
+        }
+        if (d.bleed) params.set('di', String(d.bleed));
+    }
+
+    /** The draw style from a link, for _validateDrawStyle() to check; null when the link has none. */
+    static _drawStyleFromParams(params) {
+        if (!['dw', 'db', 'dn', 'di'].some(key => params.has(key))) return null;
+        const num = (key) => params.has(key) ? Number(params.get(key)) : undefined;
+        return { wobble: num('dw'), brush: num('db'), bleed: num('di'), nib: num('dn') };
+    }
+
+    /** Add the line weights and patterns to a link, leaving out whatever is at its default. */
+    _strokeParams(params) {
+        const s = this.strokes, defaults = SigilGenerator.DEFAULT_STROKES;
+        if (s.outer !== defaults.outer) params.set('ow', String(s.outer));
+        if (s.inner !== defaults.inner) params.set('iw', String(s.inner));
+        if (String(s.dotSize) !== String(defaults.dotSize)) params.set('ds', s.dotSize.join(','));
+        if (String(s.nodeSize) !== String(defaults.nodeSize)) params.set('ns', s.nodeSize.join(','));
+        if (s.cap !== defaults.cap) params.set('cp', s.cap);
+        if (s.join !== defaults.join) params.set('jn', s.join);
+        const dashes = Object.entries(s.dashes);
+        if (dashes.length) params.set('da', dashes.map(([name, pattern]) => `${name}:${pattern}`).join(','));
+    }
+
+    /** The line weights and patterns from a link, for _validateStrokes() to check; null when the link has none. */
+    static _strokesFromParams(params) {
+        if (!['ow', 'iw', 'ds', 'ns', 'cp', 'jn', 'da'].some(key => params.has(key))) return null;
+        const num = (key) => params.has(key) ? Number(params.get(key)) : undefined;
+        const range = (key) => params.has(key) ? params.get(key).split(',').map(Number) : undefined;
+        return {
+            outer: num('ow'),
+            inner: num('iw'),
+            dotSize: range('ds'),
+            nodeSize: range('ns'),
+            cap: params.get('cp') ?? undefined,
+            join: params.get('jn') ?? undefined,
+            dashes: params.has('da') ? Object.fromEntries(params.get('da').split(',').map(pair => pair.split(':'))) : undefined
+        };
+    }
+
+    /** Add the border to a link, leaving out whatever is at its default. */
+    _borderParams(params) {
+        const b = this.border, defaults = SigilGenerator.DEFAULT_BORDER;
+        if (b.lines !== defaults.lines) params.set('bl', String(b.lines));
+        if (b.gap !== defaults.gap) params.set('bw', String(b.gap));
+        if (b.band) params.set('bb', '1');
+        if (b.marks !== 'none') {
+            params.set('bm', b.marks);
+            if (b.markCount !== defaults.markCount) params.set('bn', String(b.markCount));
+        }
+        if (b.dots) params.set('bd', '1');
+    }
+
+    /** The border from a link, for _validateBorder() to check; null when the link has none. */
+    static _borderFromParams(params) {
+        if (!['bl', 'bw', 'bb', 'bm', 'bn', 'bd'].some(key => params.has(key))) return null;
+        const num = (key) => params.has(key) ? Number(params.get(key)) : undefined;
+        return {
+            lines: num('bl'),
+            gap: num('bw'),
+            band: params.get('bb') === '1',
+            marks: params.get('bm') ?? undefined,
+            markCount: num('bn'),
+            dots: params.get('bd') === '1'
+        };
+    }
+
+    /** Add the inscription to a link, leaving out whatever is at its default. */
+    _inscriptionParams(params) {
+        const ins = this.inscription, defaults = SigilGenerator.DEFAULT_INSCRIPTION;
+        if (!ins) return;
+        params.set('it', ins.text);
+        for (const [key, param] of [['font', 'if'], ['size', 'is'], ['spacing', 'il'], ['offset', 'io'], ['alphabet', 'ia']]) {
+            if (ins[key] !== defaults[key]) params.set(param, String(ins[key]));
+        }
+        // The letter widths, in their order in `widths`
+        if (ins.widths) params.set('ig', Object.entries(ins.widths).map(([ch, w]) => `${encodeURIComponent(ch)}:${w}`).join(','));
+    }
+
+    /** The inscription from a link, for _validateInscription() to check; null when the link has none. */
+    static _inscriptionFromParams(params) {
+        if (!params.has('it')) return null;
+        const num = (key) => params.has(key) ? Number(params.get(key)) : undefined;
+        return {
+            text: params.get('it'),
+            font: params.get('if') ?? undefined,
+            size: num('is'),
+            spacing: num('il'),
+            offset: num('io'),
+            alphabet: params.get('ia') ?? undefined,
+            widths: params.has('ig') ? Object.fromEntries(params.get('ig').split(',').map(entry => {
+                const at = entry.lastIndexOf(':');
+                return [decodeURIComponent(entry.slice(0, at)), Number(entry.slice(at + 1))];
+            })) : undefined
+        };
+    }
+
+    /** Shape options from a link, for _validateShapeOptions() to check. */
+    static _shapeOptionsFromParams(params) {
+        const num = (key) => params.has(key) ? Number(params.get(key)) : undefined;
+        return {
+            sides: num('sn'),
+            points: num('sp'),
+            innerRatio: num('si'),
+            skip: num('sk'),
+            rotation: num('sr'),
+            vertices: params.has('sv')
+                ? params.get('sv').split(';').map(pair => {
+                    const [x, y] = pair.split(',').map(Number);
+                    return { x, y };
+                })
+                : null
+        };
+    }
+
+    /**
+     * Restore a sigil from a hash made by toPermalink() ('#' optional).
+     * Throws an Error for corrupt or unsupported links; the current sigil
+     * is left untouched in that case.
+     */
+    fromPermalink(hash) {
+        const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+        const fail = (msg) => { throw new Error(`Invalid sigil link: ${msg}`); };
+
+        const version = params.get('v');
+        if (version === null) fail('no version');
+        const linkVersion = Number(version);
+        if (!/^\d+$/.test(version) || linkVersion < 1 || linkVersion > SigilGenerator.LINK_VERSION) {
+            fail(`unsupported link version "${version}"`);
+        }
+
+        // Links before version 3 hold points in the old mapping of version 1 documents
+        // (see _legacyNormalizedToCanvas)
+        const doc = {
+            format: 'sigil',
+            version: linkVersion < 3 ? 1 : SigilGenerator.FORMAT_VERSION,
+            shape: params.get('shape'),
+            shapeOptions: SigilGenerator._shapeOptionsFromParams(params),
+            bgColor: '#' + params.get('bg'),
+            sigilColor: '#' + params.get('fg'),
+            ...SigilGenerator._colorsFromParams(params),
+            background: SigilGenerator._backgroundFromParams(params),
+            drawStyle: SigilGenerator._drawStyleFromParams(params),
+            strokes: SigilGenerator._strokesFromParams(params),
+            complexity: Number(params.get('c')),
+            seed: SigilGenerator.normalizeSeed(params.get('seed')),
+            intent: params.has('intent') ? {
+                text: params.get('intent'),
+                stripVowels: params.get('iv') !== '0',
+                stripRepeats: params.get('ir') !== '0'
+            } : null,
+            trace: params.has('tm') ? {
+                method: params.get('tm'),
+                planet: params.get('tp'),
+                name: params.get('tn') ?? '',
+                guide: params.get('tg') === '1'
+            } : null,
+            symmetry: params.has('sym') ? {
+                mode: params.get('sym'),
+                folds: params.has('sf') ? Number(params.get('sf')) : null
+            } : null,
+            border: SigilGenerator._borderFromParams(params),
+            inscription: SigilGenerator._inscriptionFromParams(params)
+        };
+
+        if (params.has('state')) {
+            let embedded;
+            try {
+                embedded = JSON.parse(SigilGenerator._fromBase64Url(params.get('state')));
+            } catch (e) {
+                fail('the embedded sigil data is corrupt');
+            }
+            if (!SigilGenerator._isObject(embedded)) fail('the embedded sigil data is corrupt');
+            doc.randomVertices = embedded.randomVertices;
+            doc.layerState = embedded.layerState;
+        } else {
+            if (doc.seed === null && doc.intent === null) fail('needs a seed, an intent or sigil data');
+            // Validate the basics before rebuilding from the recipe
+            if (!SigilGenerator.OUTER_SHAPES.includes(doc.shape)) fail(`unknown shape "${doc.shape}"`);
+            if (!Number.isInteger(doc.complexity) || doc.complexity < 1 || doc.complexity > 5) fail('bad complexity');
+            const probe = new SigilGenerator(null);
+            probe.shape = doc.shape;
+            probe.shapeOptions = SigilGenerator._validateShapeOptions(doc.shapeOptions, doc.shape, fail);
+            probe.complexity = doc.complexity;
+            probe.trace = SigilGenerator._validateTraceOptions(doc.trace, fail);
+            probe.symmetry = SigilGenerator._validateSymmetry(doc.symmetry, fail);
+            probe.border = SigilGenerator._validateBorder(doc.border, fail);
+            probe.strokes = SigilGenerator._validateStrokes(doc.strokes, fail);
+            probe._legacyPlacement = linkVersion < 3;
+            try {
+                probe._rebuild(doc.seed, doc.intent, SigilGenerator.LINK_LAYERS[linkVersion] ?? SigilGenerator.BUILT_IN_LAYERS);
+            } catch (e) {
+                fail(e.message);
+            }
+            doc.randomVertices = probe._randomVertices;
+            doc.layerState = probe._layerState;
+        }
+
+        try {
+            return this.fromJSON(doc);
+        } catch (e) {
+            fail(e.message.replace(/^Invalid sigil document: /, ''));
+        }
+    }
+
+    /** True when rebuilding from the seed or intent, with the built-in layers, gives exactly the current layers. */
+    _recipeReproducesState() {
+        const probe = new SigilGenerator(null);
+        probe.shape = this.shape;
+        probe.shapeOptions = this.shapeOptions;
+        probe.complexity = this.complexity;
+        probe.trace = this.trace;
+        probe.symmetry = this.symmetry;
+        probe.border = this.border;
+        probe.strokes = this.strokes;
+        probe._rebuild(this.seed, this.intent === null ? null : { text: this.intent, ...this.intentOptions }, SigilGenerator.BUILT_IN_LAYERS);
+        const layers = (g) => {
+            const doc = g.toJSON();
+            return SigilGenerator._stableStringify([doc.randomVertices, doc.layerState]);
+        };
+        return layers(probe) === layers(this);
+    }
+
+    /** JSON.stringify with object keys sorted, so key order never affects comparisons. */
+    static _stableStringify(value) {
+        if (Array.isArray(value)) return `[${value.map(v => SigilGenerator._stableStringify(v)).join(',')}]`;
+        if (SigilGenerator._isObject(value)) {
+            return `{${Object.keys(value).sort()
+                .map(k => `${JSON.stringify(k)}:${SigilGenerator._stableStringify(value[k])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    static _toBase64Url(text) {
+        const bytes = new TextEncoder().encode(text);
+        let bin = '';
+        for (const b of bytes) bin += String.fromCharCode(b);
+        return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static _fromBase64Url(text) {
+        const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(bin, ch => ch.charCodeAt(0));
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    }
+
+    /* ====================================================
+       Seeded randomness
+    ==================================================== */
+
+    /**
+     * Rebuild from an intent ({ text, stripVowels, stripRepeats }) when given,
+     * else from a seed. `layers` narrows the layers to pick from (see LINK_LAYERS).
+     */
+    _rebuild(seed, intent = null, layers = SigilGenerator.LAYERS) {
+        if (intent) {
+            const options = { stripVowels: intent.stripVowels, stripRepeats: intent.stripRepeats };
+            this._buildFromIntent(intent.text, options, layers);
+        } else {
+            this._buildFromSeed(seed, layers);
+        }
+    }
+
+    /** Rebuild the random vertices and layer state from a seed. */
+    _buildFromSeed(seed, layers = SigilGenerator.LAYERS) {
+        this.seed = seed;
+        this.intent = null;
+        this._rng = SigilGenerator.createRandom(seed);
+
+        // If shape is 'random', generate new random vertices each time
+        if (this.shape === 'random') {
+            this._randomVertices = this._generateRandomPolygon();
+        }
+        this._layerState = this._buildCheckedLayerState(null, layers);
+    }
+
+    /**
+     * Rebuild from a statement of intent. Letter sums choose the outer shape;
+     * whatever the letters don't decide comes from a PRNG seeded with the
+     * reduced letters, so nothing depends on Math.random().
+     */
+    _buildFromIntent(text, options, layers = SigilGenerator.LAYERS) {
+        const reduced = SigilGenerator.reduceIntent(text, options);
+        if (reduced === '') throw new Error('The statement of intent has no letters left after reduction');
+
+        const letters = [...reduced].map(ch => ch.charCodeAt(0) - 65); // A=0 … Z=25
+        const sum = letters.reduce((a, b) => a + b, 0);
+        this.intent = text;
+        this.intentOptions = { ...options };
+        this.seed = null;
+        this._rng = SigilGenerator.createRandom('intent:' + reduced);
+        this.shape = SigilGenerator.ALL_SHAPES[sum % SigilGenerator.ALL_SHAPES.length];
+        this._layerState = this._buildCheckedLayerState(letters, layers);
+    }
+
+    /**
+     * Classic sigil reduction: normalise to the letters A-Z (accents are
+     * folded, everything else dropped), then optionally strip vowels and
+     * letters that already appeared.
+     */
+    static reduceIntent(text, { stripVowels = true, stripRepeats = true } = {}) {
+        let letters = String(text ?? '')
+            .normalize('NFD')
+            .toUpperCase()
+            .replace(/[^A-Z]/g, '');
+        if (stripVowels) letters = letters.replace(/[AEIOU]/g, '');
+        if (stripRepeats) letters = [...new Set(letters)].join('');
+        return letters;
+    }
+
+    /** Trim a user-supplied seed; returns null when there is nothing usable. */
+    static normalizeSeed(seed) {
+        if (seed === null || seed === undefined) return null;
+        const s = String(seed).trim();
+        return s === '' ? null : s;
+    }
+
+    /** Pick a fresh seed — the only place Math.random() is still used. */
+    static randomSeed() {
+        return String(Math.floor(Math.random() * 4294967296));
+    }
+
+    /**
+     * Create a deterministic PRNG (mulberry32) for a seed.
+     * Returns a function yielding floats in [0, 1), like Math.random().
+     */
+    static createRandom(seed) {
+        let h = SigilGenerator._hashSeed(seed);
+        return () => {
+            h = (h + 0x6D2B79F5) | 0;
+            let t = Math.imul(h ^ (h >>> 15), 1 | h);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Map a seed to a 32-bit state. Plain integers in range are used as-is,
+     * anything else (words, phrases) is hashed with FNV-1a.
+     */
+    static _hashSeed(seed) {
+        const s = String(seed);
+        if (/^\d+$/.test(s) && Number(s) < 4294967296) return Number(s) >>> 0;
+        let h = 0x811C9DC5;
+        for (let i = 0; i < s.length; i++) {
+            h ^= s.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /* ====================================================
+       Layer state generation  (all randomness happens here)
+    ==================================================== */
+
+    /**
+     * Pick layers and their parameters. With `letters` (0-25 codes from a
+     * statement of intent) the letters choose layers first and then replace
+     * the random angles, perimeter points and node positions.
+     *
+     * `layerOptions` force layers on or off and set their weights; locked
+     * layers are always included and keep the parameters they had. `layers`
+     * are the layer types to pick from, in build order.
+     */
+    _buildLayerState(letters = null, layers = SigilGenerator.LAYERS) {
+        const c = this.complexity; // 1-5
+        const previous = this._layerState;
+
+        // Layer count scales with complexity (always at least 2 so sigils never look empty):
+        //   1→2  2→2-3  3→2-3  4→3-4  5→3-5
+        const minLayers = c <= 3 ? 2 : 3;
+        const maxLayers = Math.min(layers.length, [2, 3, 3, 4, 5][c - 1]);
+        const rng = this._rng;
+        const count = minLayers + Math.floor(rng() * (maxLayers - minLayers + 1));
+
+        // Locked layers (that exist) and layers forced on always make it in
+        const locked = layers.filter(l => this.lockedLayers.has(l) && previous && previous.layers.includes(l));
+        const forced = layers.filter(l => locked.includes(l) || this.layerOption(l).mode === 'on');
+        const allowed = (l) => forced.includes(l) || this.layerOption(l).mode !== 'off';
+
+        // Weighted selection — connectedNodes gets 3× weight unless overridden
+        const pool = [];
+        for (const layer of layers) {
+            if (forced.includes(layer) || !allowed(layer)) continue;
+            const weight = this.layerOption(layer).weight;
+            for (let i = 0; i < weight; i++) pool.push(layer);
+        }
+        // Shuffle the weighted pool (Fisher-Yates, so the order only depends
+        // on the PRNG and not on the engine's sort), then pick unique layers
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        const chosen = [...forced];
+        if (letters) {
+            for (const code of letters) {
+                const l = layers[code % layers.length];
+                if (chosen.length < count && !chosen.includes(l) && allowed(l)) chosen.push(l);
+            }
+        }
+        for (const l of pool) {
+            if (chosen.length >= count) break;
+            if (!chosen.includes(l)) chosen.push(l);
+        }
+
+        const state = { layers: chosen };
+
+        // Generate random params for every chosen layer, in `layers` order so
+        // a seed gives the same parameters whatever was picked first. Each
+        // layer's anchors become obstacles for the dots and nodes built after it
+        this._obstacles = [];
+        const tried = new Set();
+        for (let name; (name = layers.find(l => chosen.includes(l) && !tried.has(l))) !== undefined;) {
+            tried.add(name);
+            state[name] = this._buildLayer(name);
+            // No room for it in the shape: left out (a locked one stays; the
+            // app reports a forced one), and the next pick not yet tried takes
+            // its place, wherever it comes in `layers`
+            if (state[name] === null && !locked.includes(name)) {
+                chosen.splice(chosen.indexOf(name), 1);
+                delete state[name];
+                const spare = pool.find(l => !chosen.includes(l) && !tried.has(l));
+                if (spare) chosen.push(spare);
+                continue;
+            }
+            if (!this._legacyPlacement) {
+                const kept = locked.includes(name) ? previous[name] : state[name];
+                this._obstacles.push(...this._anchors(name, kept, 1000));
+            }
+        }
+        this._obstacles = [];
+
+        if (letters) this._applyIntentLetters(state, letters);
+
+        // Locked layers drop the new parameters and keep the old ones
+        for (const name of locked) state[name] = previous[name];
+
+        // The trace uses no randomness, so adding it never shifts the other layers
+        const trace = this._buildTraceState();
+        if (trace) {
+            state.layers.push('trace');
+            state.trace = trace;
+        }
+        return state;
+    }
+
+    /**
+     * _buildLayerState() plus the optional quality check: while the elements
+     * overlap too much (see overlapScore), build again from the same PRNG and
+     * keep the least crowded attempt, so a seed still gives one sigil.
+     */
+    _buildCheckedLayerState(letters, layers) {
+        let best = this._buildLayerState(letters, layers);
+        if (!this.qualityCheck || this._legacyPlacement) return best;
+        let bestScore = this.overlapScore(best);
+        for (let i = 1; i < SigilGenerator.QUALITY_ATTEMPTS && bestScore > SigilGenerator.MAX_OVERLAP; i++) {
+            const state = this._buildLayerState(letters, layers);
+            const score = this.overlapScore(state);
+            if (score < bestScore) {
+                best = state;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Share (0-1) of the circles in a layer state — dots, node rings, orbit
+     * rings — that cross the outline or touch another element's anchor.
+     */
+    overlapScore(state = this._layerState) {
+        if (!state) return 0;
+        const size = 1000;
+        const anchors = [];
+        for (const name of state.layers) {
+            if (name === 'trace') continue;
+            for (const a of this._anchors(name, state[name], size)) {
+                // Symmetric copies that land on each other are drawn as one
+                if (!anchors.some(b => b.r === a.r && Math.abs(b.x - a.x) < 1e-6 && Math.abs(b.y - a.y) < 1e-6)) anchors.push(a);
+            }
+        }
+        const circles = anchors.filter(a => a.r > 0);
+        if (circles.length === 0) return 0;
+        const bad = circles.filter(c => !this._circleInsideShape(c, c.r, size) ||
+            anchors.some(o => o !== c && Math.hypot(o.x - c.x, o.y - c.y) < c.r + o.r));
+        return bad.length / circles.length;
+    }
+
+    /** A layer's anchors (see registerLayer) at `size`, with every symmetric copy. */
+    _anchors(name, data, size) {
+        const type = SigilGenerator.layerType(name);
+        if (!type.anchors) return [];
+        const c = size / 2;
+        const list = type.anchors(this, data, size);
+        return this._symmetryMatrices().flatMap(([a, b, cc, d]) => list.map(p => ({
+            x: c + a * (p.x - c) + cc * (p.y - c),
+            y: c + b * (p.x - c) + d * (p.y - c),
+            r: p.r
+        })));
+    }
+
+    /** Random parameters for one inner layer, scaled by complexity. */
+    _buildLayer(name) {
+        // Density multiplier: complexity 1→0.6, 3→1.0, 5→1.5
+        const density = 0.6 + (this.complexity - 1) * 0.225;
+        return SigilGenerator.layerType(name).build(this, { rng: this._rng, density });
+    }
+
+    /* ====================================================
+       Symmetry — one fundamental region, replicated on draw
+    ==================================================== */
+
+    /** Number of rotational copies: the chosen folds, else the outer shape's. */
+    _symmetryFolds() {
+        if (this.symmetry.folds !== null) return this.symmetry.folds;
+        if (this.shape === 'random') return this._randomVertices ? this._randomVertices.length : 6;
+        if (this.shape === 'polygon') return this.shapeOptions.sides;
+        if (this.shape === 'star-polygon') return this.shapeOptions.points;
+        if (this.shape === 'custom') return this.shapeOptions.vertices.length;
+        return SigilGenerator.SHAPE_FOLDS[this.shape];
+    }
+
+    /**
+     * The copies a layer is drawn as, each a matrix [a, b, c, d] about the
+     * centre (x' = a·x + c·y, y' = b·x + d·y), identity first.
+     */
+    _symmetryMatrices() {
+        switch (this.symmetry.mode) {
+            case 'mirror-x': return [[1, 0, 0, 1], [-1, 0, 0, 1]];
+            case 'mirror-y': return [[1, 0, 0, 1], [1, 0, 0, -1]];
+            case 'both':     return [[1, 0, 0, 1], [-1, 0, 0, 1], [1, 0, 0, -1], [-1, 0, 0, -1]];
+            case 'rotational': {
+                const n = this._symmetryFolds();
+                const out = [[1, 0, 0, 1]];
+                for (let k = 1; k < n; k++) {
+                    const a = (k / n) * Math.PI * 2;
+                    out.push([Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a)]);
+                }
+                return out;
+            }
+            default: return [[1, 0, 0, 1]];
+        }
+    }
+
+    /**
+     * Angles (canvas convention, clockwise from +x) of the fundamental
+     * region: { start, span }. Rotational wedges start at the top.
+     */
+    _symmetryWedge() {
+        switch (this.symmetry.mode) {
+            case 'mirror-x':   return { start: -Math.PI / 2, span: Math.PI };
+            case 'mirror-y':   return { start: 0, span: Math.PI };
+            case 'both':       return { start: 0, span: Math.PI / 2 };
+            case 'rotational': return { start: -Math.PI / 2, span: (Math.PI * 2) / this._symmetryFolds() };
+            default:           return { start: 0, span: Math.PI * 2 };
+        }
+    }
+
+    /** True when an offset (dx, dy) from the centre lies in the fundamental region. */
+    _inSymmetryRegion(dx, dy) {
+        switch (this.symmetry.mode) {
+            case 'none':     return true;
+            case 'mirror-x': return dx >= 0;
+            case 'mirror-y': return dy >= 0;
+            case 'both':     return dx >= 0 && dy >= 0;
+            default: {
+                const wedge = this._symmetryWedge();
+                const a = (Math.atan2(dy, dx) - wedge.start + Math.PI * 4) % (Math.PI * 2);
+                return a < wedge.span;
+            }
+        }
+    }
+
+    /** How many of `n` elements to place in the fundamental region (at least `min`). */
+    _perRegion(n, min = 1) {
+        if (this.symmetry.mode === 'none') return n;
+        return Math.max(min, Math.round(n / this._symmetryMatrices().length));
+    }
+
+    /** A normalised point and its symmetric copies (the point itself first). */
+    _symmetryImages(pt) {
+        const matrices = this._symmetryMatrices();
+        if (matrices.length === 1) return [pt];
+        const size = 1000, c = size / 2;
+        const p = this._normalizedToCanvas(pt, size);
+        return [pt, ...matrices.slice(1).map(([a, b, cc, d]) => this._canvasToNormalized({
+            x: c + a * (p.x - c) + cc * (p.y - c),
+            y: c + b * (p.x - c) + d * (p.y - c)
+        }, size))];
+    }
+
+    /**
+     * True when a normalised point stays at least `minDist` from every placed
+     * point once everything is replicated — including from its own copies.
+     * Every copy is compared with every copy: rotations do not preserve
+     * normalised distances unless the shape's bounding box is square.
+     *
+     * A circle of `radius` (a share of the canvas size) around the point
+     * must also stay MIN_GAP clear of the anchors of earlier layers.
+     */
+    _keepsDistance(candidate, placed, minDist, radius = 0) {
+        const images = this._symmetryImages(candidate);
+        const others = placed.flatMap(p => this._symmetryImages(p));
+        if (!this._copiesApart(candidate, minDist)) return false;
+        if (images.some(img => others.some(o => SigilGenerator._closerThan(img, o, minDist)))) return false;
+        return this._clearOfObstacles(images.map(img => ({ ...this._normalizedToCanvas(img, 1000), r: radius * 1000 })));
+    }
+
+    /** True when a normalised point's symmetric copies are all at least `minDist` apart. */
+    _copiesApart(pt, minDist) {
+        const images = this._symmetryImages(pt);
+        return images.every((img, i) => images.slice(i + 1).every(other => !SigilGenerator._closerThan(img, other, minDist)));
+    }
+
+    /** True when two normalised points are less than `dist` apart. */
+    static _closerThan(a, b, dist) {
+        const dx = a.nx - b.nx, dy = a.ny - b.ny;
+        return Math.sqrt(dx * dx + dy * dy) < dist;
+    }
+
+    /** True when every anchor keeps MIN_GAP clear of the layers built earlier (see _obstacleHits). */
+    _clearOfObstacles(anchors) {
+        return this._obstacleHits(anchors) === 0;
+    }
+
+    /**
+     * How many anchors (canvas circles at size 1000, see registerLayer) come
+     * within MIN_GAP of the anchors of the layers built earlier.
+     */
+    _obstacleHits(anchors) {
+        if (this._legacyPlacement) return 0;
+        const gap = SigilGenerator.MIN_GAP * 1000;
+        return anchors.filter(a => this._obstacles.some(o => Math.hypot(o.x - a.x, o.y - a.y) < a.r + o.r + gap)).length;
+    }
+
+    /* ====================================================
+       Tracing — a name across a kamea or letter wheel
+    ==================================================== */
+
+    /**
+     * Change the tracing options and apply them to the current sigil
+     * straight away. Only the trace layer changes; the rest stays put.
+     * Pass null to remove the trace. Throws for unknown options, leaving
+     * the trace as it was.
+     */
+    setTrace(trace) {
+        this.trace = SigilGenerator._validateTraceOptions(trace, (msg) => { throw new Error(msg); });
+        if (!this._layerState) return;
+
+        const ls = this._layerState;
+        ls.layers = ls.layers.filter(l => l !== 'trace');
+        delete ls.trace;
+        const traceState = this._buildTraceState();
+        if (traceState) {
+            ls.layers.push('trace');
+            ls.trace = traceState;
+        }
+        if (this.canvas) this._draw();
+    }
+
+    /**
+     * Convert the trace name into cells. On a kamea each letter becomes its
+     * number (A=1 … Z=26, wrapped to fit the square); on the letter wheel
+     * each letter is its own spoke. Returns null when there is nothing to trace.
+     */
+    _buildTraceState() {
+        const t = this.trace;
+        if (!t) return null;
+        const text = SigilGenerator.reduceIntent(t.name, { stripVowels: false, stripRepeats: false });
+        if (text === '') return null;
+
+        const codes = [...text].map(ch => ch.charCodeAt(0) - 65);
+        let cells;
+        if (t.method === 'kamea') {
+            const square = SigilGenerator.KAMEAS[t.planet];
+            const n = square.length;
+            const flat = square.flat();
+            cells = codes.map(code => flat.indexOf((code % (n * n)) + 1));
+        } else {
+            cells = codes;
+        }
+        return {
+            method: t.method,
+            planet: t.method === 'kamea' ? t.planet : null,
+            text,
+            cells,
+            guide: !!t.guide
+        };
+    }
+
+    /**
+     * Canvas-space geometry for a trace: the path through its cells
+     * (consecutive repeats collapse) and the guide to draw underneath.
+     */
+    _traceGeometry(trace, size) {
+        const cx = size / 2, cy = size / 2;
+        const inR = this._shapeInradius(size);
+
+        if (trace.method === 'kamea') {
+            const square = SigilGenerator.KAMEAS[trace.planet];
+            const n = square.length;
+            const half = (inR / Math.SQRT2) * 0.92;
+            const cell = (half * 2) / n;
+            const at = (i) => ({
+                x: cx - half + cell * ((i % n) + 0.5),
+                y: cy - half + cell * (Math.floor(i / n) + 0.5)
+            });
+            const lines = [];
+            for (let k = 0; k <= n; k++) {
+                const o = -half + cell * k;
+                lines.push([{ x: cx + o, y: cy - half }, { x: cx + o, y: cy + half }]);
+                lines.push([{ x: cx - half, y: cy + o }, { x: cx + half, y: cy + o }]);
+            }
+            return { points: this._tracePath(trace.cells.map(at)), guide: { lines, circles: [], labels: [] } };
+        }
+
+        const r = inR * 0.78;
+        const at = (i) => {
+            const a = (i / 26) * Math.PI * 2 - Math.PI / 2;
+            return { x: cx + Math.cos(a) * r, y: cy + Math.sin(a) * r };
+        };
+        const labels = [];
+        for (let i = 0; i < 26; i++) {
+            const a = (i / 26) * Math.PI * 2 - Math.PI / 2;
+            labels.push({ text: String.fromCharCode(65 + i), x: cx + Math.cos(a) * r * 1.14, y: cy + Math.sin(a) * r * 1.14 });
+        }
+        return { points: this._tracePath(trace.cells.map(at)), guide: { lines: [], circles: [{ x: cx, y: cy, r }], labels } };
+    }
+
+    _tracePath(points) {
+        return points.filter((p, i) => i === 0 || p.x !== points[i - 1].x || p.y !== points[i - 1].y);
+    }
+
+    /** Start circle and end bar for a traced path (bar is perpendicular to the last stroke). */
+    _traceMarks(points, size) {
+        const thinLine = this._innerWidth(size);
+        const first = points[0], last = points[points.length - 1];
+        const prev = points.length > 1 ? points[points.length - 2] : { x: last.x - 1, y: last.y };
+        const dir = Math.atan2(last.y - prev.y, last.x - prev.x) + Math.PI / 2;
+        const half = thinLine * 3;
+        return {
+            start: { x: first.x, y: first.y, r: thinLine * 2 },
+            bar: [
+                { x: last.x - Math.cos(dir) * half, y: last.y - Math.sin(dir) * half },
+                { x: last.x + Math.cos(dir) * half, y: last.y + Math.sin(dir) * half }
+            ]
+        };
+    }
+
+    /** Radius of the largest circle around the centre that fits inside the shape. */
+    _shapeInradius(size) {
+        const r = (size * SigilGenerator.SHAPE_RATIO) / 2;
+        if (this.shape === 'circle') return r;
+        const center = { x: size / 2, y: size / 2 };
+        const verts = this._getShapeVertices(size);
+        let best = r;
+        for (let i = 0; i < verts.length; i++) {
+            best = Math.min(best, this._closestOnSegment(center, verts[i], verts[(i + 1) % verts.length]).dist);
+        }
+        return best;
+    }
+
+    /**
+     * Overwrite the letter-driven parts of a layer state. Each letter maps to
+     * a position on a 26-step wheel starting at the top.
+     */
+    _applyIntentLetters(state, letters) {
+        const wheel = (code) => code / 26;
+        const angle = (code) => wheel(code) * Math.PI * 2 - Math.PI / 2;
+
+        if (state.radialLines) {
+            const unique = [...new Set(letters)];
+            state.radialLines.angles = unique.slice(0, Math.max(1, state.radialLines.angles.length)).map(angle);
+        }
+
+        if (state.perimeterConnections) {
+            // Trace the letters in order around the perimeter. Polygons start at
+            // their top vertex; a circle starts on the right, so turn it a quarter.
+            const start = this.shape === 'circle' ? 0.75 : 0;
+            const tValues = letters.map(code => (wheel(code) + start) % 1);
+            if (tValues.length === 1) tValues.push((tValues[0] + 0.5) % 1);
+            state.perimeterConnections = { tValues, style: 0 };
+        }
+
+        if (state.connectedNodes) {
+            // Letter pairs: first letter is the direction, second the distance from centre
+            const ring = SigilGenerator.DOT_RATIO * state.connectedNodes.radiusMultiplier + this._innerWidth(1) / 2;
+            const nodes = [];
+            for (let i = 0; i < letters.length; i += 2) {
+                const a = angle(letters[i]);
+                const dist = 0.25 + 0.65 * ((letters[i + 1] ?? letters[i]) / 25);
+                nodes.push(this._pullInsideShape({ nx: 0.5 + 0.5 * dist * Math.cos(a), ny: 0.5 + 0.5 * dist * Math.sin(a) }, ring));
+            }
+            state.connectedNodes.nodes = nodes;
+            state.connectedNodes.style = 0;
+        }
+    }
+
+    /**
+     * Move a normalised point towards the centre until a circle of `radius`
+     * (a share of the canvas size) around it fits inside the shape.
+     */
+    _pullInsideShape(pt, radius = 0) {
+        if (this._legacyPlacement) return this._legacyPullInsideShape(pt);
+        const size = 1000, c = size / 2;
+        let p = this._normalizedToCanvas(pt, size);
+        let best = p, bestMargin = -Infinity;
+        for (let i = 0; i < 40; i++) {
+            const margin = this._insideMargin(p, size);
+            if (margin >= radius * size) return this._canvasToNormalized(p, size);
+            if (margin > bestMargin) {
+                best = p;
+                bestMargin = margin;
+            }
+            p = { x: c + (p.x - c) * 0.9, y: c + (p.y - c) * 0.9 };
+        }
+        // Random polygons need not hold the centre: keep the deepest point tried
+        return this._canvasToNormalized(best, size);
+    }
+
+    /** _pullInsideShape() before format version 2: only the centre point had to be inside. */
+    _legacyPullInsideShape(pt) {
+        if (this.shape === 'circle') return pt;
+        const size = 1000;
+        const verts = this._getShapeVertices(size);
+        let p = pt;
+        for (let i = 0; i < 20; i++) {
+            const c = this._normalizedToCanvas(p, size);
+            if (this._pointInPolygon(c.x, c.y, verts)) return p;
+            p = { nx: 0.5 + (p.nx - 0.5) * 0.85, ny: 0.5 + (p.ny - 0.5) * 0.85 };
+        }
+        return { nx: 0.5, ny: 0.5 };
+    }
+
+    /* ====================================================
+       Colours — per-layer colours, palettes and gradients
+    ==================================================== */
+
+    /**
+     * Change any of bgColor, sigilColor, layerColors and outlineGradient
+     * and redraw the current sigil; the layers themselves stay as they are.
+     */
+    setColors(colors) {
+        for (const key of ['bgColor', 'sigilColor', 'layerColors', 'outlineGradient']) {
+            if (colors[key] !== undefined) this[key] = colors[key];
+        }
+        if (this.canvas && this._layerState) this._draw();
+    }
+
+    /**
+     * Colour the sigil from a palette: a PALETTES name or { bg, colors }.
+     * The first colour goes to the outline (and a gradient, if there is one,
+     * runs from it to the second); the layers take the colours in turn,
+     * starting from the second, so neighbouring layers differ.
+     */
+    applyPalette(palette) {
+        const p = typeof palette === 'string' ? SigilGenerator.PALETTES[palette] : palette;
+        if (!p) throw new Error(`Unknown palette "${palette}"`);
+        const colors = p.colors;
+        const layerColors = {};
+        if (colors.length > 1) {
+            [...SigilGenerator.LAYERS, ...SigilGenerator.TRACE_LAYERS].forEach((name, i) => {
+                layerColors[name] = colors[(i + 1) % colors.length];
+            });
+        }
+        const g = this.outlineGradient;
+        this.setColors({
+            bgColor: p.bg,
+            sigilColor: colors[0],
+            layerColors,
+            outlineGradient: g ? { ...g, colors: [colors[0], colors[1 % colors.length]] } : null
+        });
+    }
+
+    /**
+     * Colours in harmony with `base` (#rrggbb): 'complementary', 'triadic'
+     * or 'analogous' (see HARMONIES). The base comes first, and the others
+     * keep its saturation and lightness.
+     */
+    static harmonyPalette(base, harmony) {
+        const turns = SigilGenerator.HARMONIES[harmony];
+        if (!turns) throw new Error(`Unknown harmony "${harmony}"`);
+        if (!SigilGenerator._isColor(base)) throw new Error('The base colour must be #rrggbb');
+        const [h, sat, light] = SigilGenerator._hexToHsl(base);
+        return turns.map(t => t === 0 ? base.toLowerCase() : SigilGenerator._hslToHex((h + t + 360) % 360, sat, light));
+    }
+
+    /** The colour a layer is drawn in. */
+    _layerColor(name) {
+        return this.layerColors[name] ?? this.sigilColor;
+    }
+
+    /**
+     * The outline's paint: sigilColor, or a gradient for the renderers in
+     * canvas coordinates. A linear gradient crosses the shape towards
+     * `angle`; a radial one spreads from a point just inside the outline at
+     * `angle` across to the far side.
+     */
+    _outlinePaint(size) {
+        const g = this.outlineGradient;
+        if (!g) return this.sigilColor;
+        const c = size / 2;
+        const reach = (size * SigilGenerator.SHAPE_RATIO) / 2 + this._outerWidth(size);
+        const a = (g.angle * Math.PI) / 180;
+        const dx = Math.cos(a), dy = Math.sin(a);
+        const stops = [[0, g.colors[0]], [1, g.colors[1]]];
+        if (g.type === 'linear') {
+            return { type: 'linear', x1: c - dx * reach, y1: c - dy * reach, x2: c + dx * reach, y2: c + dy * reach, stops };
+        }
+        return { type: 'radial', fx: c + dx * reach * 0.8, fy: c + dy * reach * 0.8, cx: c, cy: c, r: reach, stops };
+    }
+
+    /** [hue 0-360, saturation 0-1, lightness 0-1] of a #rrggbb colour. */
+    static _hexToHsl(hex) {
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+        const max = Math.max(r, g, b), min = Math.min(r, g, b);
+        const light = (max + min) / 2;
+        if (max === min) return [0, 0, light];
+        const d = max - min;
+        const sat = d / (1 - Math.abs(2 * light - 1));
+        const hue = max === r ? ((g - b) / d + 6) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+        return [hue * 60, sat, light];
+    }
+
+    static _hslToHex(h, sat, light) {
+        const k = (n) => (n + h / 30) % 12;
+        const a = sat * Math.min(light, 1 - light);
+        const channel = (n) => light - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+        return '#' + [0, 8, 4].map(n => Math.round(channel(n) * 255).toString(16).padStart(2, '0')).join('');
+    }
+
+    /* ====================================================
+       Background — flat, gradient, textured or an image
+    ==================================================== */
+
+    /**
+     * Set the background style — { type } plus that type's settings (see
+     * BACKGROUND_TYPES and BACKGROUND_DEFAULTS); an image background is
+     * { type: 'image', src, width, height, fit, scale, opacity } with a data
+     * URL for src. Throws if the background is invalid.
+     */
+    setBackground(background) {
+        this.background = SigilGenerator._validateBackground(background, (msg) => { throw new Error(msg); });
+        if (!this.canvas) return;
+        if (this._layerState) this._draw();
+        else this.drawEmpty();
+    }
+
+    /** Start a drawing on the background; everything else is drawn over it. */
+    _renderBackground(r, size) {
+        const b = this.background;
+        const c = size / 2;
+        const whole = { type: 'polyline', points: [{ x: 0, y: 0 }, { x: size, y: 0 }, { x: size, y: size }, { x: 0, y: size }], closed: true };
+
+        if (b.type === 'transparent') { r.begin(null); return; }
+        if (b.type === 'gradient') {
+            // A linear gradient runs corner to corner along `angle`; a radial one spreads from the middle
+            r.begin(null);
+            const stops = [[0, b.colors[0]], [1, b.colors[1]]];
+            const a = (b.angle * Math.PI) / 180;
+            const dx = Math.cos(a), dy = Math.sin(a);
+            const reach = c * (Math.abs(dx) + Math.abs(dy));
+            const color = b.kind === 'linear'
+                ? { type: 'linear', x1: c - dx * reach, y1: c - dy * reach, x2: c + dx * reach, y2: c + dy * reach, stops }
+                : { type: 'radial', fx: c, fy: c, cx: c, cy: c, r: c * Math.SQRT2, stops };
+            r.fill(whole, { color });
+            return;
+        }
+
+        r.begin(this.bgColor);
+        if (b.type === 'parchment') {
+            // Blotches stretched over the canvas, darkening towards the edges
+            r.image(this._backgroundTexture(b), { x: 0, y: 0, width: size, height: size }, {});
+            const stops = [[0, '#000000', 0], [0.55, '#000000', 0], [1, '#000000', 0.6 * b.strength]];
+            r.fill(whole, { color: { type: 'radial', fx: c, fy: c, cx: c, cy: c, r: c * Math.SQRT2, stops } });
+        } else if (b.type === 'noise') {
+            const tile = size * SigilGenerator.NOISE_TILE;
+            r.image(this._backgroundTexture(b), { x: 0, y: 0, width: tile, height: tile }, { repeat: true });
+        } else if (b.type === 'image') {
+            r.image({ src: b.src, width: b.width, height: b.height }, SigilGenerator._imageBox(b, size),
+                { alpha: b.opacity, repeat: b.fit === 'tile' });
+        }
+    }
+
+    /**
+     * Where an image background goes. 'cover' fills the canvas and crops,
+     * 'contain' fits it all in, 'stretch' ignores the aspect ratio; 'center'
+     * and 'tile' start from the 'contain' size, times `scale`.
+     */
+    static _imageBox(b, size) {
+        if (b.fit === 'stretch') return { x: 0, y: 0, width: size, height: size };
+        const fit = b.fit === 'cover' ? Math.max(size / b.width, size / b.height) : Math.min(size / b.width, size / b.height);
+        const k = b.fit === 'center' || b.fit === 'tile' ? fit * b.scale : fit;
+        const width = b.width * k, height = b.height * k;
+        return { x: (size - width) / 2, y: (size - height) / 2, width, height };
+    }
+
+    /**
+     * Canvases can only draw images that have been decoded, so an image
+     * background still loading is drawn later, by calling `redraw`.
+     */
+    _whenBackgroundLoaded(redraw) {
+        const b = this.background;
+        if (b.type !== 'image' || CanvasRenderer.isImageLoaded(b.src) || this._loadingImage === b.src) return;
+        this._loadingImage = b.src;
+        CanvasRenderer.loadImage(b.src).then(() => {
+            this._loadingImage = null;
+            if (this.background.src === b.src) redraw();
+        }, () => { this._loadingImage = null; }); // an image that will not load leaves the plain bgColor
+    }
+
+    /** The texture for a parchment or noise background, made once per seed and strength. */
+    _backgroundTexture(b) {
+        const key = `${b.type}:${b.seed}:${b.strength}`;
+        if (!this._texture || this._texture.key !== key) this._texture = { key, image: SigilGenerator._makeTexture(b) };
+        return this._texture.image;
+    }
+
+    /**
+     * A square, tileable texture as a pixel image: black and white at low
+     * alpha, so it darkens and lightens whatever colour lies beneath.
+     * Parchment is smooth blotchy value noise over a few octaves; noise is
+     * an even grain. The same seed always gives the same texture.
+     */
+    static _makeTexture({ type, seed, strength }) {
+        const n = SigilGenerator.TEXTURE_SIZE;
+        const rand = SigilGenerator.createRandom(`${type}:${seed}`);
+        const value = new Float32Array(n * n);
+
+        if (type === 'noise') {
+            for (let i = 0; i < value.length; i++) value[i] = rand() * 2 - 1;
+        } else {
+            // Each octave interpolates a random grid that wraps at the edges, so the texture tiles
+            const smooth = (t) => t * t * (3 - 2 * t);
+            let amp = 1, total = 0;
+            for (let period = 4; period <= 32; period *= 2) {
+                const grid = Array.from({ length: period * period }, rand);
+                const at = (gx, gy) => grid[(gy % period) * period + (gx % period)];
+                const cell = n / period;
+                for (let y = 0; y < n; y++) {
+                    const gy = Math.floor(y / cell), ty = smooth(y / cell - gy);
+                    for (let x = 0; x < n; x++) {
+                        const gx = Math.floor(x / cell), tx = smooth(x / cell - gx);
+                        const top = at(gx, gy) + (at(gx + 1, gy) - at(gx, gy)) * tx;
+                        const bottom = at(gx, gy + 1) + (at(gx + 1, gy + 1) - at(gx, gy + 1)) * tx;
+                        value[y * n + x] += ((top + (bottom - top) * ty) * 2 - 1) * amp;
+                    }
+                }
+                total += amp;
+                amp /= 2;
+            }
+            for (let i = 0; i < value.length; i++) value[i] = Math.max(-1, Math.min(1, (value[i] / total) * 2));
+        }
 
-        // We'll build SVG elements for the outer shape + embed a raster of inner layers
-        let outerMarkup = '';
-        if (this.shape === 'circle') {
-            const r = (size * SigilGenerator.SHAPE_RATIO) / 2;
-            outerMarkup = `<circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="${this.sigilColor}" stroke-width="${strokeW}"/>`;
-        } else {
-            const verts = this._getShapeVertices(size);
-            const pts = verts.map(v => `${v.x},${v.y}`).join(' ');
-            outerMarkup = `<polygon points="${pts}" fill="none" stroke="${this.sigilColor}" stroke-width="${strokeW}" stroke-linejoin="miter"/>`;
-        }
-
-        // Render inner layers to a temp canvas and embed as image
-        const tmp = document.createElement('canvas');
-        tmp.width = size; tmp.height = size;
-        const savedCanvas = this.canvas;
-        const savedCtx = this.ctx;
-        this.canvas = tmp;
-        this.ctx = tmp.getContext('2d');
-        this._drawInnerLayers(size, 0, true);
-        const innerDataUrl = tmp.toDataURL('image/png');
-        this.canvas = savedCanvas;
-        this.ctx = savedCtx;
-
-        const bgRect = transparent ? '' : `  <rect width="100%" height="100%" fill="${this.bgColor}"/>`;
-
-        return [
-            `<?xml version="1.0" encoding="UTF-8"?>`,
-            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">`,
-            bgRect,
-            `  <image href="${innerDataUrl}" width="${size}" height="${size}"/>`,
-            `  ${outerMarkup}`,
-            `</svg>`
-        ].filter(Boolean).join('\n');
+        // Light spots are white, dark ones black; dark reads more strongly
+        const pixels = new Uint8ClampedArray(n * n * 4);
+        for (let i = 0; i < value.length; i++) {
+            const v = value[i];
+            pixels.fill(v > 0 ? 255 : 0, i * 4, i * 4 + 3);
+            pixels[i * 4 + 3] = Math.round(Math.abs(v) * strength * (v > 0 ? 0.35 : 0.6) * 255);
+        }
+        return { pixels, width: n, height: n };
     }
 
     /* ====================================================
-       Layer state generation  (all randomness happens here)
+       Draw style — hand-drawn, brush and ink lines
     ==================================================== */
 
-    _buildLayerState() {
-        const c = this.complexity; // 1-5
+    /**
+     * Set how lines are drawn ({ wobble, brush, bleed, nib }, see
+     * DEFAULT_DRAW_STYLE; missing settings keep their current values) and
+     * redraw. The layers stay as they are: only their look changes, the
+     * same way every time. Throws if a setting is out of range.
+     */
+    setDrawStyle(style) {
+        this.drawStyle = SigilGenerator._validateDrawStyle({ ...this.drawStyle, ...style }, (msg) => { throw new Error(msg); });
+        if (this.canvas && this._layerState) this._draw();
+    }
 
-        // Layer count scales with complexity (always at least 2 so sigils never look empty):
-        //   1→2  2→2-3  3→2-3  4→3-4  5→3-5
-        const minLayers = c <= 3 ? 2 : 3;
-        const maxLayers = Math.min(SigilGenerator.LAYERS.length, [2, 3, 3, 4, 5][c - 1]);
-        const count = minLayers + Math.floor(Math.random() * (maxLayers - minLayers + 1));
+    /* ====================================================
+       Strokes — line weights, caps, joins and dashes
+    ==================================================== */
 
-        // Weighted selection — connectedNodes gets 3× weight
-        const pool = [];
-        for (const layer of SigilGenerator.LAYERS) {
-            const weight = layer === 'connectedNodes' ? 3 : 1;
-            for (let i = 0; i < weight; i++) pool.push(layer);
-        }
-        // Shuffle the weighted pool, then pick unique layers
-        const shuffled = pool.sort(() => Math.random() - 0.5);
-        const chosen = [];
-        for (const l of shuffled) {
-            if (!chosen.includes(l)) chosen.push(l);
-            if (chosen.length >= count) break;
-        }
+    /**
+     * Set the line weights and patterns ({ outer, inner, dotSize, nodeSize,
+     * cap, join, dashes }, see DEFAULT_STROKES; missing settings keep their
+     * current values) and redraw. Widths, caps, joins and dashes change the
+     * current sigil; dot and node sizes apply from the next one built, and
+     * sigils are placed with room for the widths chosen when they are built.
+     * Throws if a setting is out of range.
+     */
+    setStrokes(strokes) {
+        this.strokes = SigilGenerator._validateStrokes({ ...this.strokes, ...strokes }, (msg) => { throw new Error(msg); });
+        if (this.canvas && this._layerState) this._draw();
+    }
 
-        const state = { layers: chosen };
+    /* ====================================================
+       Inscription — text around the perimeter
+    ==================================================== */
 
-        // Generate random params for every chosen layer
-        // Density multiplier: complexity 1→0.6, 3→1.0, 5→1.5
-        const density = 0.6 + (c - 1) * 0.225;
+    /**
+     * Set the inscription ({ text, font, size, spacing, offset, alphabet },
+     * see DEFAULT_INSCRIPTION) or clear it with null. Latin letters are
+     * measured in the font where a canvas can (see measureLetters). It is
+     * drawn on the current sigil straight away and leaves the layers alone.
+     * Throws for bad values, leaving the inscription as it was.
+     */
+    setInscription(inscription) {
+        const ins = SigilGenerator._validateInscription(inscription, (msg) => { throw new Error(msg); });
+        if (ins && ins.alphabet === 'latin') ins.widths = SigilGenerator.measureLetters(ins.text, ins.font) ?? ins.widths;
+        this.inscription = ins;
+        if (this.canvas && this._layerState) this._draw();
+    }
 
-        if (chosen.includes('radialLines')) {
-            const n = Math.max(2, Math.round((2 + Math.floor(Math.random() * 4)) * density)); // scaled 2-5→1-8
-            const angles = [];
-            for (let i = 0; i < n; i++) angles.push(Math.random() * Math.PI * 2);
-            state.radialLines = { angles };
+    /**
+     * The advance of each letter of `text` in `font`, in font sizes, as
+     * measured on a canvas: { O: 0.78, … }. Null where there is no canvas.
+     * Stored with the inscription, so it is laid out alike everywhere.
+     */
+    static measureLetters(text, font) {
+        let ctx;
+        try {
+            ctx = SigilGenerator._createCanvas(1).getContext('2d');
+        } catch (e) {
+            return null;
         }
+        if (!ctx) return null;
+        ctx.font = `100px ${font}`;
+        const widths = {};
+        for (const ch of new Set(text)) widths[ch] = Math.round(ctx.measureText(ch).width * 10) / 1000;
+        return widths;
+    }
+
+    /** The inscription's distance from the outline, as a share of the outer radius. */
+    _inscriptionOffset() {
+        if (this.inscription.offset !== null) return this.inscription.offset;
+        const band = this._borderLayout().band;
+        return band ? (band.outer + band.inner) / 2 - 1 : SigilGenerator.INSCRIPTION_GAP;
+    }
 
-        if (chosen.includes('perimeterConnections')) {
-            const n = Math.max(3, Math.round((3 + Math.floor(Math.random() * 3)) * density)); // scaled 3-5
-            const tValues = []; // normalised 0-1 positions along perimeter
-            for (let i = 0; i < n; i++) tValues.push(Math.random());
-            tValues.sort((a, b) => a - b);
-            // Decide connection style: 0 = sequential, 1 = every-other, 2 = all-to-all (rare)
-            const r = Math.random();
-            const style = r < 0.4 ? 0 : r < 0.8 ? 1 : 2;
-            state.perimeterConnections = { tValues, style };
+    /**
+     * The inscription as a row of glyphs with their advances in font sizes:
+     * { text } for a letter in the chosen font, or { lines, dots } for a rune
+     * or cipher sign drawn as strokes. Runes and cipher signs only take the
+     * letters A-Z, and words are split by a dot (runes) or a gap.
+     */
+    _inscriptionGlyphs() {
+        const { text, alphabet } = this.inscription;
+        if (alphabet === 'latin') {
+            const widths = this.inscription.widths ?? {};
+            return [...text].map(ch => ({ text: ch, advance: widths[ch] ?? SigilGenerator._letterWidth(ch) }));
         }
 
-        if (chosen.includes('concentricShapes')) {
-            const n = Math.max(1, Math.round((1 + Math.floor(Math.random() * 3)) * density)); // scaled 1-3
-            const rings = [];
-            for (let i = 0; i < n; i++) {
-                // 50% chance: same as outer shape, 50% chance: random different shape
-                let ringShape;
-                if (Math.random() < 0.5) {
-                    ringShape = this.shape;
-                } else {
-                    const pool = SigilGenerator.ALL_SHAPES;
-                    ringShape = pool[Math.floor(Math.random() * pool.length)];
+        const letters = text.normalize('NFD').toUpperCase();
+        const glyphs = [];
+        for (let i = 0; i < letters.length; i++) {
+            const ch = letters[i];
+            if (/\s/.test(ch)) {
+                if (glyphs.length && !glyphs[glyphs.length - 1].space) {
+                    glyphs.push({ space: true, lines: [], dots: alphabet === 'runic' ? [[0, 0]] : [], advance: alphabet === 'runic' ? 0.35 : 0.5 });
                 }
-                rings.push({
-                    shape: ringShape,
-                    scale: 0.2 + Math.random() * 0.45, // 20-65% of outer
-                    rotation: (Math.random() - 0.5) * Math.PI * 0.4 // ±36°
-                });
+                continue;
             }
-            state.concentricShapes = { rings };
-        }
-
-        if (chosen.includes('scatterDots')) {
-            const n = Math.max(2, Math.round((2 + Math.floor(Math.random() * 4)) * density)); // scaled 2-5
-            const dots = [];
-            const minDist = 0.15; // minimum normalised distance between dots
-            const centerAvoid = 0.12; // avoid this radius around center (normalised)
-            for (let i = 0; i < n; i++) {
-                let placed = false;
-                for (let attempt = 0; attempt < 50; attempt++) {
-                    const candidate = this._randomPointInShape();
-                    // Check distance from center
-                    const dcx = candidate.nx - 0.5, dcy = candidate.ny - 0.5;
-                    if (Math.sqrt(dcx * dcx + dcy * dcy) < centerAvoid) continue;
-                    // Check distance from existing dots
-                    let tooClose = false;
-                    for (const d of dots) {
-                        const dx = candidate.nx - d.nx, dy = candidate.ny - d.ny;
-                        if (Math.sqrt(dx * dx + dy * dy) < minDist) { tooClose = true; break; }
-                    }
-                    if (!tooClose) { dots.push(candidate); placed = true; break; }
+            if (ch < 'A' || ch > 'Z') continue;
+            if (alphabet === 'runic') {
+                const digraph = { TH: 'thurisaz', NG: 'ingwaz' }[letters.slice(i, i + 2)];
+                if (digraph) i++;
+                for (const name of digraph ? [digraph] : SigilGenerator.RUNE_LETTERS[ch]) {
+                    glyphs.push({ lines: SigilGenerator.RUNES[name], dots: [], advance: 0.6 });
                 }
-                if (!placed) dots.push(this._randomPointInShape()); // fallback
+            } else {
+                const code = ch.charCodeAt(0) - 65;
+                const base = code < 9 ? code : code < 18 ? code - 9 : code < 22 ? code : code - 4;
+                const cell = SigilGenerator.PIGPEN[String.fromCharCode(65 + base)];
+                const dotted = (code >= 9 && code < 18) || code >= 22;
+                glyphs.push({ lines: cell.lines, dots: dotted ? [cell.dot] : [], advance: 0.85 });
             }
-            state.scatterDots = { dots, radiusMultiplier: 0.5 + Math.random() * 1.0 };
         }
+        while (glyphs.length && glyphs[glyphs.length - 1].space) glyphs.pop();
+        return glyphs;
+    }
 
-        if (chosen.includes('crossLines')) {
-            const n = Math.max(1, Math.round((1 + Math.floor(Math.random() * 3)) * density)); // scaled 1-3
-            const lines = [];
-            for (let i = 0; i < n; i++) {
-                lines.push({
-                    angle: Math.random() * Math.PI, // direction
-                    offset: (Math.random() - 0.5) * 0.25 // ±12.5% off-center
-                });
-            }
-            state.crossLines = { lines };
+    /** Rough advance of a letter, in font sizes, for inscriptions that were never measured. */
+    static _letterWidth(ch) {
+        if (/\s/.test(ch)) return 0.3;
+        if (/[ijlI.,:;'!|]/.test(ch)) return 0.3;
+        if (/[mwMW]/.test(ch)) return 0.85;
+        if (/[A-Z]/.test(ch)) return 0.68;
+        if (/[0-9]/.test(ch)) return 0.55;
+        return 0.52;
+    }
+
+    /**
+     * Lay the inscription out along its path, centred at the top: each glyph
+     * gets the arc length of its middle (`offset`), its position and its
+     * direction. Text too long for the path is set smaller until it fits.
+     */
+    _inscriptionLayout(size) {
+        const ins = this.inscription;
+        const glyphs = this._inscriptionGlyphs();
+        let fontSize = size * ins.size;
+        const path = this._inscriptionPath(size, 1 + this._inscriptionOffset(), fontSize);
+        const lengths = [0];
+        path.forEach((a, i) => {
+            const b = path[(i + 1) % path.length];
+            lengths.push(lengths[i] + Math.hypot(b.x - a.x, b.y - a.y));
+        });
+        const length = lengths[path.length];
+        const top = this._verticalCrossing(path, size, -1);
+        const topAt = top ? lengths[top.index] + top.t * (lengths[top.index + 1] - lengths[top.index]) : length / 2;
+
+        // The text may not run past the start of the path (at the bottom)
+        const widthAt = (fs) => glyphs.reduce((sum, g) => sum + g.advance * fs, 0) + ins.spacing * fs * Math.max(0, glyphs.length - 1);
+        const room = Math.min(topAt, length - topAt) * 2 * 0.98;
+        if (widthAt(fontSize) > room) fontSize *= room / widthAt(fontSize);
+
+        let at = topAt - widthAt(fontSize) / 2;
+        const placed = glyphs.map(g => {
+            const offset = at + (g.advance * fontSize) / 2;
+            at += (g.advance + ins.spacing) * fontSize;
+            return { ...g, offset, ...SigilGenerator._alongPath(path, lengths, offset) };
+        });
+        return { path, fontSize, glyphs: placed };
+    }
+
+    /**
+     * The line the inscription follows: the outline scaled by `k`, running
+     * clockwise from the bottom, with its corners rounded off over `round`
+     * so the letters turn smoothly around them.
+     */
+    _inscriptionPath(size, k, round) {
+        const cx = size / 2, cy = size / 2;
+        if (this.shape === 'circle') {
+            const r = ((size * SigilGenerator.SHAPE_RATIO) / 2) * k;
+            return Array.from({ length: 180 }, (_, i) => {
+                const a = Math.PI / 2 + (i / 180) * Math.PI * 2;
+                return { x: cx + Math.cos(a) * r, y: cy + Math.sin(a) * r };
+            });
         }
+        let verts = this._getShapeVertices(size).map(v => ({ x: cx + (v.x - cx) * k, y: cy + (v.y - cy) * k }));
+        const area = verts.reduce((sum, a, i) => {
+            const b = verts[(i + 1) % verts.length];
+            return sum + a.x * b.y - b.x * a.y;
+        }, 0);
+        if (area < 0) verts.reverse(); // clockwise on screen
+        const bottom = this._verticalCrossing(verts, size, 1);
+        if (bottom) verts = [bottom.point, ...verts.slice(bottom.index + 1), ...verts.slice(0, bottom.index + 1)];
+        return this._roundCorners(verts, round);
+    }
 
-        if (chosen.includes('connectedNodes')) {
-            const n = Math.max(2, Math.round((2 + Math.floor(Math.random() * 4)) * density)); // scaled 2-5
-            const nodes = [];
-            const minDist = 0.18;
-            for (let i = 0; i < n; i++) {
-                let placed = false;
-                for (let attempt = 0; attempt < 50; attempt++) {
-                    const candidate = this._randomPointInShape();
-                    let tooClose = false;
-                    for (const nd of nodes) {
-                        const dx = candidate.nx - nd.nx, dy = candidate.ny - nd.ny;
-                        if (Math.sqrt(dx * dx + dy * dy) < minDist) { tooClose = true; break; }
-                    }
-                    if (!tooClose) { nodes.push(candidate); placed = true; break; }
-                }
-                if (!placed) nodes.push(this._randomPointInShape());
+    /**
+     * Where a closed path crosses the vertical through the centre, below it
+     * (dir 1) or above it (dir -1): the crossing farthest out, as
+     * { index, t, point } on edge index → index + 1, or null.
+     */
+    _verticalCrossing(points, size, dir) {
+        const c = size / 2;
+        let best = null;
+        points.forEach((a, index) => {
+            const b = points[(index + 1) % points.length];
+            if (a.x === b.x || (a.x - c) * (b.x - c) > 0) return;
+            const t = (c - a.x) / (b.x - a.x);
+            const y = a.y + (b.y - a.y) * t;
+            if ((y - c) * dir > 0 && (!best || (y - c) * dir > (best.point.y - c) * dir)) best = { index, t, point: { x: c, y } };
+        });
+        return best;
+    }
+
+    /** A closed path with every corner replaced by a curve starting `radius` before it (at most half an edge). */
+    _roundCorners(points, radius) {
+        const n = points.length, out = [];
+        points.forEach((v, i) => {
+            const p = points[(i + n - 1) % n], q = points[(i + 1) % n];
+            const lp = Math.hypot(p.x - v.x, p.y - v.y), lq = Math.hypot(q.x - v.x, q.y - v.y);
+            const d = Math.min(radius, lp / 2, lq / 2);
+            if (!(d > 0)) {
+                out.push(v);
+                return;
             }
-            // Connection style: 0 = sequential, 1 = star (all from first), 2 = all-to-all (rare)
-            const r = Math.random();
-            const style = r < 0.4 ? 0 : r < 0.8 ? 1 : 2;
-            state.connectedNodes = { nodes, style, radiusMultiplier: 0.6 + Math.random() * 0.8 };
-        }
+            const a = { x: v.x + ((p.x - v.x) * d) / lp, y: v.y + ((p.y - v.y) * d) / lp };
+            const b = { x: v.x + ((q.x - v.x) * d) / lq, y: v.y + ((q.y - v.y) * d) / lq };
+            for (let j = 0; j <= 8; j++) {
+                const t = j / 8, u = 1 - t;
+                out.push({ x: u * u * a.x + 2 * u * t * v.x + t * t * b.x, y: u * u * a.y + 2 * u * t * v.y + t * t * b.y });
+            }
+        });
+        return out;
+    }
 
-        return state;
+    /** Position and direction (radians) at arc length s along a closed path with running `lengths`. */
+    static _alongPath(points, lengths, s) {
+        const n = points.length;
+        let i = 0;
+        while (i < n - 1 && (lengths[i + 1] < s || lengths[i + 1] === lengths[i])) i++;
+        const a = points[i], b = points[(i + 1) % n];
+        const len = lengths[i + 1] - lengths[i];
+        const t = len > 0 ? Math.max(0, Math.min(1, (s - lengths[i]) / len)) : 0;
+        return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, angle: Math.atan2(b.y - a.y, b.x - a.x) };
+    }
+
+    /** Draw the inscription: font letters along a text path, runes and cipher signs as strokes. */
+    _renderInscription(r, size) {
+        const ins = this.inscription;
+        const layout = this._inscriptionLayout(size);
+        if (!layout.glyphs.length) return;
+        if (ins.alphabet === 'latin') {
+            const glyphs = layout.glyphs.filter(g => g.text.trim()).map(({ text, offset, x, y, angle }) => ({ text, offset, x, y, angle }));
+            r.textPath({ type: 'polyline', points: layout.path, closed: true }, glyphs,
+                { color: this.sigilColor, font: ins.font, size: layout.fontSize });
+            return;
+        }
+        const style = { color: this.sigilColor, width: layout.fontSize * 0.09, join: 'round' };
+        for (const g of layout.glyphs) {
+            const parts = [...g.lines.map(path => ({ path })), ...g.dots.map(([x, y]) => ({ circle: [x, y, 0.13], fill: true }))];
+            // Upright means away from the path, to the left of its direction
+            this._renderGlyph(r, parts, g, layout.fontSize * 0.4, style, g.angle - Math.PI / 2);
+        }
     }
 
     /* ====================================================
        Drawing
     ==================================================== */
 
-    _draw(transparent = false, glowIntensity = 0) {
-        const ctx  = this.ctx;
-        const size = this.canvas.width;
-        const cx = size / 2, cy = size / 2;
-        const strokeW = size * SigilGenerator.STROKE_RATIO;
+    /** Draw onto the on-screen canvas, optionally with the generation glow. */
+    _draw(glowIntensity = 0) {
+        this._whenBackgroundLoaded(() => this._draw());
+        const glow = glowIntensity > 0
+            ? { color: this.sigilColor, blur: glowIntensity * this.canvas.width * 0.06 }
+            : null;
+        this.render(new CanvasRenderer(this.canvas, { glow }));
+    }
 
-        // Background
-        ctx.clearRect(0, 0, size, size);
-        if (!transparent) {
-            ctx.fillStyle = this.bgColor;
-            ctx.fillRect(0, 0, size, size);
+    /** The outer shape as a renderer shape (circle or closed polygon). */
+    _shapeOutline(size) {
+        if (this.shape === 'circle') {
+            return { type: 'circle', cx: size / 2, cy: size / 2, r: (size * SigilGenerator.SHAPE_RATIO) / 2 };
         }
+        return { type: 'polyline', points: this._getShapeVertices(size), closed: true };
+    }
 
-        // Glow
-        if (glowIntensity > 0) {
-            ctx.shadowColor = this.sigilColor;
-            ctx.shadowBlur  = glowIntensity * size * 0.06;
-        } else {
-            ctx.shadowColor = 'transparent';
-            ctx.shadowBlur  = 0;
+    /* ---------- Border ---------- */
+
+    /**
+     * Where each part of the border sits, as scales of the outer shape
+     * (1 = the outline itself), going inwards: the outlines, the band
+     * between the first two, the strip holding the marks (the band, or
+     * hanging inside the innermost outline), the dotted ring and finally
+     * the inner region the layers are drawn into.
+     */
+    _borderLayout() {
+        const b = this.border;
+        const lines = b.band ? Math.max(2, b.lines) : b.lines;
+        const outlines = [1];
+        let k = 1;
+        for (let i = 1; i < lines; i++) {
+            k -= i === 1 && b.band ? SigilGenerator.BAND_WIDTH : b.gap;
+            outlines.push(k);
         }
+        const band = b.band ? { outer: 1, inner: outlines[1] } : null;
 
-        // Inner layers (drawn BEFORE outer shape so shape sits on top)
-        this._drawInnerLayers(size, glowIntensity, transparent);
+        let marks = null;
+        if (b.marks !== 'none') {
+            marks = band ?? { outer: k, inner: k - SigilGenerator.MARK_DEPTH };
+            if (!band) k = marks.inner;
+        }
+        let dotRing = null;
+        if (b.dots) {
+            dotRing = k - b.gap / 2;
+            k -= b.gap;
+        }
+        return { outlines, band, marks, dotRing, inner: k };
+    }
 
-        // Outer shape
-        ctx.strokeStyle = this.sigilColor;
-        ctx.lineWidth   = strokeW;
-        ctx.lineJoin    = 'miter';
+    /**
+     * Half the outline's stroke, as it reaches into the layers: inside a
+     * border they are drawn scaled down, so the innermost stroke reaches further.
+     */
+    _outlineHalfStroke(size) {
+        return this._outerWidth(size) / 2 / this._borderLayout().inner;
+    }
 
-        if (this.shape === 'circle') {
-            const r = (size * SigilGenerator.SHAPE_RATIO) / 2;
-            ctx.beginPath();
-            ctx.arc(cx, cy, r, 0, Math.PI * 2);
-            ctx.stroke();
-        } else {
-            const vertices = this._getShapeVertices(size);
-            ctx.beginPath();
-            ctx.moveTo(vertices[0].x, vertices[0].y);
-            for (let i = 1; i < vertices.length; i++) {
-                ctx.lineTo(vertices[i].x, vertices[i].y);
+    /** Width of the outline at `size` (see strokes). */
+    _outerWidth(size) {
+        return size * this.strokes.outer;
+    }
+
+    /** Width of the inner lines at `size`: a share of the outline's. */
+    _innerWidth(size) {
+        return size * this.strokes.outer * this.strokes.inner;
+    }
+
+    /**
+     * A line style for `layer` `width` wide, with the chosen caps, joins
+     * and the layer's dash pattern (dots are round-capped dashes of no length).
+     */
+    _lineStyle(layer, color, width) {
+        const { cap, join, dashes } = this.strokes;
+        const style = { color, width, cap, join };
+        if (dashes[layer] === 'dashed') style.dash = [width * 3, width * 2];
+        if (dashes[layer] === 'dotted') Object.assign(style, { cap: 'round', dash: [0, width * 2] });
+        return style;
+    }
+
+    /** Draw the outlines (the first at full weight), the marks and the dotted ring. */
+    _renderBorder(r, size, layout) {
+        const cx = size / 2, cy = size / 2;
+        const width = this._outerWidth(size);
+        const { cap, join } = this.strokes;
+        const outlinePaint = this._outlinePaint(size);
+        const outlineStyle = { color: outlinePaint, width, cap, join };
+        const lineStyle = { color: this.sigilColor, width: this._innerWidth(size), cap, join };
+        const scaledPoint = (p, k) => ({ x: cx + (p.x - cx) * k, y: cy + (p.y - cy) * k });
+
+        layout.outlines.forEach((k, i) => {
+            const target = k === 1 ? r : new ScaledRenderer(r, k, cx, cy);
+            const style = i === 0 ? outlineStyle : { ...lineStyle, color: outlinePaint };
+            if (this.shape === 'circle') {
+                target.stroke(this._shapeOutline(size), style);
+            } else {
+                for (const points of this._getShapeFigure(this.shape, size)) {
+                    target.stroke({ type: 'polyline', points, closed: true }, style);
+                }
+            }
+        });
+
+        if (layout.marks) {
+            const { outer, inner } = layout.marks;
+            const count = this.border.markCount;
+            const shapeR = (size * SigilGenerator.SHAPE_RATIO) / 2;
+            // Inside a band the marks keep clear of both outlines
+            const pad = layout.band ? (outer - inner) * 0.2 : 0;
+            const glyphs = SigilGenerator.BORDER_GLYPHS;
+            const glyphStyle = { color: this.sigilColor, width: width * 0.3, join: 'round' };
+            for (let i = 0; i < count; i++) {
+                const p = this._pointOnPerimeter(i / count, size);
+                if (this.border.marks === 'ticks') {
+                    r.stroke({ type: 'polyline', points: [scaledPoint(p, outer - pad), scaledPoint(p, inner + pad)], closed: false }, lineStyle);
+                } else {
+                    const at = scaledPoint(p, (outer + inner) / 2);
+                    const up = Math.atan2(at.y - cy, at.x - cx);
+                    this._renderGlyph(r, glyphs[i % glyphs.length], at, (outer - inner - pad * 2) * shapeR * 0.5, glyphStyle, up);
+                }
             }
-            ctx.closePath();
-            ctx.stroke();
         }
 
-        // Reset shadow
-        ctx.shadowColor = 'transparent';
-        ctx.shadowBlur  = 0;
+        if (layout.dotRing !== null) {
+            const k = layout.dotRing;
+            const dotR = width * 0.45;
+            const count = Math.max(12, Math.round((this._perimeterLength(size) * k) / (dotR * 4)));
+            for (let i = 0; i < count; i++) {
+                const p = scaledPoint(this._pointOnPerimeter(i / count, size), k);
+                r.fill({ type: 'circle', cx: p.x, cy: p.y, r: dotR }, { color: this.sigilColor });
+            }
+        }
+    }
+
+    /**
+     * Draw a glyph (see BORDER_GLYPHS) centred on p, `h` tall from its
+     * centre, with its top towards the angle `up`.
+     */
+    _renderGlyph(r, glyph, p, h, style, up) {
+        const ux = Math.cos(up), uy = Math.sin(up);
+        const vx = -uy, vy = ux; // the glyph's x axis
+        const at = ([x, y]) => ({ x: p.x + (x * vx + y * ux) * h, y: p.y + (x * vy + y * uy) * h });
+        for (const part of glyph) {
+            if (part.path) {
+                r.stroke({ type: 'polyline', points: part.path.map(at), closed: !!part.closed }, style);
+                continue;
+            }
+            const c = at(part.circle);
+            const shape = { type: 'circle', cx: c.x, cy: c.y, r: part.circle[2] * h };
+            if (part.fill) r.fill(shape, { color: style.color });
+            else r.stroke(shape, style);
+        }
     }
 
     /* ---------- Inner pattern layer renderers ---------- */
 
-    _drawInnerLayers(size, glowIntensity, transparent = false) {
-        if (!this._layerState) return;
-        const ctx = this.ctx;
+    _renderInnerLayers(r, size) {
         const ls  = this._layerState;
         const cx  = size / 2, cy = size / 2;
         const shapeR   = (size * SigilGenerator.SHAPE_RATIO) / 2;
-        const thinLine = size * SigilGenerator.STROKE_RATIO * 0.6;
+        const thinLine = this._innerWidth(size);
         const dotR     = size * SigilGenerator.DOT_RATIO;
 
-        // Clip to shape so inner elements never escape
-        ctx.save();
-        this._clipToShape(ctx, size);
-
-        ctx.strokeStyle = this.sigilColor;
-        ctx.fillStyle   = this.sigilColor;
-
-        for (const layerName of ls.layers) {
-            switch (layerName) {
-
-                /* --- 1. Radial lines --- */
-                case 'radialLines': {
-                    const { angles } = ls.radialLines;
-                    ctx.lineWidth = thinLine;
-                    for (const a of angles) {
-                        ctx.beginPath();
-                        ctx.moveTo(cx, cy);
-                        ctx.lineTo(cx + Math.cos(a) * shapeR, cy + Math.sin(a) * shapeR);
-                        ctx.stroke();
-                    }
-                    // Cap the center to cover anti-alias gaps
-                    ctx.beginPath();
-                    ctx.arc(cx, cy, thinLine * 0.5, 0, Math.PI * 2);
-                    ctx.fill();
-                    break;
-                }
-
-                /* --- 2. Perimeter connections --- */
-                case 'perimeterConnections': {
-                    const { tValues, style } = ls.perimeterConnections;
-                    const pts = tValues.map(t => this._pointOnPerimeter(t, size));
-                    ctx.lineWidth = thinLine;
-                    if (style === 0) {
-                        // Sequential
-                        ctx.beginPath();
-                        ctx.moveTo(pts[0].x, pts[0].y);
-                        for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
-                        ctx.closePath();
-                        ctx.stroke();
-                    } else if (style === 1) {
-                        // Every-other (star pattern)
-                        for (let step = 2; step <= Math.floor(pts.length / 2); step++) {
-                            ctx.beginPath();
-                            for (let i = 0; i < pts.length; i++) {
-                                const j = (i * step) % pts.length;
-                                if (i === 0) ctx.moveTo(pts[j].x, pts[j].y);
-                                else ctx.lineTo(pts[j].x, pts[j].y);
-                            }
-                            ctx.closePath();
-                            ctx.stroke();
-                            break; // only one pass
-                        }
-                    } else {
-                        // All-to-all
-                        for (let i = 0; i < pts.length; i++) {
-                            for (let j = i + 1; j < pts.length; j++) {
-                                ctx.beginPath();
-                                ctx.moveTo(pts[i].x, pts[i].y);
-                                ctx.lineTo(pts[j].x, pts[j].y);
-                                ctx.stroke();
-                            }
-                        }
-                    }
-                    break;
-                }
-
-                /* --- 3. Concentric shapes --- */
-                case 'concentricShapes': {
-                    const { rings } = ls.concentricShapes;
-                    ctx.lineWidth = thinLine;
-                    for (const ring of rings) {
-                        if (ring.shape === 'circle') {
-                            ctx.beginPath();
-                            ctx.arc(cx, cy, shapeR * ring.scale, 0, Math.PI * 2);
-                            ctx.stroke();
-                        } else {
-                            const ringVerts = this._getVerticesForShape(ring.shape, size);
-                            const rotated = ringVerts.map(v => {
-                                const dx = (v.x - cx) * ring.scale;
-                                const dy = (v.y - cy) * ring.scale;
-                                const cos = Math.cos(ring.rotation);
-                                const sin = Math.sin(ring.rotation);
-                                return {
-                                    x: cx + dx * cos - dy * sin,
-                                    y: cy + dx * sin + dy * cos
-                                };
-                            });
-                            ctx.beginPath();
-                            ctx.moveTo(rotated[0].x, rotated[0].y);
-                            for (let i = 1; i < rotated.length; i++) ctx.lineTo(rotated[i].x, rotated[i].y);
-                            ctx.closePath();
-                            ctx.stroke();
-                        }
-                    }
-                    break;
-                }
-
-                /* --- 4. Scatter dots --- */
-                case 'scatterDots': {
-                    const { dots, radiusMultiplier } = ls.scatterDots;
-                    const r = dotR * radiusMultiplier;
-                    for (const d of dots) {
-                        const pos = this._normalizedToCanvas(d, size);
-                        ctx.beginPath();
-                        ctx.arc(pos.x, pos.y, r, 0, Math.PI * 2);
-                        ctx.fill();
-                    }
-                    break;
-                }
+        const segment = (a, b) => ({ type: 'polyline', points: [a, b], closed: false });
+        const path    = (points, closed) => ({ type: 'polyline', points, closed });
+        const circle  = (p, rad) => ({ type: 'circle', cx: p.x, cy: p.y, r: rad });
+        const arc     = (p, rad, start, end) => ({ type: 'arc', cx: p.x, cy: p.y, r: rad, start, end });
 
-                /* --- 5. Cross lines --- */
-                case 'crossLines': {
-                    const { lines } = ls.crossLines;
-                    ctx.lineWidth = thinLine;
-                    for (const l of lines) {
-                        const offX = Math.cos(l.angle + Math.PI / 2) * l.offset * shapeR;
-                        const offY = Math.sin(l.angle + Math.PI / 2) * l.offset * shapeR;
-                        const dx = Math.cos(l.angle) * shapeR;
-                        const dy = Math.sin(l.angle) * shapeR;
-                        ctx.beginPath();
-                        ctx.moveTo(cx + offX - dx, cy + offY - dy);
-                        ctx.lineTo(cx + offX + dx, cy + offY + dy);
-                        ctx.stroke();
-                    }
-                    break;
-                }
+        const ctx = { sigil: this, size, cx, cy, shapeR, thinLine, dotR, segment, path, circle, arc };
 
-                /* --- 6. Connected nodes --- */
-                case 'connectedNodes': {
-                    const { nodes, style, radiusMultiplier } = ls.connectedNodes;
-                    const r = dotR * radiusMultiplier;
-                    const pts = nodes.map(nd => this._normalizedToCanvas(nd, size));
-
-                    // Draw connecting lines first (behind the nodes)
-                    ctx.lineWidth = thinLine;
-                    if (style === 0) {
-                        // Sequential chain
-                        ctx.beginPath();
-                        ctx.moveTo(pts[0].x, pts[0].y);
-                        for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
-                        ctx.stroke();
-                    } else if (style === 1) {
-                        // Star: all connect to first node
-                        for (let i = 1; i < pts.length; i++) {
-                            ctx.beginPath();
-                            ctx.moveTo(pts[0].x, pts[0].y);
-                            ctx.lineTo(pts[i].x, pts[i].y);
-                            ctx.stroke();
-                        }
-                    } else {
-                        // All-to-all
-                        for (let i = 0; i < pts.length; i++) {
-                            for (let j = i + 1; j < pts.length; j++) {
-                                ctx.beginPath();
-                                ctx.moveTo(pts[i].x, pts[i].y);
-                                ctx.lineTo(pts[j].x, pts[j].y);
-                                ctx.stroke();
-                            }
-                        }
-                    }
+        // With symmetry every layer call is repeated for each copy; the trace stays single
+        const matrices = this._symmetryMatrices();
+        const layerRenderer = matrices.length > 1 ? new SymmetryRenderer(r, matrices, cx, cy) : r;
 
-                    // Draw hollow dots (stroke only, clear inside)
-                    for (const p of pts) {
-                        if (transparent) {
-                            // Truly erase the interior so it stays transparent
-                            ctx.save();
-                            ctx.globalCompositeOperation = 'destination-out';
-                            ctx.fillStyle = 'rgba(0,0,0,1)';
-                            ctx.beginPath();
-                            ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
-                            ctx.fill();
-                            ctx.restore();
-                        } else {
-                            // Fill with background color to mask lines behind
-                            ctx.fillStyle = this.bgColor;
-                            ctx.beginPath();
-                            ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
-                            ctx.fill();
-                        }
-                        // Stroke the ring
-                        ctx.strokeStyle = this.sigilColor;
-                        ctx.lineWidth = thinLine;
-                        ctx.beginPath();
-                        ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
-                        ctx.stroke();
-                    }
-                    // Restore fill/stroke for other layers
-                    ctx.fillStyle = this.sigilColor;
-                    ctx.strokeStyle = this.sigilColor;
-                    break;
-                }
+        for (const layerName of ls.layers) {
+            // Each layer draws in its own colour (see layerColors)
+            const color = this._layerColor(layerName);
+            const layerCtx = { ...ctx, lineStyle: this._lineStyle(layerName, color, thinLine), inkStyle: { color } };
+            if (layerName === 'trace') {
+                this._renderTrace(r, ls.trace, layerCtx);
+            } else {
+                SigilGenerator.layerType(layerName).draw(layerRenderer, ls[layerName], layerCtx);
             }
         }
-
-        ctx.restore(); // release clip
     }
 
-    /* ====================================================
-       Clipping helper — clips drawing to the shape interior
-    ==================================================== */
+    /** Draw the trace layer: optional guide, the path, a start circle and an end bar. */
+    _renderTrace(r, trace, { size, thinLine, lineStyle, segment, path, circle }) {
+        const geo = this._traceGeometry(trace, size);
 
-    _clipToShape(ctx, size) {
-        const cx = size / 2, cy = size / 2;
-        if (this.shape === 'circle') {
-            const r = (size * SigilGenerator.SHAPE_RATIO) / 2;
-            ctx.beginPath();
-            ctx.arc(cx, cy, r, 0, Math.PI * 2);
-            ctx.clip();
-        } else {
-            const verts = this._getShapeVertices(size);
-            ctx.beginPath();
-            ctx.moveTo(verts[0].x, verts[0].y);
-            for (let i = 1; i < verts.length; i++) ctx.lineTo(verts[i].x, verts[i].y);
-            ctx.closePath();
-            ctx.clip();
+        if (trace.guide) {
+            const guideStyle = { color: lineStyle.color, width: thinLine * 0.4, alpha: 0.25 };
+            for (const [a, b] of geo.guide.lines) r.stroke(segment(a, b), guideStyle);
+            for (const c of geo.guide.circles) r.stroke(circle(c, c.r), guideStyle);
+            const labelStyle = { color: lineStyle.color, font: 'Cinzel, serif', size: size * 0.022, alpha: 0.25 };
+            for (const l of geo.guide.labels) r.text(l.text, l.x, l.y, labelStyle);
         }
+
+        const marks = this._traceMarks(geo.points, size);
+        r.stroke(path(geo.points, false), { ...lineStyle, join: 'round' });
+        r.stroke(circle(marks.start, marks.start.r), lineStyle);
+        r.stroke(segment(marks.bar[0], marks.bar[1]), lineStyle);
     }
 
     /* ====================================================
@@ -592,10 +2811,64 @@ class SigilGenerator {
         return { x: verts[0].x, y: verts[0].y };
     }
 
+    /** Length of the outer shape's perimeter at `size`. */
+    _perimeterLength(size) {
+        if (this.shape === 'circle') return Math.PI * size * SigilGenerator.SHAPE_RATIO;
+        const verts = this._getShapeVertices(size);
+        return verts.reduce((sum, a, i) => {
+            const b = verts[(i + 1) % verts.length];
+            return sum + Math.hypot(b.x - a.x, b.y - a.y);
+        }, 0);
+    }
+
+    /** The perimeter position t (0–1) nearest to a canvas point — the inverse of _pointOnPerimeter. */
+    _perimeterT(p, size) {
+        const cx = size / 2, cy = size / 2;
+        if (this.shape === 'circle') {
+            const a = Math.atan2(p.y - cy, p.x - cx) / (Math.PI * 2);
+            return a < 0 ? a + 1 : a;
+        }
+
+        const verts = this._getShapeVertices(size);
+        let perimeter = 0, best = null;
+        for (let i = 0; i < verts.length; i++) {
+            const a = verts[i], b = verts[(i + 1) % verts.length];
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            const hit = this._closestOnSegment(p, a, b);
+            if (!best || hit.dist < best.dist) best = { dist: hit.dist, along: perimeter + hit.t * len };
+            perimeter += len;
+        }
+        return (best.along / perimeter) % 1;
+    }
+
     /**
-     * Convert a normalised {nx, ny} to canvas-space coordinates inside the shape.
+     * Convert a normalised {nx, ny} (0-1 across the shape's bounding box) to
+     * canvas coordinates — the inverse of the normalisation in
+     * _randomPointInShape(), so a point lands exactly where it was placed.
      */
     _normalizedToCanvas(pt, size) {
+        if (this._legacyPlacement) return this._legacyNormalizedToCanvas(pt, size);
+        const b = this._shapeBounds(size);
+        return { x: b.minX + pt.nx * (b.maxX - b.minX), y: b.minY + pt.ny * (b.maxY - b.minY) };
+    }
+
+    /** Convert canvas-space coordinates back to a normalised {nx, ny} (inverse of _normalizedToCanvas). */
+    _canvasToNormalized(p, size) {
+        const origin = this._normalizedToCanvas({ nx: 0, ny: 0 }, size);
+        const corner = this._normalizedToCanvas({ nx: 1, ny: 1 }, size);
+        return {
+            nx: (p.x - origin.x) / (corner.x - origin.x),
+            ny: (p.y - origin.y) / (corner.y - origin.y)
+        };
+    }
+
+    /**
+     * The mapping used before format version 2: through the bounding box
+     * shrunk by a dot radius and half a stroke, which could push points
+     * placed near the outline of stars, triangles and random polygons
+     * partly outside it. Only used to read and rebuild older sigils.
+     */
+    _legacyNormalizedToCanvas(pt, size) {
         const cx = size / 2, cy = size / 2;
         const dotR = size * SigilGenerator.DOT_RATIO;
         const strokeW = size * SigilGenerator.STROKE_RATIO;
@@ -621,6 +2894,27 @@ class SigilGenerator {
         };
     }
 
+    /**
+     * Convert every { nx, ny } point in a layer state from the version 1
+     * mapping to the current one, so older sigils keep their look.
+     */
+    _upgradePoints(layerState) {
+        const size = 1000;
+        const convert = (value) => {
+            if (Array.isArray(value)) return value.map(convert);
+            if (!SigilGenerator._isObject(value)) return value;
+            const out = {};
+            for (const [k, v] of Object.entries(value)) out[k] = convert(v);
+            if (SigilGenerator._isNum(value.nx) && SigilGenerator._isNum(value.ny)) {
+                Object.assign(out, this._canvasToNormalized(this._legacyNormalizedToCanvas(value, size), size));
+            }
+            return out;
+        };
+        const out = { layers: layerState.layers.slice() };
+        for (const name of layerState.layers) out[name] = name === 'trace' ? layerState[name] : convert(layerState[name]);
+        return out;
+    }
+
     /* ====================================================
        Glow animation
     ==================================================== */
@@ -638,13 +2932,13 @@ class SigilGenerator {
             else glow = 1 - ((t - 0.15) / 0.85);
             glow = glow * glow * (3 - 2 * glow);
 
-            this._draw(false, glow);
+            this._draw(glow);
 
             if (t < 1) {
                 this._animFrame = requestAnimationFrame(tick);
             } else {
                 this._animFrame = null;
-                this._draw(false, 0);
+                this._draw(0);
             }
         };
 
@@ -657,25 +2951,81 @@ class SigilGenerator {
     ==================================================== */
 
     /**
-     * Get vertices for any named shape at given size.
+     * The parametric definition of a named shape: { sides, start } for a
+     * regular polygon, { points, inner, skip, start } for a star,
+     * { vertices } for a custom outline or { polar } (angle and radius per
+     * vertex) for the random one; null for the circle.
+     * The outer shape's rotation applies wherever its name is drawn, so
+     * concentric copies of it turn with it.
+     */
+    _shapeDefinition(shapeName) {
+        const o = this.shapeOptions;
+        const turn = shapeName === this.shape ? (o.rotation * Math.PI) / 180 : 0;
+
+        switch (shapeName) {
+            case 'circle': return null;
+            case 'polygon': return { sides: o.sides, start: -Math.PI / 2 + turn };
+            case 'star-polygon': {
+                // A {n/k} star's inner vertices are where its edges cross
+                const inner = o.skip > 1
+                    ? Math.cos((Math.PI * o.skip) / o.points) / Math.cos((Math.PI * (o.skip - 1)) / o.points)
+                    : o.innerRatio;
+                return { points: o.points, inner, skip: o.skip, start: -Math.PI / 2 + turn };
+            }
+            case 'custom': {
+                if (!o.vertices) return SigilGenerator.SHAPE_PRESETS.pentagon; // fallback
+                const cos = Math.cos(turn), sin = Math.sin(turn);
+                return { vertices: o.vertices.map(v => ({ x: v.x * cos - v.y * sin, y: v.x * sin + v.y * cos })) };
+            }
+            case 'random':
+                if (!this._randomVertices) return SigilGenerator.SHAPE_PRESETS.pentagon; // fallback
+                return { polar: this._randomVertices.map(p => ({ angle: p.angle + turn, radius: p.radius })) };
+            default: {
+                const preset = SigilGenerator.SHAPE_PRESETS[shapeName];
+                if (!preset) return null;
+                return turn === 0 ? preset : { ...preset, start: preset.start + turn };
+            }
+        }
+    }
+
+    /**
+     * Get vertices for any named shape at given size: the outline that
+     * clipping, perimeter sampling and placement all work from.
      */
     _getVerticesForShape(shapeName, size) {
         const cx = size / 2, cy = size / 2;
         const r = (size * SigilGenerator.SHAPE_RATIO) / 2;
+        const def = this._shapeDefinition(shapeName);
 
-        switch (shapeName) {
-            case 'circle':        return []; // handled separately
-            case 'square':        return this._regularPolygon(cx, cy, r, 4, -Math.PI / 4);
-            case 'triangle':      return this._regularPolygon(cx, cy, r, 3, -Math.PI / 2);
-            case 'diamond':       return this._regularPolygon(cx, cy, r, 4, -Math.PI / 2);
-            case 'pentagon':      return this._regularPolygon(cx, cy, r, 5, -Math.PI / 2);
-            case 'hexagon':       return this._regularPolygon(cx, cy, r, 6, -Math.PI / 2);
-            case 'octagon':       return this._regularPolygon(cx, cy, r, 8, -Math.PI / 8);
-            case 'star':          return this._starPolygon(cx, cy, r, r * 0.50, 5, -Math.PI / 2);
-            case 'star-inverted': return this._starPolygon(cx, cy, r, r * 0.50, 5, Math.PI / 2);
-            case 'random':        return this._getRandomShapeVertices(cx, cy, r);
-            default:              return [];
+        if (!def) return []; // the circle is handled separately
+        if (def.vertices) return def.vertices.map(v => ({ x: cx + r * v.x, y: cy + r * v.y }));
+        if (def.polar) {
+            return def.polar.map(p => ({ x: cx + r * p.radius * Math.cos(p.angle), y: cy + r * p.radius * Math.sin(p.angle) }));
+        }
+        if (def.points) return this._starPolygon(cx, cy, r, r * def.inner, def.points, def.start);
+        return this._regularPolygon(cx, cy, r, def.sides, def.start);
+    }
+
+    /**
+     * The closed paths that draw a shape: its outline, or for a {n/k} star
+     * polygon the crossing lines themselves (several paths when n and k
+     * share a factor, like the two triangles of {6/2}).
+     */
+    _getShapeFigure(shapeName, size) {
+        const def = this._shapeDefinition(shapeName);
+        if (!def || !(def.skip > 1)) return [this._getVerticesForShape(shapeName, size)];
+
+        const cx = size / 2, cy = size / 2;
+        const r = (size * SigilGenerator.SHAPE_RATIO) / 2;
+        const tips = this._regularPolygon(cx, cy, r, def.points, def.start);
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        const paths = [];
+        for (let first = 0; first < gcd(def.points, def.skip); first++) {
+            const path = [];
+            for (let i = first; path.length === 0 || i !== first; i = (i + def.skip) % def.points) path.push(tips[i]);
+            paths.push(path);
         }
+        return paths;
     }
 
     _getShapeVertices(size) {
@@ -683,18 +3033,53 @@ class SigilGenerator {
     }
 
     /**
-     * Generate a random polygon: 4-8 vertices at random angles and distances,
-     * sorted by angle to prevent self-intersection.
+     * The current outer shape as custom vertices (in units of the outer
+     * radius, before rotation), to start a custom outline from. A circle
+     * becomes a 12-gon.
+     */
+    shapeAsVertices() {
+        const size = 1000, c = size / 2;
+        const r = (size * SigilGenerator.SHAPE_RATIO) / 2;
+        const verts = this.shape === 'circle' ? this._regularPolygon(c, c, r, 12, -Math.PI / 2) : this._getShapeVertices(size);
+        return verts.map(v => this._toShapeUnits(v, size));
+    }
+
+    /** A canvas point in custom-vertex units: relative to the outer radius, rotation undone, rounded. */
+    _toShapeUnits(p, size) {
+        const r = (size * SigilGenerator.SHAPE_RATIO) / 2;
+        const turn = this.shape === 'circle' ? 0 : (-this.shapeOptions.rotation * Math.PI) / 180;
+        const x = (p.x - size / 2) / r, y = (p.y - size / 2) / r;
+        const unit = (v) => Math.round(Math.max(-1, Math.min(1, v)) * 1000) / 1000;
+        return { x: unit(x * Math.cos(turn) - y * Math.sin(turn)), y: unit(x * Math.sin(turn) + y * Math.cos(turn)) };
+    }
+
+    /**
+     * Generate a random polygon: 4-8 vertices at random distances, one in
+     * each equal slice of the turn, so neighbours are never closer than half
+     * a slice and the outline always wraps the centre (links before version 3
+     * used any angles, sorted to prevent self-intersection, which could give
+     * slivers no dot fits in).
      * Returns normalised data (angles + radii as fractions of max radius)
      * that can be scaled to any size later.
      */
     _generateRandomPolygon() {
-        const n = 4 + Math.floor(Math.random() * 5); // 4-8 vertices
+        const rng = this._rng;
+        const n = 4 + Math.floor(rng() * 5); // 4-8 vertices
         const points = [];
+        if (!this._legacyPlacement) {
+            const start = rng() * Math.PI * 2, slice = (Math.PI * 2) / n;
+            for (let i = 0; i < n; i++) {
+                points.push({
+                    angle: start + (i + rng() * 0.5) * slice,
+                    radius: 0.55 + rng() * 0.45
+                });
+            }
+            return points;
+        }
         for (let i = 0; i < n; i++) {
             points.push({
-                angle: Math.random() * Math.PI * 2,
-                radius: 0.55 + Math.random() * 0.45 // 55-100% of max radius for variety but not too small
+                angle: rng() * Math.PI * 2,
+                radius: 0.55 + rng() * 0.45 // 55-100% of max radius for variety but not too small
             });
         }
         // Sort by angle so edges don't cross
@@ -702,17 +3087,6 @@ class SigilGenerator {
         return points;
     }
 
-    /**
-     * Convert stored random polygon data to vertices at given size.
-     */
-    _getRandomShapeVertices(cx, cy, r) {
-        if (!this._randomVertices) return this._regularPolygon(cx, cy, r, 5, -Math.PI / 2); // fallback
-        return this._randomVertices.map(p => ({
-            x: cx + r * p.radius * Math.cos(p.angle),
-            y: cy + r * p.radius * Math.sin(p.angle)
-        }));
-    }
-
     _regularPolygon(cx, cy, r, sides, startAngle = 0) {
         const v = [];
         for (let i = 0; i < sides; i++) {
@@ -736,18 +3110,115 @@ class SigilGenerator {
        Random point in shape (rejection sampling)
     ==================================================== */
 
-    _randomPointInShape() {
+    /**
+     * A random normalised point inside the shape and the symmetry's
+     * fundamental region, where a circle of `clearance` (a share of the
+     * canvas size) fits without touching the outline or its stroke; null
+     * when there is none.
+     */
+    _randomPointInShape(clearance = 0) {
+        if (this._legacyPlacement) return this._legacyRandomPointInShape();
+        const rng = this._rng;
+        const size = 1000, c = size / 2;
+        const bounds = this._shapeBounds(size);
+        const matrices = this._symmetryMatrices();
+        for (let i = 0; i < 1000; i++) {
+            const p = {
+                x: bounds.minX + rng() * (bounds.maxX - bounds.minX),
+                y: bounds.minY + rng() * (bounds.maxY - bounds.minY)
+            };
+            if (!this._inSymmetryRegion(p.x - c, p.y - c)) continue;
+            // Every copy must fit too: few shapes share the symmetry's axes
+            const margin = Math.min(...matrices.map(([a, b, cc, d]) => this._insideMargin({
+                x: c + a * (p.x - c) + cc * (p.y - c),
+                y: c + b * (p.x - c) + d * (p.y - c)
+            }, size)));
+            if (margin >= clearance * size) return this._canvasToNormalized(p, size);
+        }
+        return null;
+    }
+
+    /**
+     * Deal with a dot or node no random spot was found for: it is left out,
+     * unless it is the first of its layer, which goes to _fallbackPoint() so
+     * the layer is never empty (links before version 3 placed it at random,
+     * and every one without symmetry too).
+     */
+    _placeUnfitted(placed, clearance, minDist) {
+        if (this._legacyPlacement) {
+            if (this.symmetry.mode === 'none' || placed.length === 0) placed.push(this._randomPointInShape());
+        } else if (placed.length === 0) {
+            placed.push(this._fallbackPoint(clearance, minDist));
+        }
+    }
+
+    /**
+     * The dot or ring size (a multiple of DOT_RATIO, at most `multiplier`)
+     * whose circles, plus `stroke` (a share of the canvas), fit inside the
+     * shape around every point and symmetric copy; null when not even a
+     * tiny one does. Only a fallback point can need it smaller (links before
+     * version 3 kept the size).
+     */
+    _fittingSize(points, multiplier, stroke = 0) {
+        if (this._legacyPlacement) return multiplier;
+        const size = 1000;
+        const room = Math.min(...points.flatMap(p => this._symmetryImages(p))
+            .map(p => this._insideMargin(this._normalizedToCanvas(p, size), size))) / size;
+        const fits = (room - stroke) / SigilGenerator.DOT_RATIO;
+        return fits > 0 ? Math.min(multiplier, fits) : null;
+    }
+
+    /**
+     * A spot for a layer's first dot or node when no random one fits: the
+     * centre, where every symmetric copy lands on the same spot and is drawn
+     * as one, if a circle of `clearance` fits there. Otherwise the point of
+     * the fundamental region (on a grid) whose copies have the most room
+     * inside the shape, among those whose copies keep `minDist` apart.
+     */
+    _fallbackPoint(clearance, minDist) {
+        const size = 1000, c = size / 2;
+        const room = (pt) => Math.min(...this._symmetryImages(pt).map(img => this._insideMargin(this._normalizedToCanvas(img, size), size)));
+        const centre = this._canvasToNormalized({ x: c, y: c }, size);
+        let best = centre, bestRoom = room(centre);
+        if (bestRoom >= clearance * size) return centre;
+        const bounds = this._shapeBounds(size), steps = 40;
+        for (let i = 0; i <= steps; i++) {
+            for (let j = 0; j <= steps; j++) {
+                const p = {
+                    x: bounds.minX + ((bounds.maxX - bounds.minX) * i) / steps,
+                    y: bounds.minY + ((bounds.maxY - bounds.minY) * j) / steps
+                };
+                if (!this._inSymmetryRegion(p.x - c, p.y - c)) continue;
+                const pt = this._canvasToNormalized(p, size);
+                if (!this._copiesApart(pt, minDist)) continue;
+                const r = room(pt);
+                if (r > bestRoom) {
+                    best = pt;
+                    bestRoom = r;
+                }
+            }
+        }
+        return best;
+    }
+
+    /** Placement before format version 2 (see _legacyNormalizedToCanvas). */
+    _legacyRandomPointInShape() {
+        const rng = this._rng;
         if (this.shape === 'circle') {
-            const angle = Math.random() * Math.PI * 2;
-            const r = Math.sqrt(Math.random());
-            return { nx: 0.5 + r * 0.5 * Math.cos(angle), ny: 0.5 + r * 0.5 * Math.sin(angle) };
+            // Rejection sampling in the unit square keeps stored state free of
+            // trig results, which can differ in the last bit between engines
+            for (let i = 0; i < 1000; i++) {
+                const x = rng() * 2 - 1, y = rng() * 2 - 1;
+                if (x * x + y * y <= 1 && this._inSymmetryRegion(x, y)) return { nx: 0.5 + x * 0.5, ny: 0.5 + y * 0.5 };
+            }
+            return { nx: 0.5, ny: 0.5 };
         }
         const testVerts = this._getShapeVertices(1000);
         const bounds = this._getBounds(testVerts);
         for (let i = 0; i < 1000; i++) {
-            const x = bounds.minX + Math.random() * (bounds.maxX - bounds.minX);
-            const y = bounds.minY + Math.random() * (bounds.maxY - bounds.minY);
-            if (this._pointInPolygon(x, y, testVerts)) {
+            const x = bounds.minX + rng() * (bounds.maxX - bounds.minX);
+            const y = bounds.minY + rng() * (bounds.maxY - bounds.minY);
+            if (this._pointInPolygon(x, y, testVerts) && this._inSymmetryRegion(x - 500, y - 500)) {
                 return {
                     nx: (x - bounds.minX) / (bounds.maxX - bounds.minX),
                     ny: (y - bounds.minY) / (bounds.maxY - bounds.minY)
@@ -761,6 +3232,15 @@ class SigilGenerator {
        Geometry helpers
     ==================================================== */
 
+    /** Bounding box of the outer shape (the circle's square for a circle). */
+    _shapeBounds(size) {
+        if (this.shape === 'circle') {
+            const r = (size * SigilGenerator.SHAPE_RATIO) / 2;
+            return { minX: size / 2 - r, minY: size / 2 - r, maxX: size / 2 + r, maxY: size / 2 + r };
+        }
+        return this._getBounds(this._getShapeVertices(size));
+    }
+
     _getBounds(vertices) {
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
         for (const v of vertices) {
@@ -772,6 +3252,41 @@ class SigilGenerator {
         return { minX, minY, maxX, maxY };
     }
 
+    /** Closest point to p on segment a–b: { x, y, t (0–1 along the segment), dist }. */
+    _closestOnSegment(p, a, b) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const len2 = dx * dx + dy * dy;
+        const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2));
+        const x = a.x + dx * t, y = a.y + dy * t;
+        return { x, y, t, dist: Math.hypot(p.x - x, p.y - y) };
+    }
+
+    /**
+     * True when a circle of `radius` around canvas point p lies inside the
+     * outer shape without touching its stroke.
+     */
+    _circleInsideShape(p, radius, size) {
+        return this._insideMargin(p, size) >= radius;
+    }
+
+    /**
+     * How far canvas point p is from the inner edge of the outline's stroke:
+     * positive inside the shape, negative outside.
+     */
+    _insideMargin(p, size) {
+        const halfStroke = this._outlineHalfStroke(size);
+        if (this.shape === 'circle') {
+            const shapeR = (size * SigilGenerator.SHAPE_RATIO) / 2;
+            return shapeR - Math.hypot(p.x - size / 2, p.y - size / 2) - halfStroke;
+        }
+        const verts = this._getShapeVertices(size);
+        let dist = Infinity;
+        for (let i = 0; i < verts.length; i++) {
+            dist = Math.min(dist, this._closestOnSegment(p, verts[i], verts[(i + 1) % verts.length]).dist);
+        }
+        return this._pointInPolygon(p.x, p.y, verts) ? dist - halfStroke : -dist - halfStroke;
+    }
+
     _pointInPolygon(px, py, vertices) {
         let inside = false;
         for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
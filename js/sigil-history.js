@@ -0,0 +1,70 @@
+/**
+ * SigilHistory — a bounded list of generated sigils for undo/redo.
+ *
+ * Each entry is a frozen JSON document from SigilGenerator.toJSON() plus an
+ * optional thumbnail, so restoring one redraws exactly what was generated
+ * (shape, colours, random vertices and layer state) without re-randomising.
+ *
+ * New sigils are always appended at the end, even after an undo: nothing is
+ * thrown away except the oldest entries once `limit` is reached.
+ */
+class SigilHistory {
+    static DEFAULT_LIMIT = 30;
+
+    constructor(limit = SigilHistory.DEFAULT_LIMIT) {
+        this.limit   = limit;
+        this.entries = [];
+        this.index   = -1;
+    }
+
+    /**
+     * Add the generator's current sigil and make it the current entry.
+     * Returns the new entry, or the existing one if the sigil is unchanged.
+     */
+    record(sigil, thumbnail = null) {
+        const state = JSON.stringify(sigil);
+        if (this.current && this.current.state === state) return this.current;
+
+        this.entries.push({ state, thumbnail });
+        if (this.entries.length > this.limit) this.entries.splice(0, this.entries.length - this.limit);
+        this.index = this.entries.length - 1;
+        return this.current;
+    }
+
+    /** Overwrite the current entry, e.g. after the trace layer changed. */
+    replace(sigil, thumbnail = null) {
+        if (!this.current) return this.record(sigil, thumbnail);
+        this.entries[this.index] = { state: JSON.stringify(sigil), thumbnail };
+        return this.current;
+    }
+
+    get current() {
+        return this.entries[this.index] ?? null;
+    }
+
+    get canUndo() {
+        return this.index > 0;
+    }
+
+    get canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /* ====================================================
+       Navigation — each returns the entry moved to, or null
+    ==================================================== */
+
+    undo() {
+        return this.canUndo ? this.go(this.index - 1) : null;
+    }
+
+    redo() {
+        return this.canRedo ? this.go(this.index + 1) : null;
+    }
+
+    go(index) {
+        if (index < 0 || index >= this.entries.length) return null;
+        this.index = index;
+        return this.current;
+    }
+}
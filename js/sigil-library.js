@@ -0,0 +1,225 @@
+/**
+ * SigilLibrary — kept sigils stored in IndexedDB, so they survive reloads.
+ *
+ * Each entry is { id, name, tags, shape, created, sigil, thumbnail } where
+ * `sigil` is a document from SigilGenerator.toJSON() and `created` an ISO
+ * date. Every method returns a Promise.
+ *
+ * The whole library (or a selection) moves between machines as one JSON
+ * file: { format: 'sigil-library', version, exported, entries: [...] }.
+ */
+class SigilLibrary {
+    static DB_NAME    = 'sigil-generator';
+    static DB_VERSION = 1;
+    static STORE      = 'library';
+
+    /** Version of the library file written by exportFile() */
+    static FILE_VERSION = 1;
+
+    constructor(indexedDB = globalThis.indexedDB) {
+        this._idb = indexedDB;
+        this._db  = null;
+    }
+
+    /** Open (and on first use create) the database. Rejects where IndexedDB is unavailable. */
+    open() {
+        if (!this._idb) return Promise.reject(new Error('This browser cannot store a library (no IndexedDB)'));
+        return new Promise((resolve, reject) => {
+            const req = this._idb.open(SigilLibrary.DB_NAME, SigilLibrary.DB_VERSION);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(SigilLibrary.STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            req.onsuccess = () => {
+                this._db = req.result;
+                resolve(this);
+            };
+            req.onerror = () => reject(req.error);
+            req.onblocked = () => reject(new Error('The library is open in another tab with an older version'));
+        });
+    }
+
+    /* ====================================================
+       Entries
+    ==================================================== */
+
+    /**
+     * Keep a sigil. `sigil` is a generator or a document from toJSON();
+     * it is validated and stored as a plain copy. Resolves to the new entry.
+     */
+    add(fields) {
+        const entry = SigilLibrary._entry(fields);
+        return this._request('readwrite', store => store.add(entry))
+            .then(id => ({ id, ...entry }));
+    }
+
+    get(id) {
+        return this._request('readonly', store => store.get(id))
+            .then(entry => entry ?? null);
+    }
+
+    /** All entries, newest first. */
+    all() {
+        return this._request('readonly', store => store.getAll())
+            .then(entries => entries.sort((a, b) => b.created.localeCompare(a.created)));
+    }
+
+    /** Change an entry's name and/or tags. Resolves to the updated entry. */
+    update(id, { name, tags } = {}) {
+        return this.get(id).then(entry => {
+            if (!entry) throw new Error(`No library entry ${id}`);
+            if (name !== undefined) entry.name = SigilLibrary._cleanName(name) || entry.name;
+            if (tags !== undefined) entry.tags = SigilLibrary.parseTags(tags);
+            return this._request('readwrite', store => store.put(entry)).then(() => entry);
+        });
+    }
+
+    delete(ids) {
+        const list = Array.isArray(ids) ? ids : [ids];
+        return this._request('readwrite', store => {
+            list.forEach(id => store.delete(id));
+        });
+    }
+
+    /* ====================================================
+       Library files
+    ==================================================== */
+
+    /** A library file with the given entries (all of them when ids is omitted). */
+    exportFile(ids = null) {
+        return this.all().then(entries => ({
+            format: 'sigil-library',
+            version: SigilLibrary.FILE_VERSION,
+            exported: new Date().toISOString(),
+            entries: entries
+                .filter(e => ids === null || ids.includes(e.id))
+                .map(({ name, tags, created, sigil, thumbnail }) => ({ name, tags, created, sigil, thumbnail }))
+        }));
+    }
+
+    /**
+     * Add every entry of a library file (object or JSON string). The whole
+     * file is validated first, so a bad file adds nothing. Resolves to the
+     * number of entries added.
+     */
+    importFile(data) {
+        let entries;
+        try {
+            entries = SigilLibrary.validateFile(data).map(SigilLibrary._entry);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        // One transaction: if any entry cannot be stored, none are
+        return this._request('readwrite', store => {
+            entries.forEach(entry => store.add(entry));
+        }).then(() => entries.length);
+    }
+
+    /** Check a library file and return its entries, ready for add(). */
+    static validateFile(data) {
+        const fail = (msg) => { throw new Error(`Invalid library file: ${msg}`); };
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                fail('not valid JSON');
+            }
+        }
+        if (!SigilGenerator._isObject(data) || data.format !== 'sigil-library') fail('not a sigil library');
+        if (data.version !== SigilLibrary.FILE_VERSION) fail(`unsupported version ${data.version}`);
+        if (!Array.isArray(data.entries)) fail('"entries" must be an array');
+
+        return data.entries.map((e, i) => {
+            if (!SigilGenerator._isObject(e)) fail(`entry ${i + 1} is not an object`);
+            if (typeof e.name !== 'string') fail(`entry ${i + 1}: "name" must be a string`);
+            if (!Array.isArray(e.tags) || !e.tags.every(t => typeof t === 'string')) {
+                fail(`entry ${i + 1}: "tags" must be a list of strings`);
+            }
+            if (typeof e.created !== 'string' || isNaN(Date.parse(e.created))) fail(`entry ${i + 1}: "created" must be a date`);
+            if (e.thumbnail !== null && !(typeof e.thumbnail === 'string' && e.thumbnail.startsWith('data:image/'))) {
+                fail(`entry ${i + 1}: "thumbnail" must be an image data URL or null`);
+            }
+            try {
+                SigilGenerator.validateJSON(e.sigil);
+            } catch (err) {
+                fail(`entry ${i + 1}: ${err.message.replace(/^Invalid sigil document: /, '')}`);
+            }
+            return { name: e.name, tags: e.tags, created: e.created, sigil: e.sigil, thumbnail: e.thumbnail };
+        });
+    }
+
+    /* ====================================================
+       Search helpers
+    ==================================================== */
+
+    /**
+     * True when an entry passes a filter: `query` matches the name, a tag or
+     * the seed; `tag` and `shape` must match exactly when given.
+     */
+    static matches(entry, { query = '', tag = '', shape = '' } = {}) {
+        if (tag && !entry.tags.includes(tag)) return false;
+        if (shape && entry.shape !== shape) return false;
+        const q = query.trim().toLowerCase();
+        if (!q) return true;
+        return entry.name.toLowerCase().includes(q) ||
+            entry.tags.some(t => t.includes(q)) ||
+            String(entry.sigil.seed ?? '').includes(q) ||
+            String(entry.sigil.intent?.text ?? '').toLowerCase().includes(q);
+    }
+
+    /** Every tag used in a list of entries, sorted. */
+    static allTags(entries) {
+        return [...new Set(entries.flatMap(e => e.tags))].sort();
+    }
+
+    /** Tags from a comma-separated string or a list: trimmed, lower-case, unique. */
+    static parseTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags).split(',');
+        return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+    }
+
+    /** A readable name for an unnamed sigil: its intent, else shape and seed. */
+    static defaultName(doc) {
+        if (doc.intent) return doc.intent.text;
+        return doc.seed !== null ? `${doc.shape} ${doc.seed}` : doc.shape;
+    }
+
+    /** A new entry (without its id) from add()'s fields. */
+    static _entry({ sigil, name = '', tags = [], thumbnail = null, created = new Date().toISOString() }) {
+        const doc = {
+            format: 'sigil',
+            version: SigilGenerator.FORMAT_VERSION,
+            ...SigilGenerator.validateJSON(JSON.parse(JSON.stringify(sigil)))
+        };
+        return {
+            name: SigilLibrary._cleanName(name) || SigilLibrary.defaultName(doc),
+            tags: SigilLibrary.parseTags(tags),
+            shape: doc.shape,
+            created,
+            sigil: doc,
+            thumbnail
+        };
+    }
+
+    static _cleanName(name) {
+        return String(name).trim().slice(0, 100);
+    }
+
+    /* ====================================================
+       IndexedDB plumbing
+    ==================================================== */
+
+    /**
+     * Run `fn(store)` in a transaction and resolve with the result of the
+     * request it returns (if any) once the transaction completes.
+     */
+    _request(mode, fn) {
+        if (!this._db) return Promise.reject(new Error('The library is not open'));
+        return new Promise((resolve, reject) => {
+            const tx = this._db.transaction(SigilLibrary.STORE, mode);
+            const req = fn(tx.objectStore(SigilLibrary.STORE));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error ?? new Error('Library transaction aborted'));
+        });
+    }
+}
@@ -0,0 +1,462 @@
+#!/usr/bin/env node
+/**
+ * Sigil batch generator — writes numbered sigils plus a manifest.json that
+ * records every sigil's parameters, so any file can be regenerated later.
+ *
+ *   node node/sigil-batch.js --count 100 --seeds 1000-1099 --shape star --format svg --out sigils
+ *
+ * Runs offline with no browser. PNG output needs a canvas package:
+ * `npm install` adds @napi-rs/canvas, an optional dependency, where it has
+ * a build for the platform (node-canvas works too). SVG, PDF and JSON need
+ * nothing extra.
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { SigilGenerator, CanvasRenderer, SVGRenderer, PNGEncoder, RasterExport, PDFExport } = require('./sigil');
+
+// Image backgrounds need a picture chosen in the app
+const CLI_BACKGROUNDS = SigilGenerator.BACKGROUND_TYPES.filter(t => t !== 'image');
+
+const USAGE = `Usage: node node/sigil-batch.js [options]
+
+  --shape <name>        ${SigilGenerator.OUTER_SHAPES.join(', ')} (default: circle)
+  --sides <n>           sides of a polygon, 3-${SigilGenerator.MAX_SIDES} (default: 7)
+  --points <n>          points of a star-polygon, 3-${SigilGenerator.MAX_SIDES} (default: 7)
+  --inner <ratio>       star inner radius / outer radius, 0-1 (default: 0.5)
+  --skip <k>            draw a star-polygon as the {points/k} star, e.g. 7 and 2 (default: 1)
+  --rotation <deg>      turn the outer shape, in degrees (default: 0)
+  --vertices <list>     custom shape vertices from -1 to 1, e.g. "0,-1 1,0.5 -1,0.5"
+  --border <n>          outlines around the shape, 1-${SigilGenerator.MAX_BORDER_LINES} (default: 1)
+  --border-gap <share>  space between outlines, a share of the outer radius (default: ${SigilGenerator.DEFAULT_BORDER.gap})
+  --band                widen the space between the first two outlines into a band
+  --marks <kind>        ${SigilGenerator.BORDER_MARKS.join(', ')} around the perimeter (default: none)
+  --mark-count <n>      number of marks, ${SigilGenerator.MIN_BORDER_MARKS}-${SigilGenerator.MAX_BORDER_MARKS} (default: ${SigilGenerator.DEFAULT_BORDER.markCount})
+  --dotted-ring         add a ring of dots inside the innermost outline
+  --inscription <text>  text around the perimeter
+  --alphabet <name>     ${SigilGenerator.INSCRIPTION_ALPHABETS.join(', ')} (default: latin)
+  --font <family>       CSS font family for latin text (default: "${SigilGenerator.DEFAULT_INSCRIPTION.font}")
+  --text-size <share>   letter height, a share of the canvas (default: ${SigilGenerator.DEFAULT_INSCRIPTION.size})
+  --letter-spacing <n>  extra space between letters, a share of the letter height (default: ${SigilGenerator.DEFAULT_INSCRIPTION.spacing})
+  --text-offset <share> distance from the outline, a share of the outer radius (default: on the band, or ${SigilGenerator.INSCRIPTION_GAP})
+  --complexity <1-5>    layer count and density (default: 3)
+  --symmetry <mode>     ${SigilGenerator.SYMMETRY_MODES.join(', ')} (default: none)
+  --folds <n>           copies for rotational symmetry (default: from the shape)
+  --bg <#rrggbb>        background colour (default: #000000)
+  --color <#rrggbb>     sigil colour (default: #ff0000)
+  --palette <name>      ${Object.keys(SigilGenerator.PALETTES).join(', ')}; --bg and --color still win
+  --harmony <scheme>    colour the layers in ${Object.keys(SigilGenerator.HARMONIES).join(', ')} harmony with --color
+  --layer-colors <list> colours per layer, e.g. "spiral=#00ff00,trace=#ffffff"
+  --gradient <type>     ${SigilGenerator.GRADIENT_TYPES.join(' or ')} gradient on the outline
+  --gradient-colors <a,b>  its two colours (default: from the outline colour, or the palette)
+  --gradient-angle <deg>   its direction (default: 0, left to right)
+  --background <style>  ${CLI_BACKGROUNDS.join(', ')} (default: solid, in --bg)
+  --background-gradient <type>  ${SigilGenerator.GRADIENT_TYPES.join(' or ')} background gradient (default: ${SigilGenerator.BACKGROUND_DEFAULTS.gradient.kind})
+  --background-colors <a,b>     its two colours (default: ${SigilGenerator.BACKGROUND_DEFAULTS.gradient.colors.join(',')})
+  --background-angle <deg>      direction of a linear one (default: ${SigilGenerator.BACKGROUND_DEFAULTS.gradient.angle})
+  --texture-strength <0-1>      how strongly parchment or noise shows over --bg (default: ${SigilGenerator.BACKGROUND_DEFAULTS.noise.strength})
+  --texture-seed <n>            which parchment or noise texture (default: ${SigilGenerator.BACKGROUND_DEFAULTS.noise.seed})
+  --wobble <0-1>        sway lines and circles as if drawn by hand (default: 0)
+  --brush <0-1>         draw with a broad brush whose lines swell and thin (default: 0)
+  --nib <deg>           the brush's angle, -90 to 90 (default: ${SigilGenerator.DEFAULT_DRAW_STYLE.nib})
+  --ink-bleed <0-1>     let the ink spread, with rough edges (default: 0)
+  --outline-width <share>  width of the outline, a share of the canvas, ${SigilGenerator.MIN_STROKE}-${SigilGenerator.MAX_STROKE} (default: ${SigilGenerator.DEFAULT_STROKES.outer})
+  --line-width <ratio>     width of the inner lines relative to the outline, ${SigilGenerator.MIN_INNER_STROKE}-${SigilGenerator.MAX_INNER_STROKE} (default: ${SigilGenerator.DEFAULT_STROKES.inner})
+  --dot-size <min,max>     scatter dot sizes, in dot radii (default: ${SigilGenerator.DEFAULT_STROKES.dotSize.join(',')})
+  --node-size <min,max>    node ring sizes, in dot radii (default: ${SigilGenerator.DEFAULT_STROKES.nodeSize.join(',')})
+  --caps <kind>         line ends: ${SigilGenerator.LINE_CAPS.join(', ')} (default: ${SigilGenerator.DEFAULT_STROKES.cap})
+  --joins <kind>        corners: ${SigilGenerator.LINE_JOINS.join(', ')} (default: ${SigilGenerator.DEFAULT_STROKES.join})
+  --dashes <list>       line patterns per layer, e.g. "spiral=dashed,orbit=dotted"
+  --count <n>           number of sigils (default: 1, or the size of --seeds)
+  --seed <n>            first seed; seeds count up from here
+  --seeds <a-b>         inclusive seed range, e.g. 1000-1099
+  --quality             regenerate sigils whose dots and nodes overlap too much
+  --transparent         leave the background transparent (same as --background transparent)
+  --format <fmt>        svg, png, pdf or json (default: svg)
+  --size <px>           output size for svg/png (default: ${SigilGenerator.DEFAULT_SIZE})
+  --dpi <n>             print resolution written into png files, 1-${RasterExport.MAX_DPI}
+  --page <size>         pdf page: ${Object.keys(PDFExport.PAGE_SIZES).join(', ')} or WIDTHxHEIGHT in mm, e.g. 200x200 (default: a4)
+  --margin <mm>         pdf page margin (default: ${PDFExport.DEFAULT_MARGIN})
+  --contact-sheet       also write <prefix>-sheet.pdf: every sigil in a grid, captioned
+  --columns <n>         contact sheet columns, 1-${PDFExport.MAX_COLUMNS} (default: ${PDFExport.DEFAULT_COLUMNS})
+  --out <dir>           output directory (default: sigils)
+  --prefix <name>       file name prefix (default: sigil)
+  --help                show this help
+
+Without --seed or --seeds every sigil gets a fresh random seed.`;
+
+const FLAGS = ['band', 'dotted-ring', 'transparent', 'quality', 'contact-sheet', 'help'];
+
+function parseArgs(argv) {
+    const opts = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) throw new Error(`Unexpected argument "${arg}"`);
+        let [key, value] = arg.slice(2).split(/=(.*)/s);
+        if (FLAGS.includes(key)) {
+            opts[key] = true;
+            continue;
+        }
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) throw new Error(`--${key} needs a value`);
+        }
+        opts[key] = value;
+    }
+    return opts;
+}
+
+function toInt(value, name, min, max = Infinity) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) {
+        throw new Error(`--${name} must be a whole number${max === Infinity ? ` of at least ${min}` : ` from ${min} to ${max}`}`);
+    }
+    return n;
+}
+
+function resolveOptions(raw) {
+    const known = ['shape', 'sides', 'points', 'inner', 'skip', 'rotation', 'vertices', 'border', 'border-gap', 'band', 'marks', 'mark-count', 'dotted-ring', 'inscription', 'alphabet', 'font', 'text-size', 'letter-spacing', 'text-offset', 'complexity', 'symmetry', 'folds', 'bg', 'color', 'palette', 'harmony', 'layer-colors', 'gradient', 'gradient-colors', 'gradient-angle', 'background', 'background-gradient', 'background-colors', 'background-angle', 'texture-strength', 'texture-seed', 'wobble', 'brush', 'nib', 'ink-bleed', 'outline-width', 'line-width', 'dot-size', 'node-size', 'caps', 'joins', 'dashes', 'count', 'seed', 'seeds', 'quality', 'transparent', 'format', 'size', 'dpi', 'page', 'margin', 'contact-sheet', 'columns', 'out', 'prefix', 'help'];
+    for (const key of Object.keys(raw)) {
+        if (!known.includes(key)) throw new Error(`Unknown option --${key}`);
+    }
+
+    const opts = {
+        shape: raw.shape ?? 'circle',
+        shapeOptions: {
+            sides: raw.sides !== undefined ? Number(raw.sides) : undefined,
+            points: raw.points !== undefined ? Number(raw.points) : undefined,
+            innerRatio: raw.inner !== undefined ? Number(raw.inner) : undefined,
+            skip: raw.skip !== undefined ? Number(raw.skip) : undefined,
+            rotation: raw.rotation !== undefined ? Number(raw.rotation) : undefined,
+            vertices: raw.vertices !== undefined ? parseVertices(raw.vertices) : null
+        },
+        border: {
+            lines: raw.border !== undefined ? Number(raw.border) : (raw.band ? 2 : undefined),
+            gap: raw['border-gap'] !== undefined ? Number(raw['border-gap']) : undefined,
+            band: !!raw.band,
+            marks: raw.marks,
+            markCount: raw['mark-count'] !== undefined ? Number(raw['mark-count']) : undefined,
+            dots: !!raw['dotted-ring']
+        },
+        inscription: raw.inscription !== undefined ? {
+            text: raw.inscription,
+            alphabet: raw.alphabet,
+            font: raw.font,
+            size: raw['text-size'] !== undefined ? Number(raw['text-size']) : undefined,
+            spacing: raw['letter-spacing'] !== undefined ? Number(raw['letter-spacing']) : undefined,
+            offset: raw['text-offset'] !== undefined ? Number(raw['text-offset']) : undefined
+        } : null,
+        complexity: toInt(raw.complexity ?? 3, 'complexity', 1, 5),
+        symmetry: {
+            mode: raw.symmetry ?? 'none',
+            folds: raw.folds !== undefined ? toInt(raw.folds, 'folds', 2, SigilGenerator.MAX_SYMMETRY_FOLDS) : null
+        },
+        ...resolveColors(raw),
+        background: resolveBackground(raw),
+        drawStyle: {
+            wobble: raw.wobble !== undefined ? Number(raw.wobble) : undefined,
+            brush: raw.brush !== undefined ? Number(raw.brush) : undefined,
+            bleed: raw['ink-bleed'] !== undefined ? Number(raw['ink-bleed']) : undefined,
+            nib: raw.nib !== undefined ? Number(raw.nib) : undefined
+        },
+        strokes: resolveStrokes(raw),
+        quality: !!raw.quality,
+        format: raw.format ?? 'svg',
+        size: toInt(raw.size ?? SigilGenerator.DEFAULT_SIZE, 'size', 16, 16384),
+        dpi: raw.dpi !== undefined ? Number(raw.dpi) : null,
+        contactSheet: !!raw['contact-sheet'],
+        out: raw.out ?? 'sigils',
+        prefix: raw.prefix ?? 'sigil'
+    };
+
+    if (!SigilGenerator.OUTER_SHAPES.includes(opts.shape)) throw new Error(`Unknown shape "${opts.shape}"`);
+    opts.shapeOptions = SigilGenerator._validateShapeOptions(opts.shapeOptions, opts.shape, (msg) => {
+        throw new Error(msg.replace(/^shapeOptions\.(innerRatio)?/, (m, inner) => (inner ? '--inner' : '--')));
+    });
+    const borderFlags = { lines: '--border', gap: '--border-gap', marks: '--marks', markCount: '--mark-count' };
+    opts.border = SigilGenerator._validateBorder(opts.border, (msg) => {
+        throw new Error(msg.replace(/^border\.(\w+)/, (m, key) => borderFlags[key]));
+    });
+    const inscriptionFlags = { text: '--inscription', alphabet: '--alphabet', font: '--font', size: '--text-size', spacing: '--letter-spacing', offset: '--text-offset' };
+    opts.inscription = SigilGenerator._validateInscription(opts.inscription, (msg) => {
+        throw new Error(msg.replace(/^inscription\.(\w+)/, (m, key) => inscriptionFlags[key]).replace(/ null or/, ''));
+    });
+    if (!opts.inscription) {
+        for (const key of ['alphabet', 'font', 'text-size', 'letter-spacing', 'text-offset']) {
+            if (raw[key] !== undefined) throw new Error(`--${key} needs --inscription`);
+        }
+    }
+    const drawFlags = { wobble: '--wobble', brush: '--brush', bleed: '--ink-bleed', nib: '--nib' };
+    opts.drawStyle = SigilGenerator._validateDrawStyle(opts.drawStyle, (msg) => {
+        throw new Error(msg.replace(/^drawStyle\.(\w+)/, (m, key) => drawFlags[key]));
+    });
+    if (raw.nib !== undefined && !opts.drawStyle.brush) throw new Error('--nib needs --brush');
+    if (!SigilGenerator.SYMMETRY_MODES.includes(opts.symmetry.mode)) throw new Error(`Unknown symmetry "${opts.symmetry.mode}"`);
+    if (!['svg', 'png', 'pdf', 'json'].includes(opts.format)) throw new Error('--format must be svg, png, pdf or json');
+    if (opts.dpi !== null) {
+        if (opts.format !== 'png') throw new Error('--dpi needs --format png');
+        if (!(opts.dpi >= 1 && opts.dpi <= RasterExport.MAX_DPI)) throw new Error(`--dpi must be a number from 1 to ${RasterExport.MAX_DPI}`);
+    }
+    opts.pdf = resolvePdf(raw, opts);
+    if (raw.seed !== undefined && raw.seeds !== undefined) throw new Error('Use either --seed or --seeds, not both');
+
+    // Seeds: an explicit range, a starting seed, or fresh random seeds
+    if (raw.seeds !== undefined) {
+        const m = /^(\d+)-(\d+)$/.exec(raw.seeds);
+        if (!m || Number(m[2]) < Number(m[1])) throw new Error('--seeds must look like 1000-1099');
+        const first = Number(m[1]), last = Number(m[2]);
+        const count = raw.count !== undefined ? toInt(raw.count, 'count', 1) : last - first + 1;
+        if (count > last - first + 1) throw new Error(`--count ${count} is larger than the seed range`);
+        opts.seeds = Array.from({ length: count }, (_, i) => String(first + i));
+    } else {
+        const count = toInt(raw.count ?? 1, 'count', 1);
+        const first = raw.seed !== undefined ? toInt(raw.seed, 'seed', 0) : null;
+        opts.seeds = Array.from({ length: count }, (_, i) => first === null ? SigilGenerator.randomSeed() : String(first + i));
+    }
+    return opts;
+}
+
+/** Line weights and patterns from their flags (see SigilGenerator.DEFAULT_STROKES). */
+function resolveStrokes(raw) {
+    const range = (flag) => raw[flag] !== undefined ? raw[flag].split(',').map(Number) : undefined;
+    const dashes = {};
+    if (raw.dashes !== undefined) {
+        for (const entry of raw.dashes.split(',')) {
+            const [name, pattern] = entry.split('=').map(v => v.trim());
+            dashes[name] = pattern;
+        }
+    }
+    const strokeFlags = { outer: '--outline-width', inner: '--line-width', dotSize: '--dot-size', nodeSize: '--node-size', cap: '--caps', join: '--joins' };
+    return SigilGenerator._validateStrokes({
+        outer: raw['outline-width'] !== undefined ? Number(raw['outline-width']) : undefined,
+        inner: raw['line-width'] !== undefined ? Number(raw['line-width']) : undefined,
+        dotSize: range('dot-size'),
+        nodeSize: range('node-size'),
+        cap: raw.caps,
+        join: raw.joins,
+        dashes
+    }, (msg) => {
+        throw new Error(msg
+            .replace(/^strokes\.dashes(?:\.(\w+))?/, (m, name) => (name ? `--dashes ${name}` : '--dashes'))
+            .replace(/^strokes\.(\w+)/, (m, key) => strokeFlags[key]));
+    });
+}
+
+/** Page size, margin and columns for PDF files and the contact sheet; null without either. */
+function resolvePdf(raw, opts) {
+    const wanted = opts.format === 'pdf' || opts.contactSheet;
+    for (const key of ['page', 'margin']) {
+        if (raw[key] !== undefined && !wanted) throw new Error(`--${key} needs --format pdf or --contact-sheet`);
+    }
+    if (raw.columns !== undefined && !opts.contactSheet) throw new Error('--columns needs --contact-sheet');
+    if (!wanted) return null;
+
+    const pdf = {};
+    if (raw.page !== undefined) {
+        const m = /^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/.exec(raw.page);
+        if (!m && !Object.hasOwn(PDFExport.PAGE_SIZES, raw.page)) {
+            throw new Error(`--page must be ${Object.keys(PDFExport.PAGE_SIZES).join(', ')} or WIDTHxHEIGHT in mm, e.g. 200x200`);
+        }
+        pdf.page = m ? { width: Number(m[1]), height: Number(m[2]) } : raw.page;
+    }
+    if (raw.margin !== undefined) pdf.margin = Number(raw.margin);
+    if (raw.columns !== undefined) pdf.columns = Number(raw.columns);
+    try {
+        return PDFExport.validate(pdf);
+    } catch (err) {
+        throw new Error(err.message.replace(/^The margins leave/, '--margin leaves').replace(/^The (page|margin|columns)\b/, '--$1'));
+    }
+}
+
+/**
+ * The colours: a palette preset, then --bg and --color, then a harmony
+ * built from the sigil colour, then gradient and layer colours given outright.
+ */
+function resolveColors(raw) {
+    const sigil = new SigilGenerator();
+    if (raw.gradient !== undefined) {
+        // The palette or harmony fills in the gradient's colours
+        sigil.outlineGradient = { type: raw.gradient, colors: [sigil.sigilColor, sigil.sigilColor], angle: 0 };
+    }
+    if (raw.palette !== undefined) {
+        if (!Object.hasOwn(SigilGenerator.PALETTES, raw.palette)) throw new Error(`Unknown palette "${raw.palette}"`);
+        sigil.applyPalette(raw.palette);
+    }
+    for (const [key, flag] of [['bgColor', 'bg'], ['sigilColor', 'color']]) {
+        if (raw[flag] === undefined) continue;
+        if (!/^#[0-9a-f]{6}$/i.test(raw[flag])) throw new Error(`--${flag} must be a #rrggbb colour`);
+        sigil[key] = raw[flag];
+    }
+    if (raw.harmony !== undefined) {
+        if (!Object.hasOwn(SigilGenerator.HARMONIES, raw.harmony)) throw new Error(`Unknown harmony "${raw.harmony}"`);
+        sigil.applyPalette({ bg: sigil.bgColor, colors: SigilGenerator.harmonyPalette(sigil.sigilColor, raw.harmony) });
+    }
+    if (raw['layer-colors'] !== undefined) {
+        for (const entry of raw['layer-colors'].split(',')) {
+            const [name, color] = entry.split('=').map(v => v.trim());
+            sigil.layerColors = { ...sigil.layerColors, [name]: color };
+        }
+    }
+    const gradient = sigil.outlineGradient;
+    if (gradient) {
+        if (raw['gradient-colors'] !== undefined) gradient.colors = raw['gradient-colors'].split(',').map(c => c.trim());
+        if (raw['gradient-angle'] !== undefined) gradient.angle = Number(raw['gradient-angle']);
+    } else if (raw['gradient-colors'] !== undefined || raw['gradient-angle'] !== undefined) {
+        throw new Error('--gradient-colors and --gradient-angle need --gradient');
+    }
+
+    const gradientFlags = { type: '--gradient', colors: '--gradient-colors', angle: '--gradient-angle' };
+    return {
+        bgColor: sigil.bgColor,
+        sigilColor: sigil.sigilColor,
+        layerColors: SigilGenerator._validateLayerColors(sigil.layerColors, (msg) => {
+            throw new Error(msg.replace(/^layerColors(?:\.(\w+))?/, (m, name) => (name ? `--layer-colors ${name}` : '--layer-colors')));
+        }),
+        outlineGradient: SigilGenerator._validateGradient(gradient, (msg) => {
+            throw new Error(msg.replace(/^outlineGradient\.(\w+)/, (m, key) => gradientFlags[key]));
+        })
+    };
+}
+
+/** The background style, from --background (or --transparent) and its settings. */
+function resolveBackground(raw) {
+    if (raw.transparent && raw.background !== undefined && raw.background !== 'transparent') {
+        throw new Error('Use either --transparent or --background, not both');
+    }
+    const type = raw.transparent ? 'transparent' : raw.background ?? 'solid';
+    if (!CLI_BACKGROUNDS.includes(type)) throw new Error(`--background must be one of ${CLI_BACKGROUNDS.join(', ')}`);
+    const needs = { 'background-gradient': ['gradient'], 'background-colors': ['gradient'], 'background-angle': ['gradient'], 'texture-strength': ['parchment', 'noise'], 'texture-seed': ['parchment', 'noise'] };
+    for (const [key, types] of Object.entries(needs)) {
+        if (raw[key] !== undefined && !types.includes(type)) throw new Error(`--${key} needs --background ${types.join(' or ')}`);
+    }
+    const num = (key) => raw[key] !== undefined ? Number(raw[key]) : undefined;
+    const flags = { kind: '--background-gradient', colors: '--background-colors', angle: '--background-angle', strength: '--texture-strength', seed: '--texture-seed' };
+    return SigilGenerator._validateBackground({
+        type,
+        kind: raw['background-gradient'],
+        colors: raw['background-colors'] !== undefined ? raw['background-colors'].split(',').map(c => c.trim()) : undefined,
+        angle: num('background-angle'),
+        strength: num('texture-strength'),
+        seed: num('texture-seed')
+    }, (msg) => {
+        throw new Error(msg.replace(/^background\.(\w+)/, (m, key) => flags[key]));
+    });
+}
+
+/** Custom shape vertices: "x,y x,y …" from -1 to 1. */
+function parseVertices(text) {
+    return text.trim().split(/\s+/).map(pair => {
+        const [x, y] = pair.split(',').map(Number);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) throw new Error('--vertices must look like "0,-1 1,0.5 -1,0.5"');
+        return { x, y };
+    });
+}
+
+/** node-canvas or @napi-rs/canvas, whichever is installed. */
+function loadCanvasModule() {
+    for (const name of ['canvas', '@napi-rs/canvas']) {
+        try {
+            return require(name);
+        } catch (e) {
+            if (e.code !== 'MODULE_NOT_FOUND') throw e;
+        }
+    }
+    throw new Error('PNG output needs a canvas package: run npm install (for @napi-rs/canvas) or npm install canvas');
+}
+
+async function main() {
+    const raw = parseArgs(process.argv.slice(2));
+    if (raw.help) {
+        console.log(USAGE);
+        return;
+    }
+    const opts = resolveOptions(raw);
+    const canvasModule = opts.format === 'png' ? loadCanvasModule() : null;
+
+    fs.mkdirSync(opts.out, { recursive: true });
+    const digits = Math.max(4, String(opts.seeds.length).length);
+    const sigil = new SigilGenerator();
+    sigil.shape = opts.shape;
+    sigil.shapeOptions = opts.shapeOptions;
+    sigil.complexity = opts.complexity;
+    sigil.symmetry = opts.symmetry;
+    sigil.border = opts.border;
+    sigil.setInscription(opts.inscription);
+    sigil.qualityCheck = opts.quality;
+    sigil.bgColor = opts.bgColor;
+    sigil.sigilColor = opts.sigilColor;
+    sigil.layerColors = opts.layerColors;
+    sigil.outlineGradient = opts.outlineGradient;
+    sigil.setBackground(opts.background);
+    sigil.setDrawStyle(opts.drawStyle);
+    sigil.setStrokes(opts.strokes);
+
+    const entries = [];
+    const sheet = [];
+    for (const [i, seed] of opts.seeds.entries()) {
+        sigil.generate(seed);
+        const file = `${opts.prefix}-${String(i + 1).padStart(digits, '0')}.${opts.format}`;
+        const target = path.join(opts.out, file);
+
+        if (opts.format === 'svg') {
+            fs.writeFileSync(target, sigil.render(new SVGRenderer(opts.size)));
+        } else if (opts.format === 'png') {
+            const canvas = canvasModule.createCanvas(opts.size, opts.size);
+            sigil.render(new CanvasRenderer(canvas));
+            const png = canvas.toBuffer('image/png');
+            fs.writeFileSync(target, opts.dpi === null ? png : PNGEncoder.withDpi(png, opts.dpi));
+        } else if (opts.format === 'pdf') {
+            const pdf = await PDFExport.single(sigil, opts.pdf);
+            fs.writeFileSync(target, Buffer.from(await pdf.arrayBuffer()));
+        } else {
+            fs.writeFileSync(target, JSON.stringify(sigil, null, 2));
+        }
+
+        entries.push({
+            file,
+            seed,
+            shape: opts.shape,
+            shapeOptions: opts.shapeOptions,
+            complexity: opts.complexity,
+            symmetry: opts.symmetry,
+            border: opts.border,
+            inscription: opts.inscription,
+            quality: opts.quality,
+            bgColor: opts.bgColor,
+            sigilColor: opts.sigilColor,
+            layerColors: opts.layerColors,
+            outlineGradient: opts.outlineGradient,
+            background: opts.background,
+            drawStyle: opts.drawStyle,
+            strokes: opts.strokes,
+            permalink: '#' + sigil.toPermalink()
+        });
+        if (opts.contactSheet) sheet.push(new SigilGenerator().fromJSON(sigil.toJSON()));
+    }
+
+    const sheetFile = opts.contactSheet ? `${opts.prefix}-sheet.pdf` : null;
+    if (sheetFile) {
+        const pdf = await PDFExport.contactSheet(sheet, opts.pdf);
+        fs.writeFileSync(path.join(opts.out, sheetFile), Buffer.from(await pdf.arrayBuffer()));
+    }
+
+    const manifest = {
+        generator: 'sigil-generator',
+        formatVersion: SigilGenerator.FORMAT_VERSION,
+        created: new Date().toISOString(),
+        format: opts.format,
+        size: ['svg', 'png'].includes(opts.format) ? opts.size : null,
+        dpi: opts.dpi,
+        page: opts.pdf,
+        contactSheet: sheetFile,
+        sigils: entries
+    };
+    fs.writeFileSync(path.join(opts.out, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    console.log(`Wrote ${entries.length} sigil${entries.length === 1 ? '' : 's'}${sheetFile ? `, ${sheetFile}` : ''} and manifest.json to ${opts.out}`);
+}
+
+main().catch(err => {
+    console.error(`sigil-batch: ${err.message}`);
+    process.exitCode = 1;
+});
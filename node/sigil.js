@@ -0,0 +1,55 @@
+/**
+ * Node entry point — loads the browser scripts into this context so the
+ * generator runs headlessly, with no DOM:
+ *
+ *   const { SigilGenerator, SVGRenderer } = require('./node/sigil');
+ *   const sigil = new SigilGenerator();
+ *   sigil.generate('1234');
+ *   const svg   = sigil.exportSVG();
+ *   const paths = sigil.recordPaths();
+ *
+ * For raster output pass a canvas from @napi-rs/canvas (installed by
+ * `npm install` where it can be) or node-canvas to `new CanvasRenderer(...)`;
+ * to draw image backgrounds there, set `CanvasRenderer.decodeImage` to the
+ * canvas package's `loadImage` and await `CanvasRenderer.loadImage(src)`.
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+// Same order as the <script> tags in index.html (UI scripts excluded),
+// with the globals each script defines
+const SCRIPTS = [
+    { file: 'png-encoder.js',                  defines: ['PNGEncoder'] },
+    { file: 'pdf-writer.js',                   defines: ['PDFWriter'] },
+    { file: 'renderers.js',                    defines: ['SigilRenderer', 'CanvasRenderer', 'SVGRenderer', 'PDFRenderer', 'RecordingRenderer', 'SymmetryRenderer', 'ScaledRenderer', 'InkRenderer'] },
+    { file: 'sigil-generator.js',              defines: ['SigilGenerator'] },
+    { file: 'layers/radial-lines.js',          defines: [] },
+    { file: 'layers/perimeter-connections.js', defines: [] },
+    { file: 'layers/concentric-shapes.js',     defines: [] },
+    { file: 'layers/scatter-dots.js',          defines: [] },
+    { file: 'layers/cross-lines.js',           defines: [] },
+    { file: 'layers/connected-nodes.js',       defines: [] },
+    { file: 'layers/arc-segments.js',          defines: [] },
+    { file: 'layers/spiral.js',                defines: [] },
+    { file: 'layers/orbit.js',                 defines: [] },
+    { file: 'raster-export.js',                defines: ['RasterExport'] },
+    { file: 'pdf-export.js',                   defines: ['PDFExport'] },
+    { file: 'sigil-history.js',                defines: ['SigilHistory'] },
+    { file: 'sigil-library.js',                defines: ['SigilLibrary'] },
+    { file: 'sigil-editor.js',                 defines: ['SigilEditor'] }
+];
+
+// Each script runs as a function body that receives the earlier scripts'
+// globals as parameters, so nothing leaks into Node's global scope
+const api = {};
+for (const { file, defines } of SCRIPTS) {
+    const filename = path.join(__dirname, '..', 'js', file);
+    const body = fs.readFileSync(filename, 'utf8') + `\nreturn { ${defines.join(', ')} };`;
+    const run = vm.compileFunction(body, Object.keys(api), { filename });
+    Object.assign(api, run(...Object.values(api)));
+}
+
+module.exports = api;
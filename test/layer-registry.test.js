@@ -0,0 +1,91 @@
+/**
+ * Layer registry tests. Registering a layer changes every later sigil, so
+ * they run in a file of their own.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SigilGenerator } = require('../node/sigil');
+
+describe('registerLayer', () => {
+    it('rejects bad names, taken names and missing functions', () => {
+        const layer = { build: () => ({}), draw: () => {} };
+        assert.throws(() => SigilGenerator.registerLayer('no spaces', layer), /plain identifier/);
+        assert.throws(() => SigilGenerator.registerLayer('scatterDots', layer), /already registered/);
+        assert.throws(() => SigilGenerator.registerLayer('trace', layer), /already registered/);
+        assert.throws(() => SigilGenerator.registerLayer('halo', { build: layer.build }), /build\(\) and draw\(\)/);
+    });
+
+    it('opens links the same whatever layers are registered', () => {
+        const seeds = ['1', '2', '3', '4', '5', '6'];
+        const layers = (sigil) => SigilGenerator._stableStringify([sigil.toJSON().randomVertices, sigil.toJSON().layerState]);
+        const made = seeds.map(seed => {
+            const sigil = new SigilGenerator(null);
+            sigil.generate(seed);
+            return { link: sigil.toPermalink(), layers: layers(sigil) };
+        });
+        assert.ok(made.every(m => !m.link.includes('state=')));
+
+        SigilGenerator.registerLayer('rays', {
+            weight: 5,
+            build: (sigil, { rng }) => ({ count: 3 + Math.floor(rng() * 5) }),
+            draw() {}
+        });
+        for (const m of made) assert.equal(layers(new SigilGenerator(null).fromPermalink(m.link)), m.layers, m.link);
+
+        // Sigils the new layer changed carry their layers in the link
+        const sigil = new SigilGenerator(null);
+        let embedded = 0;
+        for (const seed of seeds) {
+            sigil.generate(seed);
+            const link = sigil.toPermalink();
+            if (link.includes('state=')) embedded++;
+            assert.equal(layers(new SigilGenerator(null).fromPermalink(link)), layers(sigil), seed);
+        }
+        assert.ok(embedded > 0);
+    });
+
+    it('builds, saves, checks and draws a registered layer like a built-in', () => {
+        SigilGenerator.registerLayer('halo', {
+            label: 'Halo',
+            build(sigil, { rng }) {
+                return { scale: 0.3 + rng() * 0.3 };
+            },
+            draw(renderer, data, { cx, cy, shapeR, lineStyle, circle }) {
+                renderer.stroke(circle({ x: cx, y: cy }, shapeR * data.scale), lineStyle);
+            },
+            validate(data, check) {
+                return { scale: check.positive('scale', data.scale) };
+            }
+        });
+        assert.equal(SigilGenerator.layerType('halo').label, 'Halo');
+
+        const sigil = new SigilGenerator(null);
+        sigil.setLayerOption('halo', { mode: 'on' });
+        sigil.generate('10');
+        const { scale } = sigil._layerState.halo;
+        assert.ok(scale >= 0.3 && scale < 0.6);
+
+        const doc = sigil.toJSON();
+        assert.deepEqual(new SigilGenerator(null).fromJSON(doc).toJSON(), doc);
+        assert.throws(() => new SigilGenerator(null).fromJSON({ ...doc, layerState: { ...doc.layerState, halo: { scale: -1 } } }), /scale/);
+
+        const r = (1000 * SigilGenerator.SHAPE_RATIO / 2) * scale;
+        assert.ok(sigil.recordPaths(1000).some(op => op.op === 'stroke' && op.shape.type === 'circle' && Math.abs(op.shape.r - r) < 1e-9));
+    });
+
+    it('fills the place of a layer with no room from anywhere in the pick', () => {
+        SigilGenerator.registerLayer('cramped', { build: () => null, draw() {} });
+        const sigil = new SigilGenerator(null);
+        sigil.complexity = 1;
+        for (const name of SigilGenerator.LAYERS) sigil.setLayerOption(name, { mode: 'off' });
+        sigil.setLayerOption('radialLines', { mode: 'auto' });
+        sigil.setLayerOption('crossLines', { mode: 'auto' });
+        sigil.setLayerOption('cramped', { mode: 'on' });
+        for (const seed of ['1', '2', '3', '4']) {
+            sigil.generate(seed);
+            assert.deepEqual([...sigil.activeLayers].sort(), ['crossLines', 'radialLines'], seed);
+        }
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * PDF export tests: the files are read back object by object through their
+ * cross-reference table, with streams inflated by Node's zlib.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { SigilGenerator, PDFExport, PDFWriter } = require('../node/sigil');
+
+/** The objects of a PDF (by number) as { dict, stream }, after checking its xref offsets. */
+async function parse(blob) {
+    assert.equal(blob.type, 'application/pdf');
+    const bytes = Buffer.from(await blob.arrayBuffer());
+    const text = bytes.toString('latin1');
+    assert.ok(text.startsWith('%PDF-1.4\n'));
+    const xref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    const [, first, count] = text.slice(xref).match(/^xref\n(\d+) (\d+)\n/);
+    const entries = text.slice(xref).split('\n').slice(2, 2 + Number(count));
+    const objects = {};
+    entries.forEach((entry, i) => {
+        const number = Number(first) + i;
+        if (entry.endsWith('f ')) return;
+        const at = Number(entry.slice(0, 10));
+        assert.ok(text.startsWith(`${number} 0 obj\n`, at), `object ${number} at ${at}`);
+        const body = text.slice(at, text.indexOf('endobj', at));
+        const start = body.indexOf('stream\n');
+        if (start === -1) {
+            objects[number] = { dict: body, stream: null };
+            return;
+        }
+        const dict = body.slice(0, start);
+        const length = Number(dict.match(/\/Length (\d+)/)[1]);
+        const from = at + start + 'stream\n'.length;
+        const data = bytes.subarray(from, from + length);
+        objects[number] = { dict, stream: (/FlateDecode/.test(dict) ? zlib.inflateSync(data) : data).toString('latin1') };
+    });
+    return objects;
+}
+
+/** The content streams of the pages, in order. */
+function pages(objects) {
+    const kids = objects[2].dict.match(/\/Kids \[([^\]]*)\]/)[1].match(/\d+(?= 0 R)/g);
+    return kids.map(k => {
+        const page = objects[k].dict;
+        return { mediaBox: page.match(/\/MediaBox \[([^\]]*)\]/)[1], content: objects[page.match(/\/Contents (\d+) 0 R/)[1]].stream };
+    });
+}
+
+/** The text a content stream shows, one string per text object, from its WinAnsi hex strings. */
+function shown(content) {
+    const winAnsi = { 0x85: '…', 0x93: '“', 0x94: '”' };
+    return (content.match(/<[0-9a-f]*> Tj/g) || []).map(t => [...Buffer.from(t.slice(1, -4), 'hex')].map(b => winAnsi[b] ?? String.fromCharCode(b)).join(''));
+}
+
+/** The font size each text object in a content stream is set in. */
+function sizes(content) {
+    return (content.match(/ [\d.]+ Tf /g) || []).map(t => Number(t.split(' ')[1]));
+}
+
+function sigils(count) {
+    return Array.from({ length: count }, (_, i) => {
+        const sigil = new SigilGenerator(null);
+        sigil.generate(String(40 + i));
+        return sigil;
+    });
+}
+
+describe('PDFExport', () => {
+    it('draws one sigil as vector paths on an A4 page', async () => {
+        const [page, ...rest] = pages(await parse(await PDFExport.single(sigils(1)[0])));
+        assert.equal(rest.length, 0);
+        assert.equal(page.mediaBox, '0 0 595.276 841.89');
+        assert.match(page.content, / re W n\n/);
+        assert.match(page.content, / m [\d. ]+ l( [\d. ]+ l)* S\n/);
+        assert.doesNotMatch(page.content, /\bDo\b/);
+    });
+
+    it('lays out a contact sheet over as many pages as it needs', async () => {
+        // Two cells to a page
+        const list = sigils(5);
+        const sheet = pages(await parse(await PDFExport.contactSheet(list, { page: { width: 100, height: 100 }, margin: 10, columns: 2 })));
+        assert.equal(sheet.length, 3);
+        assert.ok(sheet.every(p => p.mediaBox === '0 0 283.465 283.465'));
+        list.forEach((sigil, i) => assert.ok(shown(sheet[Math.floor(i / 2)].content).join(' · ').includes(PDFExport.caption(sigil)), `Seed ${40 + i}`));
+        assert.match(PDFExport.caption(list[0]), /^Seed 40 · [A-Z][a-z]+( [A-Z][a-z]+)* · Complexity 3$/);
+    });
+
+    it('wraps and shrinks captions to fit narrow cells, cutting only a long statement short', async () => {
+        const list = sigils(3);
+        list[2].generateFromIntent('I walk the long road home in peace and in good time');
+        // Cells about 36 points wide
+        const [page] = pages(await parse(await PDFExport.contactSheet(list, { page: { width: 200, height: 200 }, margin: 10, columns: 10 })));
+        const lines = shown(page.content), size = sizes(page.content);
+        const cell = ((200 - 20 - PDFExport.GAP * 9) / 10) * PDFExport.MM;
+        lines.forEach((line, i) => assert.ok(PDFWriter.textWidth(line, 'Helvetica') * size[i] <= cell, `${line} at ${size[i]} pt`));
+        assert.ok(size.every(s => s < PDFExport.CAPTION_SIZE && s >= PDFExport.MIN_CAPTION_SIZE));
+        assert.equal(lines.filter(l => l.startsWith('Complexity')).length, list.length);
+        assert.deepEqual(lines.filter(l => l.includes('…')), [lines[6]]);
+        assert.match(lines[6], /^“I walk .*…$/);
+        assert.equal(lines.slice(0, 3).join(' · '), PDFExport.caption(list[0]));
+    });
+
+    it('names the first bad option', () => {
+        for (const [options, message] of [
+            [{ page: 'a3' }, /page must be/],
+            [{ page: { width: 20, height: 300 } }, /page width/],
+            [{ margin: -1 }, /margin/],
+            [{ page: 'a4', margin: 100 }, /too little room/],
+            [{ columns: 13 }, /columns/]
+        ]) {
+            assert.throws(() => PDFExport.validate(options), message, JSON.stringify(options));
+        }
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * PNGEncoder tests: the files are read back with Node's zlib.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PNGEncoder } = require('../node/sigil');
+
+/** The chunks of a PNG file as { type, data }. */
+function chunks(bytes) {
+    const buf = Buffer.from(bytes);
+    assert.deepEqual([...buf.subarray(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+    const out = [];
+    for (let o = 8; o < buf.length;) {
+        const length = buf.readUInt32BE(o);
+        out.push({ type: buf.toString('latin1', o + 4, o + 8), data: buf.subarray(o + 8, o + 8 + length) });
+        o += 12 + length;
+    }
+    return out;
+}
+
+/** Width, height, channels and the unfiltered rows of a PNG written by PNGEncoder. */
+function decode(bytes) {
+    const all = chunks(bytes);
+    const ihdr = all.find(c => c.type === 'IHDR').data;
+    const width = ihdr.readUInt32BE(0), height = ihdr.readUInt32BE(4);
+    const channels = { 4: 2, 6: 4 }[ihdr[9]];
+    const raw = zlib.inflateSync(Buffer.concat(all.filter(c => c.type === 'IDAT').map(c => c.data)));
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const start = y * (1 + width * channels);
+        assert.equal(raw[start], 0, 'filter type');
+        rows.push([...raw.subarray(start + 1, start + 1 + width * channels)]);
+    }
+    return { width, height, channels, rows, types: all.map(c => c.type) };
+}
+
+describe('PNGEncoder', () => {
+    it('writes RGBA pixels that read back unchanged', () => {
+        const rgba = new Uint8Array([255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+        const png = decode(PNGEncoder.encode(3, 2, rgba));
+        assert.deepEqual([png.width, png.height, png.channels], [3, 2, 4]);
+        assert.deepEqual(png.rows.flat(), [...rgba]);
+        assert.deepEqual(png.types, ['IHDR', 'IDAT', 'IEND']);
+    });
+
+    it('writes grey pixels as grey and alpha', () => {
+        const rgba = new Uint8Array([10, 10, 10, 255, 200, 200, 200, 50]);
+        const png = decode(PNGEncoder.encode(2, 1, rgba));
+        assert.equal(png.channels, 2);
+        assert.deepEqual(png.rows, [[10, 255, 200, 50]]);
+    });
+
+    it('makes data URLs', () => {
+        const url = PNGEncoder.toDataURL(1, 1, new Uint8Array([1, 2, 3, 4]));
+        assert.match(url, /^data:image\/png;base64,/);
+        assert.deepEqual(decode(Buffer.from(url.split(',')[1], 'base64')).rows, [[1, 2, 3, 4]]);
+    });
+
+    it('stamps a print resolution after the header, replacing any other', () => {
+        const png = PNGEncoder.encode(1, 1, new Uint8Array([1, 2, 3, 4]));
+        const twice = PNGEncoder.withDpi(PNGEncoder.withDpi(png, 72), 300);
+        assert.deepEqual(chunks(twice).map(c => c.type), ['IHDR', 'pHYs', 'IDAT', 'IEND']);
+        const phys = chunks(twice)[1].data;
+        assert.equal(phys.readUInt32BE(0), Math.round(300 / 0.0254));
+        assert.equal(phys.readUInt32BE(4), Math.round(300 / 0.0254));
+        assert.equal(phys[8], 1);
+        assert.deepEqual(decode(twice).rows, [[1, 2, 3, 4]]);
+    });
+});
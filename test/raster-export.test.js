@@ -0,0 +1,164 @@
+/**
+ * RasterExport tests. The worker is a stand-in that answers with whatever
+ * the test gives it; drawing on the page uses a canvas package, and is
+ * skipped without one.
+ */
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SigilGenerator, RasterExport, CanvasRenderer } = require('../node/sigil');
+
+let createCanvas = null;
+for (const name of ['@napi-rs/canvas', 'canvas']) {
+    try {
+        ({ createCanvas } = require(name));
+        break;
+    } catch (e) {
+        if (e.code !== 'MODULE_NOT_FOUND') throw e;
+    }
+}
+
+describe('RasterExport.validate', () => {
+    it('fills in the defaults', () => {
+        assert.deepEqual(RasterExport.validate({ size: 512 }),
+            { size: 512, format: 'png', quality: RasterExport.DEFAULT_QUALITY, dpi: null });
+        assert.deepEqual(RasterExport.validate({ size: 8192, format: 'webp', quality: 0, dpi: 300, signal: null }),
+            { size: 8192, format: 'webp', quality: 0, dpi: 300 });
+    });
+
+    it('names the first bad option', () => {
+        for (const [options, message] of [
+            [{}, /size/],
+            [{ size: 8193 }, /size/],
+            [{ size: 100.5 }, /size/],
+            [{ size: 100, format: 'gif' }, /format/],
+            [{ size: 100, format: 'jpeg', quality: 2 }, /quality/],
+            [{ size: 100, dpi: 0 }, /DPI/],
+            [{ size: 100, dpi: '300' }, /DPI/]
+        ]) {
+            assert.throws(() => RasterExport.validate(options), message, JSON.stringify(options));
+        }
+    });
+});
+
+describe('RasterExport.render in a worker', () => {
+    let workers, reply;
+    class FakeWorker {
+        constructor(url) {
+            this.url = url;
+            this.terminated = false;
+            workers.push(this);
+        }
+        postMessage(message) {
+            this.message = message;
+            if (reply) setImmediate(() => this.onmessage({ data: reply }));
+        }
+        terminate() { this.terminated = true; }
+    }
+
+    before(() => Object.assign(globalThis, { Worker: FakeWorker, OffscreenCanvas: class {} }));
+    after(() => { delete globalThis.Worker; delete globalThis.OffscreenCanvas; });
+
+    function sigil() {
+        const s = new SigilGenerator(null);
+        s.generate('7');
+        s.inscription = { ...SigilGenerator.DEFAULT_INSCRIPTION, text: 'ODIN' };
+        return s;
+    }
+
+    it('sends the document and checked options, and resolves with the blob', async () => {
+        workers = [];
+        reply = { blob: 'blob' };
+        const s = sigil();
+        assert.equal(await RasterExport.render(s, { size: 64, dpi: 300 }), 'blob');
+        assert.equal(workers.length, 1);
+        const { doc, options, fonts } = workers[0].message;
+        assert.deepEqual(doc, s.toJSON());
+        assert.deepEqual(options, { size: 64, format: 'png', quality: RasterExport.DEFAULT_QUALITY, dpi: 300 });
+        assert.deepEqual(fonts, []);
+        assert.ok(workers[0].terminated);
+    });
+
+    it('rejects when the worker fails instead of drawing on the page', async () => {
+        workers = [];
+        reply = { error: 'The font did not load' };
+        await assert.rejects(RasterExport.render(sigil(), { size: 8192 }), /font did not load/);
+        assert.equal(workers.length, 1);
+    });
+
+    it('stops the worker when the export is cancelled', async () => {
+        workers = [];
+        reply = null;
+        const controller = new AbortController();
+        const done = RasterExport.render(sigil(), { size: 64, signal: controller.signal });
+        controller.abort();
+        await assert.rejects(done, { name: 'AbortError' });
+        assert.ok(workers[0].terminated);
+    });
+
+    it('finds the font families a sigil letters in', () => {
+        assert.deepEqual(RasterExport._families(`"Cinzel Decorative", 'Uncial', serif`), ['Cinzel Decorative', 'Uncial', 'serif']);
+        assert.equal(RasterExport._lettering(sigil()).length, 1);
+    });
+});
+
+describe('RasterExport on the page', { skip: !createCanvas && 'no canvas package installed' }, () => {
+    let made;
+    before(() => {
+        // Every canvas the code makes comes from the package, and is counted
+        globalThis.OffscreenCanvas = function (width, height) {
+            made++;
+            return createCanvas(width, height);
+        };
+    });
+    after(() => { delete globalThis.OffscreenCanvas; });
+
+    function pixels(canvas) {
+        return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+    }
+
+    it('draws large sigils tile by tile, as they are drawn in one go', async () => {
+        const s = new SigilGenerator(null);
+        s.generate('7');
+        s.border = { ...s.border, lines: 2, marks: 'ticks' };
+        const whole = await RasterExport._draw(s, 300);
+        const tile = RasterExport.TILE_SIZE;
+        RasterExport.TILE_SIZE = 128;
+        made = 0;
+        let tiled;
+        try {
+            tiled = await RasterExport._draw(s, 300);
+        } finally {
+            RasterExport.TILE_SIZE = tile;
+        }
+        // The drawing, one tile and one clip layer for the tile
+        assert.equal(made, 3);
+        // Curves are smoothed a little differently where a tile cuts them
+        const a = pixels(whole), b = pixels(tiled);
+        let total = 0, worst = 0;
+        for (let i = 0; i < a.length; i++) {
+            const d = Math.abs(a[i] - b[i]);
+            total += d;
+            worst = Math.max(worst, d);
+        }
+        assert.ok(total / a.length < 0.2 && worst < 128, `mean ${total / a.length}, worst ${worst}`);
+    });
+
+    it('keeps one layer canvas for every clip at the same depth', () => {
+        const r = new CanvasRenderer(createCanvas(50, 50));
+        const square = { type: 'polyline', points: [{ x: 10, y: 10 }, { x: 40, y: 10 }, { x: 40, y: 40 }, { x: 10, y: 40 }], closed: true };
+        made = 0;
+        r.begin(null);
+        for (let i = 0; i < 3; i++) {
+            r.pushClip(square);
+            r.fill({ type: 'circle', cx: 25, cy: 25, r: 30 }, { color: '#ff0000' });
+            r.popClip();
+        }
+        r.end();
+        assert.equal(made, 1);
+        const data = pixels(r.canvas);
+        assert.deepEqual([...data.subarray((25 * 50 + 25) * 4, (25 * 50 + 25) * 4 + 4)], [255, 0, 0, 255]);
+        assert.equal(data[(5 * 50 + 5) * 4 + 3], 0);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Command-line batch generator tests: node/sigil-batch.js is run as a child
+ * process into a temporary directory.
+ */
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { SigilGenerator } = require('../node/sigil');
+
+const CLI = path.join(__dirname, '..', 'node', 'sigil-batch.js');
+
+// PNG output needs a canvas package (an optional dependency)
+const hasCanvas = ['canvas', '@napi-rs/canvas'].some(name => {
+    try { return Boolean(require.resolve(name)); } catch (e) { return false; }
+});
+
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+}
+
+describe('sigil-batch', () => {
+    let out;
+    before(() => { out = fs.mkdtempSync(path.join(os.tmpdir(), 'sigil-batch-')); });
+    after(() => fs.rmSync(out, { recursive: true, force: true }));
+
+    it('writes numbered files and a manifest that rebuilds them', () => {
+        const dir = path.join(out, 'json');
+        const result = run('--seeds', '10-12', '--shape', 'star', '--complexity', '4', '--format', 'json', '--out', dir);
+        assert.equal(result.status, 0, result.stderr);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+        assert.deepEqual(manifest.sigils.map(s => [s.file, s.seed]),
+            [['sigil-0001.json', '10'], ['sigil-0002.json', '11'], ['sigil-0003.json', '12']]);
+        for (const entry of manifest.sigils) {
+            const saved = new SigilGenerator(null).fromJSON(fs.readFileSync(path.join(dir, entry.file), 'utf8'));
+            const rebuilt = new SigilGenerator(null).fromPermalink(entry.permalink);
+            assert.deepEqual(rebuilt.toJSON(), saved.toJSON(), entry.file);
+        }
+    });
+
+    it('writes SVG files', () => {
+        const dir = path.join(out, 'svg');
+        const result = run('--seed', '5', '--count', '2', '--size', '300', '--out', dir);
+        assert.equal(result.status, 0, result.stderr);
+        const svg = fs.readFileSync(path.join(dir, 'sigil-0002.svg'), 'utf8');
+        assert.match(svg, /viewBox="0 0 300 300"/);
+    });
+
+    it('writes PNG files with a print resolution', { skip: !hasCanvas && 'no canvas package installed' }, () => {
+        const dir = path.join(out, 'png');
+        const result = run('--seeds', '5-6', '--format', 'png', '--size', '120', '--dpi', '300', '--out', dir);
+        assert.equal(result.status, 0, result.stderr);
+        const png = fs.readFileSync(path.join(dir, 'sigil-0002.png'));
+        assert.deepEqual([...png.subarray(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+        assert.deepEqual([png.readUInt32BE(16), png.readUInt32BE(20)], [120, 120]);
+        const phys = png.indexOf('pHYs');
+        assert.ok(phys > 0);
+        assert.equal(png.readUInt32BE(phys + 4), Math.round(300 / 0.0254));
+    });
+
+    it('reports bad options and writes nothing', () => {
+        const dir = path.join(out, 'bad');
+        for (const args of [['--shape', 'blob'], ['--complexity', '9'], ['--seeds', '9-1'], ['--colour', 'red']]) {
+            const result = run(...args, '--out', dir);
+            assert.equal(result.status, 1, args.join(' '));
+            assert.match(result.stderr, /^sigil-batch: /, args.join(' '));
+        }
+        assert.ok(!fs.existsSync(dir));
+    });
+});
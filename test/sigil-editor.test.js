@@ -0,0 +1,70 @@
+/**
+ * SigilEditor geometry tests: handles, hit-testing and drags, without a canvas.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SigilGenerator, SigilEditor } = require('../node/sigil');
+
+const SIZE = 1000;
+
+function editor(shape, seed, layers, mode = 'none') {
+    const sigil = new SigilGenerator(null);
+    sigil.shape = shape;
+    sigil.symmetry = { mode, folds: null };
+    for (const name of layers) sigil.setLayerOption(name, { mode: 'on' });
+    sigil.generate(seed);
+    return new SigilEditor(sigil, null);
+}
+
+describe('SigilEditor', () => {
+    it('finds every handle where it is drawn', () => {
+        const ed = editor('hexagon', '3', ['perimeterConnections', 'radialLines', 'concentricShapes']);
+        const handles = ed.handles(SIZE);
+        assert.ok(handles.length > 0);
+        for (const h of handles) {
+            const hit = ed.hitTest(h.x, h.y, SIZE);
+            assert.ok(hit && Math.hypot(hit.x - h.x, hit.y - h.y) === 0, `${h.layer} ${h.index}`);
+        }
+        assert.equal(ed.hitTest(-500, -500, SIZE), null);
+    });
+
+    it('keeps a dragged dot inside the outline', () => {
+        for (const shape of ['circle', 'triangle', 'star']) {
+            const ed = editor(shape, '12', ['scatterDots']);
+            const dots = ed.sigil._layerState.scatterDots;
+            const radius = SIZE * SigilGenerator.DOT_RATIO * dots.radiusMultiplier;
+            const handle = ed.handles(SIZE).find(h => h.layer === 'scatterDots');
+            ed.moveHandle(handle, SIZE * 2, -SIZE, SIZE);
+            const p = ed.sigil._normalizedToCanvas(dots.dots[handle.index], SIZE);
+            assert.ok(ed.sigil._circleInsideShape(p, radius - 1e-6, SIZE), shape);
+        }
+    });
+
+    it('keeps every symmetric copy of a dragged dot inside the outline', () => {
+        for (const mode of ['mirror-x', 'both', 'rotational']) {
+            const ed = editor('pentagon', '12', ['scatterDots'], mode);
+            const dots = ed.sigil._layerState.scatterDots;
+            const radius = SIZE * SigilGenerator.DOT_RATIO * dots.radiusMultiplier;
+            const handle = ed.handles(SIZE).find(h => h.layer === 'scatterDots');
+            ed.moveHandle(handle, SIZE * 0.9, SIZE * 0.1, SIZE);
+            for (const img of ed.sigil._symmetryImages(dots.dots[handle.index])) {
+                assert.ok(ed.sigil._circleInsideShape(ed.sigil._normalizedToCanvas(img, SIZE), radius - 1e-6, SIZE), mode);
+            }
+        }
+    });
+
+    it('moves perimeter points and radial lines to the pointer', () => {
+        const ed = editor('square', '4', ['perimeterConnections', 'radialLines']);
+        const ls = ed.sigil._layerState;
+        const point = ed.handles(SIZE).find(h => h.layer === 'perimeterConnections');
+        const target = ed.sigil._pointOnPerimeter(0.3, SIZE);
+        ed.moveHandle(point, target.x, target.y, SIZE);
+        assert.ok(Math.abs(ls.perimeterConnections.tValues[point.index] - 0.3) < 1e-9);
+
+        const line = ed.handles(SIZE).find(h => h.layer === 'radialLines');
+        ed.moveHandle(line, SIZE / 2, SIZE, SIZE);
+        assert.ok(Math.abs(ls.radialLines.angles[line.index] - Math.PI / 2) < 1e-9);
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * SigilHistory tests: undo/redo over generated sigils.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SigilGenerator, SigilHistory } = require('../node/sigil');
+
+function recorded(history, seeds) {
+    const sigil = new SigilGenerator(null);
+    for (const seed of seeds) {
+        sigil.generate(seed);
+        history.record(sigil);
+    }
+    return sigil;
+}
+
+const seedOf = (entry) => JSON.parse(entry.state).seed;
+
+describe('SigilHistory', () => {
+    it('undoes and redoes to the exact sigils generated', () => {
+        const history = new SigilHistory();
+        const sigil = recorded(history, ['1', '2', '3']);
+        const third = JSON.stringify(sigil);
+
+        assert.equal(seedOf(history.undo()), '2');
+        assert.equal(seedOf(history.undo()), '1');
+        assert.equal(history.undo(), null);
+        assert.ok(!history.canUndo);
+        assert.equal(seedOf(history.redo()), '2');
+        assert.equal(history.redo().state, third);
+        assert.equal(history.redo(), null);
+
+        const restored = new SigilGenerator(null).fromJSON(history.current.state);
+        assert.deepEqual(restored.toJSON(), JSON.parse(third));
+    });
+
+    it('appends after an undo instead of dropping the entries ahead', () => {
+        const history = new SigilHistory();
+        recorded(history, ['1', '2', '3']);
+        history.undo();
+        history.undo();
+        recorded(history, ['4']);
+        assert.deepEqual(history.entries.map(seedOf), ['1', '2', '3', '4']);
+        assert.equal(history.index, 3);
+    });
+
+    it('skips an unchanged sigil and keeps only the newest entries', () => {
+        const history = new SigilHistory(3);
+        recorded(history, ['1', '2', '2', '3', '4']);
+        assert.deepEqual(history.entries.map(seedOf), ['2', '3', '4']);
+        assert.equal(seedOf(history.current), '4');
+    });
+
+    it('replaces the current entry in place', () => {
+        const history = new SigilHistory();
+        const sigil = recorded(history, ['1', '2']);
+        history.undo();
+        sigil.generate('9');
+        history.replace(sigil, 'thumb');
+        assert.deepEqual(history.entries.map(seedOf), ['9', '2']);
+        assert.equal(history.current.thumbnail, 'thumb');
+    });
+});
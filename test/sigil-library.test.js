@@ -0,0 +1,95 @@
+/**
+ * SigilLibrary tests, on fake-indexeddb's in-memory IndexedDB (a dev
+ * dependency); they are skipped where it is not installed.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SigilGenerator, SigilLibrary } = require('../node/sigil');
+
+let IDBFactory = null;
+try {
+    ({ IDBFactory } = require('fake-indexeddb'));
+} catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') throw e;
+}
+
+/** An open library on a fresh, empty database. */
+function library() {
+    return new SigilLibrary(new IDBFactory()).open();
+}
+
+function sigil(seed) {
+    const s = new SigilGenerator(null);
+    s.generate(seed);
+    return s;
+}
+
+/** Count the transactions a library starts, and let a test meddle with their stores. */
+function watch(lib, onStore = () => {}) {
+    const db = lib._db, transaction = db.transaction.bind(db);
+    const seen = { count: 0 };
+    db.transaction = (...args) => {
+        seen.count++;
+        const tx = transaction(...args);
+        const objectStore = tx.objectStore.bind(tx);
+        tx.objectStore = (name) => {
+            const store = objectStore(name);
+            onStore(store, tx);
+            return store;
+        };
+        return tx;
+    };
+    return seen;
+}
+
+describe('SigilLibrary', { skip: !IDBFactory && 'fake-indexeddb is not installed' }, () => {
+    it('keeps, finds, renames and deletes sigils', async () => {
+        const lib = await library();
+        const first = await lib.add({ sigil: sigil('1'), tags: 'Moon, calm, moon' });
+        const second = await lib.add({ sigil: sigil('2').toJSON(), name: '  Second  ', created: '2030-01-01T00:00:00.000Z' });
+        assert.deepEqual(first.tags, ['moon', 'calm']);
+        assert.equal(first.name, `${first.shape} 1`);
+        assert.deepEqual((await lib.all()).map(e => e.id), [second.id, first.id]);
+
+        const renamed = await lib.update(first.id, { name: 'First', tags: ['sun'] });
+        assert.deepEqual([renamed.name, renamed.tags], ['First', ['sun']]);
+        assert.deepEqual(await lib.get(first.id), renamed);
+
+        await lib.delete([first.id]);
+        assert.equal(await lib.get(first.id), null);
+        assert.deepEqual(new SigilGenerator(null).fromJSON((await lib.get(second.id)).sigil).toJSON(), sigil('2').toJSON());
+    });
+
+    it('imports a whole library file in one transaction', async () => {
+        const from = await library();
+        for (const seed of ['1', '2', '3']) await from.add({ sigil: sigil(seed), tags: [`seed-${seed}`] });
+        const file = await from.exportFile();
+
+        const to = await library();
+        const seen = watch(to);
+        assert.equal(await to.importFile(JSON.stringify(file)), 3);
+        assert.equal(seen.count, 1);
+        assert.deepEqual((await to.exportFile()).entries, file.entries);
+    });
+
+    it('adds nothing from a bad file or an import that fails part way', async () => {
+        const from = await library();
+        for (const seed of ['1', '2', '3']) await from.add({ sigil: sigil(seed) });
+        const file = await from.exportFile();
+
+        const to = await library();
+        const broken = { ...file, entries: [...file.entries, { ...file.entries[0], created: 'someday' }] };
+        await assert.rejects(to.importFile(broken), /entry 4: "created" must be a date/);
+
+        // The second add aborts the transaction
+        let adds = 0;
+        watch(to, (store, tx) => {
+            const add = store.add.bind(store);
+            store.add = (value) => (++adds === 2 ? tx.abort() : add(value));
+        });
+        await assert.rejects(to.importFile(file));
+        assert.deepEqual(await to.all(), []);
+    });
+});
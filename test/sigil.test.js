@@ -0,0 +1,440 @@
+/**
+ * Generator tests, run headlessly through node/sigil.js:
+ *
+ *   node --test test/
+ *
+ * fixtures/legacy.json holds links and documents written by earlier
+ * versions (link versions 1 and 2, format version 1), each with the layers
+ * it was built with, as canvas coordinates at 1000 px.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SigilGenerator, SVGRenderer } = require('../node/sigil');
+const legacy = require('./fixtures/legacy.json');
+
+const SHAPES = SigilGenerator.OUTER_SHAPES.filter(s => s !== 'custom');
+const SEEDS = ['1', '42', '1234', 'sigil', 'moon-7'];
+
+function generated(shape, mode, seed, complexity = 3, strokes = null) {
+    const sigil = new SigilGenerator(null);
+    sigil.shape = shape;
+    sigil.symmetry = { mode, folds: null };
+    sigil.complexity = complexity;
+    if (strokes) sigil.strokes = strokes;
+    sigil.generate(seed);
+    return sigil;
+}
+
+/** The random outline and layers, with object keys in a fixed order. */
+function layers(sigil) {
+    const doc = sigil.toJSON();
+    return SigilGenerator._stableStringify([doc.randomVertices, doc.layerState]);
+}
+
+/** Every {nx, ny} point in a layer state as canvas coordinates at 1000 px. */
+function toCanvas(sigil, value) {
+    if (Array.isArray(value)) return value.map(v => toCanvas(sigil, v));
+    if (!value || typeof value !== 'object') return value;
+    if ('nx' in value) {
+        const { x, y } = sigil._normalizedToCanvas(value, 1000);
+        return { x, y };
+    }
+    return Object.fromEntries(Object.keys(value).sort().map(k => [k, toCanvas(sigil, value[k])]));
+}
+
+/** deepStrictEqual, with numbers equal to within rounding. */
+function assertClose(actual, expected, where = 'state') {
+    if (typeof expected === 'number') {
+        assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${where}: ${actual} is not ${expected}`);
+    } else if (expected && typeof expected === 'object') {
+        assert.equal(typeof actual, 'object', `${where} is missing`);
+        assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${where} has other keys`);
+        for (const key of Object.keys(expected)) assertClose(actual[key], expected[key], `${where}.${key}`);
+    } else {
+        assert.equal(actual, expected, where);
+    }
+}
+
+describe('seeds', () => {
+    it('build the same sigil every time', () => {
+        for (const shape of SHAPES) {
+            for (const seed of SEEDS) {
+                const a = generated(shape, 'none', seed), b = generated(shape, 'none', seed);
+                assert.equal(layers(a), layers(b), `${shape} ${seed}`);
+                assert.equal(a.exportSVG(), b.exportSVG(), `${shape} ${seed}`);
+            }
+        }
+    });
+
+    it('build the same sigil whatever was generated before', () => {
+        const sigil = generated('star', 'rotational', 'first');
+        sigil.generate('1234');
+        assert.equal(layers(sigil), layers(generated('star', 'rotational', '1234')));
+    });
+
+    it('build different sigils from different seeds', () => {
+        const built = new Set(SEEDS.map(seed => layers(generated('random', 'none', seed))));
+        assert.equal(built.size, SEEDS.length);
+    });
+
+    it('and statements of intent are deterministic too', () => {
+        const build = () => {
+            const sigil = new SigilGenerator(null);
+            sigil.generateFromIntent('I walk in strength and calm');
+            return sigil;
+        };
+        assert.equal(layers(build()), layers(build()));
+        assert.equal(build().reducedIntent, 'WLKNSTRGHDCM');
+    });
+});
+
+describe('tracing', () => {
+    it('leaves the random layers as they were', () => {
+        const sigil = generated('hexagon', 'none', '8');
+        const before = structuredClone(sigil.toJSON().layerState);
+        sigil.setTrace({ method: 'kamea', planet: 'saturn', name: 'Ada', guide: true });
+        const after = sigil.toJSON().layerState;
+        assert.deepEqual(after.layers, [...before.layers, 'trace']);
+        for (const name of before.layers) assert.deepEqual(after[name], before[name], name);
+        sigil.setTrace(null);
+        assert.equal(layers(sigil), SigilGenerator._stableStringify([null, before]));
+    });
+
+    it('refuses unknown options and keeps the trace it had', () => {
+        const sigil = generated('hexagon', 'none', '8');
+        sigil.setTrace({ method: 'wheel', name: 'Ada', guide: false });
+        const before = sigil.toJSON();
+        assert.throws(() => sigil.setTrace({ method: 'kamea', planet: 'pluto', name: 'Ada' }), /planet/);
+        assert.throws(() => sigil.setTrace({ method: 'wheel', name: 7 }), /name/);
+        assert.deepEqual(sigil.toJSON(), before);
+    });
+});
+
+describe('parametric shapes', () => {
+    const OPTIONS = [
+        ['polygon', { sides: 11, rotation: 15 }],
+        ['star-polygon', { points: 7, innerRatio: 0.5, skip: 2, rotation: 0 }],
+        ['custom', { vertices: [{ x: 0, y: -1 }, { x: 1, y: 0.5 }, { x: -1, y: 0.5 }], rotation: 90 }]
+    ];
+
+    for (const [shape, options] of OPTIONS) {
+        it(`round-trip ${shape} through documents and links`, () => {
+            const sigil = new SigilGenerator(null);
+            sigil.shape = shape;
+            sigil.shapeOptions = { ...SigilGenerator.DEFAULT_SHAPE_OPTIONS, ...options };
+            sigil.generate('31');
+            const doc = new SigilGenerator(null).fromJSON(sigil.toJSON());
+            assert.deepEqual(doc.shapeOptions, sigil.shapeOptions);
+            const link = new SigilGenerator(null).fromPermalink(sigil.toPermalink());
+            assert.equal(layers(link), layers(sigil));
+            assert.equal(link.exportSVG(), sigil.exportSVG());
+        });
+    }
+
+    it('turn with their rotation', () => {
+        const sigil = new SigilGenerator(null);
+        sigil.shape = 'polygon';
+        sigil.shapeOptions = { ...SigilGenerator.DEFAULT_SHAPE_OPTIONS, sides: 4, rotation: 0 };
+        const [a] = sigil._getShapeVertices(1000);
+        sigil.shapeOptions = { ...sigil.shapeOptions, rotation: 90 };
+        const [b] = sigil._getShapeVertices(1000);
+        assert.ok(Math.abs(b.x - (1000 - a.y)) < 1e-9 && Math.abs(b.y - a.x) < 1e-9);
+    });
+
+    it('reject bad options', () => {
+        const doc = generated('circle', 'none', '5').toJSON();
+        for (const [shape, options] of [['polygon', { sides: 2 }], ['star-polygon', { points: 1 }], ['custom', { vertices: [{ x: 0, y: 0 }] }]]) {
+            const shapeOptions = { ...SigilGenerator.DEFAULT_SHAPE_OPTIONS, ...options };
+            assert.throws(() => new SigilGenerator(null).fromJSON({ ...doc, shape, shapeOptions }), shape);
+        }
+    });
+});
+
+describe('drawing options', () => {
+    // [property, a non-default value, a bad value]
+    const OPTIONS = [
+        ['border', { ...SigilGenerator.DEFAULT_BORDER, lines: 3, gap: 0.04, band: true, marks: 'ticks', markCount: 36, dots: true }, { lines: 9 }],
+        ['inscription', { ...SigilGenerator.DEFAULT_INSCRIPTION, text: 'As above, so below', spacing: 0.2, alphabet: 'runic' }, { size: 5 }],
+        ['layerColors', { radialLines: '#00ff00', trace: '#0000ff' }, { radialLines: 'green' }],
+        ['outlineGradient', { type: 'linear', colors: ['#ff0000', '#0000ff'], angle: 45 }, { colors: ['#ff0000'] }],
+        ['background', { type: 'parchment', seed: 7, strength: 0.8 }, { strength: 3 }],
+        ['drawStyle', { wobble: 0.4, brush: 0.6, bleed: 0.2, nib: 30 }, { nib: 120 }],
+        ['strokes', { ...SigilGenerator.DEFAULT_STROKES, inner: 1.2, dotSize: [1, 2.5], cap: 'round', join: 'bevel', dashes: { radialLines: 'dotted' } }, { cap: 'flat' }]
+    ];
+
+    for (const [key, value, bad] of OPTIONS) {
+        it(`keep ${key} through documents and links`, () => {
+            const sigil = generated('hexagon', 'none', '64');
+            sigil[key] = value;
+            for (const copy of [new SigilGenerator(null).fromJSON(JSON.stringify(sigil)), new SigilGenerator(null).fromPermalink(sigil.toPermalink())]) {
+                assert.deepEqual(copy[key], value);
+                assert.equal(copy.exportSVG(), sigil.exportSVG());
+            }
+        });
+
+        it(`reject a bad ${key}`, () => {
+            const doc = generated('hexagon', 'none', '64').toJSON();
+            assert.throws(() => new SigilGenerator(null).fromJSON({ ...doc, [key]: { ...value, ...bad } }), new RegExp(key));
+        });
+    }
+
+    it('draw every layer with the chosen line caps and joins', () => {
+        const sigil = new SigilGenerator(null);
+        for (const name of SigilGenerator.LAYERS) sigil.setLayerOption(name, { mode: 'on' });
+        for (const [cap, join] of [['round', 'bevel'], ['square', 'round']]) {
+            sigil.strokes = { ...SigilGenerator.DEFAULT_STROKES, cap, join };
+            sigil.generate('5');
+            const styles = sigil.recordPaths(600).filter(op => op.op === 'stroke').map(op => `${op.style.cap} ${op.style.join}`);
+            assert.deepEqual([...new Set(styles)], [`${cap} ${join}`]);
+        }
+    });
+
+    it('hand out palette colours so neighbouring layers differ', () => {
+        const sigil = generated('circle', 'none', '2');
+        sigil.applyPalette('ember');
+        assert.equal(sigil.bgColor, SigilGenerator.PALETTES.ember.bg);
+        assert.equal(sigil.sigilColor, '#ff0000');
+        const colors = SigilGenerator.LAYERS.map(name => sigil.layerColors[name]);
+        assert.ok(colors.every((c, i) => i === 0 || c !== colors[i - 1]));
+        assert.throws(() => sigil.applyPalette('plaid'));
+    });
+
+    it('set latin inscriptions as text and runes as strokes', () => {
+        const sigil = generated('circle', 'none', '2');
+        const textPath = () => sigil.recordPaths(600).find(op => op.op === 'textPath');
+        sigil.inscription = { ...SigilGenerator.DEFAULT_INSCRIPTION, text: 'ODIN' };
+        assert.deepEqual(textPath().glyphs.map(g => g.text), ['O', 'D', 'I', 'N']);
+        sigil.inscription = { ...sigil.inscription, alphabet: 'runic' };
+        assert.equal(textPath(), undefined);
+        assert.ok(sigil._inscriptionGlyphs().every(g => g.lines.length > 0));
+    });
+
+    it('space latin letters by their measured widths, in the SVG as on the canvas', () => {
+        const sigil = generated('circle', 'none', '2');
+        sigil.inscription = { ...SigilGenerator.DEFAULT_INSCRIPTION, text: 'ODIN, ODIN', widths: { O: 0.8, D: 0.7, I: 0.3, N: 0.72, ',': 0.25, ' ': 0.25 } };
+        const glyphs = sigil.recordPaths().find(op => op.op === 'textPath').glyphs;
+        const gap = (a, b) => b.offset - a.offset;
+        const { fontSize } = sigil._inscriptionLayout(sigil._outputSize());
+        const spacing = sigil.inscription.spacing;
+        assert.ok(Math.abs(gap(glyphs[1], glyphs[2]) - ((0.7 + 0.3) / 2 + spacing) * fontSize) < 1e-6);
+        assert.ok(Math.abs(gap(glyphs[2], glyphs[3]) - ((0.3 + 0.72) / 2 + spacing) * fontSize) < 1e-6);
+
+        const n = SVGRenderer.num, svg = sigil.exportSVG();
+        for (const g of glyphs) {
+            assert.ok(svg.includes(`<text transform="translate(${n(g.x)} ${n(g.y)}) rotate(${n((g.angle * 180) / Math.PI)})">${g.text}</text>`), g.text);
+        }
+
+        const copy = new SigilGenerator(null).fromPermalink(sigil.toPermalink());
+        assert.deepEqual(copy.inscription.widths, sigil.inscription.widths);
+        assert.throws(() => new SigilGenerator(null).fromJSON({ ...sigil.toJSON(), inscription: { ...sigil.inscription, widths: { ON: 1 } } }), /widths/);
+    });
+
+    it('measure letters on a canvas where there is one', () => {
+        assert.equal(SigilGenerator.measureLetters('ODIN', 'serif'), null);
+        const fonts = [];
+        globalThis.OffscreenCanvas = class {
+            getContext() {
+                return {
+                    set font(f) { fonts.push(f); },
+                    measureText: (ch) => ({ width: ch === 'I' ? 31.24 : 70 })
+                };
+            }
+        };
+        try {
+            assert.deepEqual(SigilGenerator.measureLetters('ODIN O', 'Cinzel'), { O: 0.7, D: 0.7, I: 0.312, N: 0.7, ' ': 0.7 });
+            assert.deepEqual(fonts, ['100px Cinzel']);
+            const sigil = generated('circle', 'none', '2');
+            sigil.setInscription({ text: 'ODIN' });
+            assert.deepEqual(sigil.inscription.widths, { O: 0.7, D: 0.7, I: 0.312, N: 0.7 });
+            sigil.setInscription({ text: 'ODIN', alphabet: 'runic' });
+            assert.equal(sigil.inscription.widths, null);
+        } finally {
+            delete globalThis.OffscreenCanvas;
+        }
+    });
+
+    it('fill in inscription defaults and refuse bad values, keeping the one set', () => {
+        const sigil = generated('circle', 'none', '2');
+        sigil.setInscription({ text: 'ODIN' });
+        assert.deepEqual(sigil.inscription, { ...SigilGenerator.DEFAULT_INSCRIPTION, text: 'ODIN' });
+        assert.throws(() => sigil.setInscription({ text: 'ODIN', size: 5 }), /size/);
+        assert.throws(() => sigil.setInscription({ text: 'ODIN', alphabet: 'ogham' }), /alphabet/);
+        assert.deepEqual(sigil.inscription, { ...SigilGenerator.DEFAULT_INSCRIPTION, text: 'ODIN' });
+    });
+});
+
+describe('layer options', () => {
+    it('always include a layer set on and never one set off', () => {
+        const sigil = new SigilGenerator(null);
+        sigil.setLayerOption('crossLines', { mode: 'on' });
+        sigil.setLayerOption('connectedNodes', { mode: 'off' });
+        for (const seed of SEEDS) {
+            sigil.generate(seed);
+            assert.ok(sigil.activeLayers.includes('crossLines'), seed);
+            assert.ok(!sigil.activeLayers.includes('connectedNodes'), seed);
+        }
+        assert.throws(() => sigil.setLayerOption('blob', { mode: 'on' }));
+        assert.throws(() => sigil.setLayerOption('crossLines', { mode: 'sometimes' }));
+    });
+
+    it('keep a locked layer through the next generation', () => {
+        const sigil = new SigilGenerator(null);
+        sigil.setLayerOption('radialLines', { mode: 'on' });
+        sigil.generate('1');
+        const kept = structuredClone(sigil._layerState.radialLines);
+        sigil.setLayerLocked('radialLines', true);
+        sigil.generate('2');
+        assert.deepEqual(sigil._layerState.radialLines, kept);
+    });
+
+    it('re-roll one layer and leave the rest', () => {
+        const sigil = generated('circle', 'none', '6', 5);
+        const before = structuredClone(sigil._layerState);
+        const [first, ...rest] = before.layers;
+        assert.ok(sigil.rerollLayer(first));
+        assert.notDeepEqual(sigil._layerState[first], before[first]);
+        for (const name of rest) assert.deepEqual(sigil._layerState[name], before[name], name);
+        assert.equal(sigil.rerollLayer(SigilGenerator.LAYERS.find(l => !before.layers.includes(l))), false);
+    });
+});
+
+describe('JSON documents', () => {
+    it('round-trip every shape and symmetry', () => {
+        for (const shape of SHAPES) {
+            for (const mode of SigilGenerator.SYMMETRY_MODES) {
+                const sigil = generated(shape, mode, '77');
+                const copy = new SigilGenerator(null).fromJSON(JSON.parse(JSON.stringify(sigil.toJSON())));
+                assert.deepEqual(copy.toJSON(), sigil.toJSON(), `${shape} ${mode}`);
+                assert.equal(copy.exportSVG(), sigil.exportSVG(), `${shape} ${mode}`);
+            }
+        }
+    });
+
+    it('reject bad data', () => {
+        const doc = generated('circle', 'none', '5').toJSON();
+        assert.throws(() => new SigilGenerator(null).fromJSON({ ...doc, version: 99 }));
+        assert.throws(() => new SigilGenerator(null).fromJSON({ ...doc, layerState: { layers: [] } }));
+        assert.throws(() => new SigilGenerator(null).fromJSON('{ not json'));
+    });
+
+    for (const f of legacy) {
+        it(`load version ${f.format} (${f.hash.slice(0, 40)}…) with its layers where they were`, () => {
+            const sigil = new SigilGenerator(null).fromJSON(f.doc);
+            assertClose(toCanvas(sigil, sigil._layerState), f.canvas);
+        });
+    }
+});
+
+describe('permalinks', () => {
+    it('round-trip every shape and symmetry', () => {
+        for (const shape of SHAPES) {
+            for (const mode of SigilGenerator.SYMMETRY_MODES) {
+                const sigil = generated(shape, mode, '99', 4);
+                const link = sigil.toPermalink();
+                assert.ok(!link.includes('state='), `${shape} ${mode} rebuilds from its seed`);
+                const copy = new SigilGenerator(null).fromPermalink(link);
+                assert.equal(layers(copy), layers(sigil), `${shape} ${mode}`);
+                assert.equal(copy.toPermalink(), link, `${shape} ${mode}`);
+            }
+        }
+    });
+
+    it('embed layers their seed does not build', () => {
+        const doc = generated('pentagon', 'none', '3').toJSON();
+        const sigil = new SigilGenerator(null).fromJSON({ ...doc, seed: '4' });
+        const link = sigil.toPermalink();
+        assert.ok(link.includes('state='));
+        assert.equal(layers(new SigilGenerator(null).fromPermalink(link)), layers(sigil));
+    });
+
+    it('report corrupt links', () => {
+        const v = SigilGenerator.LINK_VERSION;
+        assert.throws(() => new SigilGenerator(null).fromPermalink('v=99&shape=circle&seed=1'));
+        assert.throws(() => new SigilGenerator(null).fromPermalink(`v=${v}&shape=blob&seed=1`));
+        assert.throws(() => new SigilGenerator(null).fromPermalink(`v=${v}&shape=circle&seed=1&state=%%%`));
+    });
+
+    for (const f of legacy) {
+        it(`rebuild version ${f.link} (${f.hash.slice(0, 40)}…) as it was made`, () => {
+            const sigil = new SigilGenerator(null).fromPermalink(f.hash);
+            assertClose(toCanvas(sigil, sigil._layerState), f.canvas);
+        });
+    }
+});
+
+describe('rendering', () => {
+    it('exports SVG as vectors only', () => {
+        for (const shape of SHAPES) {
+            const svg = generated(shape, 'none', '21', 5).exportSVG();
+            assert.match(svg, /<svg[\s>]/, shape);
+            assert.doesNotMatch(svg, /<image|data:image/, shape);
+        }
+    });
+
+    it('records the same calls for the same sigil', () => {
+        const record = (sigil) => JSON.stringify(sigil.recordPaths(600));
+        assert.equal(record(generated('octagon', 'both', '13')), record(generated('octagon', 'both', '13')));
+        assert.notEqual(record(generated('octagon', 'both', '13')), record(generated('octagon', 'both', '14')));
+    });
+});
+
+describe('placement', () => {
+    const SPACING = { connectedNodes: ['nodes', 0.18], scatterDots: ['dots', 0.15] };
+
+    // The largest dots and node rings, with the thickest inner lines
+    const HEAVY = {
+        ...SigilGenerator.DEFAULT_STROKES,
+        inner: SigilGenerator.MAX_INNER_STROKE,
+        dotSize: [SigilGenerator.MAX_DOT_SIZE, SigilGenerator.MAX_DOT_SIZE],
+        nodeSize: [SigilGenerator.MAX_DOT_SIZE, SigilGenerator.MAX_DOT_SIZE]
+    };
+
+    it('keeps every dot and node ring, and each symmetric copy, inside the outline and apart', () => {
+        let checked = 0;
+        for (const shape of SHAPES) {
+            for (const mode of SigilGenerator.SYMMETRY_MODES) {
+                for (let i = 0; i < 12; i++) {
+                    const seed = String(100 + i);
+                    const sigil = generated(shape, mode, seed, 1 + (i % 5), i % 3 === 2 ? HEAVY : null);
+                    const state = sigil._layerState;
+                    for (const [name, [key, minDist]] of Object.entries(SPACING)) {
+                        if (!state.layers.includes(name)) continue;
+                        const where = `${shape} ${mode} ${seed} ${name}`;
+                        const stroke = name === 'connectedNodes' ? sigil._innerWidth(1000) / 2 : 0;
+                        const radius = 1000 * SigilGenerator.DOT_RATIO * state[name].radiusMultiplier + stroke;
+                        // Copies that land on one spot are drawn as one
+                        const copies = [];
+                        for (const p of state[name][key].flatMap(pt => sigil._symmetryImages(pt))) {
+                            if (!copies.some(q => Math.hypot(p.nx - q.nx, p.ny - q.ny) < 1e-9)) copies.push(p);
+                        }
+                        for (const p of copies) {
+                            assert.ok(sigil._circleInsideShape(sigil._normalizedToCanvas(p, 1000), radius - 1e-6, 1000), `${where}: outside`);
+                        }
+                        for (let a = 0; a < copies.length; a++) {
+                            for (let b = a + 1; b < copies.length; b++) {
+                                const d = Math.hypot(copies[a].nx - copies[b].nx, copies[a].ny - copies[b].ny);
+                                assert.ok(d >= minDist - 1e-9, `${where}: ${d.toFixed(3)} apart`);
+                            }
+                        }
+                        checked++;
+                    }
+                }
+            }
+        }
+        assert.ok(checked > 50, `only ${checked} layers checked`);
+    });
+
+    it('keeps random outlines free of slivers', () => {
+        for (const seed of SEEDS) {
+            const vertices = generated('random', 'none', seed)._randomVertices;
+            const slice = (Math.PI * 2) / vertices.length;
+            for (let i = 0; i < vertices.length; i++) {
+                const next = vertices[(i + 1) % vertices.length].angle + (i + 1 === vertices.length ? Math.PI * 2 : 0);
+                const gap = next - vertices[i].angle;
+                assert.ok(gap >= slice / 2 - 1e-9 && gap <= slice * 1.5 + 1e-9, `${seed}: a ${gap.toFixed(2)} rad gap`);
+            }
+        }
+    });
+});